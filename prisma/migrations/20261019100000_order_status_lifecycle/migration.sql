@@ -0,0 +1,22 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'PAID';
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'PROCESSING';
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'SHIPPED';
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'DELIVERED';
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'RETURN_REQUESTED';
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'RETURNED';
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'REFUNDED';
+
+-- AlterTable
+ALTER TABLE "public"."OrderStatusHistory" ADD COLUMN     "changedById" INTEGER,
+ADD COLUMN     "fromStatus" "public"."OrderStatus";
+
+-- AddForeignKey
+ALTER TABLE "public"."OrderStatusHistory" ADD CONSTRAINT "OrderStatusHistory_changedById_fkey" FOREIGN KEY ("changedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Cart" ALTER COLUMN "addressId" DROP NOT NULL;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."Discount" ADD COLUMN     "maxDiscountAmount" DOUBLE PRECISION;
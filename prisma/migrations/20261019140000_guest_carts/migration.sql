@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "public"."Cart" ADD COLUMN     "guestToken" TEXT,
+ALTER COLUMN "userId" DROP NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Cart_guestToken_key" ON "public"."Cart"("guestToken");
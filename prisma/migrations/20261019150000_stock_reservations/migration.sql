@@ -0,0 +1,33 @@
+-- CreateEnum
+CREATE TYPE "public"."ReservationStatus" AS ENUM ('ACTIVE', 'CONVERTED', 'RELEASED', 'EXPIRED');
+
+-- CreateTable
+CREATE TABLE "public"."StockReservation" (
+    "id" SERIAL NOT NULL,
+    "variantId" INTEGER NOT NULL,
+    "cartId" INTEGER NOT NULL,
+    "orderId" INTEGER,
+    "quantity" INTEGER NOT NULL,
+    "status" "public"."ReservationStatus" NOT NULL DEFAULT 'ACTIVE',
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "releasedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "StockReservation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "StockReservation_variantId_status_expiresAt_idx" ON "public"."StockReservation"("variantId", "status", "expiresAt");
+
+-- CreateIndex
+CREATE INDEX "StockReservation_cartId_status_idx" ON "public"."StockReservation"("cartId", "status");
+
+-- AddForeignKey
+ALTER TABLE "public"."StockReservation" ADD CONSTRAINT "StockReservation_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "public"."ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockReservation" ADD CONSTRAINT "StockReservation_cartId_fkey" FOREIGN KEY ("cartId") REFERENCES "public"."Cart"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StockReservation" ADD CONSTRAINT "StockReservation_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,36 @@
+-- CreateEnum
+CREATE TYPE "public"."InventoryMovementReason" AS ENUM ('SALE', 'CANCELLATION_RESTOCK', 'RETURN', 'MANUAL_ADJUSTMENT', 'IMPORT', 'CORRECTION');
+
+-- CreateTable
+CREATE TABLE "public"."InventoryMovement" (
+    "id" SERIAL NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "variantId" INTEGER,
+    "orderId" INTEGER,
+    "createdById" INTEGER,
+    "quantity" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "reason" "public"."InventoryMovementReason" NOT NULL,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "InventoryMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_variantId_createdAt_idx" ON "public"."InventoryMovement"("variantId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "InventoryMovement_productId_createdAt_idx" ON "public"."InventoryMovement"("productId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_productId_fkey" FOREIGN KEY ("productId") REFERENCES "public"."Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "public"."ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
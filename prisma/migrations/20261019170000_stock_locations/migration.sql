@@ -0,0 +1,81 @@
+-- AlterEnum
+ALTER TYPE "public"."InventoryMovementReason" ADD VALUE 'TRANSFER';
+
+-- AlterTable
+ALTER TABLE "public"."InventoryMovement" ADD COLUMN     "locationBalanceAfter" INTEGER,
+ADD COLUMN     "locationId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."StockLocation" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "address" TEXT,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "active" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "StockLocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."VariantStockLevel" (
+    "id" SERIAL NOT NULL,
+    "variantId" INTEGER NOT NULL,
+    "locationId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "VariantStockLevel_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."OrderItemAllocation" (
+    "id" SERIAL NOT NULL,
+    "orderItemId" INTEGER NOT NULL,
+    "locationId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "restockedQuantity" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OrderItemAllocation_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockLocation_code_key" ON "public"."StockLocation"("code");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VariantStockLevel_variantId_locationId_key" ON "public"."VariantStockLevel"("variantId", "locationId");
+
+-- CreateIndex
+CREATE INDEX "OrderItemAllocation_orderItemId_idx" ON "public"."OrderItemAllocation"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "public"."InventoryMovement" ADD CONSTRAINT "InventoryMovement_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."StockLocation"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."VariantStockLevel" ADD CONSTRAINT "VariantStockLevel_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "public"."ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."VariantStockLevel" ADD CONSTRAINT "VariantStockLevel_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."StockLocation"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."OrderItemAllocation" ADD CONSTRAINT "OrderItemAllocation_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "public"."OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."OrderItemAllocation" ADD CONSTRAINT "OrderItemAllocation_locationId_fkey" FOREIGN KEY ("locationId") REFERENCES "public"."StockLocation"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Backfill: existing stock lives in a single main warehouse
+INSERT INTO "public"."StockLocation" ("code", "name", "priority", "updatedAt")
+VALUES ('MAIN', 'Main warehouse', 0, CURRENT_TIMESTAMP);
+
+INSERT INTO "public"."VariantStockLevel" ("variantId", "locationId", "quantity", "updatedAt")
+SELECT v."id", l."id", v."stock", CURRENT_TIMESTAMP
+FROM "public"."ProductVariant" v
+CROSS JOIN "public"."StockLocation" l
+WHERE l."code" = 'MAIN';
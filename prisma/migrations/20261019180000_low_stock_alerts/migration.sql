@@ -0,0 +1,9 @@
+-- CreateEnum
+CREATE TYPE "public"."StockAlertState" AS ENUM ('OK', 'LOW', 'OUT');
+
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN     "lowStockThreshold" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."ProductVariant" ADD COLUMN     "lowStockThreshold" INTEGER,
+ADD COLUMN     "stockAlertState" "public"."StockAlertState" NOT NULL DEFAULT 'OK';
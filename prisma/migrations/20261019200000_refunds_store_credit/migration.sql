@@ -0,0 +1,111 @@
+-- CreateEnum
+CREATE TYPE "public"."RefundMethod" AS ENUM ('ORIGINAL_PAYMENT', 'STORE_CREDIT');
+
+-- CreateEnum
+CREATE TYPE "public"."RefundStatus" AS ENUM ('COMPLETED', 'FAILED');
+
+-- CreateEnum
+CREATE TYPE "public"."StoreCreditReason" AS ENUM ('REFUND', 'ADJUSTMENT');
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "storeCreditBalance" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "refundedAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "netAmount" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- Existing orders have not been refunded through the ledger
+UPDATE "public"."Order" SET "netAmount" = "total";
+
+-- CreateTable
+CREATE TABLE "public"."Refund" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "paymentId" INTEGER,
+    "returnRequestId" INTEGER,
+    "method" "public"."RefundMethod" NOT NULL,
+    "status" "public"."RefundStatus" NOT NULL DEFAULT 'COMPLETED',
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "reason" TEXT,
+    "note" TEXT,
+    "failureReason" TEXT,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Refund_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."RefundItem" (
+    "id" SERIAL NOT NULL,
+    "refundId" INTEGER NOT NULL,
+    "orderItemId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RefundItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."StoreCreditTransaction" (
+    "id" SERIAL NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "balanceAfter" DOUBLE PRECISION NOT NULL,
+    "reason" "public"."StoreCreditReason" NOT NULL,
+    "note" TEXT,
+    "refundId" INTEGER,
+    "orderId" INTEGER,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StoreCreditTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Refund_orderId_idx" ON "public"."Refund"("orderId");
+
+-- CreateIndex
+CREATE INDEX "Refund_paymentId_idx" ON "public"."Refund"("paymentId");
+
+-- CreateIndex
+CREATE INDEX "RefundItem_refundId_idx" ON "public"."RefundItem"("refundId");
+
+-- CreateIndex
+CREATE INDEX "RefundItem_orderItemId_idx" ON "public"."RefundItem"("orderItemId");
+
+-- CreateIndex
+CREATE INDEX "StoreCreditTransaction_userId_createdAt_idx" ON "public"."StoreCreditTransaction"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."Refund" ADD CONSTRAINT "Refund_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Refund" ADD CONSTRAINT "Refund_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "public"."Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Refund" ADD CONSTRAINT "Refund_returnRequestId_fkey" FOREIGN KEY ("returnRequestId") REFERENCES "public"."ReturnRequest"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Refund" ADD CONSTRAINT "Refund_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RefundItem" ADD CONSTRAINT "RefundItem_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "public"."Refund"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RefundItem" ADD CONSTRAINT "RefundItem_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "public"."OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StoreCreditTransaction" ADD CONSTRAINT "StoreCreditTransaction_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StoreCreditTransaction" ADD CONSTRAINT "StoreCreditTransaction_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "public"."Refund"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StoreCreditTransaction" ADD CONSTRAINT "StoreCreditTransaction_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."StoreCreditTransaction" ADD CONSTRAINT "StoreCreditTransaction_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
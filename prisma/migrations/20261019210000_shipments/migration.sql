@@ -0,0 +1,61 @@
+-- AlterEnum
+ALTER TYPE "public"."OrderStatus" ADD VALUE 'PARTIALLY_SHIPPED' BEFORE 'SHIPPED';
+
+-- CreateEnum
+CREATE TYPE "public"."ShipmentStatus" AS ENUM ('SHIPPED', 'DELIVERED');
+
+-- CreateTable
+CREATE TABLE "public"."Shipment" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "carrier" TEXT NOT NULL,
+    "trackingNumber" TEXT,
+    "trackingUrlTemplate" TEXT,
+    "trackingUrl" TEXT,
+    "status" "public"."ShipmentStatus" NOT NULL DEFAULT 'SHIPPED',
+    "shippedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deliveredAt" TIMESTAMP(3),
+    "note" TEXT,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "Shipment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ShipmentItem" (
+    "id" SERIAL NOT NULL,
+    "shipmentId" INTEGER NOT NULL,
+    "orderItemId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ShipmentItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Shipment_orderId_idx" ON "public"."Shipment"("orderId");
+
+-- CreateIndex
+CREATE INDEX "Shipment_trackingNumber_idx" ON "public"."Shipment"("trackingNumber");
+
+-- CreateIndex
+CREATE INDEX "ShipmentItem_shipmentId_idx" ON "public"."ShipmentItem"("shipmentId");
+
+-- CreateIndex
+CREATE INDEX "ShipmentItem_orderItemId_idx" ON "public"."ShipmentItem"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Shipment" ADD CONSTRAINT "Shipment_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Shipment" ADD CONSTRAINT "Shipment_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ShipmentItem" ADD CONSTRAINT "ShipmentItem_shipmentId_fkey" FOREIGN KEY ("shipmentId") REFERENCES "public"."Shipment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ShipmentItem" ADD CONSTRAINT "ShipmentItem_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "public"."OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,61 @@
+-- CreateEnum
+CREATE TYPE "public"."ShippingRateType" AS ENUM ('FLAT_RATE', 'WEIGHT_BASED', 'PRICE_TIERED', 'FREE_OVER_THRESHOLD');
+
+-- AlterTable
+ALTER TABLE "public"."ProductVariant" ADD COLUMN     "weight" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "public"."Cart" ADD COLUMN     "shippingMethodId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "shipping" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "shippingMethodId" INTEGER,
+ADD COLUMN     "shippingMethodName" TEXT;
+
+-- CreateTable
+CREATE TABLE "public"."ShippingZone" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "countries" TEXT[],
+    "states" TEXT[],
+    "zipPrefixes" TEXT[],
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ShippingZone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."ShippingMethod" (
+    "id" SERIAL NOT NULL,
+    "zoneId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "description" TEXT,
+    "type" "public"."ShippingRateType" NOT NULL,
+    "rate" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "tiers" JSONB,
+    "freeOverAmount" DOUBLE PRECISION,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "sortOrder" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "ShippingMethod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ShippingMethod_zoneId_idx" ON "public"."ShippingMethod"("zoneId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Cart" ADD CONSTRAINT "Cart_shippingMethodId_fkey" FOREIGN KEY ("shippingMethodId") REFERENCES "public"."ShippingMethod"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Order" ADD CONSTRAINT "Order_shippingMethodId_fkey" FOREIGN KEY ("shippingMethodId") REFERENCES "public"."ShippingMethod"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."ShippingMethod" ADD CONSTRAINT "ShippingMethod_zoneId_fkey" FOREIGN KEY ("zoneId") REFERENCES "public"."ShippingZone"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "public"."Product" ADD COLUMN     "taxClass" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "tax" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxBreakdown" JSONB,
+ADD COLUMN     "taxInclusive" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "public"."OrderItem" ADD COLUMN     "taxAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "taxRate" DOUBLE PRECISION NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "public"."TaxRule" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "country" TEXT NOT NULL,
+    "state" TEXT,
+    "taxClass" TEXT,
+    "rate" DOUBLE PRECISION NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "isDeleted" BOOLEAN NOT NULL DEFAULT false,
+    "deletedAt" TIMESTAMP(3),
+
+    CONSTRAINT "TaxRule_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TaxRule_country_idx" ON "public"."TaxRule"("country");
@@ -0,0 +1,49 @@
+-- CreateEnum
+CREATE TYPE "public"."InvoiceType" AS ENUM ('INVOICE', 'CREDIT_NOTE');
+
+-- CreateTable
+CREATE TABLE "public"."Invoice" (
+    "id" SERIAL NOT NULL,
+    "type" "public"."InvoiceType" NOT NULL,
+    "number" TEXT NOT NULL,
+    "year" INTEGER NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "invoiceId" INTEGER,
+    "refundId" INTEGER,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL DEFAULT 'USD',
+    "issuedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Invoice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."InvoiceSequence" (
+    "type" "public"."InvoiceType" NOT NULL,
+    "year" INTEGER NOT NULL,
+    "lastNumber" INTEGER NOT NULL DEFAULT 0,
+
+    CONSTRAINT "InvoiceSequence_pkey" PRIMARY KEY ("type","year")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_number_key" ON "public"."Invoice"("number");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_refundId_key" ON "public"."Invoice"("refundId");
+
+-- CreateIndex
+CREATE INDEX "Invoice_orderId_idx" ON "public"."Invoice"("orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Invoice_type_year_sequence_key" ON "public"."Invoice"("type", "year", "sequence");
+
+-- AddForeignKey
+ALTER TABLE "public"."Invoice" ADD CONSTRAINT "Invoice_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Invoice" ADD CONSTRAINT "Invoice_invoiceId_fkey" FOREIGN KEY ("invoiceId") REFERENCES "public"."Invoice"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Invoice" ADD CONSTRAINT "Invoice_refundId_fkey" FOREIGN KEY ("refundId") REFERENCES "public"."Refund"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,57 @@
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "discountAmount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+ADD COLUMN     "discountCode" TEXT,
+ADD COLUMN     "shippingAddress" JSONB;
+
+-- AlterTable
+ALTER TABLE "public"."OrderItem" ADD COLUMN     "color" TEXT,
+ADD COLUMN     "imageUrl" TEXT,
+ADD COLUMN     "productName" TEXT,
+ADD COLUMN     "size" TEXT,
+ADD COLUMN     "sku" TEXT;
+
+-- Existing orders are snapshotted from the catalog and addresses as they are now
+UPDATE "public"."OrderItem" AS oi
+SET "productName" = p."name",
+    "sku" = COALESCE(v."sku", p."sku"),
+    "size" = v."size",
+    "color" = v."color"
+FROM "public"."Product" AS p, "public"."ProductVariant" AS v
+WHERE p."id" = oi."productId" AND v."id" = oi."variantId";
+
+UPDATE "public"."OrderItem" AS oi
+SET "imageUrl" = COALESCE(
+  (SELECT vi."url" FROM "public"."ProductVarientImage" AS vi
+    WHERE vi."variantId" = oi."variantId" AND vi."isDeleted" = false
+    ORDER BY vi."position" ASC NULLS LAST, vi."id" ASC LIMIT 1),
+  (SELECT pi."url" FROM "public"."ProductImage" AS pi
+    WHERE pi."productId" = oi."productId" AND pi."isDeleted" = false
+    ORDER BY pi."position" ASC NULLS LAST, pi."id" ASC LIMIT 1)
+);
+
+UPDATE "public"."Order" AS o
+SET "shippingAddress" = jsonb_build_object(
+  'name', a."name",
+  'phone', a."phone",
+  'address', a."address",
+  'city', a."city",
+  'state', a."state",
+  'country', a."country",
+  'zipCode', a."zipCode"
+)
+FROM "public"."Address" AS a
+WHERE a."id" = o."addressId";
+
+UPDATE "public"."Order" AS o
+SET "discountCode" = d."code"
+FROM "public"."Discount" AS d
+WHERE d."id" = o."discountId";
+
+-- The discount is whatever the stored total does not account for
+UPDATE "public"."Order" AS o
+SET "discountAmount" = GREATEST(0, ROUND(CAST(
+  (SELECT COALESCE(SUM(oi."price" * oi."quantity"), 0) FROM "public"."OrderItem" AS oi WHERE oi."orderId" = o."id")
+  + o."shipping"
+  + CASE WHEN o."taxInclusive" THEN 0 ELSE o."tax" END
+  - o."total" AS NUMERIC), 2))
+WHERE o."discountId" IS NOT NULL;
@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "public"."IdempotencyKey" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "statusCode" INTEGER,
+    "responseBody" JSONB,
+    "responseHeaders" JSONB,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "IdempotencyKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "IdempotencyKey_expiresAt_idx" ON "public"."IdempotencyKey"("expiresAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "IdempotencyKey_scope_key_key" ON "public"."IdempotencyKey"("scope", "key");
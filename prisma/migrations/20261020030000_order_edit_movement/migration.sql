@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "public"."InventoryMovementReason" ADD VALUE 'ORDER_EDIT';
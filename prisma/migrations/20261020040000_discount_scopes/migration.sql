@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "public"."Discount" ADD COLUMN     "categoryIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "excludedCategoryIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "excludedProductIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "excludedVariantIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "productIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "variantIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[];
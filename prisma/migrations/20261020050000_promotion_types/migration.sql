@@ -0,0 +1,12 @@
+-- AlterEnum
+ALTER TYPE "public"."DiscountType" ADD VALUE 'BUY_X_GET_Y';
+ALTER TYPE "public"."DiscountType" ADD VALUE 'SPEND_TIERS';
+ALTER TYPE "public"."DiscountType" ADD VALUE 'QUANTITY_BREAK';
+ALTER TYPE "public"."DiscountType" ADD VALUE 'FREE_SHIPPING';
+
+-- AlterTable
+ALTER TABLE "public"."Discount" ADD COLUMN     "buyQuantity" INTEGER,
+ADD COLUMN     "getProductIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "getQuantity" INTEGER,
+ADD COLUMN     "getVariantIds" INTEGER[] DEFAULT ARRAY[]::INTEGER[],
+ADD COLUMN     "tiers" JSONB;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Discount" ADD COLUMN     "automatic" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "priority" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "stackable" BOOLEAN NOT NULL DEFAULT false,
+ALTER COLUMN "code" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "public"."Order" ADD COLUMN     "promotions" JSONB;
@@ -0,0 +1,33 @@
+-- AlterTable
+ALTER TABLE "public"."Discount" ADD COLUMN     "firstOrderOnly" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "usageLimitPerUser" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."DiscountRedemption" (
+    "id" SERIAL NOT NULL,
+    "discountId" INTEGER NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "userId" INTEGER NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "shippingDiscount" DOUBLE PRECISION NOT NULL DEFAULT 0,
+    "reversedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DiscountRedemption_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DiscountRedemption_userId_discountId_idx" ON "public"."DiscountRedemption"("userId", "discountId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DiscountRedemption_discountId_orderId_key" ON "public"."DiscountRedemption"("discountId", "orderId");
+
+-- AddForeignKey
+ALTER TABLE "public"."DiscountRedemption" ADD CONSTRAINT "DiscountRedemption_discountId_fkey" FOREIGN KEY ("discountId") REFERENCES "public"."Discount"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DiscountRedemption" ADD CONSTRAINT "DiscountRedemption_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "public"."Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DiscountRedemption" ADD CONSTRAINT "DiscountRedemption_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
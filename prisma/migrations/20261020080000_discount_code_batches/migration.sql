@@ -0,0 +1,29 @@
+-- AlterTable
+ALTER TABLE "public"."Discount" ADD COLUMN     "batchId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."DiscountCodeBatch" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT,
+    "templateId" INTEGER NOT NULL,
+    "prefix" TEXT NOT NULL DEFAULT '',
+    "length" INTEGER NOT NULL,
+    "alphabet" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "DiscountCodeBatch_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DiscountCodeBatch_templateId_idx" ON "public"."DiscountCodeBatch"("templateId");
+
+-- AddForeignKey
+ALTER TABLE "public"."Discount" ADD CONSTRAINT "Discount_batchId_fkey" FOREIGN KEY ("batchId") REFERENCES "public"."DiscountCodeBatch"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DiscountCodeBatch" ADD CONSTRAINT "DiscountCodeBatch_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "public"."Discount"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."DiscountCodeBatch" ADD CONSTRAINT "DiscountCodeBatch_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
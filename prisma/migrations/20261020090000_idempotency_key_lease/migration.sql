@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "public"."IdempotencyKey" ADD COLUMN     "lockedUntil" TIMESTAMP(3);
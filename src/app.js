@@ -30,7 +30,8 @@ app.use(helmet());
 // CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Cart-Token', 'Idempotent-Replayed']
 }));
 
 // Rate limiting
@@ -54,8 +55,13 @@ app.use(morgan('combined', {
   }
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+// Body parsing middleware (raw body is kept for payment webhook signature checks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Health check endpoint
@@ -22,6 +22,19 @@ const envSchema = Joi.object({
   EMAIL_USER: Joi.string().required(),
   EMAIL_PASS: Joi.string().required(),
   EMAIL_FROM: Joi.string().required(),
+  PAYMENT_PROVIDER: Joi.string().valid('mock').default('mock'),
+  PAYMENT_CURRENCY: Joi.string().length(3).default('USD'),
+  PAYMENT_AUTO_CAPTURE: Joi.boolean().default(true),
+  PAYMENT_WEBHOOK_SECRET: Joi.string().optional(),
+  STOCK_RESERVATION_TTL_MINUTES: Joi.number().integer().min(1).default(15),
+  STOCK_RESERVATION_SWEEP_INTERVAL_MS: Joi.number().integer().min(1000).default(60000),
+  LOW_STOCK_THRESHOLD: Joi.number().integer().min(0).default(5),
+  TAX_PRICES_INCLUDE_TAX: Joi.boolean().default(false),
+  INVOICE_SELLER_NAME: Joi.string().allow('').optional(),
+  INVOICE_SELLER_ADDRESS: Joi.string().allow('').optional(),
+  INVOICE_SELLER_TAX_ID: Joi.string().allow('').optional(),
+  IDEMPOTENCY_KEY_TTL_HOURS: Joi.number().integer().min(1).default(24),
+  IDEMPOTENCY_KEY_LEASE_SECONDS: Joi.number().integer().min(1).default(60),
   RATE_LIMIT_WINDOW_MS: Joi.number().default(900000),
   RATE_LIMIT_MAX_REQUESTS: Joi.number().default(100)
 }).unknown();
@@ -34,6 +34,25 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        cartToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Cart-Token',
+          description: 'Guest cart token (also accepted as the cartToken cookie)'
+        }
+      },
+      parameters: {
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: {
+            type: 'string',
+            maxLength: 255
+          },
+          description: 'Client-generated key that makes retries safe: a repeat of the same request replays the first response ' +
+            '(marked with Idempotent-Replayed: true), the same key with a different request returns 409'
         }
       },
       schemas: {
@@ -551,7 +570,7 @@ const options = {
             },
             type: {
               type: 'string',
-              enum: ['PERCENTAGE', 'FIXED'],
+              enum: ['PERCENTAGE', 'FIXED', 'BUY_X_GET_Y', 'SPEND_TIERS', 'QUANTITY_BREAK', 'FREE_SHIPPING'],
               example: 'PERCENTAGE'
             },
             value: {
@@ -800,6 +819,42 @@ const options = {
         name: 'Orders',
         description: 'Order management and processing'
       },
+      {
+        name: 'Payments',
+        description: 'Order payments through the configured gateway'
+      },
+      {
+        name: 'Inventory',
+        description: 'Stock adjustments and the inventory ledger'
+      },
+      {
+        name: 'Shipping',
+        description: 'Shipping zones, methods and rates'
+      },
+      {
+        name: 'Tax',
+        description: 'Tax rules by country, state and product tax class'
+      },
+      {
+        name: 'Shipments',
+        description: 'Order packages with carrier tracking'
+      },
+      {
+        name: 'Returns',
+        description: 'Return requests for delivered orders'
+      },
+      {
+        name: 'Refunds',
+        description: 'Full and partial order refunds'
+      },
+      {
+        name: 'Invoices',
+        description: 'Invoices for paid orders and credit notes for refunds'
+      },
+      {
+        name: 'Store Credit',
+        description: 'Customer store credit balances'
+      },
       {
         name: 'Cart',
         description: 'Shopping cart operations'
@@ -92,7 +92,7 @@
  *         name: type
  *         schema:
  *           type: string
- *           enum: [PERCENTAGE, FIXED]
+ *           enum: [PERCENTAGE, FIXED, BUY_X_GET_Y, SPEND_TIERS, QUANTITY_BREAK, FREE_SHIPPING]
  *     responses:
  *       200:
  *         description: Discounts retrieved successfully
@@ -146,7 +146,7 @@
  *                 example: "Get 20% off on all summer items"
  *               type:
  *                 type: string
- *                 enum: [PERCENTAGE, FIXED]
+ *                 enum: [PERCENTAGE, FIXED, BUY_X_GET_Y, SPEND_TIERS, QUANTITY_BREAK, FREE_SHIPPING]
  *                 example: "PERCENTAGE"
  *               value:
  *                 type: number
@@ -261,7 +261,7 @@
  *                 type: string
  *               type:
  *                 type: string
- *                 enum: [PERCENTAGE, FIXED]
+ *                 enum: [PERCENTAGE, FIXED, BUY_X_GET_Y, SPEND_TIERS, QUANTITY_BREAK, FREE_SHIPPING]
  *               value:
  *                 type: number
  *                 format: float
@@ -25,7 +25,7 @@
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, CONFIRMED, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *           enum: [PENDING, PAID, PROCESSING, PARTIALLY_SHIPPED, SHIPPED, DELIVERED, COMPLETED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUNDED]
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
@@ -214,7 +214,7 @@
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, CONFIRMED, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *           enum: [PENDING, PAID, PROCESSING, PARTIALLY_SHIPPED, SHIPPED, DELIVERED, COMPLETED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUNDED]
  *       - in: query
  *         name: userId
  *         schema:
@@ -315,7 +315,7 @@
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [PENDING, CONFIRMED, PROCESSING, SHIPPED, DELIVERED, CANCELLED]
+ *                 enum: [PENDING, PAID, PROCESSING, PARTIALLY_SHIPPED, SHIPPED, DELIVERED, COMPLETED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUNDED]
  *                 example: "CONFIRMED"
  *               notes:
  *                 type: string
@@ -551,7 +551,7 @@ const options = {
             },
             type: {
               type: 'string',
-              enum: ['PERCENTAGE', 'FIXED'],
+              enum: ['PERCENTAGE', 'FIXED', 'BUY_X_GET_Y', 'SPEND_TIERS', 'QUANTITY_BREAK', 'FREE_SHIPPING'],
               example: 'PERCENTAGE'
             },
             value: {
@@ -0,0 +1,264 @@
+/**
+ * Idempotency Middleware
+ * Honors the Idempotency-Key header on mutating endpoints: the first response
+ * for a key is stored and replayed for retries of the same request
+ */
+
+const crypto = require('crypto');
+const prisma = require('../config/prisma');
+const { HTTP_STATUS, MESSAGES } = require('../utils/constants');
+const { error } = require('../utils/response');
+const { logger } = require('../utils/logger');
+const { getCartToken } = require('../utils/cartToken');
+
+const MAX_KEY_LENGTH = 255;
+
+// Response headers a replay has to repeat (a new guest cart's token)
+const REPLAYED_HEADERS = ['x-cart-token'];
+
+/**
+ * How long a key is remembered
+ * @returns {number} Milliseconds
+ */
+const getKeyTtl = () => (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * How long a request may hold a key without answering
+ * @returns {number} Milliseconds
+ */
+const getLeaseDuration = () => (parseInt(process.env.IDEMPOTENCY_KEY_LEASE_SECONDS) || 60) * 1000;
+
+/**
+ * Identify who a key belongs to so different clients can use the same key
+ * @param {Object} req - Express request object
+ * @returns {string} user:<id>, cart:<token> or ip:<address>
+ */
+const getScope = (req) => {
+  if (req.user) {
+    return `user:${req.user.id}`;
+  }
+
+  const cartToken = getCartToken(req);
+  return cartToken ? `cart:${cartToken}` : `ip:${req.ip}`;
+};
+
+/**
+ * Fingerprint a request so a reused key with a different request can be refused
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 of the method, URL and body
+ */
+const getFingerprint = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+  .digest('hex');
+
+/**
+ * Claim a key for this request, or find the request that already claimed it
+ * An expired claim is removed and the key claimed afresh. A claim whose request
+ * never answered (the client went away or the process died) is taken over once
+ * its lease runs out, provided the retry is the same request
+ * @param {Object} data - key, scope, method, path and fingerprint
+ * @returns {Object} { record, claimed }
+ */
+const claimKey = async (data) => {
+  const where = { scope_key: { scope: data.scope, key: data.key } };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      const record = await prisma.idempotencyKey.create({
+        data: {
+          ...data,
+          lockedUntil: new Date(Date.now() + getLeaseDuration()),
+          expiresAt: new Date(Date.now() + getKeyTtl())
+        }
+      });
+      return { record, claimed: true };
+    } catch (err) {
+      if (err.code !== 'P2002') {
+        throw err;
+      }
+    }
+
+    const existing = await prisma.idempotencyKey.findUnique({ where });
+    const now = new Date();
+
+    if (existing && existing.expiresAt > now) {
+      const abandoned = existing.statusCode === null &&
+        existing.fingerprint === data.fingerprint &&
+        (!existing.lockedUntil || existing.lockedUntil <= now);
+
+      if (!abandoned) {
+        return { record: existing, claimed: false };
+      }
+
+      // Conditional on the old lease so only one retry wins the takeover
+      const { count } = await prisma.idempotencyKey.updateMany({
+        where: { id: existing.id, statusCode: null, lockedUntil: existing.lockedUntil },
+        data: { lockedUntil: new Date(Date.now() + getLeaseDuration()) }
+      });
+
+      if (count > 0) {
+        return { record: existing, claimed: true };
+      }
+
+      return { record: await prisma.idempotencyKey.findUnique({ where }), claimed: false };
+    }
+
+    await prisma.idempotencyKey.deleteMany({
+      where: { scope: data.scope, key: data.key, expiresAt: { lte: new Date() } }
+    });
+  }
+
+  throw new Error(`Could not claim idempotency key ${data.key}`);
+};
+
+/**
+ * Store the response for a claimed key
+ * Server errors release the key instead so the client can retry
+ * @param {Object} record - Claimed key
+ * @param {Object} res - Express response object
+ * @param {*} body - Response body
+ */
+const saveResponse = async (record, res, body) => {
+  if (res.statusCode >= HTTP_STATUS.INTERNAL_SERVER_ERROR) {
+    await prisma.idempotencyKey.deleteMany({ where: { id: record.id } });
+    return;
+  }
+
+  const responseHeaders = {};
+  for (const header of REPLAYED_HEADERS) {
+    if (res.get(header)) {
+      responseHeaders[header] = res.get(header);
+    }
+  }
+
+  await prisma.idempotencyKey.update({
+    where: { id: record.id },
+    data: {
+      statusCode: res.statusCode,
+      responseBody: body === undefined ? null : body,
+      responseHeaders,
+      lockedUntil: null
+    }
+  });
+};
+
+/**
+ * Replay the stored response for a key, or return 409 when it cannot be replayed
+ * @param {Object} res - Express response object
+ * @param {Object} record - Existing key
+ * @param {string} fingerprint - Fingerprint of the retried request
+ */
+const replayResponse = (res, record, fingerprint) => {
+  if (record.fingerprint !== fingerprint) {
+    return error(res, 'Idempotency-Key has already been used for a different request', HTTP_STATUS.CONFLICT);
+  }
+
+  if (record.statusCode === null) {
+    return error(res, 'A request with this Idempotency-Key is still being processed', HTTP_STATUS.CONFLICT);
+  }
+
+  res.set(record.responseHeaders || {});
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(record.statusCode).json(record.responseBody);
+};
+
+/**
+ * Make a mutating endpoint safe to retry
+ * Requests without an Idempotency-Key header are handled normally.
+ * Mount after authentication so keys are scoped to the signed-in user
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return error(res, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const fingerprint = getFingerprint(req);
+  let claim;
+
+  try {
+    claim = await claimKey({
+      key,
+      scope: getScope(req),
+      method: req.method,
+      path: req.originalUrl,
+      fingerprint
+    });
+  } catch (err) {
+    logger.error('Idempotency key lookup failed:', err);
+    return error(res, MESSAGES.INTERNAL_ERROR, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+
+  if (!claim.claimed) {
+    return replayResponse(res, claim.record, fingerprint);
+  }
+
+  // Store the response before it is sent so an immediate retry already sees it
+  const send = res.json.bind(res);
+  let saved = false;
+
+  res.json = (body) => {
+    saved = true;
+    saveResponse(claim.record, res, body)
+      .catch(err => logger.error(`Could not store response for idempotency key ${key}:`, err))
+      .finally(() => send(body));
+    return res;
+  };
+
+  // Responses that bypass res.json cannot be replayed, so the key is released once
+  // the handler has sent one. A client that goes away mid-request keeps the key
+  // claimed: the handler may still complete, and the lease covers a handler that never does
+  res.on('finish', () => {
+    if (!saved) {
+      prisma.idempotencyKey.deleteMany({ where: { id: claim.record.id, statusCode: null } })
+        .catch(err => logger.error(`Could not release idempotency key ${key}:`, err));
+    }
+  });
+
+  next();
+};
+
+/**
+ * Delete keys whose replay window has passed
+ * @returns {number} Number of keys deleted
+ */
+const purgeExpiredKeys = async () => {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lte: new Date() } }
+  });
+
+  if (count > 0) {
+    logger.info(`Purged ${count} expired idempotency keys`);
+  }
+
+  return count;
+};
+
+/**
+ * Periodically purge expired keys
+ * @returns {Object} Interval handle (pass to clearInterval to stop)
+ */
+const startIdempotencyKeySweeper = () => {
+  const timer = setInterval(() => {
+    purgeExpiredKeys().catch((err) => {
+      logger.error('Idempotency key sweep failed:', err);
+    });
+  }, 60 * 60 * 1000);
+
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+};
+
+module.exports = {
+  idempotency,
+  purgeExpiredKeys,
+  startIdempotencyKeySweeper
+};
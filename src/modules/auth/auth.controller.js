@@ -6,6 +6,7 @@
 const authService = require('./auth.service');
 const { success } = require('../../utils/response');
 const { HTTP_STATUS, MESSAGES } = require('../../utils/constants');
+const { getCartToken, clearCartToken } = require('../../utils/cartToken');
 
 /**
  * Register new user
@@ -13,7 +14,11 @@ const { HTTP_STATUS, MESSAGES } = require('../../utils/constants');
  */
 const register = async (req, res, next) => {
   try {
-    const result = await authService.register(req.body);
+    const guestCartToken = getCartToken(req);
+    const result = await authService.register(req.body, guestCartToken);
+    if (guestCartToken) {
+      clearCartToken(res);
+    }
     success(res, result, MESSAGES.CREATED, HTTP_STATUS.CREATED);
   } catch (error) {
     next(error);
@@ -26,7 +31,11 @@ const register = async (req, res, next) => {
  */
 const login = async (req, res, next) => {
   try {
-    const result = await authService.login(req.body);
+    const guestCartToken = getCartToken(req);
+    const result = await authService.login(req.body, guestCartToken);
+    if (guestCartToken) {
+      clearCartToken(res);
+    }
     success(res, result, 'Login successful');
   } catch (error) {
     next(error);
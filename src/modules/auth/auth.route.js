@@ -46,6 +46,11 @@ const router = express.Router();
  *           type: string
  *         refreshToken:
  *           type: string
+ *         cart:
+ *           $ref: '#/components/schemas/Cart'
+ *           description: |
+ *             Present when a guest cart token (X-Cart-Token header or cartToken
+ *             cookie) was sent and the guest cart was merged into the user's cart
  */
 
 /**
@@ -10,6 +10,7 @@ const { notDeletedWhere } = require('../../utils/softDelete');
 const { AppError } = require('../../middlewares/errorHandler');
 const { HTTP_STATUS, MESSAGES } = require('../../utils/constants');
 const { logger, auditLog } = require('../../utils/logger');
+const cartService = require('../cart/cart.service');
 
 /**
  * Generate JWT tokens
@@ -28,12 +29,34 @@ const generateTokens = (payload) => {
   return { accessToken, refreshToken };
 };
 
+/**
+ * Fold the visitor's guest cart into the user's cart
+ * A failed merge is logged but never blocks authentication
+ * @param {number} userId - User ID
+ * @param {string} guestCartToken - Guest cart token
+ * @returns {Object} { cart } when a guest cart was merged, otherwise {}
+ */
+const mergeGuestCart = async (userId, guestCartToken) => {
+  if (!guestCartToken) {
+    return {};
+  }
+
+  try {
+    const cart = await cartService.mergeGuestCart(userId, guestCartToken);
+    return cart ? { cart } : {};
+  } catch (err) {
+    logger.warn(`Guest cart merge failed for user ${userId}: ${err.message}`);
+    return {};
+  }
+};
+
 /**
  * Register new user
  * @param {Object} userData - User registration data
- * @returns {Object} User data and tokens
+ * @param {string} [guestCartToken] - Guest cart to merge into the new account
+ * @returns {Object} User data, tokens and the merged cart if any
  */
-const register = async (userData) => {
+const register = async (userData, guestCartToken) => {
   const { email, password, name, role = 'USER' } = userData;
 
   // Check if user already exists
@@ -71,15 +94,18 @@ const register = async (userData) => {
   auditLog('USER_REGISTERED', user.id, { email, role });
   logger.info(`New user registered: ${email}`);
 
-  return { user, ...tokens };
+  const merged = await mergeGuestCart(user.id, guestCartToken);
+
+  return { user, ...tokens, ...merged };
 };
 
 /**
  * Login user
  * @param {Object} loginData - Login credentials
- * @returns {Object} User data and tokens
+ * @param {string} [guestCartToken] - Guest cart to merge into the user's cart
+ * @returns {Object} User data, tokens and the merged cart if any
  */
-const login = async (loginData) => {
+const login = async (loginData, guestCartToken) => {
   const { email, password } = loginData;
 
   // Find user
@@ -103,6 +129,8 @@ const login = async (loginData) => {
   auditLog('USER_LOGIN', user.id, { email });
   logger.info(`User logged in: ${email}`);
 
+  const merged = await mergeGuestCart(user.id, guestCartToken);
+
   return {
     user: {
       id: user.id,
@@ -111,7 +139,8 @@ const login = async (loginData) => {
       role: user.role,
       createdAt: user.createdAt
     },
-    ...tokens
+    ...tokens,
+    ...merged
   };
 };
 
@@ -5,6 +5,32 @@
 
 const cartService = require('./cart.service');
 const { success, error } = require('../../utils/response');
+const { getCartToken, setCartToken } = require('../../utils/cartToken');
+
+/**
+ * Identify the cart owner: the signed-in user, or the guest cart token
+ * @param {Object} req - Express request object
+ * @returns {Object} { userId } or { guestToken }
+ */
+const getCartOwner = (req) => {
+  if (req.user) {
+    return { userId: req.user.id };
+  }
+  return { guestToken: getCartToken(req) };
+};
+
+/**
+ * Send a cart response, handing guests their cart token
+ * @param {Object} res - Express response object
+ * @param {Object} cart - Cart
+ * @param {string} message - Success message
+ */
+const sendCart = (res, cart, message) => {
+  if (cart.guestToken) {
+    setCartToken(res, cart.guestToken);
+  }
+  success(res, cart, message);
+};
 
 /**
  * Get user's cart
@@ -13,8 +39,8 @@ const { success, error } = require('../../utils/response');
  */
 const getCart = async (req, res) => {
   try {
-    const cart = await cartService.getCart(req.user.id);
-    success(res, cart, 'Cart retrieved successfully');
+    const cart = await cartService.getCart(getCartOwner(req));
+    sendCart(res, cart, 'Cart retrieved successfully');
   } catch (err) {
     error(res, err.message, 400);
   }
@@ -27,8 +53,8 @@ const getCart = async (req, res) => {
  */
 const addToCart = async (req, res) => {
   try {
-    const cart = await cartService.addToCart(req.user.id, req.body);
-    success(res, cart, 'Item added to cart successfully');
+    const cart = await cartService.addToCart(getCartOwner(req), req.body);
+    sendCart(res, cart, 'Item added to cart successfully');
   } catch (err) {
     error(res, err.message, 400);
   }
@@ -41,8 +67,8 @@ const addToCart = async (req, res) => {
  */
 const updateCartItem = async (req, res) => {
   try {
-    const cart = await cartService.updateCartItem(req.user.id, req.params.itemId, req.body.quantity);
-    success(res, cart, 'Cart item updated successfully');
+    const cart = await cartService.updateCartItem(getCartOwner(req), req.params.itemId, req.body.quantity);
+    sendCart(res, cart, 'Cart item updated successfully');
   } catch (err) {
     error(res, err.message, 400);
   }
@@ -55,8 +81,8 @@ const updateCartItem = async (req, res) => {
  */
 const removeFromCart = async (req, res) => {
   try {
-    const cart = await cartService.removeFromCart(req.user.id, req.params.itemId);
-    success(res, cart, 'Item removed from cart successfully');
+    const cart = await cartService.removeFromCart(getCartOwner(req), req.params.itemId);
+    sendCart(res, cart, 'Item removed from cart successfully');
   } catch (err) {
     error(res, err.message, 400);
   }
@@ -69,17 +95,92 @@ const removeFromCart = async (req, res) => {
  */
 const clearCart = async (req, res) => {
   try {
-    await cartService.clearCart(req.user.id);
-    success(res, null, 'Cart cleared successfully');
+    const cart = await cartService.clearCart(getCartOwner(req));
+    sendCart(res, cart, 'Cart cleared successfully');
   } catch (err) {
     error(res, err.message, 400);
   }
 };
 
+/**
+ * Apply a discount code to the cart
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const applyDiscount = async (req, res) => {
+  try {
+    const cart = await cartService.applyDiscount(getCartOwner(req), req.body.code);
+    sendCart(res, cart, 'Discount applied successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Remove the discount code from the cart
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const removeDiscount = async (req, res) => {
+  try {
+    const cart = await cartService.removeDiscount(getCartOwner(req));
+    sendCart(res, cart, 'Discount removed successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Set the cart's shipping address
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setCartAddress = async (req, res) => {
+  try {
+    const cart = await cartService.setCartAddress(getCartOwner(req), req.body.addressId);
+    sendCart(res, cart, 'Cart address updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get shipping methods available for the cart's address
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getShippingOptions = async (req, res) => {
+  try {
+    const options = await cartService.getShippingOptions(getCartOwner(req));
+    success(res, options, 'Shipping options retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Choose the cart's shipping method
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const setShippingMethod = async (req, res) => {
+  try {
+    const cart = await cartService.setShippingMethod(getCartOwner(req), req.body.shippingMethodId);
+    sendCart(res, cart, 'Shipping method updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
 module.exports = {
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyDiscount,
+  removeDiscount,
+  setCartAddress,
+  getShippingOptions,
+  setShippingMethod
 };
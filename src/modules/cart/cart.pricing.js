@@ -0,0 +1,171 @@
+/**
+ * Cart Pricing
+ * Single pricing pipeline shared by the cart and checkout so both always agree
+ */
+
+const { evaluateDiscounts } = require('../discount/discount.service');
+const { roundMoney } = require('../../utils/money');
+
+/**
+ * Get the price a variant currently sells for
+ * @param {Object} variant - Product variant
+ * @returns {number} Unit price
+ */
+const getUnitPrice = (variant) => variant.discountedPrice || variant.price;
+
+/**
+ * Tax each line at its resolved rate and group the amounts by rule
+ * Inclusive prices already contain the tax, so it is extracted rather than added
+ * @param {Array} lines - Priced lines (after discount allocation)
+ * @param {Array} taxRates - Per line { ruleId, name, rate } or null, in line order
+ * @param {boolean} taxInclusive - Whether prices include tax
+ * @returns {Array} Breakdown per rule ({ ruleId, name, rate, taxableAmount, amount })
+ */
+const applyTax = (lines, taxRates, taxInclusive) => {
+  const breakdown = new Map();
+
+  lines.forEach((line, index) => {
+    const taxRate = taxRates[index];
+
+    if (!taxRate || !taxRate.rate) {
+      return;
+    }
+
+    const taxAmount = taxInclusive
+      ? roundMoney((line.lineTotal * taxRate.rate) / (100 + taxRate.rate))
+      : roundMoney((line.lineTotal * taxRate.rate) / 100);
+
+    line.taxRate = taxRate.rate;
+    line.taxAmount = taxAmount;
+
+    const entry = breakdown.get(taxRate.ruleId) || {
+      ruleId: taxRate.ruleId,
+      name: taxRate.name,
+      rate: taxRate.rate,
+      taxableAmount: 0,
+      amount: 0
+    };
+    entry.taxableAmount = roundMoney(entry.taxableAmount + line.lineTotal - (taxInclusive ? taxAmount : 0));
+    entry.amount = roundMoney(entry.amount + taxAmount);
+    breakdown.set(taxRate.ruleId, entry);
+  });
+
+  return [...breakdown.values()];
+};
+
+/**
+ * Price a set of cart or order items
+ * Pipeline: line subtotals -> discount -> shipping -> tax -> total
+ * @param {Array} items - Items with quantity, variant and product ({ id, productId, variantId, quantity, variant, product })
+ * @param {Object} options - Pricing options
+ * @param {Object} [options.discount] - Discount code to apply
+ * @param {Array} [options.promotions] - Automatic promotions to try, see discount.service getAutomaticPromotions
+ * @param {number} [options.shipping] - Shipping amount (before any free shipping promotion)
+ * @param {Array} [options.taxRates] - Per item tax rate ({ ruleId, name, rate } or null), see tax.service getTaxRates
+ * @param {boolean} [options.taxInclusive] - Whether prices already include tax
+ * @returns {Object} Totals (discount covers every applied discount; shipping is the charged amount,
+ *   shippingDiscount what was waived), per-line breakdown, tax breakdown, the applied promotions,
+ *   skippedPromotions with reasons and discountError if the discount code could not be applied
+ */
+const priceItems = (items, {
+  discount = null, promotions = [], shipping = 0, taxRates = [], taxInclusive = false
+} = {}) => {
+  const lines = items.map(item => {
+    const unitPrice = getUnitPrice(item.variant);
+    const lineSubtotal = roundMoney(unitPrice * item.quantity);
+
+    return {
+      itemId: item.id,
+      productId: item.productId,
+      variantId: item.variantId,
+      quantity: item.quantity,
+      unitPrice,
+      lineSubtotal,
+      lineDiscount: 0,
+      lineTotal: lineSubtotal,
+      taxRate: 0,
+      taxAmount: 0
+    };
+  });
+
+  const totalItems = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineSubtotal, 0));
+
+  let discountAmount = 0;
+  let discountError = null;
+  let shippingDiscount = 0;
+  const appliedPromotions = [];
+  const skippedPromotions = [];
+
+  const discounts = [...(discount ? [discount] : []), ...promotions];
+
+  if (discounts.length > 0 && lines.length > 0) {
+    const { applied, skipped } = evaluateDiscounts(
+      discounts,
+      lines.map((line, index) => ({ ...line, product: items[index].product }))
+    );
+
+    for (const entry of applied) {
+      entry.allocations.forEach((share, index) => {
+        lines[index].lineDiscount = roundMoney(lines[index].lineDiscount + share);
+        lines[index].lineTotal = roundMoney(lines[index].lineSubtotal - lines[index].lineDiscount);
+      });
+
+      // A free shipping promotion waives the shipping amount rather than discounting goods
+      const waived = entry.freeShipping ? roundMoney(shipping - shippingDiscount) : 0;
+      shippingDiscount = roundMoney(shippingDiscount + waived);
+      discountAmount = roundMoney(discountAmount + entry.amount);
+
+      appliedPromotions.push({
+        discountId: entry.discount.id,
+        code: entry.discount.code || null,
+        description: entry.discount.description || null,
+        type: entry.discount.type,
+        automatic: !!entry.discount.automatic,
+        amount: entry.amount,
+        shippingDiscount: waived
+      });
+    }
+
+    for (const { discount: skippedDiscount, reason } of skipped) {
+      if (skippedDiscount === discount) {
+        discountError = reason;
+      } else {
+        skippedPromotions.push({
+          discountId: skippedDiscount.id,
+          description: skippedDiscount.description || null,
+          reason
+        });
+      }
+    }
+  }
+
+  const chargedShipping = roundMoney(shipping - shippingDiscount);
+
+  // Tax is charged on goods after discounts; shipping is not taxed
+  const taxBreakdown = applyTax(lines, taxRates, taxInclusive);
+  const tax = roundMoney(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+
+  const total = roundMoney(Math.max(0, subtotal - discountAmount + chargedShipping + (taxInclusive ? 0 : tax)));
+
+  return {
+    lines,
+    totalItems,
+    subtotal,
+    discount: discountAmount,
+    shipping: chargedShipping,
+    shippingDiscount,
+    tax,
+    taxInclusive,
+    taxBreakdown,
+    total,
+    promotions: appliedPromotions,
+    skippedPromotions,
+    discountError
+  };
+};
+
+module.exports = {
+  getUnitPrice,
+  priceItems
+};
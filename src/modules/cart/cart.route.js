@@ -6,8 +6,9 @@
 const express = require('express');
 const router = express.Router();
 const cartController = require('./cart.controller');
-const { authenticate } = require('../../middlewares/auth');
+const { optionalAuth } = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const { idempotency } = require('../../middlewares/idempotency');
 const cartValidation = require('./cart.validation');
 
 /**
@@ -22,13 +23,125 @@ const cartValidation = require('./cart.validation');
  *           description: Cart ID
  *         userId:
  *           type: integer
- *           description: User ID
+ *           description: User ID (null for guest carts)
+ *         guestToken:
+ *           type: string
+ *           description: Guest cart token (null for user carts)
  *         totalItems:
  *           type: integer
  *           description: Total number of items
- *         totalAmount:
+ *         subtotal:
  *           type: number
- *           description: Total cart amount
+ *           description: Sum of line subtotals
+ *         discount:
+ *           type: number
+ *           description: Discount applied to the cart (the code and automatic promotions together)
+ *         promotions:
+ *           type: array
+ *           description: Discounts applied, in the order they were applied
+ *           items:
+ *             $ref: '#/components/schemas/AppliedPromotion'
+ *         skippedPromotions:
+ *           type: array
+ *           description: Running automatic promotions that did not apply, with the reason
+ *           items:
+ *             $ref: '#/components/schemas/SkippedPromotion'
+ *         shipping:
+ *           type: number
+ *           description: Shipping charged (after any free shipping promotion)
+ *         shippingDiscount:
+ *           type: number
+ *           description: Shipping waived by a free shipping promotion
+ *         tax:
+ *           type: number
+ *           description: Tax from the rules for the cart's address (0 until an address is set)
+ *         taxInclusive:
+ *           type: boolean
+ *           description: Whether prices already include tax; inclusive tax is not added to total
+ *         taxBreakdown:
+ *           $ref: '#/components/schemas/TaxBreakdown'
+ *         total:
+ *           type: number
+ *           description: Amount payable (subtotal - discount + shipping, plus tax unless taxInclusive)
+ *         lines:
+ *           type: array
+ *           description: Per-line price breakdown, in the same order as items
+ *           items:
+ *             type: object
+ *             properties:
+ *               itemId:
+ *                 type: integer
+ *               productId:
+ *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *               unitPrice:
+ *                 type: number
+ *               lineSubtotal:
+ *                 type: number
+ *               lineDiscount:
+ *                 type: number
+ *               lineTotal:
+ *                 type: number
+ *               taxRate:
+ *                 type: number
+ *               taxAmount:
+ *                 type: number
+ *         mergeAdjustments:
+ *           type: array
+ *           description: Present after a guest cart merge; items whose quantity was reduced to the available stock
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *               requested:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *         reorderAdjustments:
+ *           type: array
+ *           description: Present after a reorder; items that were skipped or added in a smaller quantity than ordered
+ *           items:
+ *             type: object
+ *             properties:
+ *               productId:
+ *                 type: integer
+ *               variantId:
+ *                 type: integer
+ *               productName:
+ *                 type: string
+ *               requested:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 description: Quantity added to the cart (0 when skipped)
+ *               reason:
+ *                 type: string
+ *         addressId:
+ *           type: integer
+ *         shippingMethodId:
+ *           type: integer
+ *         removedShippingMethod:
+ *           type: object
+ *           description: Present when the chosen shipping method was dropped because it no longer ships to the cart's address
+ *           properties:
+ *             name:
+ *               type: string
+ *             reason:
+ *               type: string
+ *         removedDiscount:
+ *           type: object
+ *           description: Present when an attached discount was dropped because the cart no longer qualifies
+ *           properties:
+ *             code:
+ *               type: string
+ *             reason:
+ *               type: string
  *         items:
  *           type: array
  *           items:
@@ -52,10 +165,16 @@ const cartValidation = require('./cart.validation');
  * @swagger
  * /api/cart:
  *   get:
- *     summary: Get user's cart
+ *     summary: Get the current cart
+ *     description: |
+ *       Signed-in users get their own cart. Anonymous shoppers are identified by
+ *       the guest cart token (X-Cart-Token header or cartToken cookie), which is
+ *       issued on the first cart change and returned in both places. A guest cart
+ *       is merged into the user's cart on login or registration.
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  *     responses:
  *       200:
  *         description: Cart retrieved successfully
@@ -70,10 +189,8 @@ const cartValidation = require('./cart.validation');
  *                   type: string
  *                 data:
  *                   $ref: '#/components/schemas/Cart'
- *       401:
- *         description: Unauthorized
  */
-router.get('/', authenticate, cartController.getCart);
+router.get('/', optionalAuth, cartController.getCart);
 
 /**
  * @swagger
@@ -83,6 +200,9 @@ router.get('/', authenticate, cartController.getCart);
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -106,11 +226,10 @@ router.get('/', authenticate, cartController.getCart);
  *         description: Item added to cart successfully
  *       400:
  *         description: Validation error or insufficient stock
- *       401:
- *         description: Unauthorized
  */
 router.post('/add', 
-  authenticate, 
+  optionalAuth, 
+  idempotency,
   validate(cartValidation.addToCartSchema, 'body'), 
   cartController.addToCart
 );
@@ -123,7 +242,9 @@ router.post('/add',
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: itemId
  *         required: true
@@ -147,13 +268,12 @@ router.post('/add',
  *         description: Cart item updated successfully
  *       400:
  *         description: Validation error or insufficient stock
- *       401:
- *         description: Unauthorized
  *       404:
  *         description: Cart item not found
  */
 router.put('/items/:itemId', 
-  authenticate, 
+  optionalAuth, 
+  idempotency,
   validate(cartValidation.updateCartItemSchema, 'body'),
   validate(cartValidation.cartItemIdSchema, 'params'),
   cartController.updateCartItem
@@ -167,7 +287,9 @@ router.put('/items/:itemId',
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: itemId
  *         required: true
@@ -177,13 +299,12 @@ router.put('/items/:itemId',
  *     responses:
  *       200:
  *         description: Item removed from cart successfully
- *       401:
- *         description: Unauthorized
  *       404:
  *         description: Cart item not found
  */
 router.delete('/items/:itemId', 
-  authenticate, 
+  optionalAuth, 
+  idempotency,
   validate(cartValidation.cartItemIdSchema, 'params'),
   cartController.removeFromCart
 );
@@ -196,12 +317,186 @@ router.delete('/items/:itemId',
  *     tags: [Cart]
  *     security:
  *       - bearerAuth: []
+ *       - cartToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     responses:
  *       200:
  *         description: Cart cleared successfully
+ */
+router.delete('/clear', optionalAuth, idempotency, cartController.clearCart);
+
+/**
+ * @swagger
+ * /api/cart/discount:
+ *   post:
+ *     summary: Apply a discount code to the cart
+ *     description: |
+ *       The code must be active, within its validity dates and under its usage
+ *       limit, and the cart must hold items it covers whose subtotal reaches its
+ *       minimum order amount. Discounts scoped to products, variants or
+ *       categories only reduce those lines. If the cart later stops qualifying,
+ *       the discount is dropped automatically and the cart response carries a
+ *       removedDiscount with the code and reason.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - cartToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Discount applied successfully
+ *       400:
+ *         description: Discount code is invalid or the cart does not qualify
+ *   delete:
+ *     summary: Remove the discount code from the cart
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *       - cartToken: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Discount removed successfully
+ */
+router.post('/discount',
+  optionalAuth,
+  idempotency,
+  validate(cartValidation.applyDiscountSchema, 'body'),
+  cartController.applyDiscount
+);
+
+router.delete('/discount', optionalAuth, idempotency, cartController.removeDiscount);
+
+/**
+ * @swagger
+ * /api/cart/address:
+ *   put:
+ *     summary: Set the address the cart ships to
+ *     description: Signed-in users only. A chosen shipping method that does not ship there is dropped (see removedShippingMethod).
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - addressId
+ *             properties:
+ *               addressId:
+ *                 type: integer
+ *     responses:
+ *       200:
+ *         description: Cart address updated successfully
  *       401:
- *         description: Unauthorized
+ *         description: Guests must sign in to choose an address
+ *       404:
+ *         description: Address not found
  */
-router.delete('/clear', authenticate, cartController.clearCart);
+router.put('/address',
+  optionalAuth,
+  idempotency,
+  validate(cartValidation.setCartAddressSchema, 'body'),
+  cartController.setCartAddress
+);
+
+/**
+ * @swagger
+ * /api/cart/shipping-options:
+ *   get:
+ *     summary: Get shipping methods available for the cart's address
+ *     description: |
+ *       Methods come from the most specific shipping zone matching the cart
+ *       address (zip prefix, then state, then country). Each is priced for the
+ *       cart: flat rate, by total weight, by discounted order amount, or free
+ *       once the order reaches the method's threshold.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping options retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                   name:
+ *                     type: string
+ *                   description:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *                     enum: [FLAT_RATE, WEIGHT_BASED, PRICE_TIERED, FREE_OVER_THRESHOLD]
+ *                   zoneId:
+ *                     type: integer
+ *                   zoneName:
+ *                     type: string
+ *                   price:
+ *                     type: number
+ *       400:
+ *         description: Cart has no address
+ *       401:
+ *         description: Guests must sign in to see shipping options
+ */
+router.get('/shipping-options', optionalAuth, cartController.getShippingOptions);
+
+/**
+ * @swagger
+ * /api/cart/shipping-method:
+ *   put:
+ *     summary: Choose the cart's shipping method
+ *     description: The method's price becomes the cart's shipping and carries over to the order at checkout. Send null to clear it.
+ *     tags: [Cart]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - shippingMethodId
+ *             properties:
+ *               shippingMethodId:
+ *                 type: integer
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Shipping method updated successfully
+ *       400:
+ *         description: Method is not available for the cart's address
+ */
+router.put('/shipping-method',
+  optionalAuth,
+  idempotency,
+  validate(cartValidation.setShippingMethodSchema, 'body'),
+  cartController.setShippingMethod
+);
 
 module.exports = router;
@@ -5,83 +5,248 @@
 
 const prisma = require('../../config/prisma');
 const { notDeletedWhere } = require('../../utils/softDelete');
-
-/**
- * Get or create user's cart
- * @param {number} userId - User ID
- * @returns {Object} User's cart
- */
-const getCart = async (userId) => {
-  let cart = await prisma.cart.findFirst({
-    where: { 
-      userId: Number(userId),
-      ...notDeletedWhere() 
-    },
+const { AppError } = require('../../middlewares/errorHandler');
+const { HTTP_STATUS } = require('../../utils/constants');
+const { generateCartToken } = require('../../utils/cartToken');
+const { logger } = require('../../utils/logger');
+const { priceItems } = require('./cart.pricing');
+const discountService = require('../discount/discount.service');
+const inventoryService = require('../inventory/inventory.service');
+const shippingService = require('../shipping/shipping.service');
+const taxService = require('../tax/tax.service');
+
+const CART_INCLUDE = {
+  items: {
+    where: notDeletedWhere(),
     include: {
-      items: {
-        where: notDeletedWhere(),
+      product: {
         include: {
-          product: {
-            include: {
-              ProductImage: true
-            }
-          },
-          variant: {
-            include: {
-              ProductVarientImage: true
-            }
-          }
+          ProductImage: true
+        }
+      },
+      variant: {
+        include: {
+          ProductVarientImage: true
         }
       }
-    }
+    },
+    orderBy: { createdAt: 'asc' }
+  },
+  Discount: true,
+  address: true,
+  shippingMethod: true
+};
+
+const TOTAL_FIELDS = ['subtotal', 'shipping', 'tax', 'discount', 'total'];
+
+/**
+ * Recalculate a cart through the pricing pipeline and persist its totals
+ * An attached discount the cart no longer qualifies for is detached and
+ * reported as removedDiscount; likewise a shipping method that no longer
+ * ships to the cart's address is reported as removedShippingMethod
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} cartId - Cart ID
+ * @returns {Object} Cart with stored totals, totalItems and per-line breakdown
+ */
+const recalculateCart = async (client, cartId) => {
+  let cart = await client.cart.findUnique({
+    where: { id: cartId },
+    include: CART_INCLUDE
   });
 
-  if (!cart) {
-    cart = await prisma.cart.create({
-      data: { userId: Number(userId) },
-      include: {
-        items: {
-          include: {
-            product: {
-              include: {
-                ProductImage: true
-              }
-            },
-            variant: {
-              include: {
-                ProductVarientImage: true
-              }
-            }
-          }
-        }
-      }
-    });
+  // Tax needs a destination, so carts without an address are priced untaxed;
+  // automatic promotions are tried on every pricing pass
+  const pricingOptions = {
+    taxRates: await taxService.getTaxRates(client, cart.address, cart.items),
+    taxInclusive: taxService.isTaxInclusive(),
+    promotions: await discountService.getAutomaticPromotions(client, cart.userId)
+  };
+
+  let pricing = priceItems(cart.items, { discount: cart.Discount, ...pricingOptions });
+  let removedDiscount = null;
+  let removedShippingMethod = null;
+
+  if (cart.Discount) {
+    // Pricing checks the minimum order amount against the lines the discount covers
+    const reason = discountService.getDiscountIneligibility(cart.Discount)
+      || await discountService.getCustomerIneligibility(client, cart.Discount, cart.userId)
+      || pricing.discountError;
+
+    if (reason) {
+      removedDiscount = { code: cart.Discount.code, reason };
+      await client.cart.update({
+        where: { id: cart.id },
+        data: { discountId: null }
+      });
+      cart = { ...cart, discountId: null, Discount: null };
+      pricing = priceItems(cart.items, pricingOptions);
+    }
   }
 
-  // Calculate cart totals
-  let totalItems = 0;
-  let totalAmount = 0;
+  // Shipping is priced on the discounted amount, then the cart is priced again with it
+  if (cart.shippingMethod && cart.items.length > 0) {
+    const quote = cart.address
+      ? await shippingService.quoteShipping(
+        client, cart.address, cart.shippingMethodId, cart.items, pricing.subtotal - pricing.discount
+      )
+      : null;
+
+    if (quote) {
+      pricing = priceItems(cart.items, { discount: cart.Discount, shipping: quote.price, ...pricingOptions });
+    } else {
+      removedShippingMethod = {
+        name: cart.shippingMethod.name,
+        reason: 'Shipping method is not available for this address'
+      };
+      await client.cart.update({
+        where: { id: cart.id },
+        data: { shippingMethodId: null }
+      });
+      cart = { ...cart, shippingMethodId: null, shippingMethod: null };
+    }
+  }
 
-  cart.items.forEach(item => {
-    totalItems += item.quantity;
-    const price = item.variant.discountedPrice || item.variant.price;
-    totalAmount += price * item.quantity;
-  });
+  // Only write when something actually changed
+  const changed = TOTAL_FIELDS.some(field => cart[field] !== pricing[field]);
+  const totals = {
+    subtotal: pricing.subtotal,
+    shipping: pricing.shipping,
+    tax: pricing.tax,
+    discount: pricing.discount,
+    total: pricing.total
+  };
 
-  return {
+  if (changed) {
+    await client.cart.update({
+      where: { id: cart.id },
+      data: totals
+    });
+  }
+
+  const result = {
     ...cart,
-    totalItems,
-    totalAmount
+    ...totals,
+    shippingDiscount: pricing.shippingDiscount,
+    taxInclusive: pricing.taxInclusive,
+    taxBreakdown: pricing.taxBreakdown,
+    totalItems: pricing.totalItems,
+    lines: pricing.lines,
+    promotions: pricing.promotions,
+    skippedPromotions: pricing.skippedPromotions
   };
+
+  if (removedDiscount) {
+    result.removedDiscount = removedDiscount;
+  }
+
+  if (removedShippingMethod) {
+    result.removedShippingMethod = removedShippingMethod;
+  }
+
+  return result;
+};
+
+/**
+ * Build the where clause identifying a cart owner
+ * @param {Object} owner - { userId } for customers or { guestToken } for guests
+ * @returns {Object} Where clause
+ */
+const ownerWhere = (owner) => {
+  if (owner.userId) {
+    return { userId: Number(owner.userId) };
+  }
+  return { userId: null, guestToken: owner.guestToken };
+};
+
+/**
+ * Check whether a cart belongs to the given owner
+ * @param {Object} cart - Cart record
+ * @param {Object} owner - { userId } or { guestToken }
+ * @returns {boolean} True if the owner may modify the cart
+ */
+const isCartOwner = (cart, owner) => {
+  if (owner.userId) {
+    return cart.userId === Number(owner.userId);
+  }
+  return !!owner.guestToken && cart.userId === null && cart.guestToken === owner.guestToken;
+};
+
+/**
+ * Find the owner's cart
+ * @param {Object} owner - { userId } or { guestToken }
+ * @returns {Object|null} Cart record
+ */
+const findCart = async (owner) => {
+  if (!owner.userId && !owner.guestToken) {
+    return null;
+  }
+
+  return await prisma.cart.findFirst({
+    where: { ...ownerWhere(owner), ...notDeletedWhere() }
+  });
+};
+
+/**
+ * Find the owner's cart, creating an empty one if needed
+ * Guests get a freshly generated token rather than one they supplied
+ * @param {Object} owner - { userId } or { guestToken }
+ * @returns {Object} Cart record
+ */
+const findOrCreateCart = async (owner) => {
+  const cart = await findCart(owner);
+
+  if (cart) {
+    return cart;
+  }
+
+  return await prisma.cart.create({
+    data: owner.userId
+      ? { userId: Number(owner.userId) }
+      : { guestToken: generateCartToken() }
+  });
+};
+
+/**
+ * Get the owner's cart
+ * Users always get a persisted cart; guests without one get an empty, unsaved cart
+ * @param {Object} owner - { userId } or { guestToken }
+ * @returns {Object} Cart with totals and per-line breakdown
+ */
+const getCart = async (owner) => {
+  const cart = owner.userId ? await findOrCreateCart(owner) : await findCart(owner);
+
+  if (!cart) {
+    const pricing = priceItems([], { taxInclusive: taxService.isTaxInclusive() });
+    return {
+      id: null,
+      guestToken: null,
+      items: [],
+      Discount: null,
+      subtotal: pricing.subtotal,
+      shipping: pricing.shipping,
+      shippingDiscount: pricing.shippingDiscount,
+      tax: pricing.tax,
+      discount: pricing.discount,
+      total: pricing.total,
+      taxInclusive: pricing.taxInclusive,
+      taxBreakdown: pricing.taxBreakdown,
+      totalItems: pricing.totalItems,
+      lines: pricing.lines,
+      promotions: pricing.promotions,
+      skippedPromotions: pricing.skippedPromotions
+    };
+  }
+
+  return await recalculateCart(prisma, cart.id);
 };
 
 /**
  * Add item to cart
- * @param {number} userId - User ID
+ * @param {Object} owner - { userId } or { guestToken }
  * @param {Object} itemData - Item data
  * @returns {Object} Updated cart
  */
-const addToCart = async (userId, itemData) => {
+const addToCart = async (owner, itemData) => {
   const { productId, variantId, quantity } = itemData;
 
   // Verify product and variant exist
@@ -105,21 +270,18 @@ const addToCart = async (userId, itemData) => {
     throw new Error('Product variant not found');
   }
 
-  // Check stock availability
-  if (variant.stock < quantity) {
+  // Check stock availability, ignoring what this cart has reserved itself
+  const existingCart = await findCart(owner);
+  const available = await inventoryService.getAvailableStock(
+    prisma, variant, existingCart ? existingCart.id : null
+  );
+
+  if (available < quantity) {
     throw new Error('Insufficient stock available');
   }
 
   // Get or create cart
-  let cart = await prisma.cart.findFirst({
-    where: { userId: Number(userId), ...notDeletedWhere() }
-  });
-
-  if (!cart) {
-    cart = await prisma.cart.create({
-      data: { userId: Number(userId) }
-    });
-  }
+  const cart = existingCart || await findOrCreateCart(owner);
 
   // Check if item already exists in cart
   const existingItem = await prisma.cartItem.findFirst({
@@ -135,7 +297,7 @@ const addToCart = async (userId, itemData) => {
     // Update quantity
     const newQuantity = existingItem.quantity + Number(quantity);
     
-    if (variant.stock < newQuantity) {
+    if (available < newQuantity) {
       throw new Error('Insufficient stock available');
     }
 
@@ -155,17 +317,17 @@ const addToCart = async (userId, itemData) => {
     });
   }
 
-  return await getCart(userId);
+  return await recalculateCart(prisma, cart.id);
 };
 
 /**
  * Update cart item quantity
- * @param {number} userId - User ID
+ * @param {Object} owner - { userId } or { guestToken }
  * @param {string} itemId - Cart item ID
  * @param {number} quantity - New quantity
  * @returns {Object} Updated cart
  */
-const updateCartItem = async (userId, itemId, quantity) => {
+const updateCartItem = async (owner, itemId, quantity) => {
   const cartItem = await prisma.cartItem.findFirst({
     where: { 
       id: Number(itemId),
@@ -177,7 +339,7 @@ const updateCartItem = async (userId, itemId, quantity) => {
     }
   });
 
-  if (!cartItem || cartItem.cart.userId !== Number(userId)) {
+  if (!cartItem || !isCartOwner(cartItem.cart, owner)) {
     throw new Error('Cart item not found');
   }
 
@@ -186,25 +348,30 @@ const updateCartItem = async (userId, itemId, quantity) => {
   }
 
   // Check stock availability
-  if (cartItem.variant.stock < quantity) {
+  const available = await inventoryService.getAvailableStock(prisma, cartItem.variant, cartItem.cartId);
+  if (available < quantity) {
     throw new Error('Insufficient stock available');
   }
 
-  await prisma.cartItem.update({
-    where: { id: Number(itemId) },
-    data: { quantity: Number(quantity) }
+  await prisma.$transaction(async (tx) => {
+    await tx.cartItem.update({
+      where: { id: Number(itemId) },
+      data: { quantity: Number(quantity) }
+    });
+
+    await inventoryService.syncCartReservation(tx, cartItem.cartId, cartItem.variantId);
   });
 
-  return await getCart(userId);
+  return await recalculateCart(prisma, cartItem.cartId);
 };
 
 /**
  * Remove item from cart
- * @param {number} userId - User ID
+ * @param {Object} owner - { userId } or { guestToken }
  * @param {string} itemId - Cart item ID
  * @returns {Object} Updated cart
  */
-const removeFromCart = async (userId, itemId) => {
+const removeFromCart = async (owner, itemId) => {
   const cartItem = await prisma.cartItem.findFirst({
     where: { 
       id: Number(itemId),
@@ -215,26 +382,29 @@ const removeFromCart = async (userId, itemId) => {
     }
   });
 
-  if (!cartItem || cartItem.cart.userId !== Number(userId)) {
+  if (!cartItem || !isCartOwner(cartItem.cart, owner)) {
     throw new Error('Cart item not found');
   }
 
-  await prisma.cartItem.update({
-    where: { id: Number(itemId) },
-    data: { isDeleted: true, deletedAt: new Date() }
+  await prisma.$transaction(async (tx) => {
+    await tx.cartItem.update({
+      where: { id: Number(itemId) },
+      data: { isDeleted: true, deletedAt: new Date() }
+    });
+
+    await inventoryService.syncCartReservation(tx, cartItem.cartId, cartItem.variantId);
   });
 
-  return await getCart(userId);
+  return await recalculateCart(prisma, cartItem.cartId);
 };
 
 /**
  * Clear cart
- * @param {number} userId - User ID
+ * @param {Object} owner - { userId } or { guestToken }
+ * @returns {Object} Emptied cart
  */
-const clearCart = async (userId) => {
-  const cart = await prisma.cart.findFirst({
-    where: { userId: Number(userId), ...notDeletedWhere() }
-  });
+const clearCart = async (owner) => {
+  const cart = await findCart(owner);
 
   if (!cart) {
     throw new Error('Cart not found');
@@ -244,12 +414,291 @@ const clearCart = async (userId) => {
     where: { cartId: cart.id },
     data: { isDeleted: true, deletedAt: new Date() }
   });
+
+  await inventoryService.releaseReservations(prisma, cart.id);
+
+  return await recalculateCart(prisma, cart.id);
+};
+
+/**
+ * Apply a discount code to the owner's cart
+ * @param {Object} owner - { userId } or { guestToken }
+ * @param {string} code - Discount code
+ * @returns {Object} Updated cart
+ */
+const applyDiscount = async (owner, code) => {
+  const cart = await findOrCreateCart(owner);
+  const { items } = await recalculateCart(prisma, cart.id);
+
+  let discount;
+  try {
+    discount = await discountService.validateDiscountCode(code);
+  } catch (err) {
+    throw new AppError(err.message, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const customerReason = await discountService.getCustomerIneligibility(prisma, discount, owner.userId);
+  if (customerReason) {
+    throw new AppError(customerReason, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // The cart has to contain items the discount covers, worth its minimum order amount,
+  // and the code must combine with the promotions that take priority over it
+  const { discountError } = priceItems(items, {
+    discount,
+    promotions: await discountService.getAutomaticPromotions(prisma, owner.userId)
+  });
+  if (discountError) {
+    throw new AppError(discountError, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await prisma.cart.update({
+    where: { id: cart.id },
+    data: { discountId: discount.id }
+  });
+
+  return await recalculateCart(prisma, cart.id);
+};
+
+/**
+ * Remove the discount code from the owner's cart
+ * @param {Object} owner - { userId } or { guestToken }
+ * @returns {Object} Updated cart
+ */
+const removeDiscount = async (owner) => {
+  const cart = await findOrCreateCart(owner);
+
+  if (cart.discountId) {
+    await prisma.cart.update({
+      where: { id: cart.id },
+      data: { discountId: null }
+    });
+  }
+
+  return await recalculateCart(prisma, cart.id);
+};
+
+/**
+ * Find a signed-in user's cart for shipping changes
+ * Addresses belong to users, so guests must sign in before choosing shipping
+ * @param {Object} owner - { userId } or { guestToken }
+ * @returns {Object} Cart record
+ */
+const findShippingCart = async (owner) => {
+  if (!owner.userId) {
+    throw new AppError('Sign in to choose a shipping address', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  return await findOrCreateCart(owner);
+};
+
+/**
+ * Set the address the cart ships to
+ * @param {Object} owner - { userId }
+ * @param {number} addressId - Address ID
+ * @returns {Object} Updated cart
+ */
+const setCartAddress = async (owner, addressId) => {
+  const cart = await findShippingCart(owner);
+
+  const address = await prisma.address.findFirst({
+    where: { id: Number(addressId), userId: Number(owner.userId), ...notDeletedWhere() }
+  });
+
+  if (!address) {
+    throw new AppError('Address not found or does not belong to user', HTTP_STATUS.NOT_FOUND);
+  }
+
+  await prisma.cart.update({
+    where: { id: cart.id },
+    data: { addressId: address.id }
+  });
+
+  return await recalculateCart(prisma, cart.id);
+};
+
+/**
+ * List the shipping methods available for the cart's address
+ * @param {Object} owner - { userId }
+ * @returns {Array} Methods with their price for this cart
+ */
+const getShippingOptions = async (owner) => {
+  const cart = await findShippingCart(owner);
+  const pricedCart = await recalculateCart(prisma, cart.id);
+
+  if (!pricedCart.address) {
+    throw new AppError('Choose a shipping address first', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return await shippingService.getShippingOptions(
+    prisma,
+    pricedCart.address,
+    pricedCart.items,
+    pricedCart.subtotal - pricedCart.discount
+  );
+};
+
+/**
+ * Choose how the cart ships, or clear the choice with null
+ * @param {Object} owner - { userId }
+ * @param {number|null} shippingMethodId - Shipping method ID
+ * @returns {Object} Updated cart
+ */
+const setShippingMethod = async (owner, shippingMethodId) => {
+  const cart = await findShippingCart(owner);
+
+  if (shippingMethodId) {
+    const options = await getShippingOptions(owner);
+
+    if (!options.some(option => option.id === Number(shippingMethodId))) {
+      throw new AppError('Shipping method is not available for this cart', HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  await prisma.cart.update({
+    where: { id: cart.id },
+    data: { shippingMethodId: shippingMethodId ? Number(shippingMethodId) : null }
+  });
+
+  return await recalculateCart(prisma, cart.id);
+};
+
+/**
+ * Lock a cart row until the surrounding transaction ends
+ * Serializes concurrent merges of the same guest cart
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} cartId - Cart ID
+ */
+const lockCart = async (tx, cartId) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Cart" WHERE "id" = ${Number(cartId)} FOR UPDATE`;
+};
+
+/**
+ * Fold a guest cart into a user's cart after login or registration
+ * Quantities for the same variant are added together and capped at the
+ * available stock; items that are no longer available are dropped
+ * @param {number} userId - User ID
+ * @param {string} guestToken - Guest cart token
+ * @returns {Object|null} Merged cart with mergeAdjustments, or null if there was no guest cart
+ */
+const mergeGuestCart = async (userId, guestToken) => {
+  if (!guestToken) {
+    return null;
+  }
+
+  const found = await prisma.cart.findFirst({
+    where: { userId: null, guestToken, ...notDeletedWhere() },
+    select: { id: true }
+  });
+
+  if (!found) {
+    return null;
+  }
+
+  const cart = await findOrCreateCart({ userId });
+  const mergeAdjustments = [];
+
+  const guestCart = await prisma.$transaction(async (tx) => {
+    // Re-read under the lock: a concurrent login may already have merged this cart
+    await lockCart(tx, found.id);
+
+    const guestCart = await tx.cart.findFirst({
+      where: { id: found.id, ...notDeletedWhere() },
+      include: {
+        items: {
+          where: notDeletedWhere(),
+          include: { variant: true },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!guestCart) {
+      return null;
+    }
+
+    const userItems = await tx.cartItem.findMany({
+      where: { cartId: cart.id, ...notDeletedWhere() }
+    });
+
+    for (const item of guestCart.items) {
+      const existingItem = userItems.find(userItem => userItem.variantId === item.variantId);
+      const requested = item.quantity + (existingItem ? existingItem.quantity : 0);
+      const available = item.variant.isDeleted
+        ? 0
+        : await inventoryService.getAvailableStock(tx, item.variant, cart.id);
+      const quantity = Math.min(requested, available);
+
+      if (quantity < requested) {
+        mergeAdjustments.push({
+          productId: item.productId,
+          variantId: item.variantId,
+          requested,
+          quantity
+        });
+      }
+
+      if (existingItem) {
+        await tx.cartItem.update({
+          where: { id: existingItem.id },
+          data: quantity > 0
+            ? { quantity }
+            : { isDeleted: true, deletedAt: new Date() }
+        });
+      } else if (quantity > 0) {
+        await tx.cartItem.create({
+          data: {
+            cartId: cart.id,
+            productId: item.productId,
+            variantId: item.variantId,
+            quantity
+          }
+        });
+      }
+    }
+
+    // Keep the user's own discount; otherwise carry over the guest's
+    if (!cart.discountId && guestCart.discountId) {
+      await tx.cart.update({
+        where: { id: cart.id },
+        data: { discountId: guestCart.discountId }
+      });
+    }
+
+    await tx.cartItem.updateMany({
+      where: { cartId: guestCart.id, ...notDeletedWhere() },
+      data: { isDeleted: true, deletedAt: new Date() }
+    });
+
+    await tx.cart.update({
+      where: { id: guestCart.id },
+      data: { isDeleted: true, deletedAt: new Date() }
+    });
+
+    return guestCart;
+  });
+
+  if (!guestCart) {
+    return null;
+  }
+
+  logger.info(`Merged guest cart ${guestCart.id} into cart ${cart.id} for user ${userId}`);
+
+  const merged = await recalculateCart(prisma, cart.id);
+  return { ...merged, mergeAdjustments };
 };
 
 module.exports = {
+  recalculateCart,
   getCart,
   addToCart,
   updateCartItem,
   removeFromCart,
-  clearCart
+  clearCart,
+  applyDiscount,
+  removeDiscount,
+  setCartAddress,
+  getShippingOptions,
+  setShippingMethod,
+  mergeGuestCart
 };
@@ -19,8 +19,23 @@ const cartItemIdSchema = Joi.object({
   itemId: Joi.number().integer().positive().required()
 });
 
+const applyDiscountSchema = Joi.object({
+  code: Joi.string().trim().required()
+});
+
+const setCartAddressSchema = Joi.object({
+  addressId: Joi.number().integer().positive().required()
+});
+
+const setShippingMethodSchema = Joi.object({
+  shippingMethodId: Joi.number().integer().positive().allow(null).required()
+});
+
 module.exports = {
   addToCartSchema,
   updateCartItemSchema,
-  cartItemIdSchema
+  cartItemIdSchema,
+  applyDiscountSchema,
+  setCartAddressSchema,
+  setShippingMethodSchema
 };
@@ -0,0 +1,55 @@
+/**
+ * Store Credit Controller
+ * Handles HTTP requests for store credit operations
+ */
+
+const creditService = require('./credit.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Get current user's store credit balance and history
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getMyStoreCredit = async (req, res) => {
+  try {
+    const result = await creditService.getStoreCredit(req.user.id, req.query);
+    success(res, result.data, 'Store credit retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get a user's store credit balance and history (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserStoreCredit = async (req, res) => {
+  try {
+    const result = await creditService.getStoreCredit(req.params.userId, req.query);
+    success(res, result.data, 'Store credit retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Add or remove store credit by hand (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const adjustStoreCredit = async (req, res) => {
+  try {
+    const transaction = await creditService.adjustStoreCredit(req.body, req.user.id);
+    success(res, transaction, 'Store credit adjusted successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  getMyStoreCredit,
+  getUserStoreCredit,
+  adjustStoreCredit
+};
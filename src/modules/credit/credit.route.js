@@ -0,0 +1,150 @@
+/**
+ * Store Credit Routes
+ * Defines API endpoints for store credit balances
+ */
+
+const express = require('express');
+const router = express.Router();
+const creditController = require('./credit.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const creditValidation = require('./credit.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     StoreCreditTransaction:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         amount:
+ *           type: number
+ *           description: Positive when credit is added, negative when it is spent or removed
+ *         balanceAfter:
+ *           type: number
+ *         reason:
+ *           type: string
+ *           enum: [REFUND, ADJUSTMENT]
+ *         note:
+ *           type: string
+ *         refundId:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/store-credit/my:
+ *   get:
+ *     summary: Get current user's store credit balance and history
+ *     tags: [Store Credit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Store credit retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 balance:
+ *                   type: number
+ *                 transactions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StoreCreditTransaction'
+ */
+router.get('/my',
+  authenticate,
+  validate(creditValidation.getStoreCreditSchema, 'query'),
+  creditController.getMyStoreCredit
+);
+
+/**
+ * @swagger
+ * /admin/store-credit/users/{userId}:
+ *   get:
+ *     summary: Get a user's store credit balance and history (Admin only)
+ *     tags: [Store Credit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Store credit retrieved successfully
+ *       404:
+ *         description: User not found
+ */
+router.get('/users/:userId',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(creditValidation.userIdSchema, 'params'),
+  validate(creditValidation.getStoreCreditSchema, 'query'),
+  creditController.getUserStoreCredit
+);
+
+/**
+ * @swagger
+ * /admin/store-credit/adjustments:
+ *   post:
+ *     summary: Add or remove store credit by hand (Admin only)
+ *     tags: [Store Credit]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *               - amount
+ *               - note
+ *             properties:
+ *               userId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *                 description: Signed amount; negative removes credit
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Store credit adjusted successfully
+ *       400:
+ *         description: Amount is zero or would take the balance below zero
+ *       404:
+ *         description: User not found
+ */
+router.post('/adjustments',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(creditValidation.adjustStoreCreditSchema, 'body'),
+  creditController.adjustStoreCredit
+);
+
+module.exports = router;
@@ -0,0 +1,135 @@
+/**
+ * Store Credit Service
+ * Customer store credit balances and their ledger
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const { STORE_CREDIT_REASON, HTTP_STATUS } = require('../../utils/constants');
+const { auditLog } = require('../../utils/logger');
+const { roundMoney } = require('../../utils/money');
+
+/**
+ * Change a user's store credit balance and record it in the ledger
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} change - userId, amount (signed), reason, note, refundId, orderId, actorId
+ * @returns {Object} Created transaction
+ */
+const changeStoreCredit = async (tx, { userId, amount, reason, note, refundId = null, orderId = null, actorId = null }) => {
+  const user = await tx.user.update({
+    where: { id: Number(userId) },
+    data: { storeCreditBalance: { increment: roundMoney(amount) } }
+  });
+
+  const balanceAfter = roundMoney(user.storeCreditBalance);
+
+  if (balanceAfter < 0) {
+    throw new AppError('Store credit balance cannot go below zero', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  return await tx.storeCreditTransaction.create({
+    data: {
+      userId: user.id,
+      amount: roundMoney(amount),
+      balanceAfter,
+      reason,
+      note,
+      refundId: refundId ? Number(refundId) : null,
+      orderId: orderId ? Number(orderId) : null,
+      createdById: actorId ? Number(actorId) : null
+    }
+  });
+};
+
+/**
+ * Get a user's store credit balance and history
+ * @param {number} userId - User ID
+ * @param {Object} query - Query parameters
+ * @returns {Object} Balance, transactions and metadata
+ */
+const getStoreCredit = async (userId, query) => {
+  const {
+    page = 1,
+    limit = 20
+  } = query;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const user = await prisma.user.findFirst({
+    where: { id: Number(userId), ...notDeletedWhere() }
+  });
+
+  if (!user) {
+    throw new AppError('User not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const where = { userId: user.id };
+
+  const [transactions, total] = await Promise.all([
+    prisma.storeCreditTransaction.findMany({
+      where,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: offset,
+      take: limitNum
+    }),
+    prisma.storeCreditTransaction.count({ where })
+  ]);
+
+  return {
+    data: {
+      balance: roundMoney(user.storeCreditBalance),
+      transactions
+    },
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+/**
+ * Add or remove store credit by hand (Admin only)
+ * @param {Object} adjustment - userId, amount (signed), note
+ * @param {number} actorId - Admin posting the adjustment
+ * @returns {Object} Created transaction
+ */
+const adjustStoreCredit = async ({ userId, amount, note }, actorId) => {
+  const value = roundMoney(Number(amount));
+
+  if (!Number.isFinite(value) || value === 0) {
+    throw new AppError('Amount must be a non-zero number', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const user = await prisma.user.findFirst({
+    where: { id: Number(userId), ...notDeletedWhere() }
+  });
+
+  if (!user) {
+    throw new AppError('User not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const transaction = await prisma.$transaction(async (tx) => {
+    return await changeStoreCredit(tx, {
+      userId: user.id,
+      amount: value,
+      reason: STORE_CREDIT_REASON.ADJUSTMENT,
+      note,
+      actorId
+    });
+  });
+
+  auditLog('STORE_CREDIT_ADJUSTED', actorId, { userId: user.id, amount: value });
+
+  return transaction;
+};
+
+module.exports = {
+  changeStoreCredit,
+  getStoreCredit,
+  adjustStoreCredit
+};
@@ -0,0 +1,27 @@
+/**
+ * Store Credit Validation Schemas
+ * Joi validation schemas for store credit endpoints
+ */
+
+const Joi = require('joi');
+
+const getStoreCreditSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const userIdSchema = Joi.object({
+  userId: Joi.number().integer().positive().required()
+});
+
+const adjustStoreCreditSchema = Joi.object({
+  userId: Joi.number().integer().positive().required(),
+  amount: Joi.number().invalid(0).required(),
+  note: Joi.string().max(1000).required()
+});
+
+module.exports = {
+  getStoreCreditSchema,
+  userIdSchema,
+  adjustStoreCreditSchema
+};
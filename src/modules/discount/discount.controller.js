@@ -93,11 +93,105 @@ const deleteDiscount = async (req, res) => {
   }
 };
 
+/**
+ * List a discount's redemptions with their revenue impact (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDiscountRedemptions = async (req, res) => {
+  try {
+    const result = await discountService.getDiscountRedemptions(req.params.id, req.query);
+    if (!result) {
+      return error(res, 'Discount not found', 404);
+    }
+    success(res, result.data, 'Discount redemptions retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, 400);
+  }
+};
+
+/**
+ * Generate a batch of single-use codes from a template discount (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCodeBatch = async (req, res) => {
+  try {
+    const batch = await discountService.createCodeBatch(req.params.id, req.body, req.user.id);
+    if (!batch) {
+      return error(res, 'Discount not found', 404);
+    }
+    success(res, batch, 'Discount codes generated successfully', 201);
+  } catch (err) {
+    error(res, err.message, 400);
+  }
+};
+
+/**
+ * List the code batches generated from a template discount (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCodeBatches = async (req, res) => {
+  try {
+    const batches = await discountService.getCodeBatches(req.params.id);
+    if (!batches) {
+      return error(res, 'Discount not found', 404);
+    }
+    success(res, batches, 'Discount code batches retrieved successfully');
+  } catch (err) {
+    error(res, err.message, 400);
+  }
+};
+
+/**
+ * Download the codes of a batch as CSV (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportCodeBatch = async (req, res) => {
+  try {
+    const file = await discountService.exportCodeBatch(req.params.batchId);
+    if (!file) {
+      return error(res, 'Discount code batch not found', 404);
+    }
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="${file.filename}"`
+    });
+    res.send(file.content);
+  } catch (err) {
+    error(res, err.message, 400);
+  }
+};
+
+/**
+ * Get redemption statistics of a code batch (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCodeBatchStats = async (req, res) => {
+  try {
+    const stats = await discountService.getCodeBatchStats(req.params.batchId);
+    if (!stats) {
+      return error(res, 'Discount code batch not found', 404);
+    }
+    success(res, stats, 'Discount code batch statistics retrieved successfully');
+  } catch (err) {
+    error(res, err.message, 400);
+  }
+};
+
 module.exports = {
   createDiscount,
   getDiscounts,
   getDiscountById,
   validateDiscountCode,
   updateDiscount,
-  deleteDiscount
+  deleteDiscount,
+  getDiscountRedemptions,
+  createCodeBatch,
+  getCodeBatches,
+  exportCodeBatch,
+  getCodeBatchStats
 };
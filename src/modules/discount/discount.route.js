@@ -16,6 +16,9 @@ const discountValidation = require('./discount.validation');
  *   schemas:
  *     Discount:
  *       type: object
+ *       allOf:
+ *         - $ref: '#/components/schemas/DiscountScope'
+ *         - $ref: '#/components/schemas/DiscountPromotion'
  *       properties:
  *         id:
  *           type: integer
@@ -28,10 +31,12 @@ const discountValidation = require('./discount.validation');
  *           description: Discount description
  *         type:
  *           type: string
- *           enum: [PERCENTAGE, FIXED]
+ *           enum: [PERCENTAGE, FIXED, BUY_X_GET_Y, SPEND_TIERS, QUANTITY_BREAK, FREE_SHIPPING]
  *         value:
  *           type: number
- *           description: Discount value
+ *           description: |
+ *             Percentage or amount off for PERCENTAGE and FIXED discounts;
+ *             percentage off the free items for BUY_X_GET_Y (default 100)
  *         minOrderAmount:
  *           type: number
  *           description: Minimum order amount
@@ -53,6 +58,154 @@ const discountValidation = require('./discount.validation');
  *         validTo:
  *           type: string
  *           format: date-time
+ *         batchId:
+ *           type: integer
+ *           nullable: true
+ *           description: Code batch the discount was generated in
+ *     DiscountCodeBatch:
+ *       type: object
+ *       description: |
+ *         Single-use codes generated from a template discount. Each code is a
+ *         copy of the template's settings with a usage limit of 1; later changes
+ *         to the template do not affect codes already generated.
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         templateId:
+ *           type: integer
+ *         prefix:
+ *           type: string
+ *         length:
+ *           type: integer
+ *           description: Random characters after the prefix
+ *         alphabet:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         createdById:
+ *           type: integer
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     DiscountScope:
+ *       type: object
+ *       description: |
+ *         Limits a discount to some lines. With no products, variants or
+ *         categories listed the discount covers every line; otherwise it covers
+ *         lines matching any of them. Excluded products, variants and categories
+ *         are never covered. The discount is computed on the covered lines only
+ *         and their subtotal is what must reach minOrderAmount.
+ *       properties:
+ *         productIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         variantIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         categoryIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         excludedProductIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         excludedVariantIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         excludedCategoryIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *     DiscountPromotion:
+ *       type: object
+ *       description: |
+ *         Settings for the promotion types.
+ *         BUY_X_GET_Y: every buyQuantity covered items bought earn getQuantity
+ *         items at value% off, cheapest first. The free items are the
+ *         getProductIds/getVariantIds lines when set, otherwise the covered
+ *         lines themselves (so buy 2 get 1 needs 3 covered items).
+ *         SPEND_TIERS: the highest tier whose min the covered subtotal reaches
+ *         takes its value off as an amount.
+ *         QUANTITY_BREAK: the highest tier whose min the covered quantity
+ *         reaches takes its value off as a percentage.
+ *         FREE_SHIPPING: waives the shipping charge.
+ *       properties:
+ *         buyQuantity:
+ *           type: integer
+ *         getQuantity:
+ *           type: integer
+ *         getProductIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         getVariantIds:
+ *           type: array
+ *           items:
+ *             type: integer
+ *         tiers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               value:
+ *                 type: number
+ *           example: [{ min: 100, value: 10 }, { min: 200, value: 30 }]
+ *         automatic:
+ *           type: boolean
+ *           description: Applies to every qualifying cart without a code (automatic promotions have no code)
+ *         priority:
+ *           type: integer
+ *           description: Higher priority discounts are tried first; a code wins ties
+ *         stackable:
+ *           type: boolean
+ *           description: Whether the discount combines with others; one that is not stackable is only ever applied alone
+ *         usageLimitPerUser:
+ *           type: integer
+ *           nullable: true
+ *           description: How many orders each customer may use the discount on (1 = once per customer)
+ *         firstOrderOnly:
+ *           type: boolean
+ *           description: Only valid for customers without previous orders (cancelled ones do not count)
+ *     AppliedPromotion:
+ *       type: object
+ *       properties:
+ *         discountId:
+ *           type: integer
+ *         code:
+ *           type: string
+ *           nullable: true
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *         automatic:
+ *           type: boolean
+ *         amount:
+ *           type: number
+ *           description: Discount on the items
+ *         shippingDiscount:
+ *           type: number
+ *           description: Shipping waived
+ *     SkippedPromotion:
+ *       type: object
+ *       properties:
+ *         discountId:
+ *           type: integer
+ *         description:
+ *           type: string
+ *         reason:
+ *           type: string
+ *           example: Cannot be combined with Summer sale
  */
 
 /**
@@ -60,6 +213,7 @@ const discountValidation = require('./discount.validation');
  * /api/discounts:
  *   get:
  *     summary: Get all discounts
+ *     description: Codes generated in batches are not listed; export them per batch instead
  *     tags: [Discounts]
  *     parameters:
  *       - in: query
@@ -81,7 +235,12 @@ const discountValidation = require('./discount.validation');
  *         name: type
  *         schema:
  *           type: string
- *           enum: [PERCENTAGE, FIXED]
+ *           enum: [PERCENTAGE, FIXED, BUY_X_GET_Y, SPEND_TIERS, QUANTITY_BREAK, FREE_SHIPPING]
+ *       - in: query
+ *         name: automatic
+ *         schema:
+ *           type: string
+ *           enum: [true, false]
  *     responses:
  *       200:
  *         description: Discounts retrieved successfully
@@ -153,21 +312,24 @@ router.get('/:id',
  *         application/json:
  *           schema:
  *             type: object
+ *             allOf:
+ *               - $ref: '#/components/schemas/DiscountScope'
+ *               - $ref: '#/components/schemas/DiscountPromotion'
  *             required:
- *               - code
  *               - description
  *               - type
- *               - value
  *             properties:
  *               code:
  *                 type: string
+ *                 description: Required unless automatic
  *               description:
  *                 type: string
  *               type:
  *                 type: string
- *                 enum: [PERCENTAGE, FIXED]
+ *                 enum: [PERCENTAGE, FIXED, BUY_X_GET_Y, SPEND_TIERS, QUANTITY_BREAK, FREE_SHIPPING]
  *               value:
  *                 type: number
+ *                 description: Required for PERCENTAGE and FIXED discounts
  *               minOrderAmount:
  *                 type: number
  *               maxDiscountAmount:
@@ -220,6 +382,9 @@ router.post('/',
  *         application/json:
  *           schema:
  *             type: object
+ *             allOf:
+ *               - $ref: '#/components/schemas/DiscountScope'
+ *               - $ref: '#/components/schemas/DiscountPromotion'
  *             properties:
  *               code:
  *                 type: string
@@ -227,7 +392,7 @@ router.post('/',
  *                 type: string
  *               type:
  *                 type: string
- *                 enum: [PERCENTAGE, FIXED]
+ *                 enum: [PERCENTAGE, FIXED, BUY_X_GET_Y, SPEND_TIERS, QUANTITY_BREAK, FREE_SHIPPING]
  *               value:
  *                 type: number
  *               minOrderAmount:
@@ -296,4 +461,296 @@ router.delete('/:id',
   discountController.deleteDiscount
 );
 
+/**
+ * @swagger
+ * /api/discounts/{id}/redemptions:
+ *   get:
+ *     summary: List a discount's redemptions with their revenue impact (Admin only)
+ *     description: |
+ *       Redemptions are recorded when an order using the discount is placed
+ *       and reversed when the order is cancelled or an edit drops the discount.
+ *       The summary covers unreversed redemptions; revenue is what their orders
+ *       are worth after discounts and refunds.
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Discount ID
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: includeReversed
+ *         schema:
+ *           type: string
+ *           enum: [true, false]
+ *     responses:
+ *       200:
+ *         description: Discount redemptions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 discount:
+ *                   type: object
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     redemptions:
+ *                       type: integer
+ *                     customers:
+ *                       type: integer
+ *                     discountAmount:
+ *                       type: number
+ *                     shippingDiscount:
+ *                       type: number
+ *                     revenue:
+ *                       type: number
+ *                     averageOrderValue:
+ *                       type: number
+ *                 redemptions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       orderId:
+ *                         type: integer
+ *                       userId:
+ *                         type: integer
+ *                       amount:
+ *                         type: number
+ *                       shippingDiscount:
+ *                         type: number
+ *                       reversedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                       order:
+ *                         type: object
+ *                       user:
+ *                         type: object
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Discount not found
+ */
+router.get('/:id/redemptions',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(discountValidation.getDiscountRedemptionsSchema, 'query'),
+  discountController.getDiscountRedemptions
+);
+
+/**
+ * @swagger
+ * /api/discounts/{id}/batches:
+ *   post:
+ *     summary: Generate single-use codes from a template discount (Admin only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template discount ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 10000
+ *               name:
+ *                 type: string
+ *                 example: Spring newsletter
+ *               prefix:
+ *                 type: string
+ *                 example: SPRING-
+ *               length:
+ *                 type: integer
+ *                 default: 8
+ *                 description: Random characters after the prefix
+ *               alphabet:
+ *                 type: string
+ *                 default: ABCDEFGHJKLMNPQRSTUVWXYZ23456789
+ *     responses:
+ *       201:
+ *         description: Discount codes generated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DiscountCodeBatch'
+ *       400:
+ *         description: Invalid options, or the template is an automatic promotion or batch code
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Discount not found
+ *   get:
+ *     summary: List the code batches generated from a template discount (Admin only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Template discount ID
+ *     responses:
+ *       200:
+ *         description: Discount code batches retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/DiscountCodeBatch'
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Discount not found
+ */
+router.post('/:id/batches',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(discountValidation.getDiscountByIdSchema, 'params'),
+  validate(discountValidation.createCodeBatchSchema, 'body'),
+  discountController.createCodeBatch
+);
+
+router.get('/:id/batches',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(discountValidation.getDiscountByIdSchema, 'params'),
+  discountController.getCodeBatches
+);
+
+/**
+ * @swagger
+ * /api/discounts/batches/{batchId}/export:
+ *   get:
+ *     summary: Download the codes of a batch as CSV (Admin only)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: One row per code (code, active, redeemed, orderId, redeemedAt)
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Discount code batch not found
+ */
+router.get('/batches/:batchId/export',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(discountValidation.getCodeBatchSchema, 'params'),
+  discountController.exportCodeBatch
+);
+
+/**
+ * @swagger
+ * /api/discounts/batches/{batchId}/stats:
+ *   get:
+ *     summary: Get redemption statistics of a code batch (Admin only)
+ *     description: Redemptions of cancelled orders are not counted
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Discount code batch statistics retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 batch:
+ *                   $ref: '#/components/schemas/DiscountCodeBatch'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     codes:
+ *                       type: integer
+ *                     redeemedCodes:
+ *                       type: integer
+ *                     redemptionRate:
+ *                       type: number
+ *                       description: Percentage of codes redeemed
+ *                     redemptions:
+ *                       type: integer
+ *                     customers:
+ *                       type: integer
+ *                     discountAmount:
+ *                       type: number
+ *                     shippingDiscount:
+ *                       type: number
+ *                     revenue:
+ *                       type: number
+ *                     averageOrderValue:
+ *                       type: number
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Discount code batch not found
+ */
+router.get('/batches/:batchId/stats',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(discountValidation.getCodeBatchSchema, 'params'),
+  discountController.getCodeBatchStats
+);
+
 module.exports = router;
@@ -3,8 +3,216 @@
  * Contains business logic for discount operations
  */
 
+const crypto = require('crypto');
 const prisma = require('../../config/prisma');
 const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
+const { DISCOUNT_TYPE, ORDER_STATUS } = require('../../utils/constants');
+const { roundMoney } = require('../../utils/money');
+const { auditLog } = require('../../utils/logger');
+
+// Scope fields and the model their IDs refer to
+const DISCOUNT_SCOPE_FIELDS = {
+  productIds: 'product',
+  variantIds: 'productVariant',
+  categoryIds: 'category',
+  excludedProductIds: 'product',
+  excludedVariantIds: 'productVariant',
+  excludedCategoryIds: 'category',
+  getProductIds: 'product',
+  getVariantIds: 'productVariant'
+};
+
+// Value used when a promotion is created without one
+const DEFAULT_DISCOUNT_VALUE = {
+  [DISCOUNT_TYPE.BUY_X_GET_Y]: 100
+};
+
+const TIERED_TYPES = [DISCOUNT_TYPE.SPEND_TIERS, DISCOUNT_TYPE.QUANTITY_BREAK];
+
+// Code batches: no look-alike characters (0/O, 1/I) by default
+const DEFAULT_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const DEFAULT_CODE_LENGTH = 8;
+const MAX_BATCH_QUANTITY = 10000;
+// Possible codes must outnumber the batch by this factor so codes stay hard to guess
+const CODE_SPACE_FACTOR = 100;
+const MAX_GENERATION_ROUNDS = 5;
+
+// Template fields that are not copied to the codes of a batch
+const BATCH_OMITTED_FIELDS = [
+  'id', 'code', 'usedCount', 'usageLimit', 'usageLimitPerUser', 'automatic',
+  'batchId', 'isDeleted', 'deletedAt', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Check and normalize the scope fields of discount data
+ * Every listed ID must refer to an existing product, variant or category
+ * @param {Object} data - Discount data (fields that are not given are left alone)
+ * @returns {Object} Scope fields as arrays of numbers
+ */
+const normalizeScope = async (data) => {
+  const scope = {};
+
+  for (const [field, model] of Object.entries(DISCOUNT_SCOPE_FIELDS)) {
+    if (data[field] === undefined) {
+      continue;
+    }
+
+    const ids = data[field] === null ? [] : data[field];
+    if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(Number(id)) || Number(id) < 1)) {
+      throw new Error(`${field} must be a list of IDs`);
+    }
+
+    const unique = [...new Set(ids.map(Number))];
+    const found = await prisma[model].count({
+      where: { id: { in: unique }, ...notDeletedWhere() }
+    });
+
+    if (found !== unique.length) {
+      throw new Error(`${field} contains IDs that do not exist`);
+    }
+
+    scope[field] = unique;
+  }
+
+  return scope;
+};
+
+/**
+ * Normalize the buy X get Y quantities and tiers of discount data
+ * Tiers are stored sorted by their minimum
+ * @param {Object} data - Discount data (fields that are not given are left alone)
+ * @returns {Object} Promotion fields
+ */
+const normalizePromotion = (data) => {
+  const promotion = {};
+
+  for (const field of ['buyQuantity', 'getQuantity']) {
+    if (data[field] !== undefined) {
+      promotion[field] = data[field] === null ? null : parseInt(data[field]);
+    }
+  }
+
+  if (data.tiers !== undefined) {
+    if (!Array.isArray(data.tiers)) {
+      throw new Error('tiers must be a list of { min, value }');
+    }
+
+    promotion.tiers = data.tiers
+      .map(tier => ({ min: Number(tier.min), value: Number(tier.value) }))
+      .sort((a, b) => a.min - b.min);
+  }
+
+  return promotion;
+};
+
+/**
+ * Check that a discount has the settings its type needs
+ * @param {Object} discount - Merged discount settings
+ */
+const assertDiscountSettings = (discount) => {
+  if (!Object.values(DISCOUNT_TYPE).includes(discount.type)) {
+    throw new Error(`Invalid discount type ${discount.type}`);
+  }
+
+  if (discount.automatic && discount.code) {
+    throw new Error('Automatic promotions do not take a code');
+  }
+
+  if (!discount.automatic && !discount.code) {
+    throw new Error('Discount code is required');
+  }
+
+  if (discount.type === DISCOUNT_TYPE.BUY_X_GET_Y) {
+    if (!(discount.buyQuantity >= 1) || !(discount.getQuantity >= 1)) {
+      throw new Error('BUY_X_GET_Y discounts need a buyQuantity and getQuantity of at least 1');
+    }
+
+    if (!(discount.value > 0 && discount.value <= 100)) {
+      throw new Error('BUY_X_GET_Y value is the percentage off the free items and must be between 0 and 100');
+    }
+  }
+
+  if (TIERED_TYPES.includes(discount.type)) {
+    const tiers = discount.tiers;
+    const valid = Array.isArray(tiers) && tiers.length > 0 && tiers.every(tier =>
+      Number.isFinite(tier.min) && tier.min >= 0 && Number.isFinite(tier.value) && tier.value > 0
+    );
+
+    if (!valid) {
+      throw new Error(`${discount.type} discounts need tiers of { min, value }`);
+    }
+
+    if (discount.type === DISCOUNT_TYPE.QUANTITY_BREAK && tiers.some(tier => tier.value > 100)) {
+      throw new Error('QUANTITY_BREAK tier values are percentages and must be at most 100');
+    }
+  }
+};
+
+/**
+ * Check whether an ID is in a list of IDs
+ * @param {Array|null} ids - IDs
+ * @param {number|string|null} id - ID to look for
+ * @returns {boolean} True if listed
+ */
+const listed = (ids, id) => !!ids && id !== null && ids.includes(Number(id));
+
+/**
+ * Check whether a line is excluded from a discount
+ * @param {Object} discount - Discount
+ * @param {Object} item - Line with productId, variantId and product ({ categoryId })
+ * @returns {boolean} True if the line's product, variant or category is excluded
+ */
+const isItemExcluded = (discount, item) => listed(discount.excludedProductIds, item.productId) ||
+  listed(discount.excludedVariantIds, item.variantId) ||
+  listed(discount.excludedCategoryIds, item.product ? item.product.categoryId : null);
+
+/**
+ * Check whether a discount only covers some products, variants or categories
+ * @param {Object} discount - Discount
+ * @returns {boolean} True if the discount has targets
+ */
+const isScopedDiscount = (discount) =>
+  [discount.productIds, discount.variantIds, discount.categoryIds].some(ids => ids && ids.length > 0);
+
+/**
+ * Check whether a discount covers a cart or order line
+ * Unscoped discounts cover every line; exclusions win over targets
+ * @param {Object} discount - Discount
+ * @param {Object} item - Line with productId, variantId and product ({ categoryId })
+ * @returns {boolean} True if the line is eligible
+ */
+const isItemEligible = (discount, item) => {
+  const categoryId = item.product ? item.product.categoryId : null;
+
+  if (isItemExcluded(discount, item)) {
+    return false;
+  }
+
+  if (!isScopedDiscount(discount)) {
+    return true;
+  }
+
+  return listed(discount.productIds, item.productId) ||
+    listed(discount.variantIds, item.variantId) ||
+    listed(discount.categoryIds, categoryId);
+};
+
+/**
+ * Check whether a buy X get Y discount names a separate set of items to give away
+ * @param {Object} discount - Discount
+ * @returns {boolean} True if getProductIds or getVariantIds are set
+ */
+const hasGetTargets = (discount) =>
+  [discount.getProductIds, discount.getVariantIds].some(ids => ids && ids.length > 0);
+
+/**
+ * Check whether a line is one of the items a buy X get Y discount gives away
+ * @param {Object} discount - Discount with get targets
+ * @param {Object} item - Line with productId, variantId and product ({ categoryId })
+ * @returns {boolean} True if the line can be discounted
+ */
+const isGetItem = (discount, item) => !isItemExcluded(discount, item) &&
+  (listed(discount.getProductIds, item.productId) || listed(discount.getVariantIds, item.variantId));
 
 /**
  * Create a new discount
@@ -12,10 +220,10 @@ const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
  * @returns {Object} Created discount
  */
 const createDiscount = async (discountData) => {
-  const { code, ...data } = discountData;
+  const { code = null, ...data } = discountData;
 
   // Check if discount code already exists
-  const existingDiscount = await prisma.discount.findFirst({
+  const existingDiscount = code && await prisma.discount.findFirst({
     where: { code, ...notDeletedWhere() }
   });
 
@@ -23,16 +231,27 @@ const createDiscount = async (discountData) => {
     throw new Error('Discount code already exists');
   }
 
+  const { isActive, validFrom, validTo, ...fields } = data;
+  const promotion = normalizePromotion(data);
+  const value = data.value !== undefined ? parseFloat(data.value) : DEFAULT_DISCOUNT_VALUE[data.type] || 0;
+
+  assertDiscountSettings({ ...data, ...promotion, code, value });
+
   return await prisma.discount.create({
     data: {
-      ...data,
+      ...fields,
+      ...await normalizeScope(data),
+      ...promotion,
       code,
-      value: parseFloat(data.value),
+      value,
+      priority: data.priority !== undefined ? parseInt(data.priority) : 0,
       minOrderAmount: data.minOrderAmount ? parseFloat(data.minOrderAmount) : null,
       maxDiscountAmount: data.maxDiscountAmount ? parseFloat(data.maxDiscountAmount) : null,
       usageLimit: data.usageLimit ? parseInt(data.usageLimit) : null,
-      validFrom: data.validFrom ? new Date(data.validFrom) : null,
-      validTo: data.validTo ? new Date(data.validTo) : null
+      usageLimitPerUser: data.usageLimitPerUser ? parseInt(data.usageLimitPerUser) : null,
+      active: isActive !== undefined ? isActive : true,
+      startDate: validFrom ? new Date(validFrom) : null,
+      endDate: validTo ? new Date(validTo) : null
     }
   });
 };
@@ -48,7 +267,8 @@ const getDiscounts = async (query) => {
     limit = 20,
     sort = 'createdAt:desc',
     isActive,
-    type
+    type,
+    automatic
   } = query;
 
   const pageNum = Math.max(1, parseInt(page));
@@ -58,13 +278,20 @@ const getDiscounts = async (query) => {
   const where = { ...notDeletedWhere() };
 
   if (isActive !== undefined) {
-    where.isActive = isActive === 'true';
+    where.active = isActive === 'true';
   }
 
   if (type) {
     where.type = type;
   }
 
+  if (automatic !== undefined) {
+    where.automatic = automatic === 'true';
+  }
+
+  // The list is public: batch codes are only handed out through the admin export
+  where.batchId = null;
+
   const [sortField, sortOrder] = sort.split(':');
   const orderBy = { [sortField]: sortOrder || 'desc' };
 
@@ -96,20 +323,109 @@ const getDiscounts = async (query) => {
  */
 const getDiscountById = async (id) => {
   return await prisma.discount.findFirst({
-    where: { id: Number(id), ...notDeletedWhere() }
+    where: { id: Number(id), batchId: null, ...notDeletedWhere() }
   });
 };
 
+/**
+ * Explain why a discount cannot be applied right now
+ * @param {Object} discount - Discount object
+ * @param {number} [orderAmount] - Amount the discount would apply to
+ * @returns {string|null} Reason the discount is not applicable, or null if it is
+ */
+const getDiscountIneligibility = (discount, orderAmount) => {
+  if (!discount.active || discount.isDeleted) {
+    return 'Discount code is no longer active';
+  }
+
+  const now = new Date();
+
+  // Check if discount is valid by date
+  if (discount.startDate && now < discount.startDate) {
+    return 'Discount code is not yet valid';
+  }
+
+  if (discount.endDate && now > discount.endDate) {
+    return 'Discount code has expired';
+  }
+
+  // Check usage limit
+  if (discount.usageLimit && discount.usedCount >= discount.usageLimit) {
+    return 'Discount code usage limit exceeded';
+  }
+
+  if (orderAmount !== undefined && discount.minOrderAmount && orderAmount < discount.minOrderAmount) {
+    return `Minimum order amount of ${discount.minOrderAmount} required for this discount`;
+  }
+
+  return null;
+};
+
+/**
+ * Explain why a customer cannot use a discount
+ * Per-customer limits count the customer's unreversed redemptions; first order
+ * only discounts need the customer to have no orders other than cancelled ones
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} discount - Discount
+ * @param {number|null} userId - Customer (null for guests)
+ * @param {number} [orderId] - Order being placed, which does not count against the limits
+ * @returns {string|null} Reason the customer cannot use the discount, or null if they can
+ */
+const getCustomerIneligibility = async (client, discount, userId, orderId = null) => {
+  if (!discount.usageLimitPerUser && !discount.firstOrderOnly) {
+    return null;
+  }
+
+  if (!userId) {
+    return 'Sign in to use this discount';
+  }
+
+  if (discount.usageLimitPerUser) {
+    const used = await client.discountRedemption.count({
+      where: {
+        discountId: discount.id,
+        userId: Number(userId),
+        reversedAt: null,
+        ...(orderId ? { orderId: { not: orderId } } : {})
+      }
+    });
+
+    if (used >= discount.usageLimitPerUser) {
+      return discount.usageLimitPerUser === 1
+        ? 'You have already used this discount'
+        : `This discount can only be used ${discount.usageLimitPerUser} times per customer`;
+    }
+  }
+
+  if (discount.firstOrderOnly) {
+    const orders = await client.order.count({
+      where: {
+        userId: Number(userId),
+        status: { not: ORDER_STATUS.CANCELLED },
+        ...(orderId ? { id: { not: orderId } } : {}),
+        ...notDeletedWhere()
+      }
+    });
+
+    if (orders > 0) {
+      return 'This discount is only valid on your first order';
+    }
+  }
+
+  return null;
+};
+
 /**
  * Validate discount code
  * @param {string} code - Discount code
+ * @param {number} [orderAmount] - Amount the discount would apply to
  * @returns {Object} Valid discount
  */
-const validateDiscountCode = async (code) => {
+const validateDiscountCode = async (code, orderAmount) => {
   const discount = await prisma.discount.findFirst({
     where: { 
       code: code.toUpperCase(),
-      isActive: true,
+      automatic: false,
       ...notDeletedWhere() 
     }
   });
@@ -118,20 +434,9 @@ const validateDiscountCode = async (code) => {
     throw new Error('Invalid discount code');
   }
 
-  const now = new Date();
-
-  // Check if discount is valid by date
-  if (discount.validFrom && now < discount.validFrom) {
-    throw new Error('Discount code is not yet valid');
-  }
-
-  if (discount.validTo && now > discount.validTo) {
-    throw new Error('Discount code has expired');
-  }
-
-  // Check usage limit
-  if (discount.usageLimit && discount.usedCount >= discount.usageLimit) {
-    throw new Error('Discount code usage limit exceeded');
+  const reason = getDiscountIneligibility(discount, orderAmount);
+  if (reason) {
+    throw new Error(reason);
   }
 
   return discount;
@@ -170,14 +475,21 @@ const updateDiscount = async (id, updateData) => {
     }
   }
 
-  const updatePayload = { ...data };
-  if (code) updatePayload.code = code;
+  const { isActive, validFrom, validTo, ...fields } = data;
+  const promotion = normalizePromotion(data);
+  const updatePayload = { ...fields, ...await normalizeScope(data), ...promotion };
+  if (code !== undefined) updatePayload.code = code || null;
+  if (data.priority !== undefined) updatePayload.priority = parseInt(data.priority);
+  if (isActive !== undefined) updatePayload.active = isActive;
   if (data.value) updatePayload.value = parseFloat(data.value);
   if (data.minOrderAmount) updatePayload.minOrderAmount = parseFloat(data.minOrderAmount);
   if (data.maxDiscountAmount) updatePayload.maxDiscountAmount = parseFloat(data.maxDiscountAmount);
   if (data.usageLimit) updatePayload.usageLimit = parseInt(data.usageLimit);
-  if (data.validFrom) updatePayload.validFrom = new Date(data.validFrom);
-  if (data.validTo) updatePayload.validTo = new Date(data.validTo);
+  if (data.usageLimitPerUser) updatePayload.usageLimitPerUser = parseInt(data.usageLimitPerUser);
+  if (validFrom) updatePayload.startDate = new Date(validFrom);
+  if (validTo) updatePayload.endDate = new Date(validTo);
+
+  assertDiscountSettings({ ...existingDiscount, ...updatePayload });
 
   return await prisma.discount.update({
     where: { id: Number(id) },
@@ -204,7 +516,7 @@ const deleteDiscount = async (id) => {
 /**
  * Apply discount to order (internal function)
  * @param {Object} discount - Discount object
- * @param {number} orderAmount - Order amount
+ * @param {number} orderAmount - Amount the discount applies to (the eligible subtotal for scoped discounts)
  * @returns {number} Discount amount
  */
 const calculateDiscountAmount = (discount, orderAmount) => {
@@ -228,12 +540,695 @@ const calculateDiscountAmount = (discount, orderAmount) => {
   return Math.min(discountAmount, orderAmount);
 };
 
+/**
+ * Split an amount over lines in proportion to their weights
+ * The last weighted line absorbs rounding so the shares always add up exactly
+ * @param {Array} weights - Weight per line (0 for lines that get no share)
+ * @param {number} amount - Amount to split
+ * @returns {Array} Share per line, in line order
+ */
+const distributeAmount = (weights, amount) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const lastIndex = weights.reduce((last, weight, index) => (weight > 0 ? index : last), -1);
+  let remaining = roundMoney(amount);
+
+  return weights.map((weight, index) => {
+    if (weight <= 0) {
+      return 0;
+    }
+
+    const share = index === lastIndex ? remaining : roundMoney((amount * weight) / totalWeight);
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+/**
+ * Find the highest tier a spend or quantity reaches
+ * @param {Array} tiers - Tiers of { min, value }
+ * @param {number} reached - Eligible spend or quantity
+ * @returns {Object|null} Tier, or null if not even the lowest one is reached
+ */
+const findTier = (tiers, reached) => (tiers || []).reduce(
+  (best, tier) => (reached >= tier.min && (!best || tier.min > best.min) ? tier : best),
+  null
+);
+
+/**
+ * Work out which units a buy X get Y discount gives away
+ * Without get targets the eligible lines are pooled and every group of
+ * buyQuantity + getQuantity units earns getQuantity of them; with get targets
+ * every buyQuantity eligible units earn getQuantity target units. The cheapest
+ * units are always the ones discounted
+ * @param {Object} discount - BUY_X_GET_Y discount
+ * @param {Array} lines - Priced lines with product
+ * @param {Array} eligible - Whether each line counts towards the buy quantity
+ * @returns {Array} Discount per line
+ */
+const allocateFreeUnits = (discount, lines, eligible) => {
+  const { buyQuantity, getQuantity } = discount;
+  const percent = discount.value || 100;
+  const reward = percent >= 100 ? 'free' : `at ${percent}% off`;
+  const separateGetItems = hasGetTargets(discount);
+  const isRewardLine = (line, index) => (separateGetItems ? isGetItem(discount, line) : eligible[index]);
+
+  // With separate get items a line that can be given away never also counts as bought
+  const boughtUnits = lines.reduce((sum, line, index) =>
+    (eligible[index] && !(separateGetItems && isGetItem(discount, line)) ? sum + line.quantity : sum), 0);
+
+  let freeUnits = separateGetItems
+    ? Math.floor(boughtUnits / buyQuantity) * getQuantity
+    : Math.floor(boughtUnits / (buyQuantity + getQuantity)) * getQuantity;
+
+  if (freeUnits === 0) {
+    const needed = separateGetItems ? buyQuantity : buyQuantity + getQuantity;
+    throw new Error(`Add ${needed} qualifying items to get ${getQuantity} ${reward}`);
+  }
+
+  const rewardIndexes = lines
+    .map((line, index) => index)
+    .filter(index => isRewardLine(lines[index], index))
+    .sort((a, b) => lines[a].unitPrice - lines[b].unitPrice);
+
+  if (rewardIndexes.length === 0) {
+    throw new Error(`Add the items this discount gives ${reward} to the cart`);
+  }
+
+  const allocations = lines.map(() => 0);
+
+  for (const index of rewardIndexes) {
+    const units = Math.min(freeUnits, lines[index].quantity);
+    allocations[index] = roundMoney((units * lines[index].unitPrice * percent) / 100);
+    freeUnits -= units;
+  }
+
+  return allocations;
+};
+
+/**
+ * Evaluate a discount against a set of priced lines
+ * Only eligible lines count towards the minimum order amount, tiers and buy
+ * quantities, and only they are discounted (apart from the get items of a
+ * buy X get Y discount). maxDiscountAmount caps the total for every type
+ * @param {Object} discount - Discount
+ * @param {Array} lines - Priced lines ({ productId, variantId, quantity, unitPrice, lineSubtotal, product })
+ * @returns {Object} { amount, allocations (discount per line, in line order), freeShipping }
+ */
+const evaluateDiscount = (discount, lines) => {
+  const eligible = lines.map(line => isItemEligible(discount, line));
+
+  if (!eligible.some(Boolean)) {
+    throw new Error('Discount code does not apply to any of these items');
+  }
+
+  const weights = lines.map((line, index) => (eligible[index] ? line.lineSubtotal : 0));
+  const eligibleSubtotal = roundMoney(weights.reduce((sum, weight) => sum + weight, 0));
+  const eligibleQuantity = lines.reduce((sum, line, index) => (eligible[index] ? sum + line.quantity : sum), 0);
+
+  if (discount.minOrderAmount && eligibleSubtotal < discount.minOrderAmount) {
+    throw new Error(`Minimum order amount of ${discount.minOrderAmount} required for this discount`);
+  }
+
+  let allocations = lines.map(() => 0);
+  let freeShipping = false;
+
+  switch (discount.type) {
+  case DISCOUNT_TYPE.PERCENTAGE:
+  case DISCOUNT_TYPE.FIXED:
+    allocations = distributeAmount(weights, calculateDiscountAmount(discount, eligibleSubtotal));
+    break;
+  case DISCOUNT_TYPE.SPEND_TIERS: {
+    const tier = findTier(discount.tiers, eligibleSubtotal);
+    if (!tier) {
+      throw new Error(`Spend at least ${discount.tiers[0].min} on qualifying items to use this discount`);
+    }
+    allocations = distributeAmount(weights, Math.min(tier.value, eligibleSubtotal));
+    break;
+  }
+  case DISCOUNT_TYPE.QUANTITY_BREAK: {
+    const tier = findTier(discount.tiers, eligibleQuantity);
+    if (!tier) {
+      throw new Error(`Buy at least ${discount.tiers[0].min} qualifying items to use this discount`);
+    }
+    allocations = distributeAmount(weights, (eligibleSubtotal * tier.value) / 100);
+    break;
+  }
+  case DISCOUNT_TYPE.BUY_X_GET_Y:
+    allocations = allocateFreeUnits(discount, lines, eligible);
+    break;
+  case DISCOUNT_TYPE.FREE_SHIPPING:
+    freeShipping = true;
+    break;
+  default:
+    throw new Error(`Unsupported discount type ${discount.type}`);
+  }
+
+  let amount = roundMoney(allocations.reduce((sum, share) => sum + share, 0));
+
+  if (discount.maxDiscountAmount && amount > discount.maxDiscountAmount) {
+    allocations = distributeAmount(allocations, discount.maxDiscountAmount);
+    amount = roundMoney(discount.maxDiscountAmount);
+  }
+
+  return { amount, allocations, freeShipping };
+};
+
+/**
+ * Get the automatic promotions currently running for a customer
+ * Promotions outside their date window, past their usage limit or beyond the
+ * customer's own limits are left out
+ * @param {Object} [client] - Prisma client or transaction client
+ * @param {number|null} [userId] - Customer (null for guests)
+ * @returns {Array} Promotions, highest priority first
+ */
+const getAutomaticPromotions = async (client = prisma, userId = null) => {
+  const now = new Date();
+
+  const promotions = await client.discount.findMany({
+    where: {
+      automatic: true,
+      active: true,
+      ...notDeletedWhere(),
+      AND: [
+        { OR: [{ startDate: null }, { startDate: { lte: now } }] },
+        { OR: [{ endDate: null }, { endDate: { gte: now } }] }
+      ]
+    },
+    orderBy: [{ priority: 'desc' }, { id: 'asc' }]
+  });
+
+  const available = [];
+  for (const promotion of promotions) {
+    if (!getDiscountIneligibility(promotion) && !await getCustomerIneligibility(client, promotion, userId)) {
+      available.push(promotion);
+    }
+  }
+
+  return available;
+};
+
+/**
+ * Name a discount for messages
+ * @param {Object} discount - Discount
+ * @returns {string} Code, or description for automatic promotions
+ */
+const describeDiscount = (discount) => discount.code || discount.description || `promotion ${discount.id}`;
+
+/**
+ * Evaluate a coded discount together with automatic promotions
+ * Discounts are tried highest priority first, the coded discount winning ties.
+ * Each one sees the line amounts left by those applied before it. A discount
+ * that is not stackable is never combined: it is skipped once anything has been
+ * applied, and once applied it blocks everything after it
+ * @param {Array} discounts - Coded discount (if any) followed by the automatic promotions
+ * @param {Array} lines - Priced lines ({ productId, variantId, quantity, unitPrice, lineSubtotal, product })
+ * @returns {Object} { applied: [{ discount, amount, allocations, freeShipping }], skipped: [{ discount, reason }] }
+ */
+const evaluateDiscounts = (discounts, lines) => {
+  const ordered = [...discounts].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  const remaining = lines.map(line => line.lineSubtotal);
+  const applied = [];
+  const skipped = [];
+
+  for (const discount of ordered) {
+    const blocker = applied.find(entry => !entry.discount.stackable) ||
+      (!discount.stackable && applied[0]);
+
+    if (blocker) {
+      skipped.push({ discount, reason: `Cannot be combined with ${describeDiscount(blocker.discount)}` });
+      continue;
+    }
+
+    try {
+      const result = evaluateDiscount(discount, lines.map((line, index) => ({
+        ...line,
+        lineSubtotal: remaining[index],
+        unitPrice: line.quantity > 0 ? remaining[index] / line.quantity : 0
+      })));
+
+      const allocations = result.allocations.map((share, index) => Math.min(share, remaining[index]));
+      allocations.forEach((share, index) => {
+        remaining[index] = roundMoney(remaining[index] - share);
+      });
+
+      applied.push({
+        discount,
+        amount: roundMoney(allocations.reduce((sum, share) => sum + share, 0)),
+        allocations,
+        freeShipping: result.freeShipping
+      });
+    } catch (err) {
+      skipped.push({ discount, reason: err.message });
+    }
+  }
+
+  return { applied, skipped };
+};
+
+/**
+ * Record the discounts an order redeemed and count their use
+ * Each discount row is locked first so concurrent orders cannot both take its
+ * last use; limits are checked again under the lock
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Created order ({ id, userId })
+ * @param {Array} promotions - Applied discounts from pricing ({ discountId, amount, shippingDiscount })
+ */
+const redeemDiscounts = async (tx, order, promotions) => {
+  for (const promotion of promotions) {
+    await tx.$queryRaw`SELECT "id" FROM "public"."Discount" WHERE "id" = ${promotion.discountId} FOR UPDATE`;
+
+    const discount = await tx.discount.findUnique({ where: { id: promotion.discountId } });
+    const reason = getDiscountIneligibility(discount) ||
+      await getCustomerIneligibility(tx, discount, order.userId, order.id);
+
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    await tx.discountRedemption.create({
+      data: {
+        discountId: discount.id,
+        orderId: order.id,
+        userId: order.userId,
+        amount: promotion.amount,
+        shippingDiscount: promotion.shippingDiscount || 0
+      }
+    });
+
+    await tx.discount.update({
+      where: { id: discount.id },
+      data: { usedCount: { increment: 1 } }
+    });
+  }
+};
+
+/**
+ * Reverse an order's redemptions, giving the uses back
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ * @param {Array<number>} [discountIds] - Only reverse these discounts (all when omitted)
+ * @returns {number} Number of redemptions reversed
+ */
+const reverseRedemptions = async (tx, orderId, discountIds = null) => {
+  const redemptions = await tx.discountRedemption.findMany({
+    where: {
+      orderId,
+      reversedAt: null,
+      ...(discountIds ? { discountId: { in: discountIds } } : {})
+    }
+  });
+
+  for (const redemption of redemptions) {
+    await tx.discountRedemption.update({
+      where: { id: redemption.id },
+      data: { reversedAt: new Date() }
+    });
+
+    await tx.discount.update({
+      where: { id: redemption.discountId },
+      data: { usedCount: { decrement: 1 } }
+    });
+  }
+
+  return redemptions.length;
+};
+
+/**
+ * Bring an order's redemptions in line with its re-priced discounts
+ * Discounts no longer applied are reversed; the rest get their new amounts
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ * @param {Array} promotions - Discounts still applied ({ discountId, amount, shippingDiscount })
+ */
+const syncRedemptions = async (tx, orderId, promotions) => {
+  const redemptions = await tx.discountRedemption.findMany({
+    where: { orderId, reversedAt: null }
+  });
+
+  const dropped = redemptions
+    .filter(redemption => !promotions.some(promotion => promotion.discountId === redemption.discountId))
+    .map(redemption => redemption.discountId);
+
+  if (dropped.length > 0) {
+    await reverseRedemptions(tx, orderId, dropped);
+  }
+
+  for (const promotion of promotions) {
+    await tx.discountRedemption.updateMany({
+      where: { orderId, discountId: promotion.discountId, reversedAt: null },
+      data: { amount: promotion.amount, shippingDiscount: promotion.shippingDiscount || 0 }
+    });
+  }
+};
+
+/**
+ * List a discount's redemptions with their revenue impact (Admin only)
+ * Revenue is what the redeeming orders are worth after discounts and refunds
+ * @param {string} id - Discount ID
+ * @param {Object} query - page, limit and includeReversed ('true' to list reversed redemptions too)
+ * @returns {Object|null} Redemptions, summary of the unreversed ones and metadata, or null if the discount does not exist
+ */
+const getDiscountRedemptions = async (id, query = {}) => {
+  const { page = 1, limit = 20, includeReversed } = query;
+
+  const discount = await prisma.discount.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() }
+  });
+
+  if (!discount) {
+    return null;
+  }
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+
+  const where = {
+    discountId: discount.id,
+    ...(includeReversed === 'true' ? {} : { reversedAt: null })
+  };
+  const activeWhere = { discountId: discount.id, reversedAt: null };
+
+  const [redemptions, total, totals, customers, orders] = await Promise.all([
+    prisma.discountRedemption.findMany({
+      where,
+      include: {
+        order: { select: { id: true, status: true, total: true, netAmount: true, createdAt: true } },
+        user: { select: { id: true, name: true, email: true } }
+      },
+      orderBy: { createdAt: 'desc' },
+      skip: (pageNum - 1) * limitNum,
+      take: limitNum
+    }),
+    prisma.discountRedemption.count({ where }),
+    prisma.discountRedemption.aggregate({
+      where: activeWhere,
+      _count: true,
+      _sum: { amount: true, shippingDiscount: true }
+    }),
+    prisma.discountRedemption.groupBy({ by: ['userId'], where: activeWhere }),
+    prisma.order.aggregate({
+      where: { redemptions: { some: activeWhere } },
+      _sum: { netAmount: true }
+    })
+  ]);
+
+  const redemptionCount = totals._count;
+  const revenue = roundMoney(orders._sum.netAmount || 0);
+
+  return {
+    data: {
+      discount: { id: discount.id, code: discount.code, description: discount.description, type: discount.type },
+      summary: {
+        redemptions: redemptionCount,
+        customers: customers.length,
+        discountAmount: roundMoney(totals._sum.amount || 0),
+        shippingDiscount: roundMoney(totals._sum.shippingDiscount || 0),
+        revenue,
+        averageOrderValue: redemptionCount > 0 ? roundMoney(revenue / redemptionCount) : 0
+      },
+      redemptions
+    },
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+/**
+ * Check and normalize the code options of a batch
+ * @param {Object} options - Batch options ({ quantity, prefix, length, alphabet })
+ * @returns {Object} Normalized options
+ */
+const normalizeBatchOptions = ({
+  quantity, prefix = '', length = DEFAULT_CODE_LENGTH, alphabet = DEFAULT_CODE_ALPHABET
+}) => {
+  const count = parseInt(quantity);
+  const codeLength = parseInt(length);
+  const normalizedPrefix = String(prefix).toUpperCase();
+  const characters = [...new Set(String(alphabet).toUpperCase())].join('');
+
+  if (!Number.isInteger(count) || count < 1 || count > MAX_BATCH_QUANTITY) {
+    throw new Error(`Quantity must be between 1 and ${MAX_BATCH_QUANTITY}`);
+  }
+
+  if (!/^([A-Z0-9][A-Z0-9-]{0,19})?$/.test(normalizedPrefix)) {
+    throw new Error('Prefix can only contain up to 20 letters, digits and dashes, starting with a letter or digit');
+  }
+
+  if (!Number.isInteger(codeLength) || codeLength < 4 || codeLength > 32) {
+    throw new Error('Code length must be between 4 and 32');
+  }
+
+  if (!/^[A-Z0-9]{2,}$/.test(characters)) {
+    throw new Error('Alphabet must contain at least 2 different letters or digits');
+  }
+
+  if (Math.pow(characters.length, codeLength) < count * CODE_SPACE_FACTOR) {
+    throw new Error('Code length and alphabet are too small for this quantity');
+  }
+
+  return { quantity: count, prefix: normalizedPrefix, length: codeLength, alphabet: characters };
+};
+
+/**
+ * Generate a random code
+ * @param {Object} options - Normalized batch options ({ prefix, length, alphabet })
+ * @returns {string} Code
+ */
+const generateCode = ({ prefix, length, alphabet }) => {
+  let code = prefix;
+
+  for (let i = 0; i < length; i++) {
+    code += alphabet[crypto.randomInt(alphabet.length)];
+  }
+
+  return code;
+};
+
+/**
+ * Generate a batch of single-use codes from a template discount
+ * Every code copies the template's settings and can be redeemed once
+ * @param {string} templateId - Template discount ID
+ * @param {Object} batchData - Batch data ({ quantity, prefix, length, alphabet, name })
+ * @param {number} [actorId] - Admin generating the batch
+ * @returns {Object|null} Created batch, or null when the template is not found
+ */
+const createCodeBatch = async (templateId, batchData, actorId = null) => {
+  const options = normalizeBatchOptions(batchData);
+
+  const template = await prisma.discount.findFirst({
+    where: { id: Number(templateId), ...notDeletedWhere() }
+  });
+
+  if (!template) {
+    return null;
+  }
+
+  if (template.automatic) {
+    throw new Error('Automatic promotions cannot be used as a code template');
+  }
+
+  if (template.batchId) {
+    throw new Error('Batch codes cannot be used as a code template');
+  }
+
+  const fields = Object.fromEntries(
+    Object.entries(template).filter(([field]) => !BATCH_OMITTED_FIELDS.includes(field))
+  );
+
+  if (fields.tiers === null) {
+    delete fields.tiers;
+  }
+
+  const batch = await prisma.$transaction(async (tx) => {
+    const created = await tx.discountCodeBatch.create({
+      data: {
+        name: batchData.name || null,
+        templateId: template.id,
+        ...options,
+        createdById: actorId
+      }
+    });
+
+    // Codes that collide with an existing one are skipped and generated again
+    let generated = 0;
+
+    for (let round = 0; round < MAX_GENERATION_ROUNDS && generated < options.quantity; round++) {
+      const codes = new Set();
+
+      while (codes.size < options.quantity - generated) {
+        codes.add(generateCode(options));
+      }
+
+      const { count } = await tx.discount.createMany({
+        data: [...codes].map(code => ({ ...fields, code, usageLimit: 1, batchId: created.id })),
+        skipDuplicates: true
+      });
+      generated += count;
+    }
+
+    if (generated < options.quantity) {
+      throw new Error('Could not generate enough unique codes, try a longer code length');
+    }
+
+    return created;
+  }, { timeout: 60000 });
+
+  auditLog('DISCOUNT_CODE_BATCH_CREATED', actorId, {
+    batchId: batch.id,
+    templateId: template.id,
+    quantity: batch.quantity
+  });
+
+  return batch;
+};
+
+/**
+ * Get the code batches generated from a template discount
+ * @param {string} templateId - Template discount ID
+ * @returns {Array|null} Batches, newest first, or null when the template is not found
+ */
+const getCodeBatches = async (templateId) => {
+  const template = await prisma.discount.findFirst({
+    where: { id: Number(templateId), ...notDeletedWhere() }
+  });
+
+  if (!template) {
+    return null;
+  }
+
+  return await prisma.discountCodeBatch.findMany({
+    where: { templateId: template.id },
+    include: { createdBy: { select: { id: true, name: true, email: true } } },
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+/**
+ * Escape a CSV field
+ * Text starting with a formula character is prefixed with a quote so
+ * spreadsheets do not evaluate it
+ * @param {*} value - Field value
+ * @returns {string} Escaped field
+ */
+const csvField = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Export the codes of a batch as CSV
+ * @param {string} batchId - Batch ID
+ * @returns {Object|null} { filename, content }, or null when the batch is not found
+ */
+const exportCodeBatch = async (batchId) => {
+  const batch = await prisma.discountCodeBatch.findUnique({
+    where: { id: Number(batchId) },
+    include: {
+      codes: {
+        where: notDeletedWhere(),
+        include: { redemptions: { where: { reversedAt: null }, take: 1 } },
+        orderBy: { id: 'asc' }
+      }
+    }
+  });
+
+  if (!batch) {
+    return null;
+  }
+
+  const rows = batch.codes.map(({ code, active, redemptions: [redemption] }) => [
+    code,
+    active,
+    !!redemption,
+    redemption ? redemption.orderId : null,
+    redemption ? redemption.createdAt.toISOString() : null
+  ]);
+
+  const content = [['code', 'active', 'redeemed', 'orderId', 'redeemedAt'], ...rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\n');
+
+  return { filename: `discount-codes-${batch.id}.csv`, content: `${content}\n` };
+};
+
+/**
+ * Get redemption statistics of a batch
+ * Cancelled orders do not count (their redemptions are reversed)
+ * @param {string} batchId - Batch ID
+ * @returns {Object|null} Batch statistics, or null when the batch is not found
+ */
+const getCodeBatchStats = async (batchId) => {
+  const batch = await prisma.discountCodeBatch.findUnique({
+    where: { id: Number(batchId) },
+    include: { template: { select: { id: true, code: true, description: true, type: true } } }
+  });
+
+  if (!batch) {
+    return null;
+  }
+
+  const activeWhere = { discount: { batchId: batch.id }, reversedAt: null };
+
+  const [codes, totals, redeemedCodes, customers, orders] = await Promise.all([
+    prisma.discount.count({ where: { batchId: batch.id, ...notDeletedWhere() } }),
+    prisma.discountRedemption.aggregate({
+      where: activeWhere,
+      _count: true,
+      _sum: { amount: true, shippingDiscount: true }
+    }),
+    prisma.discountRedemption.groupBy({ by: ['discountId'], where: activeWhere }),
+    prisma.discountRedemption.groupBy({ by: ['userId'], where: activeWhere }),
+    prisma.order.aggregate({
+      where: { redemptions: { some: activeWhere } },
+      _sum: { netAmount: true }
+    })
+  ]);
+
+  const redemptionCount = totals._count;
+  const revenue = roundMoney(orders._sum.netAmount || 0);
+
+  return {
+    batch,
+    summary: {
+      codes,
+      redeemedCodes: redeemedCodes.length,
+      redemptionRate: codes > 0 ? roundMoney((redeemedCodes.length / codes) * 100) : 0,
+      redemptions: redemptionCount,
+      customers: customers.length,
+      discountAmount: roundMoney(totals._sum.amount || 0),
+      shippingDiscount: roundMoney(totals._sum.shippingDiscount || 0),
+      revenue,
+      averageOrderValue: redemptionCount > 0 ? roundMoney(revenue / redemptionCount) : 0
+    }
+  };
+};
+
 module.exports = {
   createDiscount,
   getDiscounts,
   getDiscountById,
+  getDiscountIneligibility,
+  getCustomerIneligibility,
   validateDiscountCode,
   updateDiscount,
   deleteDiscount,
-  calculateDiscountAmount
+  isScopedDiscount,
+  isItemEligible,
+  calculateDiscountAmount,
+  evaluateDiscount,
+  evaluateDiscounts,
+  getAutomaticPromotions,
+  redeemDiscounts,
+  reverseRedemptions,
+  syncRedemptions,
+  getDiscountRedemptions,
+  createCodeBatch,
+  getCodeBatches,
+  exportCodeBatch,
+  getCodeBatchStats
 };
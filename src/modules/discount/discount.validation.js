@@ -5,30 +5,73 @@
 
 const Joi = require('joi');
 
+const DISCOUNT_TYPES = ['PERCENTAGE', 'FIXED', 'BUY_X_GET_Y', 'SPEND_TIERS', 'QUANTITY_BREAK', 'FREE_SHIPPING'];
+
+const idList = Joi.array().items(Joi.number().integer().positive()).unique();
+
+const scopeFields = {
+  productIds: idList.optional(),
+  variantIds: idList.optional(),
+  categoryIds: idList.optional(),
+  excludedProductIds: idList.optional(),
+  excludedVariantIds: idList.optional(),
+  excludedCategoryIds: idList.optional()
+};
+
+const promotionFields = {
+  buyQuantity: Joi.number().integer().positive().optional(),
+  getQuantity: Joi.number().integer().positive().optional(),
+  getProductIds: idList.optional(),
+  getVariantIds: idList.optional(),
+  tiers: Joi.array().items(Joi.object({
+    min: Joi.number().min(0).required(),
+    value: Joi.number().positive().required()
+  })).min(1).optional(),
+  automatic: Joi.boolean().optional(),
+  priority: Joi.number().integer().optional(),
+  stackable: Joi.boolean().optional(),
+  usageLimitPerUser: Joi.number().integer().positive().optional(),
+  firstOrderOnly: Joi.boolean().optional()
+};
+
 const createDiscountSchema = Joi.object({
-  code: Joi.string().uppercase().required().min(3).max(50),
+  // Automatic promotions apply without a code
+  code: Joi.string().uppercase().min(3).max(50).when('automatic', {
+    is: true,
+    then: Joi.forbidden(),
+    otherwise: Joi.required()
+  }),
   description: Joi.string().required().max(255),
-  type: Joi.string().valid('PERCENTAGE', 'FIXED').required(),
-  value: Joi.number().positive().required(),
+  type: Joi.string().valid(...DISCOUNT_TYPES).required(),
+  // Other promotion types take their amounts from their own settings (see the discount service)
+  value: Joi.number().positive().when('type', {
+    is: Joi.valid('PERCENTAGE', 'FIXED'),
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  }),
   minOrderAmount: Joi.number().positive().optional(),
   maxDiscountAmount: Joi.number().positive().optional(),
   usageLimit: Joi.number().integer().positive().optional(),
   isActive: Joi.boolean().default(true),
   validFrom: Joi.date().optional(),
-  validTo: Joi.date().optional()
+  validTo: Joi.date().optional(),
+  ...scopeFields,
+  ...promotionFields
 });
 
 const updateDiscountSchema = Joi.object({
-  code: Joi.string().uppercase().optional().min(3).max(50),
+  code: Joi.string().uppercase().optional().min(3).max(50).allow(null),
   description: Joi.string().optional().max(255),
-  type: Joi.string().valid('PERCENTAGE', 'FIXED').optional(),
+  type: Joi.string().valid(...DISCOUNT_TYPES).optional(),
   value: Joi.number().positive().optional(),
   minOrderAmount: Joi.number().positive().optional(),
   maxDiscountAmount: Joi.number().positive().optional(),
   usageLimit: Joi.number().integer().positive().optional(),
   isActive: Joi.boolean().optional(),
   validFrom: Joi.date().optional(),
-  validTo: Joi.date().optional()
+  validTo: Joi.date().optional(),
+  ...scopeFields,
+  ...promotionFields
 });
 
 const getDiscountsSchema = Joi.object({
@@ -37,16 +80,36 @@ const getDiscountsSchema = Joi.object({
   sort: Joi.string().valid(
     'createdAt:asc', 'createdAt:desc',
     'code:asc', 'code:desc',
-    'value:asc', 'value:desc'
+    'value:asc', 'value:desc',
+    'priority:asc', 'priority:desc'
   ).default('createdAt:desc'),
   isActive: Joi.string().valid('true', 'false').optional(),
-  type: Joi.string().valid('PERCENTAGE', 'FIXED').optional()
+  type: Joi.string().valid(...DISCOUNT_TYPES).optional(),
+  automatic: Joi.string().valid('true', 'false').optional()
 });
 
 const getDiscountByIdSchema = Joi.object({
   id: Joi.number().integer().positive().required()
 });
 
+const getDiscountRedemptionsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  includeReversed: Joi.string().valid('true', 'false').optional()
+});
+
+const createCodeBatchSchema = Joi.object({
+  quantity: Joi.number().integer().min(1).max(10000).required(),
+  name: Joi.string().max(100).optional(),
+  prefix: Joi.string().uppercase().pattern(/^[A-Z0-9][A-Z0-9-]*$/).max(20).allow('').optional(),
+  length: Joi.number().integer().min(4).max(32).optional(),
+  alphabet: Joi.string().uppercase().pattern(/^[A-Z0-9]+$/).min(2).optional()
+});
+
+const getCodeBatchSchema = Joi.object({
+  batchId: Joi.number().integer().positive().required()
+});
+
 const validateDiscountCodeSchema = Joi.object({
   code: Joi.string().required()
 });
@@ -56,5 +119,8 @@ module.exports = {
   updateDiscountSchema,
   getDiscountsSchema,
   getDiscountByIdSchema,
+  getDiscountRedemptionsSchema,
+  createCodeBatchSchema,
+  getCodeBatchSchema,
   validateDiscountCodeSchema
 };
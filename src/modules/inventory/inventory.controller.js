@@ -0,0 +1,100 @@
+/**
+ * Inventory Controller
+ * Handles HTTP requests for inventory operations
+ */
+
+const inventoryService = require('./inventory.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Post a stock adjustment (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const adjustStock = async (req, res) => {
+  try {
+    const movement = await inventoryService.adjustStock(req.body, req.user.id);
+    success(res, movement, 'Stock adjusted successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get the movement history of a variant (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVariantMovements = async (req, res) => {
+  try {
+    const result = await inventoryService.getVariantMovements(req.params.variantId, req.query);
+    success(res, result.data, 'Inventory movements retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get all stock locations (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLocations = async (req, res) => {
+  try {
+    const locations = await inventoryService.getLocations();
+    success(res, locations, 'Stock locations retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Create a stock location (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createLocation = async (req, res) => {
+  try {
+    const location = await inventoryService.createLocation(req.body, req.user.id);
+    success(res, location, 'Stock location created successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Update a stock location (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateLocation = async (req, res) => {
+  try {
+    const location = await inventoryService.updateLocation(req.params.id, req.body, req.user.id);
+    success(res, location, 'Stock location updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get variants at or below their low-stock threshold (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getLowStock = async (req, res) => {
+  try {
+    const result = await inventoryService.getLowStockReport(req.query);
+    success(res, result.data, 'Low-stock variants retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  adjustStock,
+  getVariantMovements,
+  getLocations,
+  createLocation,
+  updateLocation,
+  getLowStock
+};
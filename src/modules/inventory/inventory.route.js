@@ -0,0 +1,308 @@
+/**
+ * Inventory Routes
+ * Defines API endpoints for inventory operations
+ */
+
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('./inventory.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const inventoryValidation = require('./inventory.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InventoryMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         productId:
+ *           type: integer
+ *         variantId:
+ *           type: integer
+ *           description: Null for product-level stock
+ *         locationId:
+ *           type: integer
+ *           description: Stock location the movement applies to
+ *         orderId:
+ *           type: integer
+ *         quantity:
+ *           type: integer
+ *           description: Signed change in stock
+ *         balanceAfter:
+ *           type: integer
+ *           description: Variant stock across all locations after the movement
+ *         locationBalanceAfter:
+ *           type: integer
+ *           description: Stock at the location after the movement
+ *         reason:
+ *           type: string
+ *           enum: [SALE, CANCELLATION_RESTOCK, RETURN, MANUAL_ADJUSTMENT, IMPORT, CORRECTION, TRANSFER, ORDER_EDIT]
+ *         note:
+ *           type: string
+ *         createdBy:
+ *           type: object
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     StockLocation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         code:
+ *           type: string
+ *         name:
+ *           type: string
+ *         address:
+ *           type: string
+ *         priority:
+ *           type: integer
+ *           description: Lower numbers are allocated to orders first
+ *         active:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /admin/inventory/adjustments:
+ *   post:
+ *     summary: Adjust a variant's stock (Admin only)
+ *     description: Changes the stock by a signed quantity and records the movement in the inventory ledger.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - variantId
+ *               - quantity
+ *             properties:
+ *               variantId:
+ *                 type: integer
+ *               locationId:
+ *                 type: integer
+ *                 description: Location to adjust (defaults to the highest-priority active location)
+ *               quantity:
+ *                 type: integer
+ *                 description: Units to add (positive) or remove (negative)
+ *               reason:
+ *                 type: string
+ *                 enum: [MANUAL_ADJUSTMENT, IMPORT, CORRECTION]
+ *                 default: MANUAL_ADJUSTMENT
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Stock adjusted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/InventoryMovement'
+ *       400:
+ *         description: Invalid adjustment or stock would go below zero
+ *       404:
+ *         description: Variant or location not found
+ */
+router.post('/adjustments',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(inventoryValidation.adjustStockSchema, 'body'),
+  inventoryController.adjustStock
+);
+
+/**
+ * @swagger
+ * /admin/inventory/variants/{variantId}/movements:
+ *   get:
+ *     summary: Get a variant's inventory movement history (Admin only)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Inventory movements retrieved successfully
+ *       404:
+ *         description: Variant not found
+ */
+router.get('/variants/:variantId/movements',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(inventoryValidation.variantIdSchema, 'params'),
+  validate(inventoryValidation.getMovementsSchema, 'query'),
+  inventoryController.getVariantMovements
+);
+
+/**
+ * @swagger
+ * /admin/inventory/locations:
+ *   get:
+ *     summary: Get all stock locations (Admin only)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stock locations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/StockLocation'
+ */
+router.get('/locations',
+  authenticate,
+  requireRole('ADMIN'),
+  inventoryController.getLocations
+);
+
+/**
+ * @swagger
+ * /admin/inventory/locations:
+ *   post:
+ *     summary: Create a stock location (Admin only)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Stock location created successfully
+ *       409:
+ *         description: Location code already exists
+ */
+router.post('/locations',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(inventoryValidation.createLocationSchema, 'body'),
+  inventoryController.createLocation
+);
+
+/**
+ * @swagger
+ * /admin/inventory/locations/{id}:
+ *   put:
+ *     summary: Update a stock location (Admin only)
+ *     description: Inactive locations keep their stock but are skipped when allocating orders.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               priority:
+ *                 type: integer
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Stock location updated successfully
+ *       404:
+ *         description: Stock location not found
+ */
+router.put('/locations/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(inventoryValidation.locationIdSchema, 'params'),
+  validate(inventoryValidation.updateLocationSchema, 'body'),
+  inventoryController.updateLocation
+);
+
+/**
+ * @swagger
+ * /admin/inventory/low-stock:
+ *   get:
+ *     summary: Get variants at or below their low-stock threshold (Admin only)
+ *     description: |
+ *       A variant's threshold is its own lowStockThreshold, else its product's,
+ *       else LOW_STOCK_THRESHOLD. Lowest stock is listed first. The
+ *       inventory.stock_low and inventory.stock_out events are emitted when a
+ *       variant first crosses its threshold or runs out.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outOfStock
+ *         schema:
+ *           type: boolean
+ *         description: Only list variants with no stock left
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Low-stock variants retrieved successfully
+ */
+router.get('/low-stock',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(inventoryValidation.getLowStockSchema, 'query'),
+  inventoryController.getLowStock
+);
+
+module.exports = router;
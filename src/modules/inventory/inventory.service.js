@@ -0,0 +1,1134 @@
+/**
+ * Inventory Service
+ * Stock availability, checkout reservations and the inventory ledger
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const {
+  RESERVATION_STATUS,
+  INVENTORY_MOVEMENT_REASON,
+  STOCK_ALERT_STATE,
+  EVENTS,
+  HTTP_STATUS
+} = require('../../utils/constants');
+const { logger, auditLog } = require('../../utils/logger');
+const { publish } = require('../../utils/events');
+
+// Reasons an admin may give for a manual adjustment; the rest are written by orders
+const ADJUSTMENT_REASONS = [
+  INVENTORY_MOVEMENT_REASON.MANUAL_ADJUSTMENT,
+  INVENTORY_MOVEMENT_REASON.IMPORT,
+  INVENTORY_MOVEMENT_REASON.CORRECTION
+];
+
+// Alert states from best to worst; only moving to a worse state raises an alert
+const ALERT_SEVERITY = [STOCK_ALERT_STATE.OK, STOCK_ALERT_STATE.LOW, STOCK_ALERT_STATE.OUT];
+
+/**
+ * How long a checkout reservation holds stock
+ * @returns {number} TTL in milliseconds
+ */
+const getReservationTtl = () => {
+  const minutes = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+  return minutes * 60 * 1000;
+};
+
+/**
+ * Lock a variant row until the surrounding transaction ends
+ * Serializes concurrent reservations and orders for the same variant
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} variantId - Variant ID
+ */
+const lockVariant = async (tx, variantId) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."ProductVariant" WHERE "id" = ${Number(variantId)} FOR UPDATE`;
+};
+
+/**
+ * Sum the quantities held by active, unexpired reservations
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<number>} variantIds - Variant IDs
+ * @param {number} [excludeCartId] - Cart whose own reservations should not count
+ * @returns {Map<number, number>} Reserved quantity per variant ID
+ */
+const getReservedQuantities = async (client, variantIds, excludeCartId = null) => {
+  const reserved = new Map();
+
+  if (variantIds.length === 0) {
+    return reserved;
+  }
+
+  const where = {
+    variantId: { in: variantIds.map(Number) },
+    status: RESERVATION_STATUS.ACTIVE,
+    expiresAt: { gt: new Date() }
+  };
+
+  if (excludeCartId) {
+    where.cartId = { not: Number(excludeCartId) };
+  }
+
+  const groups = await client.stockReservation.groupBy({
+    by: ['variantId'],
+    where,
+    _sum: { quantity: true }
+  });
+
+  for (const group of groups) {
+    reserved.set(group.variantId, group._sum.quantity || 0);
+  }
+
+  return reserved;
+};
+
+/**
+ * Stock that can still be sold for a variant
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} variant - Variant with its on-hand stock
+ * @param {number} [excludeCartId] - Cart whose own reservations should not count
+ * @returns {number} On-hand stock minus reservations held by other carts
+ */
+const getAvailableStock = async (client, variant, excludeCartId = null) => {
+  const reserved = await getReservedQuantities(client, [variant.id], excludeCartId);
+  return Math.max(0, variant.stock - (reserved.get(variant.id) || 0));
+};
+
+/**
+ * Annotate variants with the stock buyers can actually order
+ * @param {Array} variants - Variants with their on-hand stock
+ * @returns {Array} Variants with availableStock
+ */
+const withAvailableStock = async (variants) => {
+  const reserved = await getReservedQuantities(prisma, variants.map(variant => variant.id));
+
+  return variants.map(variant => ({
+    ...variant,
+    availableStock: Math.max(0, variant.stock - (reserved.get(variant.id) || 0))
+  }));
+};
+
+/**
+ * Release a cart's active reservations
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} cartId - Cart ID
+ * @returns {number} Number of reservations released
+ */
+const releaseReservations = async (client, cartId) => {
+  const { count } = await client.stockReservation.updateMany({
+    where: { cartId: Number(cartId), status: RESERVATION_STATUS.ACTIVE },
+    data: { status: RESERVATION_STATUS.RELEASED, releasedAt: new Date() }
+  });
+
+  return count;
+};
+
+/**
+ * Bring a cart's reservation of a variant in line with the cart after a line
+ * was lowered or removed, so other shoppers get the stock back straight away
+ * A reservation never grows here: checking out reserves the cart again
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} cartId - Cart ID
+ * @param {number} variantId - Variant ID
+ * @returns {Object|null} Updated reservation, or null when the variant was not reserved
+ */
+const syncCartReservation = async (tx, cartId, variantId) => {
+  await lockVariant(tx, variantId);
+
+  const reservation = await tx.stockReservation.findFirst({
+    where: { cartId: Number(cartId), variantId: Number(variantId), status: RESERVATION_STATUS.ACTIVE }
+  });
+
+  if (!reservation) {
+    return null;
+  }
+
+  const { _sum: { quantity: inCart } } = await tx.cartItem.aggregate({
+    where: { cartId: Number(cartId), variantId: Number(variantId), ...notDeletedWhere() },
+    _sum: { quantity: true }
+  });
+
+  if (!inCart) {
+    return await tx.stockReservation.update({
+      where: { id: reservation.id },
+      data: { status: RESERVATION_STATUS.RELEASED, releasedAt: new Date() }
+    });
+  }
+
+  if (inCart < reservation.quantity) {
+    return await tx.stockReservation.update({
+      where: { id: reservation.id },
+      data: { quantity: inCart }
+    });
+  }
+
+  return reservation;
+};
+
+/**
+ * Hold stock for every item in a cart while its owner checks out
+ * Replaces any reservations the cart already holds
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} cart - Cart with its active items
+ * @returns {Array} Created reservations
+ */
+const reserveCart = async (tx, cart) => {
+  await releaseReservations(tx, cart.id);
+
+  // One reservation per variant
+  const quantities = new Map();
+  for (const item of cart.items) {
+    quantities.set(item.variantId, (quantities.get(item.variantId) || 0) + item.quantity);
+  }
+
+  const expiresAt = new Date(Date.now() + getReservationTtl());
+  const reservations = [];
+
+  for (const [variantId, quantity] of quantities) {
+    await lockVariant(tx, variantId);
+
+    const variant = await tx.productVariant.findFirst({
+      where: { id: variantId, ...notDeletedWhere() },
+      include: { product: true }
+    });
+
+    if (!variant) {
+      throw new AppError(`Product variant ${variantId} not found`, HTTP_STATUS.NOT_FOUND);
+    }
+
+    const available = await getAvailableStock(tx, variant, cart.id);
+    if (available < quantity) {
+      throw new AppError(
+        `Only ${available} of ${variant.product.name} - ${variant.size || variant.color || 'variant'} available`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    reservations.push(await tx.stockReservation.create({
+      data: {
+        variantId,
+        cartId: cart.id,
+        quantity,
+        expiresAt
+      }
+    }));
+  }
+
+  return reservations;
+};
+
+/**
+ * Turn a cart's reservations into part of a placed order
+ * The stock itself is decremented by the order
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} cartId - Cart ID
+ * @param {number} orderId - Order ID
+ * @returns {number} Number of reservations converted
+ */
+const convertReservations = async (tx, cartId, orderId) => {
+  const { count } = await tx.stockReservation.updateMany({
+    where: { cartId: Number(cartId), status: RESERVATION_STATUS.ACTIVE },
+    data: { status: RESERVATION_STATUS.CONVERTED, orderId: Number(orderId) }
+  });
+
+  return count;
+};
+
+/**
+ * Mark reservations past their expiry as expired
+ * @returns {number} Number of reservations expired
+ */
+const releaseExpiredReservations = async () => {
+  const { count } = await prisma.stockReservation.updateMany({
+    where: {
+      status: RESERVATION_STATUS.ACTIVE,
+      expiresAt: { lte: new Date() }
+    },
+    data: { status: RESERVATION_STATUS.EXPIRED, releasedAt: new Date() }
+  });
+
+  if (count > 0) {
+    logger.info(`Released ${count} expired stock reservations`);
+  }
+
+  return count;
+};
+
+/**
+ * Periodically release expired reservations
+ * @returns {Object} Interval handle (pass to clearInterval to stop)
+ */
+const startReservationSweeper = () => {
+  const interval = parseInt(process.env.STOCK_RESERVATION_SWEEP_INTERVAL_MS) || 60000;
+
+  const timer = setInterval(() => {
+    releaseExpiredReservations().catch((err) => {
+      logger.error('Stock reservation sweep failed:', err);
+    });
+  }, interval);
+
+  // Never keep the process alive just for the sweeper
+  timer.unref();
+
+  return timer;
+};
+
+/**
+ * Append a movement to the inventory ledger
+ * Callers that change stock directly use this to record why
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} movement - productId, variantId, locationId, quantity, balanceAfter, locationBalanceAfter, reason, note, orderId, actorId
+ * @returns {Object} Created movement
+ */
+const recordMovement = async (tx, {
+  productId,
+  variantId = null,
+  locationId = null,
+  quantity,
+  balanceAfter,
+  locationBalanceAfter = null,
+  reason,
+  note,
+  orderId = null,
+  actorId = null
+}) => {
+  return await tx.inventoryMovement.create({
+    data: {
+      productId: Number(productId),
+      variantId: variantId ? Number(variantId) : null,
+      locationId: locationId ? Number(locationId) : null,
+      quantity,
+      balanceAfter,
+      locationBalanceAfter,
+      reason,
+      note,
+      orderId: orderId ? Number(orderId) : null,
+      createdById: actorId ? Number(actorId) : null
+    }
+  });
+};
+
+/**
+ * Active stock locations in allocation order
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Array} Locations, lowest priority first
+ */
+const getActiveLocations = async (client) => {
+  return await client.stockLocation.findMany({
+    where: { active: true, ...notDeletedWhere() },
+    orderBy: [{ priority: 'asc' }, { id: 'asc' }]
+  });
+};
+
+/**
+ * The location stock lands in when no location is given
+ * A store without any location gets a "MAIN" warehouse on first use
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} Highest-priority active location
+ */
+const getDefaultLocation = async (client) => {
+  const [location] = await getActiveLocations(client);
+
+  if (location) {
+    return location;
+  }
+
+  const existing = await client.stockLocation.count();
+  if (existing > 0) {
+    throw new AppError('No active stock location', HTTP_STATUS.CONFLICT);
+  }
+
+  return await client.stockLocation.create({
+    data: { code: 'MAIN', name: 'Main warehouse' }
+  });
+};
+
+/**
+ * Find an active stock location or throw 404
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} locationId - Location ID
+ * @returns {Object} Location
+ */
+const findActiveLocation = async (client, locationId) => {
+  const location = await client.stockLocation.findFirst({
+    where: { id: Number(locationId), active: true, ...notDeletedWhere() }
+  });
+
+  if (!location) {
+    throw new AppError(`Stock location ${locationId} not found`, HTTP_STATUS.NOT_FOUND);
+  }
+
+  return location;
+};
+
+/**
+ * Give a variant that predates stock locations a level at the default location
+ * Keeps variant.stock equal to the sum of its levels
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} variantId - Variant ID
+ */
+const ensureStockLevels = async (tx, variantId) => {
+  const levels = await tx.variantStockLevel.count({ where: { variantId: Number(variantId) } });
+  if (levels > 0) {
+    return;
+  }
+
+  const variant = await tx.productVariant.findUnique({ where: { id: Number(variantId) } });
+  if (!variant || variant.stock <= 0) {
+    return;
+  }
+
+  const location = await getDefaultLocation(tx);
+  await tx.variantStockLevel.create({
+    data: { variantId: variant.id, locationId: location.id, quantity: variant.stock }
+  });
+};
+
+/**
+ * Change a variant's stock at one location by a signed quantity and record it in the ledger
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} change - variantId, locationId (defaults to the default location), quantity, reason, note, orderId, actorId
+ * @returns {Object} Updated variant, stock level and the recorded movement
+ */
+const changeVariantStock = async (tx, { variantId, locationId = null, quantity, reason, note, orderId = null, actorId = null }) => {
+  await ensureStockLevels(tx, variantId);
+
+  const location = locationId
+    ? { id: Number(locationId) }
+    : await getDefaultLocation(tx);
+
+  const level = await tx.variantStockLevel.upsert({
+    where: { variantId_locationId: { variantId: Number(variantId), locationId: location.id } },
+    create: { variantId: Number(variantId), locationId: location.id, quantity },
+    update: { quantity: { increment: quantity } }
+  });
+
+  if (level.quantity < 0) {
+    throw new AppError(
+      `Stock at location ${location.id} cannot go below zero (current stock ${level.quantity - quantity})`,
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  const variant = await tx.productVariant.update({
+    where: { id: Number(variantId) },
+    data: { stock: { increment: quantity } }
+  });
+
+  const movement = await recordMovement(tx, {
+    productId: variant.productId,
+    variantId: variant.id,
+    locationId: location.id,
+    quantity,
+    balanceAfter: variant.stock,
+    locationBalanceAfter: level.quantity,
+    reason,
+    note,
+    orderId,
+    actorId
+  });
+
+  return { variant, level, movement };
+};
+
+/**
+ * Decide which locations fulfil an order
+ * Ships everything from the first location that holds all of it; otherwise each
+ * line comes from the first location that can cover it, and lines no single
+ * location can cover are split across locations in priority order
+ * @param {Object} tx - Prisma transaction client (variants must already be locked)
+ * @param {Array} items - Order lines with variantId and quantity
+ * @returns {Array} Per line, the allocations [{ locationId, quantity }]
+ */
+const allocateStock = async (tx, items) => {
+  const variantIds = [...new Set(items.map(item => Number(item.variantId)))];
+
+  for (const variantId of variantIds) {
+    await ensureStockLevels(tx, variantId);
+  }
+
+  const locations = await getActiveLocations(tx);
+  const levels = await tx.variantStockLevel.findMany({
+    where: {
+      variantId: { in: variantIds },
+      locationId: { in: locations.map(location => location.id) }
+    }
+  });
+
+  const remaining = new Map(levels.map(level => [`${level.variantId}:${level.locationId}`, level.quantity]));
+  const onHand = (variantId, locationId) => remaining.get(`${variantId}:${locationId}`) || 0;
+
+  const demand = new Map();
+  for (const item of items) {
+    demand.set(Number(item.variantId), (demand.get(Number(item.variantId)) || 0) + item.quantity);
+  }
+
+  const single = locations.find(location =>
+    [...demand].every(([variantId, quantity]) => onHand(variantId, location.id) >= quantity)
+  );
+
+  if (single) {
+    return items.map(item => [{ locationId: single.id, quantity: item.quantity }]);
+  }
+
+  return items.map((item) => {
+    const variantId = Number(item.variantId);
+    const covering = locations.find(location => onHand(variantId, location.id) >= item.quantity);
+    const candidates = covering ? [covering] : locations;
+    const allocations = [];
+    let needed = item.quantity;
+
+    for (const location of candidates) {
+      const take = Math.min(needed, onHand(variantId, location.id));
+      if (take <= 0) {
+        continue;
+      }
+
+      allocations.push({ locationId: location.id, quantity: take });
+      remaining.set(`${variantId}:${location.id}`, onHand(variantId, location.id) - take);
+      needed -= take;
+
+      if (needed === 0) {
+        break;
+      }
+    }
+
+    if (needed > 0) {
+      throw new AppError(
+        `Not enough stock across active locations for variant ${variantId}`,
+        HTTP_STATUS.CONFLICT
+      );
+    }
+
+    return allocations;
+  });
+};
+
+/**
+ * Put an order line's stock back where it was taken from
+ * Lines placed before stock locations existed go back to the default location
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} orderItem - Order item
+ * @param {Object} context - reason, orderId, actorId, note and optionally quantity (defaults to all that is left)
+ * @returns {number} Quantity restocked
+ */
+const restockOrderItem = async (tx, orderItem, { reason, orderId, actorId = null, note, quantity }) => {
+  const allocations = await tx.orderItemAllocation.findMany({
+    where: { orderItemId: orderItem.id },
+    orderBy: { id: 'asc' }
+  });
+
+  if (allocations.length === 0) {
+    const amount = quantity === undefined ? orderItem.quantity : quantity;
+    if (amount > 0) {
+      await changeVariantStock(tx, { variantId: orderItem.variantId, quantity: amount, reason, note, orderId, actorId });
+    }
+    return amount;
+  }
+
+  let left = quantity === undefined ? Infinity : quantity;
+  let restocked = 0;
+
+  for (const allocation of allocations) {
+    const amount = Math.min(left, allocation.quantity - allocation.restockedQuantity);
+    if (amount <= 0) {
+      continue;
+    }
+
+    await changeVariantStock(tx, {
+      variantId: orderItem.variantId,
+      locationId: allocation.locationId,
+      quantity: amount,
+      reason,
+      note,
+      orderId,
+      actorId
+    });
+
+    await tx.orderItemAllocation.update({
+      where: { id: allocation.id },
+      data: { restockedQuantity: { increment: amount } }
+    });
+
+    left -= amount;
+    restocked += amount;
+  }
+
+  return restocked;
+};
+
+/**
+ * Take more stock for an order line that has not shipped yet
+ * The extra quantity is allocated like a new line and merged into the line's allocations
+ * @param {Object} tx - Prisma transaction client (the variant must already be locked)
+ * @param {Object} orderItem - Order item
+ * @param {number} quantity - Additional quantity
+ * @param {Object} context - reason, orderId, actorId and note
+ */
+const allocateOrderItemStock = async (tx, orderItem, quantity, { reason, orderId, actorId = null, note }) => {
+  const [allocations] = await allocateStock(tx, [{ variantId: orderItem.variantId, quantity }]);
+
+  for (const allocation of allocations) {
+    await changeVariantStock(tx, {
+      variantId: orderItem.variantId,
+      locationId: allocation.locationId,
+      quantity: -allocation.quantity,
+      reason,
+      note,
+      orderId,
+      actorId
+    });
+
+    const existing = await tx.orderItemAllocation.findFirst({
+      where: { orderItemId: orderItem.id, locationId: allocation.locationId }
+    });
+
+    if (existing) {
+      await tx.orderItemAllocation.update({
+        where: { id: existing.id },
+        data: { quantity: { increment: allocation.quantity } }
+      });
+    } else {
+      await tx.orderItemAllocation.create({
+        data: { orderItemId: orderItem.id, ...allocation }
+      });
+    }
+  }
+};
+
+/**
+ * Give back part of an order line's stock before it ships
+ * Unlike restockOrderItem the allocations shrink, so the line simply holds
+ * less; the most recently allocated locations are released first
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} orderItem - Order item
+ * @param {number} quantity - Quantity to give back
+ * @param {Object} context - reason, orderId, actorId and note
+ */
+const releaseOrderItemStock = async (tx, orderItem, quantity, { reason, orderId, actorId = null, note }) => {
+  const allocations = await tx.orderItemAllocation.findMany({
+    where: { orderItemId: orderItem.id },
+    orderBy: { id: 'desc' }
+  });
+
+  if (allocations.length === 0) {
+    await changeVariantStock(tx, { variantId: orderItem.variantId, quantity, reason, note, orderId, actorId });
+    return;
+  }
+
+  let left = quantity;
+
+  for (const allocation of allocations) {
+    const amount = Math.min(left, allocation.quantity - allocation.restockedQuantity);
+    if (amount <= 0) {
+      continue;
+    }
+
+    await changeVariantStock(tx, {
+      variantId: orderItem.variantId,
+      locationId: allocation.locationId,
+      quantity: amount,
+      reason,
+      note,
+      orderId,
+      actorId
+    });
+
+    if (amount === allocation.quantity) {
+      await tx.orderItemAllocation.delete({ where: { id: allocation.id } });
+    } else {
+      await tx.orderItemAllocation.update({
+        where: { id: allocation.id },
+        data: { quantity: { decrement: amount } }
+      });
+    }
+
+    left -= amount;
+    if (left === 0) {
+      break;
+    }
+  }
+};
+
+/**
+ * Post a manual stock adjustment for a variant (Admin only)
+ * @param {Object} adjustment - variantId, locationId (defaults to the default location), quantity (signed), reason, note
+ * @param {number} actorId - Admin posting the adjustment
+ * @returns {Object} Created movement
+ */
+const adjustStock = async ({ variantId, locationId, quantity, reason = INVENTORY_MOVEMENT_REASON.MANUAL_ADJUSTMENT, note }, actorId) => {
+  if (!ADJUSTMENT_REASONS.includes(reason)) {
+    throw new AppError(`Reason must be one of ${ADJUSTMENT_REASONS.join(', ')}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!Number.isInteger(Number(quantity)) || Number(quantity) === 0) {
+    throw new AppError('Quantity must be a non-zero integer', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const movement = await prisma.$transaction(async (tx) => {
+    await lockVariant(tx, variantId);
+
+    const variant = await tx.productVariant.findFirst({
+      where: { id: Number(variantId), ...notDeletedWhere() }
+    });
+
+    if (!variant) {
+      throw new AppError('Product variant not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (variant.stock + Number(quantity) < 0) {
+      throw new AppError(`Stock cannot go below zero (current stock ${variant.stock})`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const location = locationId
+      ? await findActiveLocation(tx, locationId)
+      : await getDefaultLocation(tx);
+
+    const change = await changeVariantStock(tx, {
+      variantId: variant.id,
+      locationId: location.id,
+      quantity: Number(quantity),
+      reason,
+      note,
+      actorId
+    });
+
+    return change.movement;
+  });
+
+  auditLog('STOCK_ADJUSTED', actorId, {
+    variantId: Number(variantId),
+    locationId: movement.locationId,
+    quantity: Number(quantity),
+    reason
+  });
+
+  await checkStockAlerts([Number(variantId)]);
+
+  return movement;
+};
+
+/**
+ * Get a variant's stock at every location (Admin only)
+ * @param {string} variantId - Variant ID
+ * @returns {Object} Variant total and per-location levels
+ */
+const getVariantStockLevels = async (variantId) => {
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: Number(variantId), ...notDeletedWhere() },
+    include: {
+      stockLevels: {
+        include: { location: true },
+        orderBy: [{ location: { priority: 'asc' } }, { locationId: 'asc' }]
+      }
+    }
+  });
+
+  if (!variant) {
+    throw new AppError('Product variant not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return {
+    variantId: variant.id,
+    stock: variant.stock,
+    locations: variant.stockLevels.map(level => ({
+      locationId: level.locationId,
+      code: level.location.code,
+      name: level.location.name,
+      active: level.location.active,
+      quantity: level.quantity
+    }))
+  };
+};
+
+/**
+ * Move stock of a variant from one location to another (Admin only)
+ * @param {string} variantId - Variant ID
+ * @param {Object} transfer - fromLocationId, toLocationId, quantity, note
+ * @param {number} actorId - Admin moving the stock
+ * @returns {Object} Variant stock levels after the transfer
+ */
+const transferStock = async (variantId, { fromLocationId, toLocationId, quantity, note }, actorId) => {
+  const amount = Number(quantity);
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new AppError('Quantity must be a positive integer', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (Number(fromLocationId) === Number(toLocationId)) {
+    throw new AppError('Source and destination locations must differ', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await lockVariant(tx, variantId);
+
+    const variant = await tx.productVariant.findFirst({
+      where: { id: Number(variantId), ...notDeletedWhere() }
+    });
+
+    if (!variant) {
+      throw new AppError('Product variant not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    const from = await findActiveLocation(tx, fromLocationId);
+    const to = await findActiveLocation(tx, toLocationId);
+    const transferNote = note || `Transfer ${from.code} -> ${to.code}`;
+
+    await changeVariantStock(tx, {
+      variantId: variant.id,
+      locationId: from.id,
+      quantity: -amount,
+      reason: INVENTORY_MOVEMENT_REASON.TRANSFER,
+      note: transferNote,
+      actorId
+    });
+
+    await changeVariantStock(tx, {
+      variantId: variant.id,
+      locationId: to.id,
+      quantity: amount,
+      reason: INVENTORY_MOVEMENT_REASON.TRANSFER,
+      note: transferNote,
+      actorId
+    });
+  });
+
+  auditLog('STOCK_TRANSFERRED', actorId, {
+    variantId: Number(variantId),
+    fromLocationId: Number(fromLocationId),
+    toLocationId: Number(toLocationId),
+    quantity: amount
+  });
+
+  return await getVariantStockLevels(variantId);
+};
+
+/**
+ * Get all stock locations (Admin only)
+ * @returns {Array} Locations in allocation order
+ */
+const getLocations = async () => {
+  return await prisma.stockLocation.findMany({
+    where: notDeletedWhere(),
+    orderBy: [{ priority: 'asc' }, { id: 'asc' }]
+  });
+};
+
+/**
+ * Create a stock location (Admin only)
+ * @param {Object} locationData - code, name, address, priority, active
+ * @param {number} actorId - Admin creating the location
+ * @returns {Object} Created location
+ */
+const createLocation = async ({ code, name, address, priority, active }, actorId) => {
+  if (!code || !name) {
+    throw new AppError('Location code and name are required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const existing = await prisma.stockLocation.findUnique({ where: { code } });
+  if (existing) {
+    throw new AppError('Location code already exists', HTTP_STATUS.CONFLICT);
+  }
+
+  const location = await prisma.stockLocation.create({
+    data: {
+      code,
+      name,
+      address,
+      priority: priority !== undefined ? Number(priority) : undefined,
+      active
+    }
+  });
+
+  auditLog('STOCK_LOCATION_CREATED', actorId, { locationId: location.id, code });
+
+  return location;
+};
+
+/**
+ * Update a stock location (Admin only)
+ * @param {string} id - Location ID
+ * @param {Object} locationData - name, address, priority, active
+ * @param {number} actorId - Admin updating the location
+ * @returns {Object} Updated location
+ */
+const updateLocation = async (id, { name, address, priority, active }, actorId) => {
+  const location = await prisma.stockLocation.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() }
+  });
+
+  if (!location) {
+    throw new AppError('Stock location not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const updated = await prisma.stockLocation.update({
+    where: { id: location.id },
+    data: {
+      name,
+      address,
+      priority: priority !== undefined ? Number(priority) : undefined,
+      active
+    }
+  });
+
+  auditLog('STOCK_LOCATION_UPDATED', actorId, { locationId: location.id });
+
+  return updated;
+};
+
+/**
+ * Get the movement history of a variant (Admin only)
+ * @param {string} variantId - Variant ID
+ * @param {Object} query - Query parameters
+ * @returns {Object} Movements with metadata
+ */
+const getVariantMovements = async (variantId, query) => {
+  const {
+    page = 1,
+    limit = 20,
+    reason
+  } = query;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const variant = await prisma.productVariant.findFirst({
+    where: { id: Number(variantId) }
+  });
+
+  if (!variant) {
+    throw new AppError('Product variant not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const where = { variantId: variant.id };
+
+  if (reason) {
+    where.reason = reason;
+  }
+
+  const [movements, total] = await Promise.all([
+    prisma.inventoryMovement.findMany({
+      where,
+      include: {
+        createdBy: {
+          select: { id: true, name: true, email: true }
+        }
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      skip: offset,
+      take: limitNum
+    }),
+    prisma.inventoryMovement.count({ where })
+  ]);
+
+  return {
+    data: movements,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+/**
+ * Stock level at or below which a variant counts as low
+ * @param {Object} variant - Variant, optionally with its product
+ * @returns {number} Variant threshold, else the product's, else LOW_STOCK_THRESHOLD
+ */
+const getLowStockThreshold = (variant) => {
+  if (variant.lowStockThreshold !== null && variant.lowStockThreshold !== undefined) {
+    return variant.lowStockThreshold;
+  }
+
+  if (variant.product && variant.product.lowStockThreshold !== null && variant.product.lowStockThreshold !== undefined) {
+    return variant.product.lowStockThreshold;
+  }
+
+  const fallback = parseInt(process.env.LOW_STOCK_THRESHOLD);
+  return Number.isNaN(fallback) ? 5 : fallback;
+};
+
+/**
+ * Classify a stock level against a threshold
+ * @param {number} stock - On-hand stock
+ * @param {number} threshold - Low-stock threshold
+ * @returns {string} OK, LOW or OUT
+ */
+const getStockAlertState = (stock, threshold) => {
+  if (stock <= 0) {
+    return STOCK_ALERT_STATE.OUT;
+  }
+
+  return stock <= threshold ? STOCK_ALERT_STATE.LOW : STOCK_ALERT_STATE.OK;
+};
+
+/**
+ * Raise low-stock and out-of-stock events for variants that crossed their threshold
+ * Call after the transaction that changed the stock has committed. Restocking
+ * resets the state silently so the next drop alerts again. Never throws, since
+ * the stock change itself has already happened.
+ * @param {Array<number>} variantIds - Variants whose stock changed
+ * @returns {Array} Alerts raised
+ */
+const checkStockAlerts = async (variantIds) => {
+  const alerts = [];
+
+  try {
+    const variants = await prisma.productVariant.findMany({
+      where: { id: { in: [...new Set(variantIds.map(Number))] }, ...notDeletedWhere() },
+      include: {
+        product: {
+          select: { id: true, name: true, lowStockThreshold: true }
+        }
+      }
+    });
+
+    for (const variant of variants) {
+      const threshold = getLowStockThreshold(variant);
+      const state = getStockAlertState(variant.stock, threshold);
+
+      if (state === variant.stockAlertState) {
+        continue;
+      }
+
+      // Only the request that moves the state raises the alert
+      const { count } = await prisma.productVariant.updateMany({
+        where: { id: variant.id, stockAlertState: variant.stockAlertState },
+        data: { stockAlertState: state }
+      });
+
+      if (count === 0 || ALERT_SEVERITY.indexOf(state) <= ALERT_SEVERITY.indexOf(variant.stockAlertState)) {
+        continue;
+      }
+
+      const alert = {
+        variantId: variant.id,
+        productId: variant.productId,
+        productName: variant.product.name,
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        stock: variant.stock,
+        threshold,
+        state
+      };
+
+      logger.warn(`Variant ${variant.id} is ${state === STOCK_ALERT_STATE.OUT ? 'out of stock' : 'low on stock'} (${variant.stock} left, threshold ${threshold})`);
+      publish(state === STOCK_ALERT_STATE.OUT ? EVENTS.STOCK_OUT : EVENTS.STOCK_LOW, alert);
+      alerts.push(alert);
+    }
+  } catch (err) {
+    logger.error('Stock alert check failed:', err);
+  }
+
+  return alerts;
+};
+
+/**
+ * Get variants at or below their low-stock threshold (Admin only)
+ * @param {Object} query - Query parameters (page, limit, outOfStock)
+ * @returns {Object} Variants with metadata, lowest stock first
+ */
+const getLowStockReport = async (query) => {
+  const {
+    page = 1,
+    limit = 20,
+    outOfStock
+  } = query;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+  const outOfStockOnly = outOfStock === true || outOfStock === 'true';
+  const defaultThreshold = getLowStockThreshold({});
+
+  // The threshold falls back across tables, so the filter is done in SQL
+  const [rows, [{ total }]] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT v."id"
+      FROM "public"."ProductVariant" v
+      JOIN "public"."Product" p ON p."id" = v."productId"
+      WHERE v."isDeleted" = false
+        AND p."isDeleted" = false
+        AND v."stock" <= COALESCE(v."lowStockThreshold", p."lowStockThreshold", ${defaultThreshold})
+        AND (${outOfStockOnly} = false OR v."stock" <= 0)
+      ORDER BY v."stock" ASC, v."id" ASC
+      LIMIT ${limitNum} OFFSET ${offset}`,
+    prisma.$queryRaw`
+      SELECT COUNT(*)::int AS "total"
+      FROM "public"."ProductVariant" v
+      JOIN "public"."Product" p ON p."id" = v."productId"
+      WHERE v."isDeleted" = false
+        AND p."isDeleted" = false
+        AND v."stock" <= COALESCE(v."lowStockThreshold", p."lowStockThreshold", ${defaultThreshold})
+        AND (${outOfStockOnly} = false OR v."stock" <= 0)`
+  ]);
+
+  const ids = rows.map(row => row.id);
+  const variants = await prisma.productVariant.findMany({
+    where: { id: { in: ids } },
+    include: {
+      product: {
+        select: { id: true, name: true, sku: true, lowStockThreshold: true }
+      }
+    }
+  });
+
+  const byId = new Map(variants.map(variant => [variant.id, variant]));
+  const ordered = ids.map(id => byId.get(id)).filter(Boolean);
+
+  const data = (await withAvailableStock(ordered)).map((variant) => {
+    const threshold = getLowStockThreshold(variant);
+
+    return {
+      ...variant,
+      threshold,
+      state: getStockAlertState(variant.stock, threshold)
+    };
+  });
+
+  return {
+    data,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+module.exports = {
+  ADJUSTMENT_REASONS,
+  lockVariant,
+  getReservedQuantities,
+  getAvailableStock,
+  withAvailableStock,
+  reserveCart,
+  releaseReservations,
+  syncCartReservation,
+  convertReservations,
+  releaseExpiredReservations,
+  startReservationSweeper,
+  recordMovement,
+  getDefaultLocation,
+  changeVariantStock,
+  allocateStock,
+  restockOrderItem,
+  allocateOrderItemStock,
+  releaseOrderItemStock,
+  adjustStock,
+  getVariantMovements,
+  getVariantStockLevels,
+  transferStock,
+  getLocations,
+  createLocation,
+  updateLocation,
+  getLowStockThreshold,
+  getStockAlertState,
+  checkStockAlerts,
+  getLowStockReport
+};
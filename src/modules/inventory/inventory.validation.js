@@ -0,0 +1,61 @@
+/**
+ * Inventory Validation Schemas
+ * Joi validation schemas for inventory endpoints
+ */
+
+const Joi = require('joi');
+const { INVENTORY_MOVEMENT_REASON } = require('../../utils/constants');
+const { ADJUSTMENT_REASONS } = require('./inventory.service');
+
+const adjustStockSchema = Joi.object({
+  variantId: Joi.number().integer().positive().required(),
+  locationId: Joi.number().integer().positive().optional(),
+  quantity: Joi.number().integer().invalid(0).required(),
+  reason: Joi.string().valid(...ADJUSTMENT_REASONS).default(INVENTORY_MOVEMENT_REASON.MANUAL_ADJUSTMENT),
+  note: Joi.string().max(500).optional()
+});
+
+const variantIdSchema = Joi.object({
+  variantId: Joi.number().integer().positive().required()
+});
+
+const getMovementsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  reason: Joi.string().valid(...Object.values(INVENTORY_MOVEMENT_REASON)).optional()
+});
+
+const createLocationSchema = Joi.object({
+  code: Joi.string().max(50).required(),
+  name: Joi.string().max(255).required(),
+  address: Joi.string().max(500).optional(),
+  priority: Joi.number().integer().default(0),
+  active: Joi.boolean().default(true)
+});
+
+const updateLocationSchema = Joi.object({
+  name: Joi.string().max(255).optional(),
+  address: Joi.string().max(500).allow(null).optional(),
+  priority: Joi.number().integer().optional(),
+  active: Joi.boolean().optional()
+});
+
+const locationIdSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+const getLowStockSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  outOfStock: Joi.boolean().optional()
+});
+
+module.exports = {
+  adjustStockSchema,
+  variantIdSchema,
+  getMovementsSchema,
+  createLocationSchema,
+  updateLocationSchema,
+  locationIdSchema,
+  getLowStockSchema
+};
@@ -0,0 +1,66 @@
+/**
+ * Invoice Controller
+ * Handles HTTP requests for invoices and credit notes
+ */
+
+const invoiceService = require('./invoice.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Send a rendered document as an inline PDF
+ * @param {Object} res - Express response object
+ * @param {Object} document - { filename, content }
+ */
+const sendPdf = (res, { filename, content }) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`
+  });
+  res.send(content);
+};
+
+/**
+ * Download an order's invoice as PDF
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderInvoice = async (req, res) => {
+  try {
+    sendPdf(res, await invoiceService.getOrderInvoicePdf(req.params.id, req.user));
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Download one of an order's credit notes as PDF
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCreditNote = async (req, res) => {
+  try {
+    sendPdf(res, await invoiceService.getCreditNotePdf(req.params.id, req.params.creditNoteId, req.user));
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get all invoices and credit notes (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getInvoices = async (req, res) => {
+  try {
+    const result = await invoiceService.getInvoices(req.query);
+    success(res, result.data, 'Invoices retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  getOrderInvoice,
+  getCreditNote,
+  getInvoices
+};
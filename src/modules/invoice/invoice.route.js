@@ -0,0 +1,98 @@
+/**
+ * Invoice Routes
+ * Defines admin API endpoints for invoices and credit notes
+ * (order documents are served from order.route.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const invoiceController = require('./invoice.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const invoiceValidation = require('./invoice.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         type:
+ *           type: string
+ *           enum: [INVOICE, CREDIT_NOTE]
+ *         number:
+ *           type: string
+ *           description: Sequential per type and year, e.g. INV-2026-000001 or CN-2026-000001
+ *         orderId:
+ *           type: integer
+ *         invoiceId:
+ *           type: integer
+ *           description: Credit notes only - the invoice being credited
+ *         refundId:
+ *           type: integer
+ *           description: Credit notes only - the refund the note was issued for
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         issuedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/invoices:
+ *   get:
+ *     summary: Get all invoices and credit notes (Admin only)
+ *     description: |
+ *       An invoice is issued when an order is paid (or completed, if it never
+ *       went through PAID) and a credit note for every completed refund.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [INVOICE, CREDIT_NOTE]
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoices retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Invoice'
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(invoiceValidation.getInvoicesSchema, 'query'),
+  invoiceController.getInvoices
+);
+
+module.exports = router;
@@ -0,0 +1,441 @@
+/**
+ * Invoice Service
+ * Sequentially numbered invoices for paid orders and credit notes for refunds,
+ * rendered to PDF on request
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const { INVOICE_TYPE, INVOICE_NUMBER_PREFIX, REFUND_METHOD, HTTP_STATUS } = require('../../utils/constants');
+const { roundMoney } = require('../../utils/money');
+const { createPdfWriter, PAGE_WIDTH } = require('../../utils/pdf');
+
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+
+// Longest item description that fits before the quantity column
+const DESCRIPTION_MAX_LENGTH = 45;
+
+// Documents are built from the order's own snapshots, never from the live catalog
+const DOCUMENT_ORDER_INCLUDE = {
+  items: {
+    orderBy: { id: 'asc' }
+  }
+};
+
+/**
+ * Take the next number in a document type's sequence for a year
+ * The upsert runs as one statement so concurrent issues never share a number
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} type - Invoice type
+ * @param {number} year - Calendar year
+ * @returns {number} Sequence number, starting at 1 each year
+ */
+const nextSequence = async (tx, type, year) => {
+  const [row] = await tx.$queryRaw`
+    INSERT INTO "public"."InvoiceSequence" ("type", "year", "lastNumber")
+    VALUES (${type}::"public"."InvoiceType", ${year}, 1)
+    ON CONFLICT ("type", "year")
+    DO UPDATE SET "lastNumber" = "InvoiceSequence"."lastNumber" + 1
+    RETURNING "lastNumber"`;
+
+  return Number(row.lastNumber);
+};
+
+/**
+ * Create a numbered document
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} type - Invoice type
+ * @param {Object} data - orderId, amount, currency and optional invoiceId / refundId
+ * @returns {Object} Created document
+ */
+const createDocument = async (tx, type, data) => {
+  const issuedAt = new Date();
+  const year = issuedAt.getUTCFullYear();
+  const sequence = await nextSequence(tx, type, year);
+
+  return await tx.invoice.create({
+    data: {
+      ...data,
+      type,
+      year,
+      sequence,
+      number: `${INVOICE_NUMBER_PREFIX[type]}-${year}-${String(sequence).padStart(6, '0')}`,
+      issuedAt
+    }
+  });
+};
+
+/**
+ * Issue the invoice for an order unless it already has one
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order
+ * @returns {Object} Invoice
+ */
+const issueInvoice = async (tx, order) => {
+  const existing = await tx.invoice.findFirst({
+    where: { orderId: order.id, type: INVOICE_TYPE.INVOICE }
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  const payment = await tx.payment.findFirst({
+    where: { orderId: order.id },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  return await createDocument(tx, INVOICE_TYPE.INVOICE, {
+    orderId: order.id,
+    amount: roundMoney(order.total),
+    currency: payment ? payment.currency : (process.env.PAYMENT_CURRENCY || 'USD')
+  });
+};
+
+/**
+ * Issue the credit note for a completed refund unless it already has one
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} refund - Refund
+ * @returns {Object} Credit note
+ */
+const issueCreditNote = async (tx, refund) => {
+  const existing = await tx.invoice.findUnique({ where: { refundId: refund.id } });
+
+  if (existing) {
+    return existing;
+  }
+
+  const invoice = await tx.invoice.findFirst({
+    where: { orderId: refund.orderId, type: INVOICE_TYPE.INVOICE }
+  });
+
+  return await createDocument(tx, INVOICE_TYPE.CREDIT_NOTE, {
+    orderId: refund.orderId,
+    invoiceId: invoice ? invoice.id : null,
+    refundId: refund.id,
+    amount: roundMoney(refund.amount),
+    currency: refund.currency
+  });
+};
+
+const formatMoney = (amount) => roundMoney(amount).toFixed(2);
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Describe an order item for a document line
+ * @param {Object} item - Order item
+ * @returns {string} Product name with its variant options
+ */
+const describeItem = (item) => {
+  const options = [item.size, item.color].filter(Boolean).join(' / ');
+  return options ? `${item.productName} (${options})` : item.productName;
+};
+
+/**
+ * Write the header shared by invoices and credit notes
+ * @param {Object} writer - PDF writer
+ * @param {string} title - Document title
+ * @param {Object} document - Invoice or credit note
+ * @param {Object} order - Order
+ * @param {Array} references - Extra [label, value] rows
+ */
+const writeHeader = (writer, title, document, order, references = []) => {
+  writer.line([{ x: MARGIN, text: title }], { size: 20, bold: true, gap: 12 });
+
+  const seller = [
+    process.env.INVOICE_SELLER_NAME,
+    process.env.INVOICE_SELLER_ADDRESS,
+    process.env.INVOICE_SELLER_TAX_ID ? `Tax ID: ${process.env.INVOICE_SELLER_TAX_ID}` : null
+  ].filter(Boolean);
+
+  seller.forEach((text, index) => writer.line([{ x: MARGIN, text }], { bold: index === 0 }));
+  writer.space(12);
+
+  const rows = [
+    ['Number', document.number],
+    ['Issue date', formatDate(document.issuedAt)],
+    ...references,
+    ['Order', `#${order.id} placed ${formatDate(order.createdAt)}`]
+  ];
+  rows.forEach(([label, value]) => writer.line([
+    { x: MARGIN, text: label },
+    { x: MARGIN + 90, text: value }
+  ]));
+  writer.space(12);
+
+  const address = order.shippingAddress;
+  writer.line([{ x: MARGIN, text: 'Bill to' }], { bold: true });
+  [
+    address.name,
+    address.address,
+    [address.city, address.state, address.zipCode].filter(Boolean).join(', '),
+    address.country,
+    order.email,
+    order.phone
+  ].filter(Boolean).forEach(text => writer.line([{ x: MARGIN, text }]));
+  writer.space(16);
+};
+
+/**
+ * Write one row of an amounts table
+ * @param {Object} writer - PDF writer
+ * @param {Array} cells - [description, quantity, unit price, tax, amount]
+ * @param {Object} [style] - Line style
+ */
+const writeTableRow = (writer, [description, quantity, unitPrice, tax, amount], style) => {
+  const text = String(description);
+
+  writer.line([
+    { x: MARGIN, text: text.length > DESCRIPTION_MAX_LENGTH ? `${text.slice(0, DESCRIPTION_MAX_LENGTH - 3)}...` : text },
+    { x: 340, text: quantity, align: 'right' },
+    { x: 415, text: unitPrice, align: 'right' },
+    { x: 465, text: tax, align: 'right' },
+    { x: RIGHT, text: amount, align: 'right' }
+  ], style);
+};
+
+/**
+ * Write a label and amount aligned to the right edge
+ * @param {Object} writer - PDF writer
+ * @param {string} label - Label
+ * @param {string} amount - Formatted amount
+ * @param {Object} [style] - Line style
+ */
+const writeTotal = (writer, label, amount, style) => {
+  writer.line([
+    { x: 340, text: label },
+    { x: RIGHT, text: amount, align: 'right' }
+  ], style);
+};
+
+/**
+ * Render an invoice as PDF
+ * @param {Object} invoice - Invoice
+ * @param {Object} order - Order with items
+ * @returns {Buffer} PDF file
+ */
+const renderInvoice = (invoice, order) => {
+  const writer = createPdfWriter({ margin: MARGIN });
+  writeHeader(writer, 'INVOICE', invoice, order);
+
+  writeTableRow(writer, ['Item', 'Qty', 'Unit price', 'Tax', 'Amount'], { bold: true, gap: 8 });
+
+  let subtotal = 0;
+  for (const item of order.items) {
+    const lineSubtotal = roundMoney(item.price * item.quantity);
+    subtotal = roundMoney(subtotal + lineSubtotal);
+
+    writeTableRow(writer, [
+      describeItem(item),
+      item.quantity,
+      formatMoney(item.price),
+      `${item.taxRate}%`,
+      formatMoney(lineSubtotal)
+    ]);
+  }
+  writer.space(12);
+
+  writeTotal(writer, 'Subtotal', formatMoney(subtotal));
+
+  // Orders list each applied discount; older orders only have the combined amount
+  if (order.promotions && order.promotions.length > 0) {
+    for (const promotion of order.promotions.filter(entry => entry.amount > 0)) {
+      const label = promotion.code ? `Discount (${promotion.code})` : promotion.description || 'Promotion';
+      writeTotal(writer, label, `-${formatMoney(promotion.amount)}`);
+    }
+  } else if (order.discountAmount > 0) {
+    const label = order.discountCode ? `Discount (${order.discountCode})` : 'Discount';
+    writeTotal(writer, label, `-${formatMoney(order.discountAmount)}`);
+  }
+
+  if (order.shipping > 0 || order.shippingMethodName) {
+    const label = order.shippingMethodName ? `Shipping (${order.shippingMethodName})` : 'Shipping';
+    writeTotal(writer, label, formatMoney(order.shipping));
+  }
+
+  for (const tax of order.taxBreakdown || []) {
+    const label = `${order.taxInclusive ? 'Incl. ' : ''}${tax.name} (${tax.rate}%)`;
+    writeTotal(writer, label, formatMoney(tax.amount));
+  }
+
+  writer.space(4);
+  writeTotal(writer, 'Total', `${formatMoney(invoice.amount)} ${invoice.currency}`, { size: 12, bold: true });
+
+  return writer.toBuffer();
+};
+
+/**
+ * Render a credit note as PDF
+ * @param {Object} creditNote - Credit note with its invoice and refund (with items)
+ * @param {Object} order - Order with items
+ * @returns {Buffer} PDF file
+ */
+const renderCreditNote = (creditNote, order) => {
+  const writer = createPdfWriter({ margin: MARGIN });
+  const references = creditNote.invoice ? [['Credits invoice', creditNote.invoice.number]] : [];
+  writeHeader(writer, 'CREDIT NOTE', creditNote, order, references);
+
+  writeTableRow(writer, ['Item', 'Qty', '', '', 'Amount'], { bold: true, gap: 8 });
+
+  const { refund } = creditNote;
+  const itemsById = new Map(order.items.map(item => [item.id, item]));
+
+  if (refund.items.length > 0) {
+    for (const refundItem of refund.items) {
+      const item = itemsById.get(refundItem.orderItemId);
+      writeTableRow(writer, [
+        item ? describeItem(item) : `Order item ${refundItem.orderItemId}`,
+        refundItem.quantity,
+        '',
+        '',
+        formatMoney(refundItem.amount)
+      ]);
+    }
+  } else {
+    writeTableRow(writer, [refund.reason || 'Refund', '', '', '', formatMoney(refund.amount)]);
+  }
+  writer.space(12);
+
+  writeTotal(writer, 'Refunded to', refund.method === REFUND_METHOD.STORE_CREDIT ? 'Store credit' : 'Original payment');
+  writer.space(4);
+  writeTotal(writer, 'Total credited', `${formatMoney(creditNote.amount)} ${creditNote.currency}`, { size: 12, bold: true });
+
+  return writer.toBuffer();
+};
+
+/**
+ * Find an order the user may see documents for, or throw 404
+ * @param {number} orderId - Order ID
+ * @param {Object} user - Requesting user ({ id, role })
+ * @returns {Object} Order with items
+ */
+const findDocumentOrder = async (orderId, user) => {
+  const where = { id: Number(orderId), ...notDeletedWhere() };
+
+  // Non-admin users can only see documents for their own orders
+  if (user.role !== 'ADMIN') {
+    where.userId = user.id;
+  }
+
+  const order = await prisma.order.findFirst({ where, include: DOCUMENT_ORDER_INCLUDE });
+
+  if (!order) {
+    throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return order;
+};
+
+/**
+ * Get an order's invoice as PDF
+ * @param {number} orderId - Order ID
+ * @param {Object} user - Requesting user ({ id, role })
+ * @returns {Object} { filename, content }
+ */
+const getOrderInvoicePdf = async (orderId, user) => {
+  const order = await findDocumentOrder(orderId, user);
+
+  const invoice = await prisma.invoice.findFirst({
+    where: { orderId: order.id, type: INVOICE_TYPE.INVOICE }
+  });
+
+  if (!invoice) {
+    throw new AppError('Order has not been invoiced yet', HTTP_STATUS.CONFLICT);
+  }
+
+  return {
+    filename: `${invoice.number}.pdf`,
+    content: renderInvoice(invoice, order)
+  };
+};
+
+/**
+ * Get one of an order's credit notes as PDF
+ * @param {number} orderId - Order ID
+ * @param {number} creditNoteId - Credit note ID
+ * @param {Object} user - Requesting user ({ id, role })
+ * @returns {Object} { filename, content }
+ */
+const getCreditNotePdf = async (orderId, creditNoteId, user) => {
+  const order = await findDocumentOrder(orderId, user);
+
+  const creditNote = await prisma.invoice.findFirst({
+    where: { id: Number(creditNoteId), orderId: order.id, type: INVOICE_TYPE.CREDIT_NOTE },
+    include: {
+      invoice: { select: { number: true } },
+      refund: { include: { items: true } }
+    }
+  });
+
+  if (!creditNote) {
+    throw new AppError('Credit note not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return {
+    filename: `${creditNote.number}.pdf`,
+    content: renderCreditNote(creditNote, order)
+  };
+};
+
+/**
+ * Get all invoices and credit notes (Admin only)
+ * @param {Object} query - Query parameters (page, limit, type, year, orderId)
+ * @returns {Object} Documents with metadata
+ */
+const getInvoices = async (query) => {
+  const {
+    page = 1,
+    limit = 20,
+    type,
+    year,
+    orderId
+  } = query;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (type) {
+    where.type = type;
+  }
+
+  if (year) {
+    where.year = Number(year);
+  }
+
+  if (orderId) {
+    where.orderId = Number(orderId);
+  }
+
+  const [invoices, total] = await Promise.all([
+    prisma.invoice.findMany({
+      where,
+      orderBy: [{ year: 'desc' }, { type: 'asc' }, { sequence: 'desc' }],
+      skip: offset,
+      take: limitNum
+    }),
+    prisma.invoice.count({ where })
+  ]);
+
+  return {
+    data: invoices,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+module.exports = {
+  issueInvoice,
+  issueCreditNote,
+  getOrderInvoicePdf,
+  getCreditNotePdf,
+  getInvoices
+};
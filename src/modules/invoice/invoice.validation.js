@@ -0,0 +1,25 @@
+/**
+ * Invoice Validation Schemas
+ * Joi validation schemas for invoice and credit note endpoints
+ */
+
+const Joi = require('joi');
+const { INVOICE_TYPE } = require('../../utils/constants');
+
+const getInvoicesSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  type: Joi.string().valid(...Object.values(INVOICE_TYPE)).optional(),
+  year: Joi.number().integer().min(2000).optional(),
+  orderId: Joi.number().integer().positive().optional()
+});
+
+const creditNoteParamsSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  creditNoteId: Joi.number().integer().positive().required()
+});
+
+module.exports = {
+  getInvoicesSchema,
+  creditNoteParamsSchema
+};
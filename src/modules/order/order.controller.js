@@ -20,6 +20,34 @@ const createOrder = async (req, res) => {
   }
 };
 
+/**
+ * Reserve stock for the user's cart before checkout
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const startCheckout = async (req, res) => {
+  try {
+    const checkout = await orderService.startCheckout(req.user);
+    success(res, checkout, 'Stock reserved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Checkout the user's cart into an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const checkoutCart = async (req, res) => {
+  try {
+    const order = await orderService.checkoutCart(req.user, req.body);
+    success(res, order, 'Order created successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
 /**
  * Get user's orders
  * @param {Object} req - Express request object
@@ -72,10 +100,29 @@ const getOrderById = async (req, res) => {
  */
 const updateOrderStatus = async (req, res) => {
   try {
-    const order = await orderService.updateOrderStatus(req.params.id, req.body.status, req.body.note);
+    const order = await orderService.updateOrderStatus(
+      req.params.id,
+      req.body.status,
+      req.body.note,
+      req.user.id
+    );
     success(res, order, 'Order status updated successfully');
   } catch (err) {
-    error(res, err.message, 400);
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Edit an order's items or address before fulfillment (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const editOrder = async (req, res) => {
+  try {
+    const order = await orderService.editOrder(req.params.id, req.body, req.user.id);
+    success(res, order, 'Order updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
   }
 };
 
@@ -89,7 +136,21 @@ const cancelOrder = async (req, res) => {
     const order = await orderService.cancelOrder(req.params.id, req.user.id, req.user.role);
     success(res, order, 'Order cancelled successfully');
   } catch (err) {
-    error(res, err.message, 400);
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Add a previous order's items to the user's cart
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reorderOrder = async (req, res) => {
+  try {
+    const cart = await orderService.reorderOrder(req.params.id, req.user.id);
+    success(res, cart, 'Order items added to cart');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
   }
 };
 
@@ -109,10 +170,14 @@ const deleteOrder = async (req, res) => {
 
 module.exports = {
   createOrder,
+  startCheckout,
+  checkoutCart,
   getUserOrders,
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  editOrder,
   cancelOrder,
+  reorderOrder,
   deleteOrder
 };
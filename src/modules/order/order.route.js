@@ -8,7 +8,11 @@ const router = express.Router();
 const orderController = require('./order.controller');
 const { authenticate, requireRole, requireSelfOrAdmin } = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
+const { idempotency } = require('../../middlewares/idempotency');
 const orderValidation = require('./order.validation');
+const shipmentRoutes = require('../shipment/shipment.route');
+const invoiceController = require('../invoice/invoice.controller');
+const invoiceValidation = require('../invoice/invoice.validation');
 
 /**
  * @swagger
@@ -23,12 +27,80 @@ const orderValidation = require('./order.validation');
  *         userId:
  *           type: integer
  *           description: User ID
- *         totalAmount:
+ *         total:
  *           type: number
  *           description: Total order amount
+ *         refundedAmount:
+ *           type: number
+ *           description: Amount refunded so far
+ *         netAmount:
+ *           type: number
+ *           description: Total minus refundedAmount
+ *         shipping:
+ *           type: number
+ *           description: Shipping charged, included in total
+ *         shippingMethodId:
+ *           type: integer
+ *         shippingMethodName:
+ *           type: string
+ *         shippingAddress:
+ *           type: object
+ *           description: Copy of the delivery address taken when the order was placed; later address edits do not change it
+ *           properties:
+ *             name:
+ *               type: string
+ *             phone:
+ *               type: string
+ *             address:
+ *               type: string
+ *             city:
+ *               type: string
+ *             state:
+ *               type: string
+ *             country:
+ *               type: string
+ *             zipCode:
+ *               type: string
+ *         discountCode:
+ *           type: string
+ *           description: Discount code used, as it was when the order was placed
+ *         discountAmount:
+ *           type: number
+ *           description: Discount from the code and automatic promotions together
+ *         promotions:
+ *           type: array
+ *           description: Discounts applied when the order was placed
+ *           items:
+ *             $ref: '#/components/schemas/AppliedPromotion'
+ *         removedPromotions:
+ *           type: array
+ *           description: Present after an admin edit dropped automatic promotions the order no longer qualifies for
+ *           items:
+ *             $ref: '#/components/schemas/SkippedPromotion'
+ *         removedDiscount:
+ *           type: object
+ *           description: Present after an admin edit dropped a discount the order no longer qualifies for
+ *           properties:
+ *             code:
+ *               type: string
+ *             reason:
+ *               type: string
+ *         tax:
+ *           type: number
+ *           description: Tax on the items; included in total unless taxInclusive
+ *         taxInclusive:
+ *           type: boolean
+ *           description: Whether item prices already included tax when the order was placed
+ *         taxBreakdown:
+ *           $ref: '#/components/schemas/TaxBreakdown'
+ *         invoices:
+ *           type: array
+ *           description: The order's invoice and credit notes (order detail only)
+ *           items:
+ *             $ref: '#/components/schemas/Invoice'
  *         status:
  *           type: string
- *           enum: [PENDING, COMPLETED, CANCELLED]
+ *           enum: [PENDING, PAID, PROCESSING, PARTIALLY_SHIPPED, SHIPPED, DELIVERED, COMPLETED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUNDED]
  *         email:
  *           type: string
  *         phone:
@@ -49,6 +121,22 @@ const orderValidation = require('./order.validation');
  *                 type: integer
  *               price:
  *                 type: number
+ *               productName:
+ *                 type: string
+ *                 description: Product name when the order was placed
+ *               sku:
+ *                 type: string
+ *               size:
+ *                 type: string
+ *               color:
+ *                 type: string
+ *               imageUrl:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *                 description: Percent applied to this line
+ *               taxAmount:
+ *                 type: number
  */
 
 /**
@@ -59,6 +147,8 @@ const orderValidation = require('./order.validation');
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -90,6 +180,9 @@ const orderValidation = require('./order.validation');
  *                 type: string
  *               discountId:
  *                 type: integer
+ *               shippingMethodId:
+ *                 type: integer
+ *                 description: One of the methods offered for the address (see GET /api/cart/shipping-options)
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -100,10 +193,92 @@ const orderValidation = require('./order.validation');
  */
 router.post('/', 
   authenticate, 
+  idempotency,
   validate(orderValidation.createOrderSchema, 'body'), 
   orderController.createOrder
 );
 
+/**
+ * @swagger
+ * /api/orders/checkout/start:
+ *   post:
+ *     summary: Reserve stock for the current user's cart
+ *     description: |
+ *       Holds the stock for every cart item for STOCK_RESERVATION_TTL_MINUTES so
+ *       other shoppers cannot buy it in the meantime. Checking out converts the
+ *       reservation into the order; calling this again renews it. Expired
+ *       reservations are released by a background sweeper.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     responses:
+ *       200:
+ *         description: Stock reserved successfully
+ *       400:
+ *         description: Cart is empty
+ *       409:
+ *         description: Not enough stock available for an item
+ */
+router.post('/checkout/start',
+  authenticate,
+  idempotency,
+  orderController.startCheckout
+);
+
+/**
+ * @swagger
+ * /api/orders/checkout:
+ *   post:
+ *     summary: Checkout the current user's cart
+ *     description: |
+ *       Converts the persisted cart (items, address and applied discount) into an order.
+ *       Prices and stock are re-validated inside the transaction and the cart is emptied
+ *       on success. Pass expectedTotal to reject the order if the total changed.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               addressId:
+ *                 type: integer
+ *                 description: Overrides the cart address
+ *               email:
+ *                 type: string
+ *                 description: Defaults to the account email
+ *               phone:
+ *                 type: string
+ *                 description: Defaults to the address phone
+ *               shippingMethodId:
+ *                 type: integer
+ *                 description: Defaults to the method chosen on the cart
+ *               expectedTotal:
+ *                 type: number
+ *                 description: Total the customer was shown
+ *     responses:
+ *       201:
+ *         description: Order created successfully
+ *       400:
+ *         description: Cart is empty or insufficient stock
+ *       404:
+ *         description: Address not found
+ *       409:
+ *         description: Cart total changed
+ */
+router.post('/checkout',
+  authenticate,
+  idempotency,
+  validate(orderValidation.checkoutSchema, 'body'),
+  orderController.checkoutCart
+);
+
 /**
  * @swagger
  * /api/orders/my:
@@ -127,7 +302,7 @@ router.post('/',
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, COMPLETED, CANCELLED]
+ *           enum: [PENDING, PAID, PROCESSING, PARTIALLY_SHIPPED, SHIPPED, DELIVERED, COMPLETED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUNDED]
  *     responses:
  *       200:
  *         description: Orders retrieved successfully
@@ -161,7 +336,7 @@ router.get('/my',
  *         name: status
  *         schema:
  *           type: string
- *           enum: [PENDING, COMPLETED, CANCELLED]
+ *           enum: [PENDING, PAID, PROCESSING, PARTIALLY_SHIPPED, SHIPPED, DELIVERED, COMPLETED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUNDED]
  *       - in: query
  *         name: userId
  *         schema:
@@ -184,6 +359,7 @@ router.get('/',
  * /api/orders/{id}:
  *   get:
  *     summary: Get order by ID
+ *     description: Includes the order's payments, shipments with tracking links, returns, refunds, invoice and credit notes.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -210,6 +386,15 @@ router.get('/:id',
  * /api/orders/{id}/status:
  *   put:
  *     summary: Update order status (Admin only)
+ *     description: |
+ *       Moves the order along its lifecycle. Allowed transitions:
+ *       PENDING → PAID | CANCELLED; PAID → PROCESSING | CANCELLED;
+ *       PROCESSING → SHIPPED | CANCELLED; SHIPPED → DELIVERED;
+ *       DELIVERED → COMPLETED | RETURN_REQUESTED; COMPLETED → RETURN_REQUESTED;
+ *       RETURN_REQUESTED → RETURNED | COMPLETED; RETURNED → REFUNDED; CANCELLED → REFUNDED.
+ *       Cancelling or returning an order restores its stock. Customer returns
+ *       go through /api/returns, which moves the order through RETURN_REQUESTED
+ *       and RETURNED and restocks item by item.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
@@ -230,7 +415,7 @@ router.get('/:id',
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [PENDING, COMPLETED, CANCELLED]
+ *                 enum: [PENDING, PAID, PROCESSING, PARTIALLY_SHIPPED, SHIPPED, DELIVERED, COMPLETED, CANCELLED, RETURN_REQUESTED, RETURNED, REFUNDED]
  *               note:
  *                 type: string
  *     responses:
@@ -240,6 +425,8 @@ router.get('/:id',
  *         description: Forbidden - Admin access required
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Status transition not allowed
  */
 router.put('/:id/status', 
   authenticate, 
@@ -249,15 +436,106 @@ router.put('/:id/status',
   orderController.updateOrderStatus
 );
 
+/**
+ * @swagger
+ * /api/orders/{id}:
+ *   put:
+ *     summary: Edit an order before fulfillment (Admin only)
+ *     description: |
+ *       Changes the items or shipping address of a PENDING, PAID or PROCESSING
+ *       order that has no shipments. The items list replaces the order's lines:
+ *       variants left out are removed, new variants are added at current prices
+ *       and existing lines keep their original unit price. Stock is adjusted
+ *       with ORDER_EDIT movements, the discount and automatic promotions are
+ *       re-evaluated (and dropped, reported as removedDiscount and
+ *       removedPromotions, when the order no longer qualifies),
+ *       shipping and tax are recalculated and the edit is recorded in the
+ *       order's status history. Once the order has an authorized or captured
+ *       payment, edits that would change its total are refused with 409.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: The order's complete new list of lines, one per variant
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - productId
+ *                     - variantId
+ *                     - quantity
+ *                   properties:
+ *                     productId:
+ *                       type: integer
+ *                     variantId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *               addressId:
+ *                 type: integer
+ *                 description: New shipping address; must belong to the customer
+ *               note:
+ *                 type: string
+ *                 description: Reason for the edit, added to the history entry
+ *     responses:
+ *       200:
+ *         description: Order updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Invalid edit, insufficient stock or shipping method unavailable for the new address
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Order, variant or address not found
+ *       409:
+ *         description: |
+ *           Order has shipped or left the editable statuses, the edit would undo refunded
+ *           items, or it would change the total of a paid order
+ */
+router.put('/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(orderValidation.editOrderSchema, 'body'),
+  validate(orderValidation.getOrderByIdSchema, 'params'),
+  orderController.editOrder
+);
+
 /**
  * @swagger
  * /api/orders/{id}/cancel:
  *   put:
  *     summary: Cancel order
+ *     description: |
+ *       Restores stock and refunds any captured payment to the original payment
+ *       method. A fully refunded order moves on to REFUNDED.
  *     tags: [Orders]
  *     security:
  *       - bearerAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
@@ -266,17 +544,62 @@ router.put('/:id/status',
  *     responses:
  *       200:
  *         description: Order cancelled successfully
- *       400:
- *         description: Cannot cancel order
  *       404:
  *         description: Order not found
+ *       409:
+ *         description: Order can no longer be cancelled
  */
 router.put('/:id/cancel', 
   authenticate, 
+  idempotency,
   validate(orderValidation.getOrderByIdSchema, 'params'),
   orderController.cancelOrder
 );
 
+/**
+ * @swagger
+ * /api/orders/{id}/reorder:
+ *   post:
+ *     summary: Add a previous order's items to the cart ("buy again")
+ *     description: |
+ *       Adds the items of one of the user's orders to their cart at current
+ *       prices. Items whose product or variant has been deleted are skipped and
+ *       items without enough stock are reduced; the response lists both in
+ *       reorderAdjustments.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Order items added to cart
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Cart'
+ *       404:
+ *         description: Order not found
+ */
+router.post('/:id/reorder',
+  authenticate,
+  idempotency,
+  validate(orderValidation.getOrderByIdSchema, 'params'),
+  orderController.reorderOrder
+);
+
 /**
  * @swagger
  * /api/orders/{id}:
@@ -306,4 +629,79 @@ router.delete('/:id',
   orderController.deleteOrder
 );
 
+/**
+ * @swagger
+ * /api/orders/{id}/invoice:
+ *   get:
+ *     summary: Download the order's invoice as PDF
+ *     description: |
+ *       The invoice is numbered when the order is paid and lists the items,
+ *       billing address, discount, shipping and tax lines.
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Invoice PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order has not been invoiced yet
+ */
+router.get('/:id/invoice',
+  authenticate,
+  validate(orderValidation.getOrderByIdSchema, 'params'),
+  invoiceController.getOrderInvoice
+);
+
+/**
+ * @swagger
+ * /api/orders/{id}/credit-notes/{creditNoteId}:
+ *   get:
+ *     summary: Download a credit note issued for one of the order's refunds as PDF
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Credit note PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Order or credit note not found
+ */
+router.get('/:id/credit-notes/:creditNoteId',
+  authenticate,
+  validate(invoiceValidation.creditNoteParamsSchema, 'params'),
+  invoiceController.getCreditNote
+);
+
+// Packages sent for an order (see shipment.route.js)
+router.use('/:id/shipments', shipmentRoutes);
+
 module.exports = router;
@@ -5,6 +5,293 @@
 
 const prisma = require('../../config/prisma');
 const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  INVENTORY_MOVEMENT_REASON,
+  HTTP_STATUS
+} = require('../../utils/constants');
+const {
+  STOCK_RESTORING_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  INVOICED_STATUSES,
+  ADMIN_EDITABLE_STATUSES,
+  assertTransition
+} = require('./order.status');
+const { priceItems } = require('../cart/cart.pricing');
+const { roundMoney } = require('../../utils/money');
+const { logger } = require('../../utils/logger');
+const {
+  getDiscountIneligibility,
+  getAutomaticPromotions,
+  redeemDiscounts,
+  reverseRedemptions,
+  syncRedemptions
+} = require('../discount/discount.service');
+const inventoryService = require('../inventory/inventory.service');
+const { recalculateCart, getCart, addToCart } = require('../cart/cart.service');
+const shippingService = require('../shipping/shipping.service');
+const taxService = require('../tax/tax.service');
+const invoiceService = require('../invoice/invoice.service');
+
+// Payments holding money for an order's total: an edit may not change that total
+const SETTLED_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.AUTHORIZED,
+  PAYMENT_STATUS.CAPTURED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+const ORDER_INCLUDE = {
+  items: {
+    include: {
+      product: true,
+      variant: true
+    }
+  },
+  address: true,
+  user: {
+    select: { id: true, name: true, email: true }
+  },
+  Discount: true
+};
+
+/**
+ * Find a discount that can currently be applied to an order
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} discountId - Discount ID
+ * @returns {Object} Discount
+ */
+const findUsableDiscount = async (client, discountId) => {
+  const discount = await client.discount.findFirst({
+    where: { 
+      id: Number(discountId), 
+      active: true,
+      ...notDeletedWhere() 
+    }
+  });
+
+  if (!discount) {
+    throw new Error('Discount not found or inactive');
+  }
+
+  const reason = getDiscountIneligibility(discount);
+  if (reason) {
+    throw new Error(reason);
+  }
+
+  return discount;
+};
+
+/**
+ * Find the image to remember for an order line
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} variant - Product variant
+ * @returns {string|null} First variant image, else first product image
+ */
+const getOrderItemImageUrl = async (tx, variant) => {
+  const orderBy = [{ position: { sort: 'asc', nulls: 'last' } }, { id: 'asc' }];
+
+  const variantImage = await tx.productVarientImage.findFirst({
+    where: { variantId: variant.id, ...notDeletedWhere() },
+    orderBy
+  });
+
+  if (variantImage) {
+    return variantImage.url;
+  }
+
+  const productImage = await tx.productImage.findFirst({
+    where: { productId: variant.productId, ...notDeletedWhere() },
+    orderBy
+  });
+
+  return productImage ? productImage.url : null;
+};
+
+/**
+ * Copy an address into the shape stored on an order
+ * @param {Object} address - Address
+ * @returns {Object} Address snapshot
+ */
+const snapshotAddress = ({ name, phone, address, city, state, country, zipCode }) => ({
+  name, phone, address, city, state, country, zipCode
+});
+
+/**
+ * Price, take stock for and persist an order inside a transaction
+ * Prices and stock are read inside the transaction so they cannot go stale.
+ * Stock held by other carts' reservations cannot be sold; the ordering
+ * cart's own reservations are converted into the order
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} userId - User ID
+ * @param {Object} orderData - Items, address ID, contact details, optional discount and source cart ID
+ * @returns {Object} Created order
+ */
+const placeOrder = async (tx, userId, { items, addressId, email, phone, discount, shippingMethodId, cartId = null }) => {
+  const pricedItems = [];
+  const requested = new Map();
+
+  // Validate each item and check its stock (the variant rows stay locked until commit)
+  for (const item of items) {
+    const { productId, variantId, quantity } = item;
+
+    // Get product and variant
+    const product = await tx.product.findFirst({
+      where: { id: Number(productId), ...notDeletedWhere() }
+    });
+
+    if (!product) {
+      throw new Error(`Product ${productId} not found`);
+    }
+
+    await inventoryService.lockVariant(tx, variantId);
+
+    const variant = await tx.productVariant.findFirst({
+      where: { 
+        id: Number(variantId), 
+        productId: Number(productId),
+        ...notDeletedWhere() 
+      }
+    });
+
+    if (!variant) {
+      throw new Error(`Product variant ${variantId} not found`);
+    }
+
+    // Only sell stock that is not held by other carts' reservations
+    const available = await inventoryService.getAvailableStock(tx, variant, cartId);
+    const alreadyRequested = requested.get(variant.id) || 0;
+    if (available < alreadyRequested + Number(quantity)) {
+      throw new Error(`Insufficient stock for ${product.name} - ${variant.size || variant.color || 'variant'}`);
+    }
+
+    requested.set(variant.id, alreadyRequested + Number(quantity));
+    pricedItems.push({
+      productId: Number(productId),
+      variantId: Number(variantId),
+      quantity: Number(quantity),
+      product,
+      variant
+    });
+  }
+
+  // Tax is resolved from the rules for the delivery address
+  const address = await tx.address.findUnique({ where: { id: Number(addressId) } });
+  const pricingOptions = {
+    taxRates: await taxService.getTaxRates(tx, address, pricedItems),
+    taxInclusive: taxService.isTaxInclusive(),
+    promotions: await getAutomaticPromotions(tx, Number(userId))
+  };
+
+  // Price through the same pipeline as the cart
+  let pricing = priceItems(pricedItems, { discount, ...pricingOptions });
+  if (pricing.discountError) {
+    throw new Error(pricing.discountError);
+  }
+
+  // Shipping is priced on the discounted amount for the delivery address
+  let shippingQuote = null;
+  if (shippingMethodId) {
+    shippingQuote = await shippingService.quoteShipping(
+      tx, address, shippingMethodId, pricedItems, pricing.subtotal - pricing.discount
+    );
+
+    if (!shippingQuote) {
+      throw new AppError('Shipping method is not available for this address', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    pricing = priceItems(pricedItems, { discount, shipping: shippingQuote.price, ...pricingOptions });
+  }
+
+  // Decide which warehouses each line ships from
+  const allocations = await inventoryService.allocateStock(tx, pricedItems);
+
+  // Lines keep a copy of the catalog details so later product edits leave the order unchanged
+  const orderItems = [];
+  for (const [index, line] of pricing.lines.entries()) {
+    const { product, variant } = pricedItems[index];
+
+    orderItems.push({
+      productId: line.productId,
+      variantId: line.variantId,
+      quantity: line.quantity,
+      price: line.unitPrice,
+      taxRate: line.taxRate,
+      taxAmount: line.taxAmount,
+      productName: product.name,
+      sku: variant.sku || product.sku,
+      size: variant.size,
+      color: variant.color,
+      imageUrl: await getOrderItemImageUrl(tx, variant),
+      allocations: {
+        create: allocations[index]
+      }
+    });
+  }
+
+  // Create order
+  const order = await tx.order.create({
+    data: {
+      userId: Number(userId),
+      total: pricing.total,
+      netAmount: pricing.total,
+      shipping: pricing.shipping,
+      tax: pricing.tax,
+      taxInclusive: pricing.taxInclusive,
+      taxBreakdown: pricing.taxBreakdown,
+      shippingMethodId: shippingQuote ? shippingQuote.id : null,
+      shippingMethodName: shippingQuote ? shippingQuote.name : null,
+      addressId: Number(addressId),
+      shippingAddress: snapshotAddress(address),
+      email,
+      phone,
+      discountId: discount ? discount.id : null,
+      discountCode: discount ? discount.code : null,
+      discountAmount: pricing.discount,
+      promotions: pricing.promotions,
+      status: ORDER_STATUS.PENDING,
+      items: {
+        create: orderItems
+      }
+    },
+    include: ORDER_INCLUDE
+  });
+
+  // Take the stock from the allocated locations and record the sale in the inventory ledger
+  for (const [index, item] of pricedItems.entries()) {
+    for (const allocation of allocations[index]) {
+      await inventoryService.changeVariantStock(tx, {
+        variantId: item.variantId,
+        locationId: allocation.locationId,
+        quantity: -allocation.quantity,
+        reason: INVENTORY_MOVEMENT_REASON.SALE,
+        orderId: order.id,
+        actorId: userId
+      });
+    }
+  }
+
+  if (cartId) {
+    await inventoryService.convertReservations(tx, cartId, order.id);
+  }
+
+  // Every applied discount is redeemed, the code and automatic promotions alike
+  await redeemDiscounts(tx, order, pricing.promotions);
+
+  // Create order status history
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      status: ORDER_STATUS.PENDING,
+      note: 'Order created',
+      changedById: Number(userId)
+    }
+  });
+
+  return order;
+};
 
 /**
  * Create a new order (checkout process)
@@ -13,7 +300,7 @@ const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
  * @returns {Object} Created order
  */
 const createOrder = async (userId, orderData) => {
-  const { items, addressId, email, phone, discountId } = orderData;
+  const { items, addressId, email, phone, discountId, shippingMethodId } = orderData;
 
   if (!items || items.length === 0) {
     throw new Error('Order must contain at least one item');
@@ -32,134 +319,120 @@ const createOrder = async (userId, orderData) => {
     throw new Error('Address not found or does not belong to user');
   }
 
-  // Verify discount if provided
-  let discount = null;
-  if (discountId) {
-    discount = await prisma.discount.findFirst({
-      where: { 
-        id: Number(discountId), 
-        isActive: true,
-        ...notDeletedWhere() 
-      }
-    });
-
-    if (!discount) {
-      throw new Error('Discount not found or inactive');
-    }
+  const order = await prisma.$transaction(async (tx) => {
+    // Verify discount if provided
+    const discount = discountId ? await findUsableDiscount(tx, discountId) : null;
 
-    // Check discount validity
-    const now = new Date();
-    if (discount.validFrom && now < discount.validFrom) {
-      throw new Error('Discount not yet valid');
-    }
-    if (discount.validTo && now > discount.validTo) {
-      throw new Error('Discount has expired');
-    }
-  }
+    return await placeOrder(tx, userId, { items, addressId, email, phone, discount, shippingMethodId });
+  });
 
-  return await prisma.$transaction(async (tx) => {
-    let totalAmount = 0;
-    const orderItems = [];
+  await inventoryService.checkStockAlerts(order.items.map(item => item.variantId));
 
-    // Process each item and calculate total
-    for (const item of items) {
-      const { productId, variantId, quantity } = item;
+  return order;
+};
 
-      // Get product and variant
-      const product = await tx.product.findFirst({
-        where: { id: Number(productId), ...notDeletedWhere() }
-      });
+/**
+ * Convert the user's persisted cart into an order
+ * Items, address and discount come from the cart; prices and stock are
+ * re-validated inside the transaction and the cart is emptied on success
+ * @param {Object} user - Authenticated user
+ * @param {Object} checkoutData - Optional overrides (addressId, email, phone, expectedTotal)
+ * @returns {Object} Created order
+ */
+const checkoutCart = async (user, checkoutData = {}) => {
+  const userId = Number(user.id);
 
-      if (!product) {
-        throw new Error(`Product ${productId} not found`);
+  const order = await prisma.$transaction(async (tx) => {
+    const cart = await tx.cart.findFirst({
+      where: { userId, ...notDeletedWhere() },
+      include: {
+        items: { where: notDeletedWhere() }
       }
+    });
 
-      const variant = await tx.productVariant.findFirst({
-        where: { 
-          id: Number(variantId), 
-          productId: Number(productId),
-          ...notDeletedWhere() 
-        }
-      });
+    if (!cart || cart.items.length === 0) {
+      throw new Error('Cart is empty');
+    }
 
-      if (!variant) {
-        throw new Error(`Product variant ${variantId} not found`);
-      }
+    const addressId = checkoutData.addressId || cart.addressId;
+    const address = addressId && await tx.address.findFirst({
+      where: { id: Number(addressId), userId, ...notDeletedWhere() }
+    });
 
-      // Check stock availability
-      if (variant.stock < quantity) {
-        throw new Error(`Insufficient stock for ${product.name} - ${variant.size || variant.color || 'variant'}`);
-      }
+    if (!address) {
+      throw new AppError('Address not found or does not belong to user', HTTP_STATUS.NOT_FOUND);
+    }
 
-      const itemPrice = variant.discountedPrice || variant.price;
-      const itemTotal = itemPrice * quantity;
-      totalAmount += itemTotal;
+    const discount = cart.discountId ? await findUsableDiscount(tx, cart.discountId) : null;
 
-      orderItems.push({
-        productId: Number(productId),
-        variantId: Number(variantId),
-        quantity: Number(quantity),
-        price: itemPrice
-      });
+    const order = await placeOrder(tx, userId, {
+      items: cart.items,
+      addressId: address.id,
+      email: checkoutData.email || user.email,
+      phone: checkoutData.phone || address.phone,
+      discount,
+      shippingMethodId: checkoutData.shippingMethodId || cart.shippingMethodId,
+      cartId: cart.id
+    });
 
-      // Decrease stock
-      await tx.productVariant.update({
-        where: { id: Number(variantId) },
-        data: { stock: { decrement: quantity } }
-      });
+    // Refuse the order if prices moved since the client last showed the cart
+    if (checkoutData.expectedTotal !== undefined &&
+      Math.abs(order.total - Number(checkoutData.expectedTotal)) >= 0.01) {
+      throw new AppError(
+        `Cart total changed from ${checkoutData.expectedTotal} to ${order.total}, please review your cart`,
+        HTTP_STATUS.CONFLICT
+      );
     }
 
-    // Apply discount if applicable
-    let discountAmount = 0;
-    if (discount) {
-      if (discount.type === 'PERCENTAGE') {
-        discountAmount = (totalAmount * discount.value) / 100;
-      } else if (discount.type === 'FIXED') {
-        discountAmount = Math.min(discount.value, totalAmount);
-      }
-    }
+    // Empty the cart
+    await tx.cartItem.updateMany({
+      where: { cartId: cart.id, ...notDeletedWhere() },
+      data: { isDeleted: true, deletedAt: new Date() }
+    });
 
-    const finalAmount = Math.max(0, totalAmount - discountAmount);
+    await tx.cart.update({
+      where: { id: cart.id },
+      data: { discountId: null, shippingMethodId: null }
+    });
 
-    // Create order
-    const order = await tx.order.create({
-      data: {
-        userId: Number(userId),
-        totalAmount: finalAmount,
-        addressId: Number(addressId),
-        email,
-        phone,
-        discountId: discountId ? Number(discountId) : null,
-        status: 'PENDING',
-        items: {
-          create: orderItems
-        }
-      },
+    // Reset the stored totals so the emptied cart does not keep showing the ordered amounts
+    await recalculateCart(tx, cart.id);
+
+    return order;
+  });
+
+  await inventoryService.checkStockAlerts(order.items.map(item => item.variantId));
+
+  return order;
+};
+
+/**
+ * Start checkout by reserving stock for everything in the user's cart
+ * The reservation holds for STOCK_RESERVATION_TTL_MINUTES and is converted
+ * when the cart is checked out; starting again renews it
+ * @param {Object} user - Authenticated user
+ * @returns {Object} Priced cart, reservations and their expiry
+ */
+const startCheckout = async (user) => {
+  return await prisma.$transaction(async (tx) => {
+    const cart = await tx.cart.findFirst({
+      where: { userId: Number(user.id), ...notDeletedWhere() },
       include: {
-        items: {
-          include: {
-            product: true,
-            variant: true
-          }
-        },
-        address: true,
-        user: {
-          select: { id: true, name: true, email: true }
-        },
-        Discount: true
+        items: { where: notDeletedWhere() }
       }
     });
 
-    // Create order status history
-    await tx.orderStatusHistory.create({
-      data: {
-        orderId: order.id,
-        status: 'PENDING',
-        note: 'Order created'
-      }
-    });
+    if (!cart || cart.items.length === 0) {
+      throw new Error('Cart is empty');
+    }
 
-    return order;
+    const reservations = await inventoryService.reserveCart(tx, cart);
+
+    return {
+      cart: await recalculateCart(tx, cart.id),
+      reservations,
+      expiresAt: reservations[0].expiresAt
+    };
   });
 };
 
@@ -320,7 +593,172 @@ const getOrderById = async (id, user) => {
         select: { id: true, name: true, email: true }
       },
       Discount: true,
+      payments: {
+        where: notDeletedWhere(),
+        orderBy: { createdAt: 'desc' }
+      },
+      returnRequests: {
+        where: notDeletedWhere(),
+        include: { items: true },
+        orderBy: { createdAt: 'desc' }
+      },
+      refunds: {
+        include: { items: true },
+        orderBy: { createdAt: 'desc' }
+      },
+      shipments: {
+        where: notDeletedWhere(),
+        include: { items: true },
+        orderBy: { shippedAt: 'asc' }
+      },
+      invoices: {
+        orderBy: { id: 'asc' }
+      },
       OrderStatusHistory: {
+        orderBy: { createdAt: 'desc' },
+        include: {
+          changedBy: {
+            select: { id: true, name: true, email: true }
+          }
+        }
+      }
+    }
+  });
+};
+
+/**
+ * Lock an order row until the surrounding transaction ends
+ * Serializes status changes against the same order
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ */
+const lockOrder = async (tx, orderId) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Order" WHERE "id" = ${Number(orderId)} FOR UPDATE`;
+};
+
+/**
+ * Apply a status transition inside a transaction
+ * Validates the transition, runs its side effects and records history
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with items
+ * @param {string} status - New status
+ * @param {Object} options - Transition options
+ * @param {number} [options.actorId] - User who made the change (null for system)
+ * @param {string} [options.note] - Optional note
+ * @param {boolean} [options.restock] - Whether cancelling or returning puts the items back into stock
+ *   (false when the returns workflow restocks item by item)
+ * @returns {Object} Updated order
+ */
+const changeOrderStatus = async (tx, order, status, { actorId = null, note, restock = true } = {}) => {
+  // The order may have moved on since the caller read it; its side effects must only run once
+  await lockOrder(tx, order.id);
+  const current = await tx.order.findUnique({ where: { id: order.id }, select: { status: true } });
+
+  if (current.status !== order.status) {
+    throw new AppError(`Order is already ${current.status}`, HTTP_STATUS.CONFLICT);
+  }
+
+  assertTransition(order.status, status);
+
+  // An order only counts as paid once the gateway has captured the money
+  if (status === ORDER_STATUS.PAID) {
+    const capturedPayment = await tx.payment.findFirst({
+      where: { orderId: order.id, status: PAYMENT_STATUS.CAPTURED, ...notDeletedWhere() }
+    });
+
+    if (!capturedPayment) {
+      throw new AppError('Order has no captured payment', HTTP_STATUS.CONFLICT);
+    }
+  }
+
+  // Put ordered quantities back at the locations they were taken from
+  if (restock && STOCK_RESTORING_STATUSES.includes(status)) {
+    const reason = status === ORDER_STATUS.RETURNED
+      ? INVENTORY_MOVEMENT_REASON.RETURN
+      : INVENTORY_MOVEMENT_REASON.CANCELLATION_RESTOCK;
+
+    for (const item of order.items) {
+      await inventoryService.restockOrderItem(tx, item, {
+        reason,
+        orderId: order.id,
+        actorId
+      });
+    }
+  }
+
+  // A cancelled order gives its discount uses back
+  if (status === ORDER_STATUS.CANCELLED) {
+    await reverseRedemptions(tx, order.id);
+  }
+
+  const updatedOrder = await tx.order.update({
+    where: { id: order.id },
+    data: { status },
+    include: ORDER_INCLUDE
+  });
+
+  await tx.orderStatusHistory.create({
+    data: {
+      orderId: order.id,
+      fromStatus: order.status,
+      status,
+      note: note || `Status changed from ${order.status} to ${status}`,
+      changedById: actorId ? Number(actorId) : null
+    }
+  });
+
+  // Paid orders are invoiced; completing an order invoices it if that never happened
+  if (INVOICED_STATUSES.includes(status)) {
+    await invoiceService.issueInvoice(tx, updatedOrder);
+  }
+
+  return updatedOrder;
+};
+
+/**
+ * Settle the money of an order that was just cancelled
+ * Open authorizations are voided and captured money goes back to the payments
+ * it came from. Failures are logged rather than thrown so the cancellation
+ * stands; an admin can settle the order by hand
+ * @param {Object} order - Cancelled order
+ * @param {number} actorId - User who cancelled the order
+ * @returns {Object} Order reloaded with its payments and refunds when money moved, otherwise the order
+ */
+const settleCancelledOrder = async (order, actorId) => {
+  // Required here because both services depend on this one
+  const paymentService = require('../payment/payment.service');
+  const refundService = require('../refund/refund.service');
+
+  const authorizedPayments = await prisma.payment.findMany({
+    where: { orderId: order.id, status: PAYMENT_STATUS.AUTHORIZED, ...notDeletedWhere() }
+  });
+
+  let settled = false;
+  for (const payment of authorizedPayments) {
+    try {
+      await paymentService.voidPayment(payment.id, actorId);
+      settled = true;
+    } catch (err) {
+      logger.error(`Voiding payment ${payment.id} of cancelled order ${order.id} failed: ${err.message}`);
+    }
+  }
+
+  const refunds = await refundService.refundCancelledOrder(order.id, actorId);
+
+  if (!settled && refunds.length === 0) {
+    return order;
+  }
+
+  return await prisma.order.findUnique({
+    where: { id: order.id },
+    include: {
+      ...ORDER_INCLUDE,
+      payments: {
+        where: notDeletedWhere(),
+        orderBy: { createdAt: 'desc' }
+      },
+      refunds: {
+        include: { items: true },
         orderBy: { createdAt: 'desc' }
       }
     }
@@ -332,47 +770,364 @@ const getOrderById = async (id, user) => {
  * @param {string} id - Order ID
  * @param {string} status - New status
  * @param {string} note - Optional note
+ * @param {number} actorId - Admin user ID
  * @returns {Object} Updated order
  */
-const updateOrderStatus = async (id, status, note) => {
-  const order = await prisma.order.findFirst({
-    where: { id: Number(id), ...notDeletedWhere() }
+const updateOrderStatus = async (id, status, note, actorId) => {
+  const updatedOrder = await prisma.$transaction(async (tx) => {
+    await lockOrder(tx, id);
+
+    const order = await tx.order.findFirst({
+      where: { id: Number(id), ...notDeletedWhere() },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    return await changeOrderStatus(tx, order, status, { actorId, note });
   });
 
-  if (!order) {
-    throw new Error('Order not found');
+  await inventoryService.checkStockAlerts(updatedOrder.items.map(item => item.variantId));
+
+  if (status === ORDER_STATUS.CANCELLED) {
+    return await settleCancelledOrder(updatedOrder, actorId);
   }
 
-  return await prisma.$transaction(async (tx) => {
-    // Update order status
-    const updatedOrder = await tx.order.update({
-      where: { id: Number(id) },
-      data: { status },
+  return updatedOrder;
+};
+
+/**
+ * Describe an order line for history notes
+ * @param {Object} item - Order item with its catalog snapshot
+ * @returns {string} Product name with size or color
+ */
+const describeOrderItem = (item) => {
+  const detail = [item.size, item.color].filter(Boolean).join(' / ');
+  return detail ? `${item.productName} (${detail})` : item.productName;
+};
+
+/**
+ * Edit an order before fulfillment (Admin only)
+ * The given items replace the order's lines: variants no longer listed are
+ * removed, new variants are added at current prices and existing lines keep
+ * their original unit price with the new quantity. Stock follows every change,
+ * the discount and promotions are re-evaluated against the new lines, shipping and tax are
+ * recalculated for the (possibly new) address and the edit is described in
+ * the order's history
+ * @param {string} id - Order ID
+ * @param {Object} changes - items [{ productId, variantId, quantity }], addressId and note (each optional)
+ * @param {number} actorId - Admin user ID
+ * @returns {Object} Updated order, with removedDiscount and removedPromotions for what no longer applies
+ */
+const editOrder = async (id, { items, addressId, note } = {}, actorId) => {
+  if (!items && !addressId) {
+    throw new AppError('Provide items or addressId to edit the order', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new AppError('An order needs at least one item', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (items.some(item => !Number.isInteger(Number(item.quantity)) || Number(item.quantity) < 1)) {
+      throw new AppError('Item quantities must be positive integers', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (new Set(items.map(item => Number(item.variantId))).size !== items.length) {
+      throw new AppError('Each variant can only be listed once', HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  const context = { reason: INVENTORY_MOVEMENT_REASON.ORDER_EDIT, orderId: Number(id), actorId };
+  const variantIds = new Set();
+
+  const result = await prisma.$transaction(async (tx) => {
+    // Locked so a payment cannot be taken for the old total while the order changes
+    await lockOrder(tx, id);
+
+    const order = await tx.order.findFirst({
+      where: { id: Number(id), ...notDeletedWhere() },
       include: {
         items: {
-          include: {
-            product: true,
-            variant: true
-          }
-        },
-        address: true,
-        user: {
-          select: { id: true, name: true, email: true }
+          include: { product: true, variant: true, refundItems: true },
+          orderBy: { id: 'asc' }
+        }
+      }
+    });
+
+    if (!order) {
+      throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (!ADMIN_EDITABLE_STATUSES.includes(order.status)) {
+      throw new AppError(`Order can no longer be edited once it is ${order.status}`, HTTP_STATUS.CONFLICT);
+    }
+
+    const shipments = await tx.shipment.count({
+      where: { orderId: order.id, ...notDeletedWhere() }
+    });
+
+    if (shipments > 0) {
+      throw new AppError('Order cannot be edited once shipments have been created', HTTP_STATUS.CONFLICT);
+    }
+
+    let address = order.shippingAddress || await tx.address.findUnique({ where: { id: order.addressId } });
+
+    if (addressId) {
+      address = await tx.address.findFirst({
+        where: { id: Number(addressId), userId: order.userId, ...notDeletedWhere() }
+      });
+
+      if (!address) {
+        throw new AppError('Address not found or does not belong to the customer', HTTP_STATUS.NOT_FOUND);
+      }
+    }
+
+    const existingItems = new Map(order.items.map(item => [item.variantId, item]));
+    const requestedItems = items || order.items;
+    const changes = [];
+
+    // Lock every variant touched by the edit, in a fixed order to avoid deadlocks
+    for (const item of [...order.items, ...requestedItems]) {
+      variantIds.add(Number(item.variantId));
+    }
+    for (const variantId of [...variantIds].sort((a, b) => a - b)) {
+      await inventoryService.lockVariant(tx, variantId);
+    }
+
+    const pricedItems = [];
+
+    for (const item of requestedItems) {
+      const quantity = Number(item.quantity);
+      const existing = existingItems.get(Number(item.variantId));
+
+      if (existing) {
+        // Re-read under the lock: the variant loaded with the order predates it
+        const lockedVariant = await tx.productVariant.findUnique({ where: { id: existing.variantId } });
+
+        // Existing lines keep the unit price the customer ordered at
+        const variant = { ...lockedVariant, price: existing.price, discountedPrice: null };
+        const added = quantity - existing.quantity;
+
+        if (added > 0 && await inventoryService.getAvailableStock(tx, lockedVariant) < added) {
+          throw new AppError(`Insufficient stock for ${describeOrderItem(existing)}`, HTTP_STATUS.BAD_REQUEST);
+        }
+
+        pricedItems.push({ ...existing, quantity, variant, existing });
+        continue;
+      }
+
+      const product = await tx.product.findFirst({
+        where: { id: Number(item.productId), ...notDeletedWhere() }
+      });
+
+      const variant = product && await tx.productVariant.findFirst({
+        where: { id: Number(item.variantId), productId: product.id, ...notDeletedWhere() }
+      });
+
+      if (!variant) {
+        throw new AppError(`Product variant ${item.variantId} not found`, HTTP_STATUS.NOT_FOUND);
+      }
+
+      if (await inventoryService.getAvailableStock(tx, variant) < quantity) {
+        throw new AppError(`Insufficient stock for ${product.name} - ${variant.size || variant.color || 'variant'}`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      pricedItems.push({ productId: product.id, variantId: variant.id, quantity, product, variant });
+    }
+
+    const removedItems = order.items.filter(item =>
+      !pricedItems.some(priced => priced.variantId === item.variantId)
+    );
+
+    // Refunded quantities have to stay on the order
+    for (const item of order.items) {
+      const priced = pricedItems.find(line => line.variantId === item.variantId);
+      const refunded = item.refundItems.reduce((sum, refundItem) => sum + refundItem.quantity, 0);
+
+      if (refunded > (priced ? priced.quantity : 0)) {
+        throw new AppError(`${describeOrderItem(item)} cannot go below its refunded quantity of ${refunded}`, HTTP_STATUS.CONFLICT);
+      }
+    }
+
+    // Re-evaluate the discount and the order's automatic promotions against the new
+    // lines, dropping any that no longer apply (promotions are never newly added)
+    let discount = order.discountId
+      ? await tx.discount.findUnique({ where: { id: order.discountId } })
+      : null;
+    let removedDiscount = null;
+
+    const promotionIds = (order.promotions || [])
+      .filter(promotion => promotion.automatic)
+      .map(promotion => promotion.discountId);
+
+    const pricingOptions = {
+      taxRates: await taxService.getTaxRates(tx, address, pricedItems),
+      taxInclusive: order.taxInclusive,
+      promotions: promotionIds.length > 0
+        ? await tx.discount.findMany({ where: { id: { in: promotionIds } } })
+        : []
+    };
+
+    let pricing = priceItems(pricedItems, { discount, ...pricingOptions });
+    if (pricing.discountError) {
+      removedDiscount = { code: order.discountCode, reason: pricing.discountError };
+      discount = null;
+      pricing = priceItems(pricedItems, pricingOptions);
+    }
+
+    let shipping = order.shipping;
+    if (order.shippingMethodId) {
+      const shippingQuote = await shippingService.quoteShipping(
+        tx, address, order.shippingMethodId, pricedItems, pricing.subtotal - pricing.discount
+      );
+
+      if (!shippingQuote) {
+        throw new AppError('Shipping method is not available for this address', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      shipping = shippingQuote.price;
+    }
+
+    pricing = priceItems(pricedItems, { discount, shipping, ...pricingOptions });
+
+    const removedPromotions = pricing.skippedPromotions;
+
+    if (pricing.total < order.refundedAmount) {
+      throw new AppError('Order total cannot drop below the amount already refunded', HTTP_STATUS.CONFLICT);
+    }
+
+    // Money taken for the old total is not charged or refunded by an edit, so the total has to stay
+    if (roundMoney(pricing.total) !== roundMoney(order.total)) {
+      const payment = await tx.payment.findFirst({
+        where: { orderId: order.id, status: { in: SETTLED_PAYMENT_STATUSES }, ...notDeletedWhere() }
+      });
+
+      if (payment) {
+        throw new AppError(
+          `Order has a ${payment.status} payment; edits that would change its total ` +
+            `from ${order.total.toFixed(2)} to ${pricing.total.toFixed(2)} are not allowed`,
+          HTTP_STATUS.CONFLICT
+        );
+      }
+    }
+
+    // Move stock and rewrite the lines
+    for (const item of removedItems) {
+      await inventoryService.releaseOrderItemStock(tx, item, item.quantity, context);
+      await tx.orderItem.delete({ where: { id: item.id } });
+      changes.push(`removed ${describeOrderItem(item)} x${item.quantity}`);
+    }
+
+    for (const [index, line] of pricing.lines.entries()) {
+      const { existing, product, variant } = pricedItems[index];
+
+      if (existing) {
+        if (line.quantity > existing.quantity) {
+          await inventoryService.allocateOrderItemStock(tx, existing, line.quantity - existing.quantity, context);
+        } else if (line.quantity < existing.quantity) {
+          await inventoryService.releaseOrderItemStock(tx, existing, existing.quantity - line.quantity, context);
+        }
+
+        if (line.quantity !== existing.quantity) {
+          changes.push(`changed ${describeOrderItem(existing)} quantity from ${existing.quantity} to ${line.quantity}`);
         }
+
+        await tx.orderItem.update({
+          where: { id: existing.id },
+          data: { quantity: line.quantity, taxRate: line.taxRate, taxAmount: line.taxAmount }
+        });
+        continue;
       }
+
+      const created = await tx.orderItem.create({
+        data: {
+          orderId: order.id,
+          productId: line.productId,
+          variantId: line.variantId,
+          quantity: line.quantity,
+          price: line.unitPrice,
+          taxRate: line.taxRate,
+          taxAmount: line.taxAmount,
+          productName: product.name,
+          sku: variant.sku || product.sku,
+          size: variant.size,
+          color: variant.color,
+          imageUrl: await getOrderItemImageUrl(tx, variant)
+        }
+      });
+
+      await inventoryService.allocateOrderItemStock(tx, created, line.quantity, context);
+      changes.push(`added ${describeOrderItem(created)} x${line.quantity}`);
+    }
+
+    const shippingAddress = addressId ? snapshotAddress(address) : null;
+    const addressChanged = shippingAddress && Object.entries(shippingAddress).some(([field, value]) =>
+      !order.shippingAddress || order.shippingAddress[field] !== value
+    );
+
+    if (addressChanged) {
+      changes.push(`shipping address changed to ${address.address}, ${address.city}`);
+    }
+
+    if (removedDiscount) {
+      changes.push(`discount ${removedDiscount.code} removed: ${removedDiscount.reason}`);
+    }
+
+    for (const promotion of removedPromotions) {
+      changes.push(`promotion ${promotion.description} removed: ${promotion.reason}`);
+    }
+
+    // Dropped discounts give their use back; the rest record their new amounts
+    await syncRedemptions(tx, order.id, pricing.promotions);
+
+    if (changes.length === 0) {
+      throw new AppError('The edit does not change the order', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (roundMoney(pricing.total) !== roundMoney(order.total)) {
+      changes.push(`total changed from ${order.total.toFixed(2)} to ${pricing.total.toFixed(2)}`);
+    }
+
+    const updatedOrder = await tx.order.update({
+      where: { id: order.id },
+      data: {
+        total: pricing.total,
+        netAmount: roundMoney(pricing.total - order.refundedAmount),
+        shipping: pricing.shipping,
+        tax: pricing.tax,
+        taxBreakdown: pricing.taxBreakdown,
+        discountId: discount ? discount.id : null,
+        discountCode: discount ? order.discountCode : null,
+        discountAmount: pricing.discount,
+        promotions: pricing.promotions,
+        ...(shippingAddress ? { addressId: address.id, shippingAddress } : {})
+      },
+      include: ORDER_INCLUDE
     });
 
-    // Create status history entry
     await tx.orderStatusHistory.create({
       data: {
-        orderId: Number(id),
-        status,
-        note: note || `Status changed to ${status}`
+        orderId: order.id,
+        fromStatus: order.status,
+        status: order.status,
+        note: `Order edited: ${changes.join('; ')}${note ? ` (${note})` : ''}`,
+        changedById: actorId ? Number(actorId) : null
       }
     });
 
-    return updatedOrder;
+    return {
+      ...updatedOrder,
+      ...(removedDiscount ? { removedDiscount } : {}),
+      ...(removedPromotions.length > 0 ? { removedPromotions } : {})
+    };
   });
+
+  await inventoryService.checkStockAlerts([...variantIds]);
+
+  return result;
 };
 
 /**
@@ -393,61 +1148,116 @@ const cancelOrder = async (id, userId, userRole) => {
     where.userId = userId;
   }
 
+  const cancelledOrder = await prisma.$transaction(async (tx) => {
+    // Read under the lock so concurrent cancels see each other's result
+    await lockOrder(tx, id);
+
+    const order = await tx.order.findFirst({
+      where,
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    // Customers can only cancel before the order is being processed
+    if (userRole !== 'ADMIN' && !CUSTOMER_CANCELLABLE_STATUSES.includes(order.status)) {
+      throw new AppError(`Order cannot be cancelled once it is ${order.status}`, HTTP_STATUS.CONFLICT);
+    }
+
+    return await changeOrderStatus(tx, order, ORDER_STATUS.CANCELLED, {
+      actorId: userId,
+      note: 'Order cancelled'
+    });
+  });
+
+  // Restocking clears any low-stock state so the next drop alerts again
+  await inventoryService.checkStockAlerts(cancelledOrder.items.map(item => item.variantId));
+
+  return await settleCancelledOrder(cancelledOrder, userId);
+};
+
+/**
+ * Add a previous order's items to the customer's cart ("buy again")
+ * Items go in at current prices. Items whose product or variant has been
+ * deleted are skipped and items limited by stock are reduced; both are
+ * reported in reorderAdjustments
+ * @param {string} id - Order ID
+ * @param {number} userId - User ID
+ * @returns {Object} Cart with reorderAdjustments
+ */
+const reorderOrder = async (id, userId) => {
   const order = await prisma.order.findFirst({
-    where,
-    include: { items: true }
+    where: { id: Number(id), userId, ...notDeletedWhere() },
+    include: {
+      items: {
+        where: notDeletedWhere(),
+        include: { product: true, variant: true },
+        orderBy: { id: 'asc' }
+      }
+    }
   });
 
   if (!order) {
-    throw new Error('Order not found');
+    throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
   }
 
-  if (order.status === 'COMPLETED') {
-    throw new Error('Cannot cancel completed order');
+  // The same variant may appear on several lines
+  const requests = new Map();
+  for (const item of order.items) {
+    const request = requests.get(item.variantId);
+    if (request) {
+      request.requested += item.quantity;
+    } else {
+      requests.set(item.variantId, { item, requested: item.quantity });
+    }
   }
 
-  if (order.status === 'CANCELLED') {
-    throw new Error('Order is already cancelled');
-  }
+  let cart = await getCart({ userId });
+  const reorderAdjustments = [];
 
-  return await prisma.$transaction(async (tx) => {
-    // Restore stock for all items
-    for (const item of order.items) {
-      await tx.productVariant.update({
-        where: { id: item.variantId },
-        data: { stock: { increment: item.quantity } }
-      });
+  for (const { item, requested } of requests.values()) {
+    const adjustment = {
+      productId: item.productId,
+      variantId: item.variantId,
+      productName: item.productName || item.product.name,
+      requested
+    };
+
+    if (item.product.isDeleted || item.variant.isDeleted) {
+      reorderAdjustments.push({ ...adjustment, quantity: 0, reason: 'Product is no longer available' });
+      continue;
     }
 
-    // Update order status
-    const updatedOrder = await tx.order.update({
-      where: { id: Number(id) },
-      data: { status: 'CANCELLED' },
-      include: {
-        items: {
-          include: {
-            product: true,
-            variant: true
-          }
-        },
-        address: true,
-        user: {
-          select: { id: true, name: true, email: true }
-        }
-      }
-    });
+    // Stock already in the cart counts against what can be added
+    const inCart = cart.items.find(cartItem => cartItem.variantId === item.variantId);
+    const available = await inventoryService.getAvailableStock(prisma, item.variant, cart.id)
+      - (inCart ? inCart.quantity : 0);
+    const quantity = Math.max(0, Math.min(requested, available));
 
-    // Create status history entry
-    await tx.orderStatusHistory.create({
-      data: {
-        orderId: Number(id),
-        status: 'CANCELLED',
-        note: 'Order cancelled'
-      }
-    });
+    if (quantity === 0) {
+      reorderAdjustments.push({ ...adjustment, quantity: 0, reason: 'Out of stock' });
+      continue;
+    }
 
-    return updatedOrder;
-  });
+    try {
+      cart = await addToCart({ userId }, {
+        productId: item.productId,
+        variantId: item.variantId,
+        quantity
+      });
+    } catch (err) {
+      reorderAdjustments.push({ ...adjustment, quantity: 0, reason: err.message });
+      continue;
+    }
+
+    if (quantity < requested) {
+      reorderAdjustments.push({ ...adjustment, quantity, reason: 'Insufficient stock available' });
+    }
+  }
+
+  return { ...cart, reorderAdjustments };
 };
 
 /**
@@ -468,10 +1278,15 @@ const deleteOrder = async (id) => {
 
 module.exports = {
   createOrder,
+  startCheckout,
+  checkoutCart,
   getUserOrders,
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  changeOrderStatus,
+  editOrder,
   cancelOrder,
+  reorderOrder,
   deleteOrder
 };
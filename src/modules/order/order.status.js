@@ -0,0 +1,94 @@
+/**
+ * Order Status State Machine
+ * Defines the order lifecycle and which status transitions are allowed
+ */
+
+const { AppError } = require('../../middlewares/errorHandler');
+const { ORDER_STATUS, HTTP_STATUS } = require('../../utils/constants');
+
+const {
+  PENDING,
+  PAID,
+  PROCESSING,
+  PARTIALLY_SHIPPED,
+  SHIPPED,
+  DELIVERED,
+  COMPLETED,
+  CANCELLED,
+  RETURN_REQUESTED,
+  RETURNED,
+  REFUNDED
+} = ORDER_STATUS;
+
+/**
+ * Allowed transitions keyed by current status.
+ * A status missing from a list can never be reached from that status.
+ */
+const ORDER_TRANSITIONS = {
+  [PENDING]: [PAID, CANCELLED],
+  [PAID]: [PROCESSING, CANCELLED],
+  [PROCESSING]: [PARTIALLY_SHIPPED, SHIPPED, CANCELLED],
+  [PARTIALLY_SHIPPED]: [SHIPPED],
+  [SHIPPED]: [DELIVERED],
+  [DELIVERED]: [COMPLETED, RETURN_REQUESTED],
+  [COMPLETED]: [RETURN_REQUESTED],
+  [RETURN_REQUESTED]: [RETURNED, COMPLETED],
+  [RETURNED]: [REFUNDED],
+  [CANCELLED]: [REFUNDED],
+  [REFUNDED]: []
+};
+
+// Entering one of these statuses puts the ordered quantities back into stock
+const STOCK_RESTORING_STATUSES = [CANCELLED, RETURNED];
+
+// Statuses from which a customer may still cancel their own order
+const CUSTOMER_CANCELLABLE_STATUSES = [PENDING, PAID];
+
+// Entering one of these statuses issues the order's invoice if it has none yet
+const INVOICED_STATUSES = [PAID, COMPLETED];
+
+// Statuses in which an admin may still change an order's items and address
+const ADMIN_EDITABLE_STATUSES = [PENDING, PAID, PROCESSING];
+
+/**
+ * Get the statuses an order can move to next
+ * @param {string} status - Current order status
+ * @returns {Array} Allowed next statuses
+ */
+const getAllowedTransitions = (status) => ORDER_TRANSITIONS[status] || [];
+
+/**
+ * Check whether a status transition is allowed
+ * @param {string} from - Current order status
+ * @param {string} to - Requested order status
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (from, to) => getAllowedTransitions(from).includes(to);
+
+/**
+ * Throw a 409 error if a status transition is not allowed
+ * @param {string} from - Current order status
+ * @param {string} to - Requested order status
+ */
+const assertTransition = (from, to) => {
+  if (from === to) {
+    throw new AppError(`Order is already ${to}`, HTTP_STATUS.CONFLICT);
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = getAllowedTransitions(from);
+    const hint = allowed.length > 0 ? ` (allowed: ${allowed.join(', ')})` : '';
+    throw new AppError(`Cannot change order status from ${from} to ${to}${hint}`, HTTP_STATUS.CONFLICT);
+  }
+};
+
+module.exports = {
+  ORDER_TRANSITIONS,
+  STOCK_RESTORING_STATUSES,
+  CUSTOMER_CANCELLABLE_STATUSES,
+  INVOICED_STATUSES,
+  ADMIN_EDITABLE_STATUSES,
+  getAllowedTransitions,
+  canTransition,
+  assertTransition
+};
@@ -4,6 +4,7 @@
  */
 
 const Joi = require('joi');
+const { ORDER_STATUS } = require('../../utils/constants');
 
 const createOrderSchema = Joi.object({
   items: Joi.array().items(
@@ -16,7 +17,16 @@ const createOrderSchema = Joi.object({
   addressId: Joi.number().integer().positive().required(),
   email: Joi.string().email().required(),
   phone: Joi.string().required(),
-  discountId: Joi.number().integer().positive().optional()
+  discountId: Joi.number().integer().positive().optional(),
+  shippingMethodId: Joi.number().integer().positive().optional()
+});
+
+const checkoutSchema = Joi.object({
+  addressId: Joi.number().integer().positive().optional(),
+  email: Joi.string().email().optional(),
+  phone: Joi.string().optional(),
+  shippingMethodId: Joi.number().integer().positive().optional(),
+  expectedTotal: Joi.number().min(0).optional()
 });
 
 const getOrdersSchema = Joi.object({
@@ -24,10 +34,10 @@ const getOrdersSchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(20),
   sort: Joi.string().valid(
     'createdAt:asc', 'createdAt:desc',
-    'totalAmount:asc', 'totalAmount:desc',
+    'total:asc', 'total:desc',
     'status:asc', 'status:desc'
   ).default('createdAt:desc'),
-  status: Joi.string().valid('PENDING', 'COMPLETED', 'CANCELLED').optional(),
+  status: Joi.string().valid(...Object.values(ORDER_STATUS)).optional(),
   userId: Joi.number().integer().positive().optional()
 });
 
@@ -36,13 +46,27 @@ const getOrderByIdSchema = Joi.object({
 });
 
 const updateOrderStatusSchema = Joi.object({
-  status: Joi.string().valid('PENDING', 'COMPLETED', 'CANCELLED').required(),
+  status: Joi.string().valid(...Object.values(ORDER_STATUS)).required(),
   note: Joi.string().optional()
 });
 
+const editOrderSchema = Joi.object({
+  items: Joi.array().items(
+    Joi.object({
+      productId: Joi.number().integer().positive().required(),
+      variantId: Joi.number().integer().positive().required(),
+      quantity: Joi.number().integer().positive().required()
+    })
+  ).min(1).unique('variantId').optional(),
+  addressId: Joi.number().integer().positive().optional(),
+  note: Joi.string().optional()
+}).or('items', 'addressId');
+
 module.exports = {
   createOrderSchema,
+  checkoutSchema,
   getOrdersSchema,
   getOrderByIdSchema,
-  updateOrderStatusSchema
+  updateOrderStatusSchema,
+  editOrderSchema
 };
@@ -0,0 +1,116 @@
+/**
+ * Payment Controller
+ * Handles HTTP requests for payment operations
+ */
+
+const paymentService = require('./payment.service');
+const refundService = require('../refund/refund.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Pay for an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.createPayment(req.user.id, req.body);
+    success(res, payment, 'Payment processed successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get payments for an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderPayments = async (req, res) => {
+  try {
+    const payments = await paymentService.getOrderPayments(req.params.orderId, req.user);
+    success(res, payments, 'Payments retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get all payments (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPayments = async (req, res) => {
+  try {
+    const result = await paymentService.getPayments(req.query);
+    success(res, result.data, 'Payments retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Capture an authorized payment (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const capturePayment = async (req, res) => {
+  try {
+    const payment = await paymentService.capturePayment(req.params.id, req.user.id);
+    success(res, payment, 'Payment captured successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Void an authorized payment (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const voidPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.voidPayment(req.params.id, req.user.id);
+    success(res, payment, 'Payment voided successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Refund a captured payment (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const refundPayment = async (req, res) => {
+  try {
+    const payment = await refundService.refundPayment(req.params.id, req.body.amount, req.user.id);
+    success(res, payment, 'Payment refunded successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Receive gateway webhook notifications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const handleWebhook = async (req, res) => {
+  try {
+    const result = await paymentService.handleWebhook(req.rawBody, req.headers);
+    success(res, result, 'Webhook received');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  createPayment,
+  getOrderPayments,
+  getPayments,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  handleWebhook
+};
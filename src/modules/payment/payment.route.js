@@ -0,0 +1,268 @@
+/**
+ * Payment Routes
+ * Defines API endpoints for payment operations
+ */
+
+const express = require('express');
+const router = express.Router();
+const paymentController = require('./payment.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { idempotency } = require('../../middlewares/idempotency');
+const paymentValidation = require('./payment.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Payment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         provider:
+ *           type: string
+ *           description: Gateway that processed the payment
+ *         providerRef:
+ *           type: string
+ *           description: Gateway transaction reference
+ *         method:
+ *           type: string
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [PENDING, AUTHORIZED, CAPTURED, PARTIALLY_REFUNDED, REFUNDED, VOIDED, FAILED]
+ *         refundedAmount:
+ *           type: number
+ *         failureReason:
+ *           type: string
+ *         capturedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/payments:
+ *   post:
+ *     summary: Pay for a pending order
+ *     description: |
+ *       Authorizes the order total with the configured gateway (PAYMENT_PROVIDER)
+ *       and captures it unless PAYMENT_AUTO_CAPTURE is "false". The order moves
+ *       to PAID once the payment is captured. With the mock provider, the token
+ *       tok_decline or tok_insufficient is declined and tok_capture_fail fails capture.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - token
+ *             properties:
+ *               orderId:
+ *                 type: integer
+ *               method:
+ *                 type: string
+ *                 enum: [CARD, WALLET, BANK_TRANSFER]
+ *               token:
+ *                 type: string
+ *                 description: Payment method token issued by the gateway
+ *     responses:
+ *       201:
+ *         description: Payment processed successfully
+ *       402:
+ *         description: Payment declined
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order is not awaiting payment
+ */
+router.post('/',
+  authenticate,
+  idempotency,
+  validate(paymentValidation.createPaymentSchema, 'body'),
+  paymentController.createPayment
+);
+
+/**
+ * @swagger
+ * /api/payments/webhook:
+ *   post:
+ *     summary: Receive payment gateway notifications
+ *     description: The request is authenticated by the gateway signature, not by a bearer token.
+ *     tags: [Payments]
+ *     responses:
+ *       200:
+ *         description: Webhook received
+ *       401:
+ *         description: Invalid webhook signature
+ */
+router.post('/webhook', paymentController.handleWebhook);
+
+/**
+ * @swagger
+ * /api/payments/order/{orderId}:
+ *   get:
+ *     summary: Get payments for an order
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/order/:orderId',
+  authenticate,
+  validate(paymentValidation.orderIdSchema, 'params'),
+  paymentController.getOrderPayments
+);
+
+/**
+ * @swagger
+ * /admin/payments:
+ *   get:
+ *     summary: Get all payments (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payments retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(paymentValidation.getPaymentsSchema, 'query'),
+  paymentController.getPayments
+);
+
+/**
+ * @swagger
+ * /admin/payments/{id}/capture:
+ *   post:
+ *     summary: Capture an authorized payment (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payment captured successfully
+ *       409:
+ *         description: Payment is not authorized
+ */
+router.post('/:id/capture',
+  authenticate,
+  requireRole('ADMIN'),
+  idempotency,
+  validate(paymentValidation.paymentIdSchema, 'params'),
+  paymentController.capturePayment
+);
+
+/**
+ * @swagger
+ * /admin/payments/{id}/void:
+ *   post:
+ *     summary: Void an authorized payment (Admin only)
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Payment voided successfully
+ *       409:
+ *         description: Payment is not authorized
+ */
+router.post('/:id/void',
+  authenticate,
+  requireRole('ADMIN'),
+  idempotency,
+  validate(paymentValidation.paymentIdSchema, 'params'),
+  paymentController.voidPayment
+);
+
+/**
+ * @swagger
+ * /admin/payments/{id}/refund:
+ *   post:
+ *     summary: Refund a captured payment (Admin only)
+ *     description: Records an original-payment refund against the order, see POST /admin/refunds.
+ *     tags: [Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Amount to refund (defaults to the remaining captured amount)
+ *     responses:
+ *       200:
+ *         description: Payment refunded successfully
+ *       409:
+ *         description: Payment cannot be refunded
+ */
+router.post('/:id/refund',
+  authenticate,
+  requireRole('ADMIN'),
+  idempotency,
+  validate(paymentValidation.paymentIdSchema, 'params'),
+  validate(paymentValidation.refundPaymentSchema, 'body'),
+  paymentController.refundPayment
+);
+
+module.exports = router;
@@ -0,0 +1,448 @@
+/**
+ * Payment Service
+ * Contains business logic for order payments through the configured gateway
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const { ORDER_STATUS, PAYMENT_STATUS, HTTP_STATUS } = require('../../utils/constants');
+const { logger, auditLog } = require('../../utils/logger');
+const { roundMoney } = require('../../utils/money');
+const { getPaymentProvider } = require('./providers');
+const orderService = require('../order/order.service');
+
+const REFUNDABLE_STATUSES = [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+// The gateway is called while the order is locked, so allow it more than the default 5s
+const PAYMENT_TRANSACTION_TIMEOUT = 30000;
+
+/**
+ * Whether payments are captured right after authorization
+ * @returns {boolean} True unless PAYMENT_AUTO_CAPTURE is "false"
+ */
+const isAutoCapture = () => process.env.PAYMENT_AUTO_CAPTURE !== 'false';
+
+/**
+ * Lock a payment and its order until the surrounding transaction ends, then read them
+ * The order is locked first, in the same order as checkout and refunds, to avoid deadlocks
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} id - Payment ID
+ * @returns {Object} Payment with its order and order items
+ */
+const lockPayment = async (tx, id) => {
+  const found = await tx.payment.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() },
+    select: { id: true, orderId: true }
+  });
+
+  if (!found) {
+    throw new AppError('Payment not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  await tx.$queryRaw`SELECT "id" FROM "public"."Order" WHERE "id" = ${found.orderId} FOR UPDATE`;
+  await tx.$queryRaw`SELECT "id" FROM "public"."Payment" WHERE "id" = ${found.id} FOR UPDATE`;
+
+  return await tx.payment.findUnique({
+    where: { id: found.id },
+    include: { order: { include: { items: true } } }
+  });
+};
+
+/**
+ * Mark a locked payment as captured and move its order to PAID if it is still pending
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} payment - Payment with its order and order items, read under lockPayment
+ * @param {number} actorId - User who triggered the capture (null for gateway events)
+ * @returns {Object} Updated payment
+ */
+const markCaptured = async (tx, payment, actorId = null) => {
+  const { count } = await tx.payment.updateMany({
+    where: { id: payment.id, status: PAYMENT_STATUS.AUTHORIZED },
+    data: { status: PAYMENT_STATUS.CAPTURED, capturedAt: new Date() }
+  });
+
+  if (count === 0) {
+    throw new AppError('Payment is no longer authorized', HTTP_STATUS.CONFLICT);
+  }
+
+  if (payment.order.status === ORDER_STATUS.PENDING) {
+    await orderService.changeOrderStatus(tx, payment.order, ORDER_STATUS.PAID, {
+      actorId,
+      note: `Payment ${payment.providerRef} captured`
+    });
+  }
+
+  return await tx.payment.findUnique({ where: { id: payment.id } });
+};
+
+/**
+ * Pay for a pending order
+ * Authorizes the order total and captures it unless manual capture is configured
+ * @param {number} userId - User ID
+ * @param {Object} paymentData - Payment data (orderId, method, token)
+ * @returns {Object} Payment
+ */
+const createPayment = async (userId, paymentData) => {
+  const { orderId, method, token } = paymentData;
+
+  const provider = getPaymentProvider();
+  const currency = process.env.PAYMENT_CURRENCY || 'USD';
+
+  // The order stays locked while the gateway authorizes, so concurrent
+  // submissions for one order cannot both be authorized
+  const { payment, order, failureReason } = await prisma.$transaction(async (tx) => {
+    await tx.$queryRaw`SELECT "id" FROM "public"."Order" WHERE "id" = ${Number(orderId)} FOR UPDATE`;
+
+    const order = await tx.order.findFirst({
+      where: { id: Number(orderId), userId: Number(userId), ...notDeletedWhere() },
+      include: { items: true, payments: true }
+    });
+
+    if (!order) {
+      throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (order.status !== ORDER_STATUS.PENDING) {
+      throw new AppError(`Order is already ${order.status}`, HTTP_STATUS.CONFLICT);
+    }
+
+    const openPayment = order.payments.find(p => p.status === PAYMENT_STATUS.AUTHORIZED);
+    if (openPayment) {
+      throw new AppError('Order already has an authorized payment', HTTP_STATUS.CONFLICT);
+    }
+
+    const amount = roundMoney(order.total);
+
+    const authorization = await provider.authorize({
+      amount,
+      currency,
+      token,
+      metadata: { orderId: order.id, attempt: order.payments.length + 1 }
+    });
+
+    if (!authorization.success) {
+      await tx.payment.create({
+        data: {
+          orderId: order.id,
+          provider: provider.name,
+          method,
+          amount,
+          currency,
+          status: PAYMENT_STATUS.FAILED,
+          failureReason: authorization.failureReason
+        }
+      });
+
+      return { order, failureReason: authorization.failureReason };
+    }
+
+    const payment = await tx.payment.create({
+      data: {
+        orderId: order.id,
+        provider: provider.name,
+        providerRef: authorization.reference,
+        method,
+        amount,
+        currency,
+        status: PAYMENT_STATUS.AUTHORIZED,
+        authorizedAt: new Date()
+      }
+    });
+
+    return { payment, order };
+  }, { timeout: PAYMENT_TRANSACTION_TIMEOUT });
+
+  if (!payment) {
+    logger.warn(`Payment declined for order ${order.id}: ${failureReason}`);
+    throw new AppError(`Payment declined: ${failureReason}`, HTTP_STATUS.PAYMENT_REQUIRED);
+  }
+
+  auditLog('PAYMENT_AUTHORIZED', userId, { orderId: order.id, paymentId: payment.id, amount: payment.amount });
+
+  if (!isAutoCapture()) {
+    return payment;
+  }
+
+  return await capturePayment(payment.id, userId);
+};
+
+/**
+ * Capture an authorized payment
+ * The payment and order stay locked while the gateway captures, so the money
+ * is only taken once and only for an order that is still pending
+ * @param {string} id - Payment ID
+ * @param {number} actorId - User performing the capture
+ * @returns {Object} Updated payment
+ */
+const capturePayment = async (id, actorId) => {
+  const { captured, payment, failureReason } = await prisma.$transaction(async (tx) => {
+    const payment = await lockPayment(tx, id);
+
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      throw new AppError(`Cannot capture a ${payment.status} payment`, HTTP_STATUS.CONFLICT);
+    }
+
+    if (payment.order.status !== ORDER_STATUS.PENDING) {
+      throw new AppError(`Cannot capture a payment for a ${payment.order.status} order`, HTTP_STATUS.CONFLICT);
+    }
+
+    const result = await getPaymentProvider().capture(payment.providerRef, payment.amount);
+
+    if (!result.success) {
+      await tx.payment.update({
+        where: { id: payment.id },
+        data: { failureReason: result.failureReason }
+      });
+      return { payment, failureReason: result.failureReason };
+    }
+
+    return { payment, captured: await markCaptured(tx, payment, actorId) };
+  }, { timeout: PAYMENT_TRANSACTION_TIMEOUT });
+
+  if (!captured) {
+    throw new AppError(`Payment capture failed: ${failureReason}`, HTTP_STATUS.PAYMENT_REQUIRED);
+  }
+
+  auditLog('PAYMENT_CAPTURED', actorId, { orderId: payment.orderId, paymentId: payment.id });
+
+  return captured;
+};
+
+/**
+ * Void an authorized payment that has not been captured
+ * The payment and order stay locked while the gateway voids, so a capture cannot run alongside
+ * @param {string} id - Payment ID
+ * @param {number} actorId - User performing the void
+ * @returns {Object} Updated payment
+ */
+const voidPayment = async (id, actorId) => {
+  const voided = await prisma.$transaction(async (tx) => {
+    const payment = await lockPayment(tx, id);
+
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      throw new AppError(`Cannot void a ${payment.status} payment`, HTTP_STATUS.CONFLICT);
+    }
+
+    const result = await getPaymentProvider().void(payment.providerRef);
+    if (!result.success) {
+      throw new AppError(`Payment void failed: ${result.failureReason}`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    return await tx.payment.update({
+      where: { id: payment.id },
+      data: { status: PAYMENT_STATUS.VOIDED, voidedAt: new Date() }
+    });
+  }, { timeout: PAYMENT_TRANSACTION_TIMEOUT });
+
+  auditLog('PAYMENT_VOIDED', actorId, { orderId: voided.orderId, paymentId: voided.id });
+
+  return voided;
+};
+
+/**
+ * Refund part or all of a captured payment through the gateway
+ * The payment row stays locked until the surrounding transaction ends, so
+ * concurrent refunds of one payment are checked against each other
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} id - Payment ID
+ * @param {number} [amount] - Amount to refund (defaults to the remaining captured amount)
+ * @param {number} actorId - User performing the refund
+ * @param {Object} [options] - Refund options
+ * @param {boolean} [options.gatewayRefunded] - The gateway already refunded it (only record it)
+ * @returns {Object} Updated payment
+ */
+const refundPayment = async (tx, id, amount, actorId, { gatewayRefunded = false } = {}) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Payment" WHERE "id" = ${Number(id)} FOR UPDATE`;
+
+  const payment = await tx.payment.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() }
+  });
+
+  if (!payment) {
+    throw new AppError('Payment not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+    throw new AppError(`Cannot refund a ${payment.status} payment`, HTTP_STATUS.CONFLICT);
+  }
+
+  const refundable = roundMoney(payment.amount - payment.refundedAmount);
+  const refundAmount = amount !== undefined ? roundMoney(Number(amount)) : refundable;
+
+  if (refundAmount <= 0 || refundAmount > refundable) {
+    throw new AppError(`Refund amount must be between 0 and ${refundable}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (!gatewayRefunded) {
+    const result = await getPaymentProvider().refund(payment.providerRef, refundAmount);
+    if (!result.success) {
+      throw new AppError(`Refund failed: ${result.failureReason}`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  auditLog('PAYMENT_REFUNDED', actorId, {
+    orderId: payment.orderId,
+    paymentId: payment.id,
+    amount: refundAmount
+  });
+
+  return await tx.payment.update({
+    where: { id: payment.id },
+    data: {
+      refundedAmount: { increment: refundAmount },
+      status: roundMoney(payment.refundedAmount + refundAmount) >= payment.amount
+        ? PAYMENT_STATUS.REFUNDED
+        : PAYMENT_STATUS.PARTIALLY_REFUNDED
+    }
+  });
+};
+
+/**
+ * Get payments for an order
+ * @param {string} orderId - Order ID
+ * @param {Object} user - Requesting user
+ * @returns {Array} Payments
+ */
+const getOrderPayments = async (orderId, user) => {
+  const where = { id: Number(orderId), ...notDeletedWhere() };
+
+  // Non-admin users can only see payments for their own orders
+  if (user.role !== 'ADMIN') {
+    where.userId = user.id;
+  }
+
+  const order = await prisma.order.findFirst({ where });
+  if (!order) {
+    throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return await prisma.payment.findMany({
+    where: { orderId: order.id, ...notDeletedWhere() },
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+/**
+ * Get all payments (Admin only)
+ * @param {Object} query - Query parameters
+ * @returns {Object} Payments with metadata
+ */
+const getPayments = async (query) => {
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    orderId
+  } = query;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const where = { ...notDeletedWhere() };
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (orderId) {
+    where.orderId = Number(orderId);
+  }
+
+  const [payments, total] = await Promise.all([
+    prisma.payment.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      skip: offset,
+      take: limitNum
+    }),
+    prisma.payment.count({ where })
+  ]);
+
+  return {
+    data: payments,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+/**
+ * Handle an asynchronous gateway notification
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object} Processing result
+ */
+const handleWebhook = async (rawBody, headers) => {
+  const provider = getPaymentProvider();
+  const event = provider.verifyWebhook(rawBody, headers);
+
+  if (!event) {
+    throw new AppError('Invalid webhook signature', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  const payment = await prisma.payment.findFirst({
+    where: { provider: provider.name, providerRef: event.reference, ...notDeletedWhere() }
+  });
+
+  if (!payment) {
+    logger.warn(`Webhook for unknown payment reference ${event.reference}`);
+    return { processed: false };
+  }
+
+  switch (event.type) {
+  case 'payment.captured':
+    // The gateway has taken the money, so the payment is recorded as captured even
+    // when the order has moved on; only a pending order becomes PAID
+    await prisma.$transaction(async (tx) => {
+      const locked = await lockPayment(tx, payment.id);
+      if (locked.status === PAYMENT_STATUS.AUTHORIZED) {
+        await markCaptured(tx, locked);
+      }
+    });
+    break;
+  case 'payment.failed':
+    await prisma.payment.updateMany({
+      where: { id: payment.id, status: PAYMENT_STATUS.AUTHORIZED },
+      data: { status: PAYMENT_STATUS.FAILED, failureReason: event.reason }
+    });
+    break;
+  case 'payment.voided':
+    await prisma.payment.updateMany({
+      where: { id: payment.id, status: PAYMENT_STATUS.AUTHORIZED },
+      data: { status: PAYMENT_STATUS.VOIDED, voidedAt: new Date() }
+    });
+    break;
+  case 'payment.refunded':
+    // Money refunded from the gateway's dashboard goes through the refund ledger so the
+    // order totals follow; required here because the refund service depends on this one
+    if (REFUNDABLE_STATUSES.includes(payment.status)) {
+      await require('../refund/refund.service').createRefund({
+        orderId: payment.orderId,
+        paymentId: payment.id,
+        gatewayRefundedTotal: roundMoney(event.amount || payment.amount),
+        reason: 'Refunded at the payment gateway'
+      });
+    }
+    break;
+  default:
+    logger.info(`Ignoring webhook event ${event.type}`);
+    return { processed: false };
+  }
+
+  return { processed: true };
+};
+
+module.exports = {
+  createPayment,
+  capturePayment,
+  voidPayment,
+  refundPayment,
+  getOrderPayments,
+  getPayments,
+  handleWebhook
+};
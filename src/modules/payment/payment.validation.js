@@ -0,0 +1,40 @@
+/**
+ * Payment Validation Schemas
+ * Joi validation schemas for payment endpoints
+ */
+
+const Joi = require('joi');
+const { PAYMENT_STATUS } = require('../../utils/constants');
+
+const createPaymentSchema = Joi.object({
+  orderId: Joi.number().integer().positive().required(),
+  method: Joi.string().valid('CARD', 'WALLET', 'BANK_TRANSFER').default('CARD'),
+  token: Joi.string().required()
+});
+
+const getPaymentsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...Object.values(PAYMENT_STATUS)).optional(),
+  orderId: Joi.number().integer().positive().optional()
+});
+
+const paymentIdSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+const orderIdSchema = Joi.object({
+  orderId: Joi.number().integer().positive().required()
+});
+
+const refundPaymentSchema = Joi.object({
+  amount: Joi.number().positive().optional()
+});
+
+module.exports = {
+  createPaymentSchema,
+  getPaymentsSchema,
+  paymentIdSchema,
+  orderIdSchema,
+  refundPaymentSchema
+};
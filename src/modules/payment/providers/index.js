@@ -0,0 +1,39 @@
+/**
+ * Payment Provider Registry
+ * Resolves the configured payment gateway
+ *
+ * Every provider exposes the same interface:
+ *   authorize({ amount, currency, token, metadata }) -> { success, reference, failureReason }
+ *   capture(reference, amount)                      -> { success, reference, failureReason }
+ *   void(reference)                                 -> { success, reference, failureReason }
+ *   refund(reference, amount)                       -> { success, reference, failureReason }
+ *   verifyWebhook(rawBody, headers)                 -> { type, reference, amount, reason } | null
+ *
+ * Webhook event types: payment.captured, payment.failed, payment.voided, payment.refunded
+ * (for payment.refunded, amount is the cumulative refunded amount)
+ */
+
+const mockProvider = require('./mock.provider');
+
+const providers = {
+  [mockProvider.name]: mockProvider
+};
+
+/**
+ * Get the payment provider selected by PAYMENT_PROVIDER
+ * @returns {Object} Payment provider
+ */
+const getPaymentProvider = () => {
+  const providerName = process.env.PAYMENT_PROVIDER || 'mock';
+  const provider = providers[providerName];
+
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
@@ -0,0 +1,149 @@
+/**
+ * Mock Payment Provider
+ * Deterministic offline gateway for development and tests
+ *
+ * Outcomes depend only on the payment token:
+ *   tok_decline         - authorization is declined
+ *   tok_insufficient    - authorization is declined for insufficient funds
+ *   tok_capture_fail    - authorization succeeds, capture fails
+ *   tok_refund_fail     - refunds are rejected
+ *   anything else       - every operation succeeds
+ */
+
+const crypto = require('crypto');
+
+const name = 'mock';
+
+const DECLINES = {
+  tok_decline: 'Card declined',
+  tok_insufficient: 'Insufficient funds'
+};
+
+// Failure modes that surface after authorization are encoded in the reference,
+// so the provider stays stateless and behaves the same across restarts
+const REFERENCE_PREFIXES = {
+  tok_capture_fail: 'mock_cf_',
+  tok_refund_fail: 'mock_rf_'
+};
+
+/**
+ * Build a provider reference from the authorization input
+ * @param {Object} params - Authorization parameters
+ * @returns {string} Provider reference
+ */
+const buildReference = ({ amount, currency, token, metadata = {} }) => {
+  const digest = crypto
+    .createHash('sha256')
+    .update(`${metadata.orderId}:${metadata.attempt || 1}:${amount}:${currency}:${token}`)
+    .digest('hex');
+
+  return `${REFERENCE_PREFIXES[token] || 'mock_'}${digest.slice(0, 24)}`;
+};
+
+/**
+ * Authorize an amount against a payment token
+ * @param {Object} params - Authorization parameters
+ * @param {number} params.amount - Amount to authorize
+ * @param {string} params.currency - ISO currency code
+ * @param {string} params.token - Payment method token
+ * @param {Object} params.metadata - Extra data (orderId, attempt)
+ * @returns {Object} Authorization result
+ */
+const authorize = async ({ amount, currency, token = 'tok_success', metadata = {} }) => {
+  if (DECLINES[token]) {
+    return { success: false, failureReason: DECLINES[token] };
+  }
+
+  return { success: true, reference: buildReference({ amount, currency, token, metadata }) };
+};
+
+/**
+ * Capture a previously authorized payment
+ * @param {string} reference - Provider reference
+ * @param {number} _amount - Amount to capture
+ * @returns {Object} Capture result
+ */
+const capture = async (reference, _amount) => {
+  if (reference.startsWith(REFERENCE_PREFIXES.tok_capture_fail)) {
+    return { success: false, failureReason: 'Capture failed' };
+  }
+
+  return { success: true, reference };
+};
+
+/**
+ * Void an authorization that has not been captured
+ * @param {string} reference - Provider reference
+ * @returns {Object} Void result
+ */
+const voidAuthorization = async (reference) => {
+  return { success: true, reference };
+};
+
+/**
+ * Refund part or all of a captured payment
+ * @param {string} reference - Provider reference
+ * @param {number} amount - Amount to refund
+ * @returns {Object} Refund result
+ */
+const refund = async (reference, amount) => {
+  if (reference.startsWith(REFERENCE_PREFIXES.tok_refund_fail)) {
+    return { success: false, failureReason: 'Refund rejected' };
+  }
+
+  const digest = crypto
+    .createHash('sha256')
+    .update(`${reference}:refund:${amount}:${Date.now()}`)
+    .digest('hex');
+
+  return { success: true, reference: `mock_re_${digest.slice(0, 24)}` };
+};
+
+/**
+ * Sign a webhook payload (used by tests and local tooling)
+ * @param {string|Buffer} payload - Raw request body
+ * @returns {string} Hex HMAC signature
+ */
+const signWebhook = (payload) => {
+  return crypto
+    .createHmac('sha256', process.env.PAYMENT_WEBHOOK_SECRET || 'mock-webhook-secret')
+    .update(payload)
+    .digest('hex');
+};
+
+/**
+ * Verify a webhook request and parse its event
+ * @param {Buffer} rawBody - Raw request body
+ * @param {Object} headers - Request headers
+ * @returns {Object|null} Parsed event ({ type, reference, amount, reason }) or null if invalid
+ */
+const verifyWebhook = (rawBody, headers) => {
+  const signature = headers['x-mock-signature'];
+  if (!rawBody || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(signWebhook(rawBody));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  const { type, data = {} } = JSON.parse(rawBody.toString());
+  return {
+    type,
+    reference: data.reference,
+    amount: data.amount,
+    reason: data.reason
+  };
+};
+
+module.exports = {
+  name,
+  authorize,
+  capture,
+  void: voidAuthorization,
+  refund,
+  verifyWebhook,
+  signWebhook
+};
@@ -13,7 +13,7 @@ const { success, error } = require('../../utils/response');
  */
 const createProduct = async (req, res) => {
   try {
-    const product = await productService.createProduct(req.body, req.files);
+    const product = await productService.createProduct(req.body, req.files, req.user.id);
     success(res, product, 'Product created successfully', 201);
   } catch (err) {
     error(res, err.message, 400);
@@ -58,7 +58,7 @@ const getProductById = async (req, res) => {
  */
 const updateProduct = async (req, res) => {
   try {
-    const product = await productService.updateProduct(req.params.id, req.body, req.files);
+    const product = await productService.updateProduct(req.params.id, req.body, req.files, req.user.id);
     success(res, product, 'Product updated successfully');
   } catch (err) {
     error(res, err.message, 400);
@@ -46,6 +46,12 @@ const productValidation = require('./product.validation');
  *         stock:
  *           type: integer
  *           description: Stock quantity
+ *         lowStockThreshold:
+ *           type: integer
+ *           description: Default low-stock threshold for the product's variants
+ *         taxClass:
+ *           type: string
+ *           description: Tax class matched against tax rules (e.g. reduced); empty uses the general rules
  *         categoryId:
  *           type: integer
  *           description: Category ID
@@ -190,6 +196,10 @@ router.get('/:id', validate(productValidation.getProductByIdSchema, 'params'), p
  *                 type: number
  *               stock:
  *                 type: integer
+ *               lowStockThreshold:
+ *                 type: integer
+ *               taxClass:
+ *                 type: string
  *               categoryId:
  *                 type: integer
  *               tags:
@@ -253,6 +263,10 @@ router.post('/',
  *                 type: number
  *               stock:
  *                 type: integer
+ *               lowStockThreshold:
+ *                 type: integer
+ *               taxClass:
+ *                 type: string
  *               categoryId:
  *                 type: integer
  *               tags:
@@ -6,14 +6,17 @@
 const prisma = require('../../config/prisma');
 const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
 const { uploadToS3 } = require('../../utils/upload');
+const { withAvailableStock, recordMovement, checkStockAlerts } = require('../inventory/inventory.service');
+const { INVENTORY_MOVEMENT_REASON } = require('../../utils/constants');
 
 /**
  * Create a new product
  * @param {Object} productData - Product data
  * @param {Array} files - Uploaded files
+ * @param {number} [actorId] - Admin creating the product
  * @returns {Object} Created product
  */
-const createProduct = async (productData, files = []) => {
+const createProduct = async (productData, files = [], actorId = null) => {
   const { categoryId, ...data } = productData;
 
   // Verify category exists and is not deleted
@@ -42,7 +45,10 @@ const createProduct = async (productData, files = []) => {
         categoryId: Number(categoryId),
         price: parseFloat(data.price),
         discountedPrice: data.discountedPrice ? parseFloat(data.discountedPrice) : null,
-        stock: parseInt(data.stock) || 0
+        stock: parseInt(data.stock) || 0,
+        lowStockThreshold: data.lowStockThreshold !== undefined && data.lowStockThreshold !== null
+          ? parseInt(data.lowStockThreshold)
+          : null
       },
       include: {
         category: true,
@@ -51,6 +57,18 @@ const createProduct = async (productData, files = []) => {
       }
     });
 
+    // Record the opening stock in the inventory ledger
+    if (product.stock !== 0) {
+      await recordMovement(tx, {
+        productId: product.id,
+        quantity: product.stock,
+        balanceAfter: product.stock,
+        reason: INVENTORY_MOVEMENT_REASON.IMPORT,
+        note: 'Initial stock',
+        actorId
+      });
+    }
+
     // Create product images
     if (imageUrls.length > 0) {
       await tx.productImage.createMany({
@@ -141,8 +159,15 @@ const getProducts = async (query) => {
     prisma.product.count({ where })
   ]);
 
+  // Show stock net of checkout reservations
+  const variants = await withAvailableStock(products.flatMap(product => product.ProductVariant));
+  const data = products.map(product => ({
+    ...product,
+    ProductVariant: variants.filter(variant => variant.productId === product.id)
+  }));
+
   return {
-    data: products,
+    data,
     meta: {
       page: pageNum,
       limit: limitNum,
@@ -158,7 +183,7 @@ const getProducts = async (query) => {
  * @returns {Object|null} Product or null
  */
 const getProductById = async (id) => {
-  return await prisma.product.findFirst({
+  const product = await prisma.product.findFirst({
     where: { id: Number(id), ...notDeletedWhere() },
     include: {
       category: true,
@@ -179,6 +204,15 @@ const getProductById = async (id) => {
       }
     }
   });
+
+  if (!product) {
+    return null;
+  }
+
+  return {
+    ...product,
+    ProductVariant: await withAvailableStock(product.ProductVariant)
+  };
 };
 
 /**
@@ -186,9 +220,10 @@ const getProductById = async (id) => {
  * @param {string} id - Product ID
  * @param {Object} updateData - Update data
  * @param {Array} files - New uploaded files
+ * @param {number} [actorId] - Admin updating the product
  * @returns {Object} Updated product
  */
-const updateProduct = async (id, updateData, files = []) => {
+const updateProduct = async (id, updateData, files = [], actorId = null) => {
   const { categoryId, ...data } = updateData;
 
   // Verify product exists
@@ -220,19 +255,34 @@ const updateProduct = async (id, updateData, files = []) => {
     }
   }
 
-  return await prisma.$transaction(async (tx) => {
+  const updatedProduct = await prisma.$transaction(async (tx) => {
     // Update product
     const updatePayload = { ...data };
     if (categoryId) updatePayload.categoryId = Number(categoryId);
     if (data.price) updatePayload.price = parseFloat(data.price);
     if (data.discountedPrice) updatePayload.discountedPrice = parseFloat(data.discountedPrice);
     if (data.stock !== undefined) updatePayload.stock = parseInt(data.stock);
+    if (data.lowStockThreshold !== undefined) {
+      updatePayload.lowStockThreshold = data.lowStockThreshold === null ? null : parseInt(data.lowStockThreshold);
+    }
 
     const product = await tx.product.update({
       where: { id: Number(id) },
       data: updatePayload
     });
 
+    // Setting stock directly is recorded as a correction in the inventory ledger
+    if (product.stock !== existingProduct.stock) {
+      await recordMovement(tx, {
+        productId: product.id,
+        quantity: product.stock - existingProduct.stock,
+        balanceAfter: product.stock,
+        reason: INVENTORY_MOVEMENT_REASON.CORRECTION,
+        note: 'Stock set by product update',
+        actorId
+      });
+    }
+
     // Add new images if provided
     if (imageUrls.length > 0) {
       const existingImagesCount = await tx.productImage.count({
@@ -257,6 +307,13 @@ const updateProduct = async (id, updateData, files = []) => {
       }
     });
   });
+
+  // Variants without their own threshold follow the product's
+  if (data.lowStockThreshold !== undefined) {
+    await checkStockAlerts(updatedProduct.ProductVariant.map(variant => variant.id));
+  }
+
+  return updatedProduct;
 };
 
 /**
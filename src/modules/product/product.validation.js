@@ -13,6 +13,8 @@ const createProductSchema = Joi.object({
   price: Joi.number().positive().required(),
   discountedPrice: Joi.number().positive().optional(),
   stock: Joi.number().integer().min(0).default(0),
+  lowStockThreshold: Joi.number().integer().min(0).optional(),
+  taxClass: Joi.string().max(50).optional(),
   categoryId: Joi.number().integer().positive().required(),
   tags: Joi.string().optional(),
   descriptionHtml: Joi.string().optional(),
@@ -30,6 +32,8 @@ const updateProductSchema = Joi.object({
   price: Joi.number().positive().optional(),
   discountedPrice: Joi.number().positive().optional(),
   stock: Joi.number().integer().min(0).optional(),
+  lowStockThreshold: Joi.number().integer().min(0).allow(null).optional(),
+  taxClass: Joi.string().max(50).allow(null).optional(),
   categoryId: Joi.number().integer().positive().optional(),
   tags: Joi.string().optional(),
   descriptionHtml: Joi.string().optional(),
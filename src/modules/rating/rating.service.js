@@ -43,7 +43,7 @@ const createRating = async (userId, ratingData) => {
       productId: Number(productId),
       order: {
         userId: Number(userId),
-        status: 'COMPLETED',
+        status: { in: ['DELIVERED', 'COMPLETED'] },
         ...notDeletedWhere()
       }
     }
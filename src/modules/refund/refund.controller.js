@@ -0,0 +1,55 @@
+/**
+ * Refund Controller
+ * Handles HTTP requests for refund operations
+ */
+
+const refundService = require('./refund.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Refund an order in full or in part (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRefund = async (req, res) => {
+  try {
+    const refund = await refundService.createRefund(req.body, req.user.id);
+    success(res, refund, 'Refund issued successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get refunds for an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderRefunds = async (req, res) => {
+  try {
+    const refunds = await refundService.getOrderRefunds(req.params.orderId, req.user);
+    success(res, refunds, 'Refunds retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get all refunds (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRefunds = async (req, res) => {
+  try {
+    const result = await refundService.getRefunds(req.query);
+    success(res, result.data, 'Refunds retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  createRefund,
+  getOrderRefunds,
+  getRefunds
+};
@@ -0,0 +1,202 @@
+/**
+ * Refund Routes
+ * Defines API endpoints for order refunds
+ */
+
+const express = require('express');
+const router = express.Router();
+const refundController = require('./refund.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { idempotency } = require('../../middlewares/idempotency');
+const refundValidation = require('./refund.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Refund:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         paymentId:
+ *           type: integer
+ *           description: Payment refunded (original payment refunds only)
+ *         returnRequestId:
+ *           type: integer
+ *         method:
+ *           type: string
+ *           enum: [ORIGINAL_PAYMENT, STORE_CREDIT]
+ *         status:
+ *           type: string
+ *           enum: [COMPLETED, FAILED]
+ *         amount:
+ *           type: number
+ *         currency:
+ *           type: string
+ *         reason:
+ *           type: string
+ *         failureReason:
+ *           type: string
+ *         creditNote:
+ *           $ref: '#/components/schemas/Invoice'
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItemId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ */
+
+/**
+ * @swagger
+ * /admin/refunds:
+ *   post:
+ *     summary: Refund an order in full or in part (Admin only)
+ *     description: |
+ *       Refunds go back to the original payment through the gateway or to the
+ *       customer's store credit. Listing items refunds those lines at their
+ *       share of the order total (so order discounts are refunded in
+ *       proportion). Without an amount or items, everything still refundable
+ *       is refunded. The order's refundedAmount and netAmount are updated,
+ *       and a cancelled or returned order with nothing left moves to REFUNDED.
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *             properties:
+ *               orderId:
+ *                 type: integer
+ *               method:
+ *                 type: string
+ *                 enum: [ORIGINAL_PAYMENT, STORE_CREDIT]
+ *                 default: ORIGINAL_PAYMENT
+ *               paymentId:
+ *                 type: integer
+ *               amount:
+ *                 type: number
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *               returnRequestId:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Refund issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Refund'
+ *       400:
+ *         description: Invalid amount or items, or the gateway refund failed
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order has nothing left to refund
+ */
+router.post('/',
+  authenticate,
+  requireRole('ADMIN'),
+  idempotency,
+  validate(refundValidation.createRefundSchema, 'body'),
+  refundController.createRefund
+);
+
+/**
+ * @swagger
+ * /admin/refunds:
+ *   get:
+ *     summary: Get all refunds (Admin only)
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *           enum: [ORIGINAL_PAYMENT, STORE_CREDIT]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [COMPLETED, FAILED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(refundValidation.getRefundsSchema, 'query'),
+  refundController.getRefunds
+);
+
+/**
+ * @swagger
+ * /api/refunds/order/{orderId}:
+ *   get:
+ *     summary: Get refunds for an order
+ *     tags: [Refunds]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Refunds retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/order/:orderId',
+  authenticate,
+  validate(refundValidation.orderIdSchema, 'params'),
+  refundController.getOrderRefunds
+);
+
+module.exports = router;
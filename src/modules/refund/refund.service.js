@@ -0,0 +1,552 @@
+/**
+ * Refund Service
+ * Records money returned to customers, either through the original payment or as store credit
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const {
+  ORDER_STATUS,
+  PAYMENT_STATUS,
+  REFUND_METHOD,
+  REFUND_STATUS,
+  STORE_CREDIT_REASON,
+  HTTP_STATUS
+} = require('../../utils/constants');
+const { logger, auditLog } = require('../../utils/logger');
+const { roundMoney } = require('../../utils/money');
+const { canTransition } = require('../order/order.status');
+const orderService = require('../order/order.service');
+const paymentService = require('../payment/payment.service');
+const creditService = require('../credit/credit.service');
+const invoiceService = require('../invoice/invoice.service');
+
+// Payments whose captured money counts towards what can be refunded
+const PAID_PAYMENT_STATUSES = [
+  PAYMENT_STATUS.CAPTURED,
+  PAYMENT_STATUS.PARTIALLY_REFUNDED,
+  PAYMENT_STATUS.REFUNDED
+];
+
+// Payments the gateway can still refund
+const REFUNDABLE_PAYMENT_STATUSES = [PAYMENT_STATUS.CAPTURED, PAYMENT_STATUS.PARTIALLY_REFUNDED];
+
+// The gateway is called while the order is locked, so allow it more than the default 5s
+const REFUND_TRANSACTION_TIMEOUT = 30000;
+
+const REFUND_INCLUDE = {
+  items: true,
+  payment: true,
+  creditNote: true,
+  createdBy: {
+    select: { id: true, name: true, email: true }
+  }
+};
+
+/**
+ * Lock an order row until the surrounding transaction ends
+ * Serializes concurrent refunds against the same order
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ */
+const lockOrder = async (tx, orderId) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Order" WHERE "id" = ${Number(orderId)} FOR UPDATE`;
+};
+
+/**
+ * Load an order with everything needed to work out what is refundable
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} orderId - Order ID
+ * @returns {Object} Order with items, payments and completed refund items
+ */
+const findRefundableOrder = async (client, orderId) => {
+  const order = await client.order.findFirst({
+    where: { id: Number(orderId), ...notDeletedWhere() },
+    include: {
+      items: {
+        include: {
+          refundItems: {
+            where: { refund: { status: REFUND_STATUS.COMPLETED } }
+          }
+        }
+      },
+      payments: {
+        where: notDeletedWhere(),
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!order) {
+    throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return order;
+};
+
+/**
+ * Amount of an order that has been paid and not yet refunded
+ * @param {Object} order - Order with payments
+ * @returns {number} Refundable amount
+ */
+const getRefundableAmount = (order) => {
+  const paid = order.payments
+    .filter(payment => PAID_PAYMENT_STATUSES.includes(payment.status))
+    .reduce((sum, payment) => sum + payment.amount, 0);
+
+  return Math.max(0, roundMoney(Math.min(order.total, paid) - order.refundedAmount));
+};
+
+/**
+ * Price the order lines being refunded
+ * Each line is worth its share of the order total, so order-level discounts
+ * are refunded in proportion
+ * @param {Object} order - Order with items and their completed refund items
+ * @param {Array} items - Requested lines ({ orderItemId, quantity })
+ * @returns {Object} Refund items and their total
+ */
+const priceRefundItems = (order, items) => {
+  const subtotal = order.items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const ratio = subtotal > 0 ? order.total / subtotal : 0;
+
+  const requested = new Map();
+  for (const item of items) {
+    const quantity = Number(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError('Quantity must be a positive integer', HTTP_STATUS.BAD_REQUEST);
+    }
+    const orderItemId = Number(item.orderItemId);
+    requested.set(orderItemId, (requested.get(orderItemId) || 0) + quantity);
+  }
+
+  const refundItems = [];
+  for (const [orderItemId, quantity] of requested) {
+    const orderItem = order.items.find(item => item.id === orderItemId);
+
+    if (!orderItem) {
+      throw new AppError(`Order item ${orderItemId} does not belong to this order`, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    const refunded = orderItem.refundItems.reduce((sum, refundItem) => sum + refundItem.quantity, 0);
+    const remaining = orderItem.quantity - refunded;
+
+    if (quantity > remaining) {
+      throw new AppError(
+        `Only ${remaining} unit(s) of order item ${orderItemId} can still be refunded`,
+        HTTP_STATUS.BAD_REQUEST
+      );
+    }
+
+    refundItems.push({
+      orderItemId,
+      quantity,
+      amount: roundMoney(orderItem.price * quantity * ratio)
+    });
+  }
+
+  return {
+    refundItems,
+    total: roundMoney(refundItems.reduce((sum, item) => sum + item.amount, 0))
+  };
+};
+
+/**
+ * Pick the payment an original-payment refund goes back to
+ * @param {Object} order - Order with payments
+ * @param {number} [paymentId] - Requested payment
+ * @param {number} [amount] - Amount to refund (any amount when omitted)
+ * @returns {Object} Payment
+ */
+const selectPayment = (order, paymentId, amount) => {
+  const remaining = (payment) => roundMoney(payment.amount - payment.refundedAmount);
+
+  if (paymentId) {
+    const payment = order.payments.find(p => p.id === Number(paymentId));
+
+    if (!payment) {
+      throw new AppError('Payment does not belong to this order', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+      throw new AppError(`Cannot refund a ${payment.status} payment`, HTTP_STATUS.CONFLICT);
+    }
+
+    return payment;
+  }
+
+  const payment = order.payments.find(p =>
+    REFUNDABLE_PAYMENT_STATUSES.includes(p.status) &&
+    remaining(p) > 0 &&
+    (amount === undefined || remaining(p) >= amount)
+  );
+
+  if (!payment) {
+    throw new AppError(
+      'No single payment can cover this refund; refund it to store credit instead',
+      HTTP_STATUS.BAD_REQUEST
+    );
+  }
+
+  return payment;
+};
+
+/**
+ * Refund an order in full or in part
+ * @param {Object} refundData - Refund data
+ * @param {number} refundData.orderId - Order ID
+ * @param {string} [refundData.method] - ORIGINAL_PAYMENT (default) or STORE_CREDIT
+ * @param {number} [refundData.paymentId] - Payment to refund (original payment only)
+ * @param {number} [refundData.amount] - Amount (defaults to the lines' value, the
+ *   payment's remaining amount or everything still refundable, in that order)
+ * @param {Array} [refundData.items] - Order lines being refunded ({ orderItemId, quantity })
+ * @param {number} [refundData.returnRequestId] - Return the refund settles
+ * @param {string} [refundData.reason] - Reason shown to the customer
+ * @param {string} [refundData.note] - Internal note
+ * @param {number} [refundData.gatewayRefundedTotal] - For refunds made at the gateway: the
+ *   payment's refunded total there. Only what the ledger is missing is recorded and the
+ *   gateway is not called again
+ * @param {number} actorId - User issuing the refund (null for system)
+ * @returns {Object|null} Completed refund (null when a gateway refund was already recorded)
+ */
+const createRefund = async (refundData, actorId = null) => {
+  const {
+    orderId,
+    method = REFUND_METHOD.ORIGINAL_PAYMENT,
+    paymentId,
+    amount,
+    items = [],
+    returnRequestId,
+    reason,
+    note,
+    gatewayRefundedTotal
+  } = refundData;
+
+  if (!Object.values(REFUND_METHOD).includes(method)) {
+    throw new AppError(`Invalid refund method ${method}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (paymentId && method !== REFUND_METHOD.ORIGINAL_PAYMENT) {
+    throw new AppError('paymentId only applies to original payment refunds', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  // Set when the gateway refuses the refund, so the attempt is recorded after the rollback
+  let failedRefund = null;
+
+  let refund;
+  try {
+    refund = await prisma.$transaction(async (tx) => {
+      // What is refundable is worked out under the lock, before any money leaves
+      await lockOrder(tx, orderId);
+      const order = await findRefundableOrder(tx, orderId);
+      const refundable = getRefundableAmount(order);
+      let requestedAmount = amount;
+
+      if (gatewayRefundedTotal !== undefined) {
+        const gatewayPayment = order.payments.find(p => p.id === Number(paymentId));
+
+        if (!gatewayPayment) {
+          throw new AppError('Payment does not belong to this order', HTTP_STATUS.BAD_REQUEST);
+        }
+
+        requestedAmount = Math.min(
+          roundMoney(Math.min(gatewayPayment.amount, gatewayRefundedTotal) - gatewayPayment.refundedAmount),
+          refundable
+        );
+
+        if (requestedAmount <= 0) {
+          return null;
+        }
+      }
+
+      if (refundable <= 0) {
+        throw new AppError('Order has nothing left to refund', HTTP_STATUS.CONFLICT);
+      }
+
+      if (returnRequestId) {
+        const returnRequest = await tx.returnRequest.findFirst({
+          where: { id: Number(returnRequestId), orderId: order.id, ...notDeletedWhere() }
+        });
+
+        if (!returnRequest) {
+          throw new AppError('Return request does not belong to this order', HTTP_STATUS.BAD_REQUEST);
+        }
+      }
+
+      const { refundItems, total: itemsTotal } = priceRefundItems(order, items);
+
+      let payment = null;
+      if (method === REFUND_METHOD.ORIGINAL_PAYMENT) {
+        payment = selectPayment(
+          order,
+          paymentId,
+          requestedAmount !== undefined ? roundMoney(Number(requestedAmount)) : undefined
+        );
+      }
+
+      let refundAmount;
+      if (requestedAmount !== undefined) {
+        refundAmount = roundMoney(Number(requestedAmount));
+      } else if (refundItems.length > 0) {
+        refundAmount = Math.min(itemsTotal, refundable);
+      } else if (payment) {
+        refundAmount = Math.min(roundMoney(payment.amount - payment.refundedAmount), refundable);
+      } else {
+        refundAmount = refundable;
+      }
+
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0 || refundAmount > refundable) {
+        throw new AppError(`Refund amount must be between 0 and ${refundable}`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      if (refundItems.length > 0 && refundAmount > itemsTotal) {
+        throw new AppError(`Refund amount cannot exceed the refunded items' value of ${itemsTotal}`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const currency = payment ? payment.currency : (process.env.PAYMENT_CURRENCY || 'USD');
+      const refundFields = {
+        orderId: order.id,
+        paymentId: payment ? payment.id : null,
+        returnRequestId: returnRequestId ? Number(returnRequestId) : null,
+        method,
+        amount: refundAmount,
+        currency,
+        reason,
+        note,
+        createdById: actorId ? Number(actorId) : null
+      };
+
+      // Money leaves through the gateway before anything is recorded as refunded
+      if (payment) {
+        try {
+          await paymentService.refundPayment(tx, payment.id, refundAmount, actorId, {
+            gatewayRefunded: gatewayRefundedTotal !== undefined
+          });
+        } catch (err) {
+          failedRefund = refundFields;
+          throw err;
+        }
+      }
+
+      const created = await tx.refund.create({
+        data: {
+          ...refundFields,
+          items: { create: refundItems }
+        }
+      });
+
+      if (method === REFUND_METHOD.STORE_CREDIT) {
+        await creditService.changeStoreCredit(tx, {
+          userId: order.userId,
+          amount: refundAmount,
+          reason: STORE_CREDIT_REASON.REFUND,
+          note: reason,
+          refundId: created.id,
+          orderId: order.id,
+          actorId
+        });
+      }
+
+      await invoiceService.issueCreditNote(tx, created);
+
+      const refundedAmount = roundMoney(order.refundedAmount + refundAmount);
+
+      const updatedOrder = await tx.order.update({
+        where: { id: order.id },
+        data: {
+          refundedAmount,
+          netAmount: roundMoney(order.total - refundedAmount)
+        },
+        include: { items: true }
+      });
+
+      // A cancelled or returned order whose money has all gone back is settled
+      if (roundMoney(updatedOrder.netAmount) <= 0 && canTransition(updatedOrder.status, ORDER_STATUS.REFUNDED)) {
+        await orderService.changeOrderStatus(tx, updatedOrder, ORDER_STATUS.REFUNDED, {
+          actorId,
+          note: 'Order fully refunded'
+        });
+      }
+
+      return await tx.refund.findUnique({
+        where: { id: created.id },
+        include: REFUND_INCLUDE
+      });
+    }, { timeout: REFUND_TRANSACTION_TIMEOUT });
+  } catch (err) {
+    if (failedRefund) {
+      await prisma.refund.create({
+        data: { ...failedRefund, status: REFUND_STATUS.FAILED, failureReason: err.message }
+      });
+    }
+    throw err;
+  }
+
+  if (!refund) {
+    return null;
+  }
+
+  auditLog('ORDER_REFUNDED', actorId, {
+    orderId: refund.orderId,
+    refundId: refund.id,
+    method,
+    amount: refund.amount
+  });
+
+  return refund;
+};
+
+/**
+ * Refund a cancelled order back to the payments it was paid with
+ * Failures are logged rather than thrown so the cancellation still succeeds;
+ * an admin can retry the refund by hand
+ * @param {number} orderId - Order ID
+ * @param {number} actorId - User who cancelled the order
+ * @returns {Array} Refunds that were issued
+ */
+const refundCancelledOrder = async (orderId, actorId) => {
+  const refunds = [];
+
+  try {
+    const order = await findRefundableOrder(prisma, orderId);
+
+    if (order.status !== ORDER_STATUS.CANCELLED) {
+      return refunds;
+    }
+
+    const payments = order.payments.filter(payment =>
+      REFUNDABLE_PAYMENT_STATUSES.includes(payment.status) &&
+      payment.amount > payment.refundedAmount
+    );
+
+    let remaining = getRefundableAmount(order);
+
+    for (const payment of payments) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const refund = await createRefund({
+        orderId: order.id,
+        paymentId: payment.id,
+        reason: 'Order cancelled'
+      }, actorId);
+
+      refunds.push(refund);
+      remaining = roundMoney(remaining - refund.amount);
+    }
+  } catch (err) {
+    logger.error(`Automatic refund for cancelled order ${orderId} failed: ${err.message}`);
+  }
+
+  return refunds;
+};
+
+/**
+ * Refund a payment through the refund ledger
+ * @param {string} paymentId - Payment ID
+ * @param {number} [amount] - Amount (defaults to the payment's remaining amount)
+ * @param {number} actorId - User performing the refund
+ * @returns {Object} Updated payment
+ */
+const refundPayment = async (paymentId, amount, actorId) => {
+  const payment = await prisma.payment.findFirst({
+    where: { id: Number(paymentId), ...notDeletedWhere() }
+  });
+
+  if (!payment) {
+    throw new AppError('Payment not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  const refund = await createRefund({ orderId: payment.orderId, paymentId: payment.id, amount }, actorId);
+
+  return refund.payment;
+};
+
+/**
+ * Get refunds for an order
+ * @param {string} orderId - Order ID
+ * @param {Object} user - Requesting user
+ * @returns {Array} Refunds
+ */
+const getOrderRefunds = async (orderId, user) => {
+  const where = { id: Number(orderId), ...notDeletedWhere() };
+
+  // Non-admin users can only see refunds for their own orders
+  if (user.role !== 'ADMIN') {
+    where.userId = user.id;
+  }
+
+  const order = await prisma.order.findFirst({ where });
+  if (!order) {
+    throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return await prisma.refund.findMany({
+    where: { orderId: order.id },
+    include: { items: true },
+    orderBy: { createdAt: 'desc' }
+  });
+};
+
+/**
+ * Get all refunds (Admin only)
+ * @param {Object} query - Query parameters
+ * @returns {Object} Refunds with metadata
+ */
+const getRefunds = async (query) => {
+  const {
+    page = 1,
+    limit = 20,
+    orderId,
+    method,
+    status
+  } = query;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  const where = {};
+
+  if (orderId) {
+    where.orderId = Number(orderId);
+  }
+
+  if (method) {
+    where.method = method;
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  const [refunds, total] = await Promise.all([
+    prisma.refund.findMany({
+      where,
+      include: REFUND_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      skip: offset,
+      take: limitNum
+    }),
+    prisma.refund.count({ where })
+  ]);
+
+  return {
+    data: refunds,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+module.exports = {
+  createRefund,
+  refundCancelledOrder,
+  refundPayment,
+  getOrderRefunds,
+  getRefunds
+};
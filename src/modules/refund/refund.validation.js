@@ -0,0 +1,39 @@
+/**
+ * Refund Validation Schemas
+ * Joi validation schemas for refund endpoints
+ */
+
+const Joi = require('joi');
+const { REFUND_METHOD, REFUND_STATUS } = require('../../utils/constants');
+
+const createRefundSchema = Joi.object({
+  orderId: Joi.number().integer().positive().required(),
+  method: Joi.string().valid(...Object.values(REFUND_METHOD)).default(REFUND_METHOD.ORIGINAL_PAYMENT),
+  paymentId: Joi.number().integer().positive().optional(),
+  amount: Joi.number().positive().optional(),
+  items: Joi.array().items(Joi.object({
+    orderItemId: Joi.number().integer().positive().required(),
+    quantity: Joi.number().integer().positive().required()
+  })).optional(),
+  returnRequestId: Joi.number().integer().positive().optional(),
+  reason: Joi.string().max(500).optional(),
+  note: Joi.string().max(1000).optional()
+});
+
+const getRefundsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  orderId: Joi.number().integer().positive().optional(),
+  method: Joi.string().valid(...Object.values(REFUND_METHOD)).optional(),
+  status: Joi.string().valid(...Object.values(REFUND_STATUS)).optional()
+});
+
+const orderIdSchema = Joi.object({
+  orderId: Joi.number().integer().positive().required()
+});
+
+module.exports = {
+  createRefundSchema,
+  getRefundsSchema,
+  orderIdSchema
+};
@@ -0,0 +1,115 @@
+/**
+ * Return Controller
+ * Handles HTTP requests for return request operations
+ */
+
+const returnService = require('./return.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Open a return request
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createReturn = async (req, res) => {
+  try {
+    const returnRequest = await returnService.createReturn(req.user.id, req.body);
+    success(res, returnRequest, 'Return requested successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get current user's return requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getUserReturns = async (req, res) => {
+  try {
+    const result = await returnService.getUserReturns(req.user.id, req.query);
+    success(res, result.data, 'Returns retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get all return requests (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReturns = async (req, res) => {
+  try {
+    const result = await returnService.getReturns(req.query);
+    success(res, result.data, 'Returns retrieved successfully', 200, result.meta);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Get a return request by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReturnById = async (req, res) => {
+  try {
+    const returnRequest = await returnService.getReturnById(req.params.id, req.user);
+    success(res, returnRequest, 'Return retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Approve a return request (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const approveReturn = async (req, res) => {
+  try {
+    const returnRequest = await returnService.approveReturn(req.params.id, req.body, req.user.id);
+    success(res, returnRequest, 'Return approved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Reject a return request (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectReturn = async (req, res) => {
+  try {
+    const returnRequest = await returnService.rejectReturn(req.params.id, req.body, req.user.id);
+    success(res, returnRequest, 'Return rejected successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Mark a return as received (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const receiveReturn = async (req, res) => {
+  try {
+    const returnRequest = await returnService.receiveReturn(req.params.id, req.body, req.user.id);
+    success(res, returnRequest, 'Return received successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  createReturn,
+  getUserReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+};
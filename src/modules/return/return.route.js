@@ -0,0 +1,332 @@
+/**
+ * Return Routes
+ * Defines API endpoints for return requests (RMA)
+ */
+
+const express = require('express');
+const router = express.Router();
+const returnController = require('./return.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const returnValidation = require('./return.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReturnRequest:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         userId:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, RECEIVED]
+ *         customerNote:
+ *           type: string
+ *         adminNote:
+ *           type: string
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItemId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *               restockedQuantity:
+ *                 type: integer
+ *                 description: Units put back into stock when the return was received
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectedAt:
+ *           type: string
+ *           format: date-time
+ *         receivedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/returns:
+ *   post:
+ *     summary: Request a return for items of a delivered order
+ *     description: |
+ *       Each item names an order item, the quantity to send back and a reason.
+ *       The order moves to RETURN_REQUESTED until every open return is settled.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - orderId
+ *               - items
+ *             properties:
+ *               orderId:
+ *                 type: integer
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - orderItemId
+ *                     - quantity
+ *                     - reason
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *                     reason:
+ *                       type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Return requested successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ReturnRequest'
+ *       400:
+ *         description: Invalid items or quantity exceeds what can still be returned
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order has not been delivered
+ */
+router.post('/',
+  authenticate,
+  validate(returnValidation.createReturnSchema, 'body'),
+  returnController.createReturn
+);
+
+/**
+ * @swagger
+ * /api/returns/my:
+ *   get:
+ *     summary: Get current user's return requests
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, RECEIVED]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ */
+router.get('/my',
+  authenticate,
+  validate(returnValidation.getReturnsSchema, 'query'),
+  returnController.getUserReturns
+);
+
+/**
+ * @swagger
+ * /admin/returns:
+ *   get:
+ *     summary: Get all return requests (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [REQUESTED, APPROVED, REJECTED, RECEIVED]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Returns retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin access required
+ */
+router.get('/',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(returnValidation.getReturnsSchema, 'query'),
+  returnController.getReturns
+);
+
+/**
+ * @swagger
+ * /api/returns/{id}:
+ *   get:
+ *     summary: Get a return request by ID
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Return retrieved successfully
+ *       404:
+ *         description: Return request not found
+ */
+router.get('/:id',
+  authenticate,
+  validate(returnValidation.returnIdSchema, 'params'),
+  returnController.getReturnById
+);
+
+/**
+ * @swagger
+ * /admin/returns/{id}/approve:
+ *   post:
+ *     summary: Approve a requested return (Admin only)
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return approved successfully
+ *       409:
+ *         description: Return is not awaiting approval
+ */
+router.post('/:id/approve',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(returnValidation.returnIdSchema, 'params'),
+  validate(returnValidation.reviewReturnSchema, 'body'),
+  returnController.approveReturn
+);
+
+/**
+ * @swagger
+ * /admin/returns/{id}/reject:
+ *   post:
+ *     summary: Reject a return that has not been received (Admin only)
+ *     description: Once no return is open, the order goes back to COMPLETED (or RETURNED if every item has been received back).
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return rejected successfully
+ *       409:
+ *         description: Return is already settled
+ */
+router.post('/:id/reject',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(returnValidation.returnIdSchema, 'params'),
+  validate(returnValidation.reviewReturnSchema, 'body'),
+  returnController.rejectReturn
+);
+
+/**
+ * @swagger
+ * /admin/returns/{id}/receive:
+ *   post:
+ *     summary: Mark an approved return as received (Admin only)
+ *     description: |
+ *       Puts the returned units back into stock at the locations they shipped
+ *       from (RETURN movements) unless restock is false. Once no return is
+ *       open, the order moves to RETURNED if every item has been received back,
+ *       otherwise back to COMPLETED so the rest can still be returned.
+ *     tags: [Returns]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               restock:
+ *                 type: boolean
+ *                 default: true
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Return received successfully
+ *       409:
+ *         description: Return has not been approved
+ */
+router.post('/:id/receive',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(returnValidation.returnIdSchema, 'params'),
+  validate(returnValidation.receiveReturnSchema, 'body'),
+  returnController.receiveReturn
+);
+
+module.exports = router;
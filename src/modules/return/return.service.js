@@ -0,0 +1,464 @@
+/**
+ * Return Service
+ * Contains business logic for return requests (RMA) on delivered orders
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const {
+  ORDER_STATUS,
+  RETURN_STATUS,
+  INVENTORY_MOVEMENT_REASON,
+  HTTP_STATUS
+} = require('../../utils/constants');
+const { auditLog } = require('../../utils/logger');
+const inventoryService = require('../inventory/inventory.service');
+const orderService = require('../order/order.service');
+
+// Order statuses from which a customer may open a return
+const RETURNABLE_ORDER_STATUSES = [
+  ORDER_STATUS.DELIVERED,
+  ORDER_STATUS.COMPLETED,
+  ORDER_STATUS.RETURN_REQUESTED
+];
+
+// Returns still waiting on an admin decision or on the parcel
+const OPEN_RETURN_STATUSES = [RETURN_STATUS.REQUESTED, RETURN_STATUS.APPROVED];
+
+const RETURN_INCLUDE = {
+  items: {
+    include: {
+      orderItem: {
+        include: {
+          product: true,
+          variant: true
+        }
+      }
+    }
+  },
+  order: {
+    select: { id: true, status: true, total: true }
+  },
+  user: {
+    select: { id: true, name: true, email: true }
+  },
+  reviewedBy: {
+    select: { id: true, name: true, email: true }
+  }
+};
+
+/**
+ * Lock an order row until the surrounding transaction ends
+ * Serializes concurrent return requests against the same order
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ */
+const lockOrder = async (tx, orderId) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Order" WHERE "id" = ${Number(orderId)} FOR UPDATE`;
+};
+
+/**
+ * Sum the quantities already claimed by returns that were not rejected
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} orderId - Order ID
+ * @returns {Map<number, number>} Returned quantity per order item ID
+ */
+const getReturnedQuantities = async (client, orderId) => {
+  const returnItems = await client.returnItem.findMany({
+    where: {
+      returnRequest: {
+        orderId: Number(orderId),
+        status: { not: RETURN_STATUS.REJECTED },
+        ...notDeletedWhere()
+      }
+    }
+  });
+
+  const returned = new Map();
+  for (const item of returnItems) {
+    returned.set(item.orderItemId, (returned.get(item.orderItemId) || 0) + item.quantity);
+  }
+
+  return returned;
+};
+
+/**
+ * Find a return request or throw 404
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string} id - Return request ID
+ * @returns {Object} Return request with its items
+ */
+const findReturnOrFail = async (client, id) => {
+  const returnRequest = await client.returnRequest.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() },
+    include: RETURN_INCLUDE
+  });
+
+  if (!returnRequest) {
+    throw new AppError('Return request not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Close the order's return cycle once no return is left open
+ * The order becomes RETURNED once every unit has been received back, otherwise
+ * COMPLETED again so the rest can still be returned
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ * @param {number} actorId - Admin settling the return
+ */
+const settleOrder = async (tx, orderId, actorId) => {
+  const openReturns = await tx.returnRequest.count({
+    where: { orderId, status: { in: OPEN_RETURN_STATUSES }, ...notDeletedWhere() }
+  });
+
+  if (openReturns > 0) {
+    return;
+  }
+
+  const order = await tx.order.findUnique({
+    where: { id: orderId },
+    include: { items: { where: notDeletedWhere() } }
+  });
+
+  if (order.status !== ORDER_STATUS.RETURN_REQUESTED) {
+    return;
+  }
+
+  // With no return open, every return still counted was received
+  const returned = await getReturnedQuantities(tx, orderId);
+  const fullyReturned = order.items.every(item => (returned.get(item.id) || 0) >= item.quantity);
+
+  // Received items were already restocked one by one
+  await orderService.changeOrderStatus(
+    tx,
+    order,
+    fullyReturned ? ORDER_STATUS.RETURNED : ORDER_STATUS.COMPLETED,
+    {
+      actorId,
+      note: fullyReturned ? 'Returned items received' : 'Return settled',
+      restock: false
+    }
+  );
+};
+
+/**
+ * Open a return request for items of a delivered order
+ * @param {number} userId - User ID
+ * @param {Object} returnData - orderId, items [{ orderItemId, quantity, reason }], note
+ * @returns {Object} Created return request
+ */
+const createReturn = async (userId, { orderId, items, note }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('Return must contain at least one item', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  for (const item of items) {
+    if (!Number.isInteger(Number(item.quantity)) || Number(item.quantity) <= 0) {
+      throw new AppError('Return quantity must be a positive integer', HTTP_STATUS.BAD_REQUEST);
+    }
+
+    if (!item.reason || !String(item.reason).trim()) {
+      throw new AppError('A reason is required for every returned item', HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  const returnRequest = await prisma.$transaction(async (tx) => {
+    await lockOrder(tx, orderId);
+
+    const order = await tx.order.findFirst({
+      where: { id: Number(orderId), userId: Number(userId), ...notDeletedWhere() },
+      include: { items: { where: notDeletedWhere() } }
+    });
+
+    if (!order) {
+      throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new AppError(`Only delivered orders can be returned (order is ${order.status})`, HTTP_STATUS.CONFLICT);
+    }
+
+    const returned = await getReturnedQuantities(tx, order.id);
+
+    for (const item of items) {
+      const orderItem = order.items.find(line => line.id === Number(item.orderItemId));
+
+      if (!orderItem) {
+        throw new AppError(`Order item ${item.orderItemId} does not belong to this order`, HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const alreadyReturned = returned.get(orderItem.id) || 0;
+      const returnable = orderItem.quantity - alreadyReturned;
+
+      if (Number(item.quantity) > returnable) {
+        throw new AppError(
+          `Only ${Math.max(0, returnable)} of order item ${orderItem.id} can still be returned`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      returned.set(orderItem.id, alreadyReturned + Number(item.quantity));
+    }
+
+    const created = await tx.returnRequest.create({
+      data: {
+        orderId: order.id,
+        userId: Number(userId),
+        customerNote: note,
+        items: {
+          create: items.map(item => ({
+            orderItemId: Number(item.orderItemId),
+            quantity: Number(item.quantity),
+            reason: String(item.reason).trim()
+          }))
+        }
+      }
+    });
+
+    if (order.status !== ORDER_STATUS.RETURN_REQUESTED) {
+      await orderService.changeOrderStatus(tx, order, ORDER_STATUS.RETURN_REQUESTED, {
+        actorId: userId,
+        note: `Return #${created.id} requested`
+      });
+    }
+
+    return await findReturnOrFail(tx, created.id);
+  });
+
+  auditLog('RETURN_REQUESTED', userId, { orderId: returnRequest.orderId, returnId: returnRequest.id });
+
+  return returnRequest;
+};
+
+/**
+ * Get paginated return requests
+ * @param {Object} where - Base filter
+ * @param {Object} query - Query parameters
+ * @returns {Object} Return requests with metadata
+ */
+const findReturns = async (where, query) => {
+  const {
+    page = 1,
+    limit = 20,
+    status
+  } = query;
+
+  const pageNum = Math.max(1, parseInt(page));
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
+  const offset = (pageNum - 1) * limitNum;
+
+  if (status) {
+    where.status = status;
+  }
+
+  const [returns, total] = await Promise.all([
+    prisma.returnRequest.findMany({
+      where,
+      include: RETURN_INCLUDE,
+      orderBy: { createdAt: 'desc' },
+      skip: offset,
+      take: limitNum
+    }),
+    prisma.returnRequest.count({ where })
+  ]);
+
+  return {
+    data: returns,
+    meta: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      totalPages: Math.ceil(total / limitNum)
+    }
+  };
+};
+
+/**
+ * Get the current user's return requests
+ * @param {number} userId - User ID
+ * @param {Object} query - Query parameters
+ * @returns {Object} Return requests with metadata
+ */
+const getUserReturns = async (userId, query) => {
+  return await findReturns({ userId: Number(userId), ...notDeletedWhere() }, query);
+};
+
+/**
+ * Get all return requests (Admin only)
+ * @param {Object} query - Query parameters
+ * @returns {Object} Return requests with metadata
+ */
+const getReturns = async (query) => {
+  const where = { ...notDeletedWhere() };
+
+  if (query.orderId) {
+    where.orderId = Number(query.orderId);
+  }
+
+  return await findReturns(where, query);
+};
+
+/**
+ * Get a return request by ID
+ * @param {string} id - Return request ID
+ * @param {Object} user - Requesting user
+ * @returns {Object} Return request
+ */
+const getReturnById = async (id, user) => {
+  const returnRequest = await findReturnOrFail(prisma, id);
+
+  // Non-admin users can only see their own returns
+  if (user.role !== 'ADMIN' && returnRequest.userId !== user.id) {
+    throw new AppError('Return request not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return returnRequest;
+};
+
+/**
+ * Approve a requested return (Admin only)
+ * @param {string} id - Return request ID
+ * @param {Object} reviewData - note
+ * @param {number} actorId - Admin approving the return
+ * @returns {Object} Updated return request
+ */
+const approveReturn = async (id, { note } = {}, actorId) => {
+  const returnRequest = await findReturnOrFail(prisma, id);
+
+  if (returnRequest.status !== RETURN_STATUS.REQUESTED) {
+    throw new AppError(`Cannot approve a ${returnRequest.status} return`, HTTP_STATUS.CONFLICT);
+  }
+
+  const updated = await prisma.returnRequest.update({
+    where: { id: returnRequest.id },
+    data: {
+      status: RETURN_STATUS.APPROVED,
+      approvedAt: new Date(),
+      reviewedById: Number(actorId),
+      adminNote: note
+    },
+    include: RETURN_INCLUDE
+  });
+
+  auditLog('RETURN_APPROVED', actorId, { orderId: returnRequest.orderId, returnId: returnRequest.id });
+
+  return updated;
+};
+
+/**
+ * Reject a return that has not been received (Admin only)
+ * @param {string} id - Return request ID
+ * @param {Object} reviewData - note
+ * @param {number} actorId - Admin rejecting the return
+ * @returns {Object} Updated return request
+ */
+const rejectReturn = async (id, { note } = {}, actorId) => {
+  const updated = await prisma.$transaction(async (tx) => {
+    const { orderId } = await findReturnOrFail(tx, id);
+    await lockOrder(tx, orderId);
+    const returnRequest = await findReturnOrFail(tx, id);
+
+    if (!OPEN_RETURN_STATUSES.includes(returnRequest.status)) {
+      throw new AppError(`Cannot reject a ${returnRequest.status} return`, HTTP_STATUS.CONFLICT);
+    }
+
+    await tx.returnRequest.update({
+      where: { id: returnRequest.id },
+      data: {
+        status: RETURN_STATUS.REJECTED,
+        rejectedAt: new Date(),
+        reviewedById: Number(actorId),
+        adminNote: note
+      }
+    });
+
+    await settleOrder(tx, returnRequest.orderId, actorId);
+
+    return await findReturnOrFail(tx, returnRequest.id);
+  });
+
+  auditLog('RETURN_REJECTED', actorId, { orderId: updated.orderId, returnId: updated.id });
+
+  return updated;
+};
+
+/**
+ * Mark an approved return as received (Admin only)
+ * Restocks the returned units at the locations they shipped from unless restock is false
+ * @param {string} id - Return request ID
+ * @param {Object} receiveData - restock (default true), note
+ * @param {number} actorId - Admin receiving the return
+ * @returns {Object} Updated return request
+ */
+const receiveReturn = async (id, { restock = true, note } = {}, actorId) => {
+  const shouldRestock = restock !== false && restock !== 'false';
+
+  const updated = await prisma.$transaction(async (tx) => {
+    const { orderId } = await findReturnOrFail(tx, id);
+    await lockOrder(tx, orderId);
+    const returnRequest = await findReturnOrFail(tx, id);
+
+    if (returnRequest.status !== RETURN_STATUS.APPROVED) {
+      throw new AppError(`Cannot receive a ${returnRequest.status} return`, HTTP_STATUS.CONFLICT);
+    }
+
+    if (shouldRestock) {
+      for (const item of returnRequest.items) {
+        await inventoryService.lockVariant(tx, item.orderItem.variantId);
+
+        const restocked = await inventoryService.restockOrderItem(tx, item.orderItem, {
+          reason: INVENTORY_MOVEMENT_REASON.RETURN,
+          orderId: returnRequest.orderId,
+          actorId,
+          note: `Return #${returnRequest.id}`,
+          quantity: item.quantity
+        });
+
+        await tx.returnItem.update({
+          where: { id: item.id },
+          data: { restockedQuantity: restocked }
+        });
+      }
+    }
+
+    await tx.returnRequest.update({
+      where: { id: returnRequest.id },
+      data: {
+        status: RETURN_STATUS.RECEIVED,
+        receivedAt: new Date(),
+        reviewedById: Number(actorId),
+        adminNote: note !== undefined ? note : returnRequest.adminNote
+      }
+    });
+
+    await settleOrder(tx, returnRequest.orderId, actorId);
+
+    return await findReturnOrFail(tx, returnRequest.id);
+  });
+
+  if (shouldRestock) {
+    await inventoryService.checkStockAlerts(updated.items.map(item => item.orderItem.variantId));
+  }
+
+  auditLog('RETURN_RECEIVED', actorId, {
+    orderId: updated.orderId,
+    returnId: updated.id,
+    restocked: shouldRestock
+  });
+
+  return updated;
+};
+
+module.exports = {
+  createReturn,
+  getUserReturns,
+  getReturns,
+  getReturnById,
+  approveReturn,
+  rejectReturn,
+  receiveReturn
+};
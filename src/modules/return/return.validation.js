@@ -0,0 +1,45 @@
+/**
+ * Return Validation Schemas
+ * Joi validation schemas for return request endpoints
+ */
+
+const Joi = require('joi');
+const { RETURN_STATUS } = require('../../utils/constants');
+
+const createReturnSchema = Joi.object({
+  orderId: Joi.number().integer().positive().required(),
+  items: Joi.array().items(Joi.object({
+    orderItemId: Joi.number().integer().positive().required(),
+    quantity: Joi.number().integer().positive().required(),
+    reason: Joi.string().max(500).required()
+  })).min(1).required(),
+  note: Joi.string().max(1000).optional()
+});
+
+const getReturnsSchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid(...Object.values(RETURN_STATUS)).optional(),
+  orderId: Joi.number().integer().positive().optional()
+});
+
+const returnIdSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+const reviewReturnSchema = Joi.object({
+  note: Joi.string().max(1000).optional()
+});
+
+const receiveReturnSchema = Joi.object({
+  restock: Joi.boolean().default(true),
+  note: Joi.string().max(1000).optional()
+});
+
+module.exports = {
+  createReturnSchema,
+  getReturnsSchema,
+  returnIdSchema,
+  reviewReturnSchema,
+  receiveReturnSchema
+};
@@ -0,0 +1,80 @@
+/**
+ * Shipment Controller
+ * Handles HTTP requests for order shipment operations
+ */
+
+const shipmentService = require('./shipment.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Get shipments for an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderShipments = async (req, res) => {
+  try {
+    const shipments = await shipmentService.getOrderShipments(req.params.id, req.user);
+    success(res, shipments, 'Shipments retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Ship order items (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createShipment = async (req, res) => {
+  try {
+    const shipment = await shipmentService.createShipment(req.params.id, req.body, req.user.id);
+    success(res, shipment, 'Shipment created successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Update shipment tracking details (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateShipment = async (req, res) => {
+  try {
+    const shipment = await shipmentService.updateShipment(
+      req.params.id,
+      req.params.shipmentId,
+      req.body,
+      req.user.id
+    );
+    success(res, shipment, 'Shipment updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Mark a shipment as delivered (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const markDelivered = async (req, res) => {
+  try {
+    const shipment = await shipmentService.markDelivered(
+      req.params.id,
+      req.params.shipmentId,
+      req.body,
+      req.user.id
+    );
+    success(res, shipment, 'Shipment marked as delivered');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  getOrderShipments,
+  createShipment,
+  updateShipment,
+  markDelivered
+};
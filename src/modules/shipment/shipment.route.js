@@ -0,0 +1,241 @@
+/**
+ * Shipment Routes
+ * Defines API endpoints for order shipments, mounted under /orders/:id/shipments
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const shipmentController = require('./shipment.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const shipmentValidation = require('./shipment.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Shipment:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         orderId:
+ *           type: integer
+ *         carrier:
+ *           type: string
+ *         trackingNumber:
+ *           type: string
+ *         trackingUrlTemplate:
+ *           type: string
+ *           description: URL containing {trackingNumber}; known carriers (UPS, FEDEX, USPS, DHL) have a default
+ *         trackingUrl:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [SHIPPED, DELIVERED]
+ *         shippedAt:
+ *           type: string
+ *           format: date-time
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               orderItemId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ */
+
+/**
+ * @swagger
+ * /api/orders/{id}/shipments:
+ *   get:
+ *     summary: Get shipments for an order
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipments retrieved successfully
+ *       404:
+ *         description: Order not found
+ */
+router.get('/',
+  authenticate,
+  validate(shipmentValidation.orderIdSchema, 'params'),
+  shipmentController.getOrderShipments
+);
+
+/**
+ * @swagger
+ * /admin/orders/{id}/shipments:
+ *   post:
+ *     summary: Ship order items in a package (Admin only)
+ *     description: |
+ *       Without items, every unit not yet shipped goes in the package. A PAID
+ *       order moves to PROCESSING first, then to PARTIALLY_SHIPPED while units
+ *       remain and to SHIPPED once everything has shipped.
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - carrier
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrlTemplate:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     orderItemId:
+ *                       type: integer
+ *                     quantity:
+ *                       type: integer
+ *               shippedAt:
+ *                 type: string
+ *                 format: date-time
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shipment created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shipment'
+ *       400:
+ *         description: Quantity exceeds what is left to ship
+ *       404:
+ *         description: Order not found
+ *       409:
+ *         description: Order cannot be shipped or has nothing left to ship
+ */
+router.post('/',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shipmentValidation.orderIdSchema, 'params'),
+  validate(shipmentValidation.createShipmentSchema, 'body'),
+  shipmentController.createShipment
+);
+
+/**
+ * @swagger
+ * /admin/orders/{id}/shipments/{shipmentId}:
+ *   put:
+ *     summary: Update shipment carrier and tracking details (Admin only)
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrier:
+ *                 type: string
+ *               trackingNumber:
+ *                 type: string
+ *               trackingUrlTemplate:
+ *                 type: string
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Shipment updated successfully
+ *       404:
+ *         description: Shipment not found
+ */
+router.put('/:shipmentId',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shipmentValidation.shipmentIdSchema, 'params'),
+  validate(shipmentValidation.updateShipmentSchema, 'body'),
+  shipmentController.updateShipment
+);
+
+/**
+ * @swagger
+ * /admin/orders/{id}/shipments/{shipmentId}/deliver:
+ *   post:
+ *     summary: Mark a shipment as delivered (Admin only)
+ *     description: The order moves to DELIVERED once it has fully shipped and every shipment is delivered.
+ *     tags: [Shipments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: shipmentId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               deliveredAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: Shipment marked as delivered
+ *       404:
+ *         description: Shipment not found
+ *       409:
+ *         description: Shipment is already delivered
+ */
+router.post('/:shipmentId/deliver',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shipmentValidation.shipmentIdSchema, 'params'),
+  validate(shipmentValidation.deliverShipmentSchema, 'body'),
+  shipmentController.markDelivered
+);
+
+module.exports = router;
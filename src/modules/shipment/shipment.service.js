@@ -0,0 +1,348 @@
+/**
+ * Shipment Service
+ * Contains business logic for shipping order items in one or more packages
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const {
+  ORDER_STATUS,
+  SHIPMENT_STATUS,
+  CARRIER_TRACKING_URLS,
+  HTTP_STATUS
+} = require('../../utils/constants');
+const { auditLog } = require('../../utils/logger');
+const orderService = require('../order/order.service');
+
+// Order statuses from which items can still be shipped
+const SHIPPABLE_ORDER_STATUSES = [
+  ORDER_STATUS.PAID,
+  ORDER_STATUS.PROCESSING,
+  ORDER_STATUS.PARTIALLY_SHIPPED
+];
+
+const SHIPMENT_INCLUDE = {
+  items: {
+    include: {
+      orderItem: {
+        include: {
+          product: true,
+          variant: true
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Lock an order row until the surrounding transaction ends
+ * Serializes concurrent shipments against the same order
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ */
+const lockOrder = async (tx, orderId) => {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Order" WHERE "id" = ${Number(orderId)} FOR UPDATE`;
+};
+
+/**
+ * Build the tracking link for a shipment
+ * @param {string} carrier - Carrier name
+ * @param {string} [trackingNumber] - Carrier tracking number
+ * @param {string} [template] - URL template containing {trackingNumber}; defaults to the carrier's
+ * @returns {string|null} Tracking URL, or null when there is nothing to link to
+ */
+const buildTrackingUrl = (carrier, trackingNumber, template) => {
+  const urlTemplate = template || CARRIER_TRACKING_URLS[String(carrier).toUpperCase()];
+
+  if (!urlTemplate || !trackingNumber) {
+    return null;
+  }
+
+  return urlTemplate.replace(/\{trackingNumber\}/g, encodeURIComponent(trackingNumber));
+};
+
+/**
+ * Sum the quantities already packed in shipments
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} orderId - Order ID
+ * @returns {Map<number, number>} Shipped quantity per order item ID
+ */
+const getShippedQuantities = async (client, orderId) => {
+  const shipmentItems = await client.shipmentItem.findMany({
+    where: {
+      shipment: { orderId: Number(orderId), ...notDeletedWhere() }
+    }
+  });
+
+  const shipped = new Map();
+  for (const item of shipmentItems) {
+    shipped.set(item.orderItemId, (shipped.get(item.orderItemId) || 0) + item.quantity);
+  }
+
+  return shipped;
+};
+
+/**
+ * Find a shipment of an order or throw 404
+ * @param {Object} client - Prisma client or transaction client
+ * @param {number} orderId - Order ID
+ * @param {number} shipmentId - Shipment ID
+ * @returns {Object} Shipment
+ */
+const findShipmentOrFail = async (client, orderId, shipmentId) => {
+  const shipment = await client.shipment.findFirst({
+    where: { id: Number(shipmentId), orderId: Number(orderId), ...notDeletedWhere() }
+  });
+
+  if (!shipment) {
+    throw new AppError('Shipment not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return shipment;
+};
+
+/**
+ * Ship some or all of an order's remaining items (Admin only)
+ * The order moves to PARTIALLY_SHIPPED or SHIPPED depending on what is left
+ * @param {string} orderId - Order ID
+ * @param {Object} shipmentData - carrier, trackingNumber, trackingUrlTemplate, items, shippedAt, note
+ * @param {number} actorId - Admin creating the shipment
+ * @returns {Object} Created shipment
+ */
+const createShipment = async (orderId, shipmentData, actorId) => {
+  const { carrier, trackingNumber, trackingUrlTemplate, items, shippedAt, note } = shipmentData;
+
+  if (!carrier) {
+    throw new AppError('Carrier is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const shipment = await prisma.$transaction(async (tx) => {
+    await lockOrder(tx, orderId);
+
+    let order = await tx.order.findFirst({
+      where: { id: Number(orderId), ...notDeletedWhere() },
+      include: { items: true }
+    });
+
+    if (!order) {
+      throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+    }
+
+    if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+      throw new AppError(`Cannot ship items of a ${order.status} order`, HTTP_STATUS.CONFLICT);
+    }
+
+    const shipped = await getShippedQuantities(tx, order.id);
+    const remaining = (orderItem) => orderItem.quantity - (shipped.get(orderItem.id) || 0);
+
+    // Without items, everything not yet shipped goes in this package
+    let lines;
+    if (items && items.length > 0) {
+      const requested = new Map();
+      for (const item of items) {
+        const quantity = Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 1) {
+          throw new AppError('Quantity must be a positive integer', HTTP_STATUS.BAD_REQUEST);
+        }
+        const orderItemId = Number(item.orderItemId);
+        requested.set(orderItemId, (requested.get(orderItemId) || 0) + quantity);
+      }
+
+      lines = [];
+      for (const [orderItemId, quantity] of requested) {
+        const orderItem = order.items.find(i => i.id === orderItemId);
+
+        if (!orderItem) {
+          throw new AppError(`Order item ${orderItemId} does not belong to this order`, HTTP_STATUS.BAD_REQUEST);
+        }
+
+        if (quantity > remaining(orderItem)) {
+          throw new AppError(
+            `Only ${remaining(orderItem)} unit(s) of order item ${orderItemId} are left to ship`,
+            HTTP_STATUS.BAD_REQUEST
+          );
+        }
+
+        lines.push({ orderItemId, quantity });
+      }
+    } else {
+      lines = order.items
+        .filter(orderItem => remaining(orderItem) > 0)
+        .map(orderItem => ({ orderItemId: orderItem.id, quantity: remaining(orderItem) }));
+    }
+
+    if (lines.length === 0) {
+      throw new AppError('Every item on this order has already shipped', HTTP_STATUS.CONFLICT);
+    }
+
+    const created = await tx.shipment.create({
+      data: {
+        orderId: order.id,
+        carrier,
+        trackingNumber,
+        trackingUrlTemplate,
+        trackingUrl: buildTrackingUrl(carrier, trackingNumber, trackingUrlTemplate),
+        shippedAt: shippedAt ? new Date(shippedAt) : undefined,
+        note,
+        createdById: actorId ? Number(actorId) : null,
+        items: { create: lines }
+      }
+    });
+
+    for (const line of lines) {
+      shipped.set(line.orderItemId, (shipped.get(line.orderItemId) || 0) + line.quantity);
+    }
+
+    const fullyShipped = order.items.every(orderItem => remaining(orderItem) <= 0);
+    const statusNote = `Shipment ${created.id} sent with ${carrier}`;
+
+    if (order.status === ORDER_STATUS.PAID) {
+      order = await orderService.changeOrderStatus(tx, order, ORDER_STATUS.PROCESSING, {
+        actorId,
+        note: 'Fulfillment started'
+      });
+    }
+
+    const fulfillmentStatus = fullyShipped ? ORDER_STATUS.SHIPPED : ORDER_STATUS.PARTIALLY_SHIPPED;
+    if (order.status !== fulfillmentStatus) {
+      await orderService.changeOrderStatus(tx, order, fulfillmentStatus, { actorId, note: statusNote });
+    }
+
+    return await tx.shipment.findUnique({
+      where: { id: created.id },
+      include: SHIPMENT_INCLUDE
+    });
+  });
+
+  auditLog('SHIPMENT_CREATED', actorId, {
+    orderId: shipment.orderId,
+    shipmentId: shipment.id,
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber
+  });
+
+  return shipment;
+};
+
+/**
+ * Update a shipment's carrier and tracking details (Admin only)
+ * @param {string} orderId - Order ID
+ * @param {string} shipmentId - Shipment ID
+ * @param {Object} updateData - carrier, trackingNumber, trackingUrlTemplate, note
+ * @param {number} actorId - Admin making the change
+ * @returns {Object} Updated shipment
+ */
+const updateShipment = async (orderId, shipmentId, updateData, actorId) => {
+  const shipment = await findShipmentOrFail(prisma, orderId, shipmentId);
+
+  const data = {};
+  for (const field of ['carrier', 'trackingNumber', 'trackingUrlTemplate', 'note']) {
+    if (updateData[field] !== undefined) {
+      data[field] = updateData[field];
+    }
+  }
+
+  const merged = { ...shipment, ...data };
+  data.trackingUrl = buildTrackingUrl(merged.carrier, merged.trackingNumber, merged.trackingUrlTemplate);
+
+  const updatedShipment = await prisma.shipment.update({
+    where: { id: shipment.id },
+    data,
+    include: SHIPMENT_INCLUDE
+  });
+
+  auditLog('SHIPMENT_UPDATED', actorId, { orderId: shipment.orderId, shipmentId: shipment.id });
+
+  return updatedShipment;
+};
+
+/**
+ * Mark a shipment as delivered (Admin only)
+ * Once every item has shipped and every shipment is delivered, the order moves to DELIVERED
+ * @param {string} orderId - Order ID
+ * @param {string} shipmentId - Shipment ID
+ * @param {Object} deliveryData - deliveredAt
+ * @param {number} actorId - Admin recording the delivery
+ * @returns {Object} Updated shipment
+ */
+const markDelivered = async (orderId, shipmentId, { deliveredAt } = {}, actorId) => {
+  const shipment = await prisma.$transaction(async (tx) => {
+    await lockOrder(tx, orderId);
+
+    const existing = await findShipmentOrFail(tx, orderId, shipmentId);
+
+    if (existing.status === SHIPMENT_STATUS.DELIVERED) {
+      throw new AppError('Shipment is already delivered', HTTP_STATUS.CONFLICT);
+    }
+
+    const updated = await tx.shipment.update({
+      where: { id: existing.id },
+      data: {
+        status: SHIPMENT_STATUS.DELIVERED,
+        deliveredAt: deliveredAt ? new Date(deliveredAt) : new Date()
+      },
+      include: SHIPMENT_INCLUDE
+    });
+
+    const order = await tx.order.findUnique({
+      where: { id: existing.orderId },
+      include: { items: true }
+    });
+
+    const undelivered = await tx.shipment.count({
+      where: {
+        orderId: order.id,
+        status: { not: SHIPMENT_STATUS.DELIVERED },
+        ...notDeletedWhere()
+      }
+    });
+
+    if (order.status === ORDER_STATUS.SHIPPED && undelivered === 0) {
+      await orderService.changeOrderStatus(tx, order, ORDER_STATUS.DELIVERED, {
+        actorId,
+        note: 'All shipments delivered'
+      });
+    }
+
+    return updated;
+  });
+
+  auditLog('SHIPMENT_DELIVERED', actorId, { orderId: shipment.orderId, shipmentId: shipment.id });
+
+  return shipment;
+};
+
+/**
+ * Get shipments for an order
+ * @param {string} orderId - Order ID
+ * @param {Object} user - Requesting user
+ * @returns {Array} Shipments
+ */
+const getOrderShipments = async (orderId, user) => {
+  const where = { id: Number(orderId), ...notDeletedWhere() };
+
+  // Non-admin users can only see shipments for their own orders
+  if (user.role !== 'ADMIN') {
+    where.userId = user.id;
+  }
+
+  const order = await prisma.order.findFirst({ where });
+  if (!order) {
+    throw new AppError('Order not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return await prisma.shipment.findMany({
+    where: { orderId: order.id, ...notDeletedWhere() },
+    include: SHIPMENT_INCLUDE,
+    orderBy: { shippedAt: 'asc' }
+  });
+};
+
+module.exports = {
+  buildTrackingUrl,
+  createShipment,
+  updateShipment,
+  markDelivered,
+  getOrderShipments
+};
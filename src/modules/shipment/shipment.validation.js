@@ -0,0 +1,46 @@
+/**
+ * Shipment Validation Schemas
+ * Joi validation schemas for shipment endpoints
+ */
+
+const Joi = require('joi');
+
+const createShipmentSchema = Joi.object({
+  carrier: Joi.string().max(100).required(),
+  trackingNumber: Joi.string().max(100).optional(),
+  trackingUrlTemplate: Joi.string().uri().pattern(/\{trackingNumber\}/).optional(),
+  items: Joi.array().items(Joi.object({
+    orderItemId: Joi.number().integer().positive().required(),
+    quantity: Joi.number().integer().positive().required()
+  })).optional(),
+  shippedAt: Joi.date().iso().optional(),
+  note: Joi.string().max(1000).optional()
+});
+
+const updateShipmentSchema = Joi.object({
+  carrier: Joi.string().max(100).optional(),
+  trackingNumber: Joi.string().max(100).optional(),
+  trackingUrlTemplate: Joi.string().uri().pattern(/\{trackingNumber\}/).optional(),
+  note: Joi.string().max(1000).optional()
+}).min(1);
+
+const deliverShipmentSchema = Joi.object({
+  deliveredAt: Joi.date().iso().optional()
+});
+
+const orderIdSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+const shipmentIdSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  shipmentId: Joi.number().integer().positive().required()
+});
+
+module.exports = {
+  createShipmentSchema,
+  updateShipmentSchema,
+  deliverShipmentSchema,
+  orderIdSchema,
+  shipmentIdSchema
+};
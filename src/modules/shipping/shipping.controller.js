@@ -0,0 +1,115 @@
+/**
+ * Shipping Controller
+ * Handles HTTP requests for shipping zone and method management
+ */
+
+const shippingService = require('./shipping.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Get all shipping zones (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getZones = async (req, res) => {
+  try {
+    const zones = await shippingService.getZones();
+    success(res, zones, 'Shipping zones retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Create a shipping zone (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createZone = async (req, res) => {
+  try {
+    const zone = await shippingService.createZone(req.body, req.user.id);
+    success(res, zone, 'Shipping zone created successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Update a shipping zone (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateZone = async (req, res) => {
+  try {
+    const zone = await shippingService.updateZone(req.params.id, req.body, req.user.id);
+    success(res, zone, 'Shipping zone updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Delete a shipping zone (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteZone = async (req, res) => {
+  try {
+    await shippingService.deleteZone(req.params.id, req.user.id);
+    success(res, null, 'Shipping zone deleted successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Add a shipping method to a zone (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createMethod = async (req, res) => {
+  try {
+    const method = await shippingService.createMethod(req.params.id, req.body, req.user.id);
+    success(res, method, 'Shipping method created successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Update a shipping method (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateMethod = async (req, res) => {
+  try {
+    const method = await shippingService.updateMethod(req.params.id, req.body, req.user.id);
+    success(res, method, 'Shipping method updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Delete a shipping method (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteMethod = async (req, res) => {
+  try {
+    await shippingService.deleteMethod(req.params.id, req.user.id);
+    success(res, null, 'Shipping method deleted successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+  createMethod,
+  updateMethod,
+  deleteMethod
+};
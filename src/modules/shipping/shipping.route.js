@@ -0,0 +1,269 @@
+/**
+ * Shipping Routes
+ * Defines admin API endpoints for shipping zones and methods
+ */
+
+const express = require('express');
+const router = express.Router();
+const shippingController = require('./shipping.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const shippingValidation = require('./shipping.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ShippingZone:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         countries:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Matched case-insensitively against Address.country; empty matches any
+ *         states:
+ *           type: array
+ *           items:
+ *             type: string
+ *         zipPrefixes:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ *         methods:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *     ShippingMethod:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         zoneId:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         description:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [FLAT_RATE, WEIGHT_BASED, PRICE_TIERED, FREE_OVER_THRESHOLD]
+ *         rate:
+ *           type: number
+ *           description: Flat price (FLAT_RATE), or the price below freeOverAmount (FREE_OVER_THRESHOLD)
+ *         tiers:
+ *           type: array
+ *           description: WEIGHT_BASED tiers by kilograms, PRICE_TIERED tiers by order amount; the highest reached tier applies
+ *           items:
+ *             type: object
+ *             properties:
+ *               min:
+ *                 type: number
+ *               rate:
+ *                 type: number
+ *         freeOverAmount:
+ *           type: number
+ *           description: Order amount from which the method is free (any type)
+ *         isActive:
+ *           type: boolean
+ *         sortOrder:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /admin/shipping/zones:
+ *   get:
+ *     summary: Get all shipping zones with their methods (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Shipping zones retrieved successfully
+ *   post:
+ *     summary: Create a shipping zone (Admin only)
+ *     description: The most specific zone matching an address (zip prefix, then state, then country) supplies its shipping methods.
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       201:
+ *         description: Shipping zone created successfully
+ */
+router.get('/zones',
+  authenticate,
+  requireRole('ADMIN'),
+  shippingController.getZones
+);
+
+router.post('/zones',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shippingValidation.createZoneSchema, 'body'),
+  shippingController.createZone
+);
+
+/**
+ * @swagger
+ * /admin/shipping/zones/{id}:
+ *   put:
+ *     summary: Update a shipping zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingZone'
+ *     responses:
+ *       200:
+ *         description: Shipping zone updated successfully
+ *       404:
+ *         description: Shipping zone not found
+ *   delete:
+ *     summary: Delete a shipping zone and its methods (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipping zone deleted successfully
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.put('/zones/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shippingValidation.idSchema, 'params'),
+  validate(shippingValidation.updateZoneSchema, 'body'),
+  shippingController.updateZone
+);
+
+router.delete('/zones/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shippingValidation.idSchema, 'params'),
+  shippingController.deleteZone
+);
+
+/**
+ * @swagger
+ * /admin/shipping/zones/{id}/methods:
+ *   post:
+ *     summary: Add a shipping method to a zone (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *     responses:
+ *       201:
+ *         description: Shipping method created successfully
+ *       400:
+ *         description: Tiers or freeOverAmount missing for the rate type
+ *       404:
+ *         description: Shipping zone not found
+ */
+router.post('/zones/:id/methods',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shippingValidation.idSchema, 'params'),
+  validate(shippingValidation.createMethodSchema, 'body'),
+  shippingController.createMethod
+);
+
+/**
+ * @swagger
+ * /admin/shipping/methods/{id}:
+ *   put:
+ *     summary: Update a shipping method (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ShippingMethod'
+ *     responses:
+ *       200:
+ *         description: Shipping method updated successfully
+ *       404:
+ *         description: Shipping method not found
+ *   delete:
+ *     summary: Delete a shipping method (Admin only)
+ *     tags: [Shipping]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Shipping method deleted successfully
+ *       404:
+ *         description: Shipping method not found
+ */
+router.put('/methods/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shippingValidation.idSchema, 'params'),
+  validate(shippingValidation.updateMethodSchema, 'body'),
+  shippingController.updateMethod
+);
+
+router.delete('/methods/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(shippingValidation.idSchema, 'params'),
+  shippingController.deleteMethod
+);
+
+module.exports = router;
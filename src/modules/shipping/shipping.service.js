@@ -0,0 +1,413 @@
+/**
+ * Shipping Service
+ * Shipping zones, their methods and the rates charged for a cart or order
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const { SHIPPING_RATE_TYPE, HTTP_STATUS } = require('../../utils/constants');
+const { auditLog } = require('../../utils/logger');
+const { roundMoney } = require('../../utils/money');
+
+const ACTIVE_METHODS_INCLUDE = {
+  methods: {
+    where: { isActive: true, ...notDeletedWhere() },
+    orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+  }
+};
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+const normalizeZip = (value) => normalize(value).replace(/[\s-]/g, '');
+
+/**
+ * Score how specifically a zone matches an address
+ * @param {Object} zone - Shipping zone
+ * @param {Object} address - Address (country, state, zipCode)
+ * @returns {number} -1 when the zone does not match, otherwise higher is more specific
+ */
+const getZoneMatchScore = (zone, address) => {
+  let score = 0;
+
+  if (zone.countries.length > 0) {
+    if (!zone.countries.map(normalize).includes(normalize(address.country))) {
+      return -1;
+    }
+    score += 1;
+  }
+
+  if (zone.states.length > 0) {
+    if (!zone.states.map(normalize).includes(normalize(address.state))) {
+      return -1;
+    }
+    score += 2;
+  }
+
+  if (zone.zipPrefixes.length > 0) {
+    const zip = normalizeZip(address.zipCode);
+    if (!zone.zipPrefixes.some(prefix => zip.startsWith(normalizeZip(prefix)))) {
+      return -1;
+    }
+    score += 4;
+  }
+
+  return score;
+};
+
+/**
+ * Find the zone that ships to an address
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} address - Address (country, state, zipCode)
+ * @returns {Object|null} Most specific matching zone with its active methods
+ */
+const findZoneForAddress = async (client, address) => {
+  const zones = await client.shippingZone.findMany({
+    where: { isActive: true, ...notDeletedWhere() },
+    include: ACTIVE_METHODS_INCLUDE,
+    orderBy: { id: 'asc' }
+  });
+
+  let best = null;
+  let bestScore = -1;
+
+  for (const zone of zones) {
+    const score = getZoneMatchScore(zone, address);
+    if (score > bestScore) {
+      best = zone;
+      bestScore = score;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Total weight of a set of cart or order items
+ * @param {Array} items - Items with quantity and variant
+ * @returns {number} Weight in kilograms (variants without a weight count as 0)
+ */
+const getItemsWeight = (items) => {
+  return items.reduce((sum, item) => sum + (item.variant.weight || 0) * item.quantity, 0);
+};
+
+/**
+ * Pick the rate of the highest tier a value reaches
+ * @param {Array} tiers - [{ min, rate }]
+ * @param {number} value - Weight or order amount
+ * @returns {number|null} Rate, or null when the value is below every tier
+ */
+const getTierRate = (tiers, value) => {
+  const reached = (Array.isArray(tiers) ? tiers : [])
+    .filter(tier => value >= tier.min)
+    .sort((a, b) => b.min - a.min);
+
+  return reached.length > 0 ? reached[0].rate : null;
+};
+
+/**
+ * Price a shipping method for a cart or order
+ * @param {Object} method - Shipping method
+ * @param {Object} basis - What the rate depends on
+ * @param {number} basis.amount - Order amount after discounts, before shipping and tax
+ * @param {number} basis.weight - Total weight in kilograms
+ * @returns {number|null} Shipping price, or null when the method does not apply
+ */
+const getMethodRate = (method, { amount, weight }) => {
+  if (method.freeOverAmount !== null && method.freeOverAmount !== undefined && amount >= method.freeOverAmount) {
+    return 0;
+  }
+
+  let rate;
+  switch (method.type) {
+  case SHIPPING_RATE_TYPE.WEIGHT_BASED:
+    rate = getTierRate(method.tiers, weight);
+    break;
+  case SHIPPING_RATE_TYPE.PRICE_TIERED:
+    rate = getTierRate(method.tiers, amount);
+    break;
+  default:
+    rate = method.rate;
+  }
+
+  return rate === null ? null : roundMoney(rate);
+};
+
+/**
+ * List the shipping methods available for an address
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} address - Address (country, state, zipCode)
+ * @param {Array} items - Items with quantity and variant
+ * @param {number} amount - Order amount after discounts
+ * @returns {Array} Methods with their price ({ id, name, description, type, price })
+ */
+const getShippingOptions = async (client, address, items, amount) => {
+  const zone = await findZoneForAddress(client, address);
+
+  if (!zone) {
+    return [];
+  }
+
+  const basis = { amount, weight: getItemsWeight(items) };
+  const options = [];
+
+  for (const method of zone.methods) {
+    const price = getMethodRate(method, basis);
+    if (price !== null) {
+      options.push({
+        id: method.id,
+        name: method.name,
+        description: method.description,
+        type: method.type,
+        zoneId: zone.id,
+        zoneName: zone.name,
+        price
+      });
+    }
+  }
+
+  return options;
+};
+
+/**
+ * Price one shipping method for an address
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} address - Address (country, state, zipCode)
+ * @param {number} methodId - Shipping method ID
+ * @param {Array} items - Items with quantity and variant
+ * @param {number} amount - Order amount after discounts
+ * @returns {Object|null} Matching option, or null when the method does not ship there
+ */
+const quoteShipping = async (client, address, methodId, items, amount) => {
+  const options = await getShippingOptions(client, address, items, amount);
+  return options.find(option => option.id === Number(methodId)) || null;
+};
+
+/**
+ * Check tier and threshold settings for a method's rate type
+ * @param {Object} method - Merged method settings
+ */
+const assertMethodSettings = (method) => {
+  if (!Object.values(SHIPPING_RATE_TYPE).includes(method.type)) {
+    throw new AppError(`Invalid shipping rate type ${method.type}`, HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const tiered = [SHIPPING_RATE_TYPE.WEIGHT_BASED, SHIPPING_RATE_TYPE.PRICE_TIERED].includes(method.type);
+  if (tiered) {
+    const tiers = method.tiers;
+    const valid = Array.isArray(tiers) && tiers.length > 0 && tiers.every(tier =>
+      Number.isFinite(tier.min) && tier.min >= 0 && Number.isFinite(tier.rate) && tier.rate >= 0
+    );
+
+    if (!valid) {
+      throw new AppError(`${method.type} methods need tiers of { min, rate }`, HTTP_STATUS.BAD_REQUEST);
+    }
+  }
+
+  if (method.type === SHIPPING_RATE_TYPE.FREE_OVER_THRESHOLD &&
+    (method.freeOverAmount === null || method.freeOverAmount === undefined)) {
+    throw new AppError('FREE_OVER_THRESHOLD methods need a freeOverAmount', HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+/**
+ * Get all shipping zones with their methods (Admin only)
+ * @returns {Array} Shipping zones
+ */
+const getZones = async () => {
+  return await prisma.shippingZone.findMany({
+    where: notDeletedWhere(),
+    include: {
+      methods: {
+        where: notDeletedWhere(),
+        orderBy: [{ sortOrder: 'asc' }, { id: 'asc' }]
+      }
+    },
+    orderBy: { id: 'asc' }
+  });
+};
+
+/**
+ * Find a shipping zone or throw 404
+ * @param {number} id - Zone ID
+ * @returns {Object} Shipping zone
+ */
+const findZoneOrFail = async (id) => {
+  const zone = await prisma.shippingZone.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() }
+  });
+
+  if (!zone) {
+    throw new AppError('Shipping zone not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return zone;
+};
+
+/**
+ * Find a shipping method or throw 404
+ * @param {number} id - Method ID
+ * @returns {Object} Shipping method
+ */
+const findMethodOrFail = async (id) => {
+  const method = await prisma.shippingMethod.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() }
+  });
+
+  if (!method) {
+    throw new AppError('Shipping method not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return method;
+};
+
+/**
+ * Create a shipping zone (Admin only)
+ * @param {Object} zoneData - name, countries, states, zipPrefixes, isActive
+ * @param {number} actorId - Admin creating the zone
+ * @returns {Object} Created zone
+ */
+const createZone = async ({ name, countries = [], states = [], zipPrefixes = [], isActive }, actorId) => {
+  if (!name) {
+    throw new AppError('Zone name is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  const zone = await prisma.shippingZone.create({
+    data: { name, countries, states, zipPrefixes, isActive },
+    include: { methods: true }
+  });
+
+  auditLog('SHIPPING_ZONE_CREATED', actorId, { zoneId: zone.id, name });
+
+  return zone;
+};
+
+/**
+ * Update a shipping zone (Admin only)
+ * @param {string} id - Zone ID
+ * @param {Object} zoneData - name, countries, states, zipPrefixes, isActive
+ * @param {number} actorId - Admin updating the zone
+ * @returns {Object} Updated zone
+ */
+const updateZone = async (id, { name, countries, states, zipPrefixes, isActive }, actorId) => {
+  const zone = await findZoneOrFail(id);
+
+  const updatedZone = await prisma.shippingZone.update({
+    where: { id: zone.id },
+    data: { name, countries, states, zipPrefixes, isActive },
+    include: {
+      methods: { where: notDeletedWhere() }
+    }
+  });
+
+  auditLog('SHIPPING_ZONE_UPDATED', actorId, { zoneId: zone.id });
+
+  return updatedZone;
+};
+
+/**
+ * Soft delete a shipping zone and its methods (Admin only)
+ * @param {string} id - Zone ID
+ * @param {number} actorId - Admin deleting the zone
+ */
+const deleteZone = async (id, actorId) => {
+  const zone = await findZoneOrFail(id);
+
+  await prisma.shippingMethod.updateMany({
+    where: { zoneId: zone.id, ...notDeletedWhere() },
+    data: { isDeleted: true, deletedAt: new Date() }
+  });
+  await markDeleted('shippingZone', zone.id, prisma);
+
+  auditLog('SHIPPING_ZONE_DELETED', actorId, { zoneId: zone.id });
+};
+
+/**
+ * Add a shipping method to a zone (Admin only)
+ * @param {string} zoneId - Zone ID
+ * @param {Object} methodData - name, description, type, rate, tiers, freeOverAmount, isActive, sortOrder
+ * @param {number} actorId - Admin creating the method
+ * @returns {Object} Created method
+ */
+const createMethod = async (zoneId, methodData, actorId) => {
+  const zone = await findZoneOrFail(zoneId);
+  const { name, description, type, rate = 0, tiers, freeOverAmount, isActive, sortOrder } = methodData;
+
+  if (!name) {
+    throw new AppError('Method name is required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  assertMethodSettings({ type, tiers, freeOverAmount });
+
+  const method = await prisma.shippingMethod.create({
+    data: {
+      zoneId: zone.id,
+      name,
+      description,
+      type,
+      rate: Number(rate),
+      tiers,
+      freeOverAmount: freeOverAmount !== undefined ? freeOverAmount : null,
+      isActive,
+      sortOrder
+    }
+  });
+
+  auditLog('SHIPPING_METHOD_CREATED', actorId, { zoneId: zone.id, methodId: method.id, type });
+
+  return method;
+};
+
+/**
+ * Update a shipping method (Admin only)
+ * @param {string} id - Method ID
+ * @param {Object} methodData - Fields to change
+ * @param {number} actorId - Admin updating the method
+ * @returns {Object} Updated method
+ */
+const updateMethod = async (id, methodData, actorId) => {
+  const method = await findMethodOrFail(id);
+
+  const data = {};
+  for (const field of ['name', 'description', 'type', 'rate', 'tiers', 'freeOverAmount', 'isActive', 'sortOrder']) {
+    if (methodData[field] !== undefined) {
+      data[field] = methodData[field];
+    }
+  }
+
+  assertMethodSettings({ ...method, ...data });
+
+  const updatedMethod = await prisma.shippingMethod.update({
+    where: { id: method.id },
+    data
+  });
+
+  auditLog('SHIPPING_METHOD_UPDATED', actorId, { methodId: method.id });
+
+  return updatedMethod;
+};
+
+/**
+ * Soft delete a shipping method (Admin only)
+ * @param {string} id - Method ID
+ * @param {number} actorId - Admin deleting the method
+ */
+const deleteMethod = async (id, actorId) => {
+  const method = await findMethodOrFail(id);
+
+  await markDeleted('shippingMethod', method.id, prisma);
+
+  auditLog('SHIPPING_METHOD_DELETED', actorId, { methodId: method.id });
+};
+
+module.exports = {
+  getMethodRate,
+  getShippingOptions,
+  quoteShipping,
+  getZones,
+  createZone,
+  updateZone,
+  deleteZone,
+  createMethod,
+  updateMethod,
+  deleteMethod
+};
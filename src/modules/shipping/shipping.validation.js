@@ -0,0 +1,62 @@
+/**
+ * Shipping Validation Schemas
+ * Joi validation schemas for shipping zone and method endpoints
+ */
+
+const Joi = require('joi');
+const { SHIPPING_RATE_TYPE } = require('../../utils/constants');
+
+const tiersSchema = Joi.array().items(Joi.object({
+  min: Joi.number().min(0).required(),
+  rate: Joi.number().min(0).required()
+})).min(1);
+
+const createZoneSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  countries: Joi.array().items(Joi.string().max(100)).default([]),
+  states: Joi.array().items(Joi.string().max(100)).default([]),
+  zipPrefixes: Joi.array().items(Joi.string().max(20)).default([]),
+  isActive: Joi.boolean().optional()
+});
+
+const updateZoneSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  countries: Joi.array().items(Joi.string().max(100)).optional(),
+  states: Joi.array().items(Joi.string().max(100)).optional(),
+  zipPrefixes: Joi.array().items(Joi.string().max(20)).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const createMethodSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  description: Joi.string().max(500).optional(),
+  type: Joi.string().valid(...Object.values(SHIPPING_RATE_TYPE)).required(),
+  rate: Joi.number().min(0).default(0),
+  tiers: tiersSchema.optional(),
+  freeOverAmount: Joi.number().min(0).optional(),
+  isActive: Joi.boolean().optional(),
+  sortOrder: Joi.number().integer().optional()
+});
+
+const updateMethodSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  description: Joi.string().max(500).allow(null).optional(),
+  type: Joi.string().valid(...Object.values(SHIPPING_RATE_TYPE)).optional(),
+  rate: Joi.number().min(0).optional(),
+  tiers: tiersSchema.allow(null).optional(),
+  freeOverAmount: Joi.number().min(0).allow(null).optional(),
+  isActive: Joi.boolean().optional(),
+  sortOrder: Joi.number().integer().optional()
+}).min(1);
+
+const idSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+module.exports = {
+  createZoneSchema,
+  updateZoneSchema,
+  createMethodSchema,
+  updateMethodSchema,
+  idSchema
+};
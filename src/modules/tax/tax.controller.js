@@ -0,0 +1,70 @@
+/**
+ * Tax Controller
+ * Handles HTTP requests for tax rule management
+ */
+
+const taxService = require('./tax.service');
+const { success, error } = require('../../utils/response');
+
+/**
+ * Get all tax rules (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getRules = async (req, res) => {
+  try {
+    const rules = await taxService.getRules(req.query);
+    success(res, rules, 'Tax rules retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Create a tax rule (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createRule = async (req, res) => {
+  try {
+    const rule = await taxService.createRule(req.body, req.user.id);
+    success(res, rule, 'Tax rule created successfully', 201);
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Update a tax rule (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateRule = async (req, res) => {
+  try {
+    const rule = await taxService.updateRule(req.params.id, req.body, req.user.id);
+    success(res, rule, 'Tax rule updated successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Delete a tax rule (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteRule = async (req, res) => {
+  try {
+    await taxService.deleteRule(req.params.id, req.user.id);
+    success(res, null, 'Tax rule deleted successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+module.exports = {
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -0,0 +1,163 @@
+/**
+ * Tax Routes
+ * Defines admin API endpoints for tax rules
+ */
+
+const express = require('express');
+const router = express.Router();
+const taxController = require('./tax.controller');
+const { authenticate, requireRole } = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const taxValidation = require('./tax.validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TaxRule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         name:
+ *           type: string
+ *         country:
+ *           type: string
+ *           description: Matched case-insensitively against Address.country
+ *         state:
+ *           type: string
+ *           description: Matched against Address.state; empty applies to the whole country
+ *         taxClass:
+ *           type: string
+ *           description: Matched against Product.taxClass; empty applies to any product
+ *         rate:
+ *           type: number
+ *           description: Percent, e.g. 8.25
+ *         isActive:
+ *           type: boolean
+ *     TaxBreakdown:
+ *       type: array
+ *       items:
+ *         type: object
+ *         properties:
+ *           ruleId:
+ *             type: integer
+ *           name:
+ *             type: string
+ *           rate:
+ *             type: number
+ *           taxableAmount:
+ *             type: number
+ *           amount:
+ *             type: number
+ */
+
+/**
+ * @swagger
+ * /admin/tax/rules:
+ *   get:
+ *     summary: Get all tax rules (Admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rules retrieved successfully
+ *   post:
+ *     summary: Create a tax rule (Admin only)
+ *     description: |
+ *       Each line is taxed by the most specific active rule for the shipping
+ *       address country, preferring a state match over a tax class match.
+ *       Lines no rule matches are not taxed.
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       201:
+ *         description: Tax rule created successfully
+ *       400:
+ *         description: Invalid rate
+ */
+router.get('/rules',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(taxValidation.getRulesSchema, 'query'),
+  taxController.getRules
+);
+
+router.post('/rules',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(taxValidation.createRuleSchema, 'body'),
+  taxController.createRule
+);
+
+/**
+ * @swagger
+ * /admin/tax/rules/{id}:
+ *   put:
+ *     summary: Update a tax rule (Admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TaxRule'
+ *     responses:
+ *       200:
+ *         description: Tax rule updated successfully
+ *       404:
+ *         description: Tax rule not found
+ *   delete:
+ *     summary: Delete a tax rule (Admin only)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tax rule deleted successfully
+ *       404:
+ *         description: Tax rule not found
+ */
+router.put('/rules/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(taxValidation.idSchema, 'params'),
+  validate(taxValidation.updateRuleSchema, 'body'),
+  taxController.updateRule
+);
+
+router.delete('/rules/:id',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(taxValidation.idSchema, 'params'),
+  taxController.deleteRule
+);
+
+module.exports = router;
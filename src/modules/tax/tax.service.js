@@ -0,0 +1,212 @@
+/**
+ * Tax Service
+ * Tax rules by jurisdiction and product tax class, resolved offline from the database
+ */
+
+const prisma = require('../../config/prisma');
+const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
+const { AppError } = require('../../middlewares/errorHandler');
+const { HTTP_STATUS } = require('../../utils/constants');
+const { auditLog } = require('../../utils/logger');
+
+const normalize = (value) => String(value || '').trim().toUpperCase();
+
+/**
+ * Whether catalog prices already include tax
+ * @returns {boolean} True when TAX_PRICES_INCLUDE_TAX is enabled
+ */
+const isTaxInclusive = () => process.env.TAX_PRICES_INCLUDE_TAX === 'true';
+
+/**
+ * Score how specifically a rule matches an address and tax class
+ * Rules without a state or tax class apply to any
+ * @param {Object} rule - Tax rule
+ * @param {Object} address - Address (country, state)
+ * @param {string|null} taxClass - Product tax class
+ * @returns {number} -1 when the rule does not match, otherwise higher is more specific
+ */
+const getRuleMatchScore = (rule, address, taxClass) => {
+  let score = 0;
+
+  if (rule.state) {
+    if (normalize(rule.state) !== normalize(address.state)) {
+      return -1;
+    }
+    score += 2;
+  }
+
+  if (rule.taxClass) {
+    if (normalize(rule.taxClass) !== normalize(taxClass)) {
+      return -1;
+    }
+    score += 1;
+  }
+
+  return score;
+};
+
+/**
+ * Resolve the tax rule for each item shipped to an address
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object|null} address - Address (country, state)
+ * @param {Array} items - Items with product ({ taxClass })
+ * @returns {Array} Per item { ruleId, name, rate } or null when untaxed, in item order
+ */
+const getTaxRates = async (client, address, items) => {
+  if (!address || items.length === 0) {
+    return items.map(() => null);
+  }
+
+  const rules = await client.taxRule.findMany({
+    where: {
+      country: { equals: String(address.country).trim(), mode: 'insensitive' },
+      isActive: true,
+      ...notDeletedWhere()
+    },
+    orderBy: { id: 'asc' }
+  });
+
+  return items.map(item => {
+    const taxClass = item.product ? item.product.taxClass : null;
+    let best = null;
+    let bestScore = -1;
+
+    for (const rule of rules) {
+      const score = getRuleMatchScore(rule, address, taxClass);
+      if (score > bestScore) {
+        best = rule;
+        bestScore = score;
+      }
+    }
+
+    return best ? { ruleId: best.id, name: best.name, rate: best.rate } : null;
+  });
+};
+
+/**
+ * Get all tax rules (Admin only)
+ * @param {Object} query - Filters (country)
+ * @returns {Array} Tax rules
+ */
+const getRules = async ({ country } = {}) => {
+  const where = { ...notDeletedWhere() };
+
+  if (country) {
+    where.country = { equals: country, mode: 'insensitive' };
+  }
+
+  return await prisma.taxRule.findMany({
+    where,
+    orderBy: [{ country: 'asc' }, { state: 'asc' }, { id: 'asc' }]
+  });
+};
+
+/**
+ * Find a tax rule or throw 404
+ * @param {number} id - Rule ID
+ * @returns {Object} Tax rule
+ */
+const findRuleOrFail = async (id) => {
+  const rule = await prisma.taxRule.findFirst({
+    where: { id: Number(id), ...notDeletedWhere() }
+  });
+
+  if (!rule) {
+    throw new AppError('Tax rule not found', HTTP_STATUS.NOT_FOUND);
+  }
+
+  return rule;
+};
+
+/**
+ * Check a rule's rate
+ * @param {number} rate - Rate in percent
+ */
+const assertRate = (rate) => {
+  if (!Number.isFinite(Number(rate)) || Number(rate) < 0 || Number(rate) > 100) {
+    throw new AppError('Tax rate must be a percentage between 0 and 100', HTTP_STATUS.BAD_REQUEST);
+  }
+};
+
+/**
+ * Create a tax rule (Admin only)
+ * @param {Object} ruleData - name, country, state, taxClass, rate, isActive
+ * @param {number} actorId - Admin creating the rule
+ * @returns {Object} Created rule
+ */
+const createRule = async ({ name, country, state, taxClass, rate, isActive }, actorId) => {
+  if (!name || !country) {
+    throw new AppError('Rule name and country are required', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  assertRate(rate);
+
+  const rule = await prisma.taxRule.create({
+    data: {
+      name,
+      country,
+      state: state || null,
+      taxClass: taxClass || null,
+      rate: Number(rate),
+      isActive
+    }
+  });
+
+  auditLog('TAX_RULE_CREATED', actorId, { ruleId: rule.id, country, state, taxClass, rate: rule.rate });
+
+  return rule;
+};
+
+/**
+ * Update a tax rule (Admin only)
+ * @param {string} id - Rule ID
+ * @param {Object} ruleData - Fields to change
+ * @param {number} actorId - Admin updating the rule
+ * @returns {Object} Updated rule
+ */
+const updateRule = async (id, ruleData, actorId) => {
+  const rule = await findRuleOrFail(id);
+
+  const data = {};
+  for (const field of ['name', 'country', 'state', 'taxClass', 'rate', 'isActive']) {
+    if (ruleData[field] !== undefined) {
+      data[field] = ruleData[field];
+    }
+  }
+
+  if (data.rate !== undefined) {
+    assertRate(data.rate);
+    data.rate = Number(data.rate);
+  }
+
+  const updatedRule = await prisma.taxRule.update({
+    where: { id: rule.id },
+    data
+  });
+
+  auditLog('TAX_RULE_UPDATED', actorId, { ruleId: rule.id });
+
+  return updatedRule;
+};
+
+/**
+ * Soft delete a tax rule (Admin only)
+ * @param {string} id - Rule ID
+ * @param {number} actorId - Admin deleting the rule
+ */
+const deleteRule = async (id, actorId) => {
+  const rule = await findRuleOrFail(id);
+
+  await markDeleted('taxRule', rule.id, prisma);
+
+  auditLog('TAX_RULE_DELETED', actorId, { ruleId: rule.id });
+};
+
+module.exports = {
+  isTaxInclusive,
+  getTaxRates,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
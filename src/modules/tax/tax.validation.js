@@ -0,0 +1,39 @@
+/**
+ * Tax Validation Schemas
+ * Joi validation schemas for tax rule endpoints
+ */
+
+const Joi = require('joi');
+
+const createRuleSchema = Joi.object({
+  name: Joi.string().max(100).required(),
+  country: Joi.string().max(100).required(),
+  state: Joi.string().max(100).optional(),
+  taxClass: Joi.string().max(50).optional(),
+  rate: Joi.number().min(0).max(100).required(),
+  isActive: Joi.boolean().optional()
+});
+
+const updateRuleSchema = Joi.object({
+  name: Joi.string().max(100).optional(),
+  country: Joi.string().max(100).optional(),
+  state: Joi.string().max(100).allow(null).optional(),
+  taxClass: Joi.string().max(50).allow(null).optional(),
+  rate: Joi.number().min(0).max(100).optional(),
+  isActive: Joi.boolean().optional()
+}).min(1);
+
+const getRulesSchema = Joi.object({
+  country: Joi.string().max(100).optional()
+});
+
+const idSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+module.exports = {
+  createRuleSchema,
+  updateRuleSchema,
+  getRulesSchema,
+  idSchema
+};
@@ -13,7 +13,7 @@ const { success, error } = require('../../utils/response');
  */
 const createVariant = async (req, res) => {
   try {
-    const variant = await variantService.createVariant(req.body, req.files);
+    const variant = await variantService.createVariant(req.body, req.files, req.user.id);
     success(res, variant, 'Product variant created successfully', 201);
   } catch (err) {
     error(res, err.message, 400);
@@ -58,7 +58,7 @@ const getVariantById = async (req, res) => {
  */
 const updateVariant = async (req, res) => {
   try {
-    const variant = await variantService.updateVariant(req.params.id, req.body, req.files);
+    const variant = await variantService.updateVariant(req.params.id, req.body, req.files, req.user.id);
     success(res, variant, 'Product variant updated successfully');
   } catch (err) {
     error(res, err.message, 400);
@@ -93,11 +93,41 @@ const hardDeleteVariant = async (req, res) => {
   }
 };
 
+/**
+ * Get a variant's stock at each location (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getVariantStock = async (req, res) => {
+  try {
+    const stock = await variantService.getVariantStock(req.params.id);
+    success(res, stock, 'Stock levels retrieved successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
+/**
+ * Move a variant's stock between locations (Admin only)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const transferVariantStock = async (req, res) => {
+  try {
+    const stock = await variantService.transferVariantStock(req.params.id, req.body, req.user.id);
+    success(res, stock, 'Stock transferred successfully');
+  } catch (err) {
+    error(res, err.message, err.statusCode || 400);
+  }
+};
+
 module.exports = {
   createVariant,
   getVariantsByProduct,
   getVariantById,
   updateVariant,
   deleteVariant,
-  hardDeleteVariant
+  hardDeleteVariant,
+  getVariantStock,
+  transferVariantStock
 };
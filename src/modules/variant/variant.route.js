@@ -44,7 +44,19 @@ const variantValidation = require('./variant.validation');
  *           description: Discounted price
  *         stock:
  *           type: integer
- *           description: Stock quantity
+ *           description: Stock quantity on hand
+ *         availableStock:
+ *           type: integer
+ *           description: Stock on hand minus active checkout reservations
+ *         lowStockThreshold:
+ *           type: integer
+ *           description: Low-stock threshold (falls back to the product's, then LOW_STOCK_THRESHOLD)
+ *         stockAlertState:
+ *           type: string
+ *           enum: [OK, LOW, OUT]
+ *         weight:
+ *           type: number
+ *           description: Weight in kilograms, used by weight-based shipping
  */
 
 /**
@@ -138,6 +150,10 @@ router.get('/:id',
  *                 type: number
  *               stock:
  *                 type: integer
+ *               lowStockThreshold:
+ *                 type: integer
+ *               weight:
+ *                 type: number
  *               images:
  *                 type: array
  *                 items:
@@ -197,6 +213,10 @@ router.post('/',
  *                 type: number
  *               stock:
  *                 type: integer
+ *               lowStockThreshold:
+ *                 type: integer
+ *               weight:
+ *                 type: number
  *               images:
  *                 type: array
  *                 items:
@@ -287,4 +307,86 @@ router.delete('/:id/hard',
   variantController.hardDeleteVariant
 );
 
+/**
+ * @swagger
+ * /admin/variants/{id}/stock:
+ *   get:
+ *     summary: Get a variant's stock at each location (Admin only)
+ *     tags: [Product Variants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Variant ID
+ *     responses:
+ *       200:
+ *         description: Stock levels retrieved successfully
+ *       403:
+ *         description: Forbidden - Admin access required
+ *       404:
+ *         description: Product variant not found
+ */
+router.get('/:id/stock',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(variantValidation.getVariantByIdSchema, 'params'),
+  variantController.getVariantStock
+);
+
+/**
+ * @swagger
+ * /admin/variants/{id}/stock/transfer:
+ *   post:
+ *     summary: Move a variant's stock between locations (Admin only)
+ *     description: Records a TRANSFER movement out of the source and into the destination location. The variant total is unchanged.
+ *     tags: [Product Variants]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Variant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fromLocationId
+ *               - toLocationId
+ *               - quantity
+ *             properties:
+ *               fromLocationId:
+ *                 type: integer
+ *               toLocationId:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Stock transferred successfully
+ *       400:
+ *         description: Invalid transfer or not enough stock at the source location
+ *       404:
+ *         description: Variant or location not found
+ */
+router.post('/:id/stock/transfer',
+  authenticate,
+  requireRole('ADMIN'),
+  validate(variantValidation.getVariantByIdSchema, 'params'),
+  validate(variantValidation.transferStockSchema, 'body'),
+  variantController.transferVariantStock
+);
+
 module.exports = router;
@@ -6,14 +6,28 @@
 const prisma = require('../../config/prisma');
 const { notDeletedWhere, markDeleted } = require('../../utils/softDelete');
 const { uploadToS3 } = require('../../utils/upload');
+const {
+  withAvailableStock,
+  lockVariant,
+  recordMovement,
+  getDefaultLocation,
+  changeVariantStock,
+  getVariantStockLevels,
+  transferStock,
+  getLowStockThreshold,
+  getStockAlertState,
+  checkStockAlerts
+} = require('../inventory/inventory.service');
+const { INVENTORY_MOVEMENT_REASON } = require('../../utils/constants');
 
 /**
  * Create a new product variant
  * @param {Object} variantData - Variant data
  * @param {Array} files - Uploaded files
+ * @param {number} [actorId] - Admin creating the variant
  * @returns {Object} Created variant
  */
-const createVariant = async (variantData, files = []) => {
+const createVariant = async (variantData, files = [], actorId = null) => {
   const { productId, ...data } = variantData;
 
   // Verify product exists and is not deleted
@@ -34,15 +48,23 @@ const createVariant = async (variantData, files = []) => {
     }
   }
 
+  const stock = parseInt(data.stock) || 0;
+  const lowStockThreshold = data.lowStockThreshold !== undefined && data.lowStockThreshold !== null
+    ? parseInt(data.lowStockThreshold)
+    : null;
+
   return await prisma.$transaction(async (tx) => {
-    // Create variant
+    // Create variant, starting in the alert state its opening stock puts it in
     const variant = await tx.productVariant.create({
       data: {
         ...data,
         productId: Number(productId),
         price: parseFloat(data.price),
         discountedPrice: data.discountedPrice ? parseFloat(data.discountedPrice) : null,
-        stock: parseInt(data.stock) || 0
+        weight: data.weight !== undefined && data.weight !== null ? parseFloat(data.weight) : null,
+        stock,
+        lowStockThreshold,
+        stockAlertState: getStockAlertState(stock, getLowStockThreshold({ lowStockThreshold, product }))
       },
       include: {
         product: true,
@@ -50,6 +72,27 @@ const createVariant = async (variantData, files = []) => {
       }
     });
 
+    // Opening stock lands in the default location and is recorded in the inventory ledger
+    if (variant.stock !== 0) {
+      const location = await getDefaultLocation(tx);
+
+      await tx.variantStockLevel.create({
+        data: { variantId: variant.id, locationId: location.id, quantity: variant.stock }
+      });
+
+      await recordMovement(tx, {
+        productId: variant.productId,
+        variantId: variant.id,
+        locationId: location.id,
+        quantity: variant.stock,
+        balanceAfter: variant.stock,
+        locationBalanceAfter: variant.stock,
+        reason: INVENTORY_MOVEMENT_REASON.IMPORT,
+        note: 'Initial stock',
+        actorId
+      });
+    }
+
     // Create variant images
     if (imageUrls.length > 0) {
       await tx.productVarientImage.createMany({
@@ -87,7 +130,7 @@ const getVariantsByProduct = async (productId) => {
     throw new Error('Product not found');
   }
 
-  return await prisma.productVariant.findMany({
+  const variants = await prisma.productVariant.findMany({
     where: { 
       productId: Number(productId), 
       ...notDeletedWhere() 
@@ -98,15 +141,17 @@ const getVariantsByProduct = async (productId) => {
     },
     orderBy: { createdAt: 'desc' }
   });
+
+  return await withAvailableStock(variants);
 };
 
 /**
  * Get variant by ID
  * @param {string} id - Variant ID
- * @returns {Object|null} Variant or null
+ * @returns {Object|null} Variant with availableStock, or null
  */
 const getVariantById = async (id) => {
-  return await prisma.productVariant.findFirst({
+  const variant = await prisma.productVariant.findFirst({
     where: { id: Number(id), ...notDeletedWhere() },
     include: {
       product: {
@@ -117,6 +162,13 @@ const getVariantById = async (id) => {
       ProductVarientImage: true
     }
   });
+
+  if (!variant) {
+    return null;
+  }
+
+  const [withStock] = await withAvailableStock([variant]);
+  return withStock;
 };
 
 /**
@@ -124,10 +176,11 @@ const getVariantById = async (id) => {
  * @param {string} id - Variant ID
  * @param {Object} updateData - Update data
  * @param {Array} files - New uploaded files
+ * @param {number} [actorId] - Admin updating the variant
  * @returns {Object} Updated variant
  */
-const updateVariant = async (id, updateData, files = []) => {
-  const { productId, ...data } = updateData;
+const updateVariant = async (id, updateData, files = [], actorId = null) => {
+  const { productId, stock, ...data } = updateData;
 
   // Verify variant exists
   const existingVariant = await prisma.productVariant.findFirst({
@@ -158,19 +211,41 @@ const updateVariant = async (id, updateData, files = []) => {
     }
   }
 
-  return await prisma.$transaction(async (tx) => {
+  const updatedVariant = await prisma.$transaction(async (tx) => {
     // Update variant
     const updatePayload = { ...data };
     if (productId) updatePayload.productId = Number(productId);
     if (data.price) updatePayload.price = parseFloat(data.price);
     if (data.discountedPrice) updatePayload.discountedPrice = parseFloat(data.discountedPrice);
-    if (data.stock !== undefined) updatePayload.stock = parseInt(data.stock);
+    if (data.lowStockThreshold !== undefined) {
+      updatePayload.lowStockThreshold = data.lowStockThreshold === null ? null : parseInt(data.lowStockThreshold);
+    }
+    if (data.weight !== undefined) {
+      updatePayload.weight = data.weight === null ? null : parseFloat(data.weight);
+    }
 
     const variant = await tx.productVariant.update({
       where: { id: Number(id) },
       data: updatePayload
     });
 
+    // Setting stock directly is recorded as a correction in the inventory ledger
+    if (stock !== undefined) {
+      await lockVariant(tx, variant.id);
+      const current = await tx.productVariant.findUnique({ where: { id: variant.id } });
+      const difference = parseInt(stock) - current.stock;
+
+      if (difference !== 0) {
+        await changeVariantStock(tx, {
+          variantId: variant.id,
+          quantity: difference,
+          reason: INVENTORY_MOVEMENT_REASON.CORRECTION,
+          note: 'Stock set by variant update',
+          actorId
+        });
+      }
+    }
+
     // Add new images if provided
     if (imageUrls.length > 0) {
       const existingImagesCount = await tx.productVarientImage.count({
@@ -195,6 +270,11 @@ const updateVariant = async (id, updateData, files = []) => {
       }
     });
   });
+
+  // New stock or a new threshold can move the variant across its threshold
+  await checkStockAlerts([updatedVariant.id]);
+
+  return updatedVariant;
 };
 
 /**
@@ -235,11 +315,33 @@ const hardDeleteVariant = async (id, adminId) => {
   });
 };
 
+/**
+ * Get a variant's stock at each location (Admin only)
+ * @param {string} id - Variant ID
+ * @returns {Object} Variant total and per-location levels
+ */
+const getVariantStock = async (id) => {
+  return await getVariantStockLevels(id);
+};
+
+/**
+ * Move a variant's stock between locations (Admin only)
+ * @param {string} id - Variant ID
+ * @param {Object} transferData - fromLocationId, toLocationId, quantity, note
+ * @param {number} actorId - Admin moving the stock
+ * @returns {Object} Variant stock levels after the transfer
+ */
+const transferVariantStock = async (id, transferData, actorId) => {
+  return await transferStock(id, transferData, actorId);
+};
+
 module.exports = {
   createVariant,
   getVariantsByProduct,
   getVariantById,
   updateVariant,
   deleteVariant,
-  hardDeleteVariant
+  hardDeleteVariant,
+  getVariantStock,
+  transferVariantStock
 };
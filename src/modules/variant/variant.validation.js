@@ -12,7 +12,9 @@ const createVariantSchema = Joi.object({
   color: Joi.string().optional().max(50),
   price: Joi.number().positive().required(),
   discountedPrice: Joi.number().positive().optional(),
-  stock: Joi.number().integer().min(0).default(0)
+  stock: Joi.number().integer().min(0).default(0),
+  lowStockThreshold: Joi.number().integer().min(0).optional(),
+  weight: Joi.number().min(0).optional()
 });
 
 const updateVariantSchema = Joi.object({
@@ -22,7 +24,9 @@ const updateVariantSchema = Joi.object({
   color: Joi.string().optional().max(50),
   price: Joi.number().positive().optional(),
   discountedPrice: Joi.number().positive().optional(),
-  stock: Joi.number().integer().min(0).optional()
+  stock: Joi.number().integer().min(0).optional(),
+  lowStockThreshold: Joi.number().integer().min(0).allow(null).optional(),
+  weight: Joi.number().min(0).allow(null).optional()
 });
 
 const getVariantsByProductSchema = Joi.object({
@@ -33,9 +37,17 @@ const getVariantByIdSchema = Joi.object({
   id: Joi.number().integer().positive().required()
 });
 
+const transferStockSchema = Joi.object({
+  fromLocationId: Joi.number().integer().positive().required(),
+  toLocationId: Joi.number().integer().positive().required(),
+  quantity: Joi.number().integer().positive().required(),
+  note: Joi.string().optional().max(500)
+});
+
 module.exports = {
   createVariantSchema,
   updateVariantSchema,
   getVariantsByProductSchema,
-  getVariantByIdSchema
+  getVariantByIdSchema,
+  transferStockSchema
 };
@@ -18,6 +18,14 @@ const addressRoutes = require('../modules/address/address.route');
 const ratingRoutes = require('../modules/rating/rating.route');
 const feedRoutes = require('../modules/feed/feed.route');
 const instagramRoutes = require('../modules/instagram/instagram.route');
+const paymentRoutes = require('../modules/payment/payment.route');
+const inventoryRoutes = require('../modules/inventory/inventory.route');
+const returnRoutes = require('../modules/return/return.route');
+const refundRoutes = require('../modules/refund/refund.route');
+const creditRoutes = require('../modules/credit/credit.route');
+const shippingRoutes = require('../modules/shipping/shipping.route');
+const taxRoutes = require('../modules/tax/tax.route');
+const invoiceRoutes = require('../modules/invoice/invoice.route');
 
 const router = express.Router();
 
@@ -71,5 +79,13 @@ router.use('/addresses', addressRoutes);
 router.use('/ratings', ratingRoutes);
 router.use('/feed', feedRoutes);
 router.use('/instagram', instagramRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/inventory', inventoryRoutes);
+router.use('/returns', returnRoutes);
+router.use('/refunds', refundRoutes);
+router.use('/store-credit', creditRoutes);
+router.use('/shipping', shippingRoutes);
+router.use('/tax', taxRoutes);
+router.use('/invoices', invoiceRoutes);
 
 module.exports = router;
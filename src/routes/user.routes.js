@@ -21,6 +21,10 @@ const addressRoutes = require('../modules/address/address.route');
 const ratingRoutes = require('../modules/rating/rating.route');
 const feedRoutes = require('../modules/feed/feed.route');
 const instagramRoutes = require('../modules/instagram/instagram.route');
+const paymentRoutes = require('../modules/payment/payment.route');
+const returnRoutes = require('../modules/return/return.route');
+const refundRoutes = require('../modules/refund/refund.route');
+const creditRoutes = require('../modules/credit/credit.route');
 
 const router = express.Router();
 
@@ -62,15 +66,23 @@ router.use('/blog', optionalAuth, blogRoutes);
 router.use('/feed', feedRoutes);
 router.use('/instagram', instagramRoutes);
 
+// Guest carts are identified by a cart token when no user is signed in
+router.use('/cart', optionalAuth, cartRoutes);
+
 // Protected routes (authentication required)
 router.use('/profile', authenticate, userRoutes);
 router.use('/orders', authenticate, orderRoutes);
-router.use('/cart', authenticate, cartRoutes);
 router.use('/wishlist', authenticate, wishlistRoutes);
 router.use('/addresses', authenticate, addressRoutes);
 router.use('/ratings', authenticate, ratingRoutes);
+router.use('/returns', authenticate, returnRoutes);
+router.use('/refunds', authenticate, refundRoutes);
+router.use('/store-credit', authenticate, creditRoutes);
 
 // Discount validation (can be public for code validation)
 router.use('/discounts', discountRoutes);
 
+// Payments (webhook is public and verified by the gateway signature)
+router.use('/payments', paymentRoutes);
+
 module.exports = router;
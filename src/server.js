@@ -6,6 +6,8 @@
 const app = require('./app');
 const prisma = require('./config/prisma');
 const { logger } = require('./utils/logger');
+const { startReservationSweeper } = require('./modules/inventory/inventory.service');
+const { startIdempotencyKeySweeper } = require('./middlewares/idempotency');
 
 const PORT = process.env.PORT || 3000;
 
@@ -17,9 +19,17 @@ const server = app.listen(PORT, () => {
   logger.info(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
 
+// Release expired checkout reservations in the background
+const reservationSweeper = startReservationSweeper();
+
+// Forget idempotency keys once their replay window has passed
+const idempotencyKeySweeper = startIdempotencyKeySweeper();
+
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   logger.info(`${signal} received. Starting graceful shutdown...`);
+  clearInterval(reservationSweeper);
+  clearInterval(idempotencyKeySweeper);
   
   server.close(async () => {
     logger.info('HTTP server closed');
@@ -0,0 +1,68 @@
+/**
+ * Cart Token Utility
+ * Helpers for the opaque token that identifies a guest cart
+ */
+
+const crypto = require('crypto');
+
+const CART_TOKEN_HEADER = 'x-cart-token';
+const CART_TOKEN_COOKIE = 'cartToken';
+const CART_TOKEN_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+/**
+ * Generate a new guest cart token
+ * @returns {string} Random token
+ */
+const generateCartToken = () => crypto.randomBytes(24).toString('hex');
+
+/**
+ * Read the guest cart token from the request header or cookie
+ * @param {Object} req - Express request object
+ * @returns {string|null} Cart token
+ */
+const getCartToken = (req) => {
+  const headerToken = req.headers[CART_TOKEN_HEADER];
+  if (headerToken) {
+    return headerToken;
+  }
+
+  const cookies = (req.headers.cookie || '').split(';');
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === CART_TOKEN_COOKIE && value.length) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Send the guest cart token back as a response header and cookie
+ * @param {Object} res - Express response object
+ * @param {string} token - Cart token
+ */
+const setCartToken = (res, token) => {
+  res.set('X-Cart-Token', token);
+  res.cookie(CART_TOKEN_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: CART_TOKEN_MAX_AGE
+  });
+};
+
+/**
+ * Clear the guest cart cookie once the cart belongs to a user
+ * @param {Object} res - Express response object
+ */
+const clearCartToken = (res) => {
+  res.clearCookie(CART_TOKEN_COOKIE);
+};
+
+module.exports = {
+  generateCartToken,
+  getCartToken,
+  setCartToken,
+  clearCartToken
+};
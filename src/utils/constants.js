@@ -10,13 +10,117 @@ const ROLES = {
 
 const ORDER_STATUS = {
   PENDING: 'PENDING',
+  PAID: 'PAID',
+  PROCESSING: 'PROCESSING',
+  PARTIALLY_SHIPPED: 'PARTIALLY_SHIPPED',
+  SHIPPED: 'SHIPPED',
+  DELIVERED: 'DELIVERED',
   COMPLETED: 'COMPLETED',
-  CANCELLED: 'CANCELLED'
+  CANCELLED: 'CANCELLED',
+  RETURN_REQUESTED: 'RETURN_REQUESTED',
+  RETURNED: 'RETURNED',
+  REFUNDED: 'REFUNDED'
+};
+
+const PAYMENT_STATUS = {
+  PENDING: 'PENDING',
+  AUTHORIZED: 'AUTHORIZED',
+  CAPTURED: 'CAPTURED',
+  PARTIALLY_REFUNDED: 'PARTIALLY_REFUNDED',
+  REFUNDED: 'REFUNDED',
+  VOIDED: 'VOIDED',
+  FAILED: 'FAILED'
+};
+
+const REFUND_METHOD = {
+  ORIGINAL_PAYMENT: 'ORIGINAL_PAYMENT',
+  STORE_CREDIT: 'STORE_CREDIT'
+};
+
+const REFUND_STATUS = {
+  COMPLETED: 'COMPLETED',
+  FAILED: 'FAILED'
+};
+
+const STORE_CREDIT_REASON = {
+  REFUND: 'REFUND',
+  ADJUSTMENT: 'ADJUSTMENT'
+};
+
+const INVOICE_TYPE = {
+  INVOICE: 'INVOICE',
+  CREDIT_NOTE: 'CREDIT_NOTE'
+};
+
+// Document number prefix per invoice type, e.g. INV-2026-000001
+const INVOICE_NUMBER_PREFIX = {
+  INVOICE: 'INV',
+  CREDIT_NOTE: 'CN'
+};
+
+const SHIPPING_RATE_TYPE = {
+  FLAT_RATE: 'FLAT_RATE',
+  WEIGHT_BASED: 'WEIGHT_BASED',
+  PRICE_TIERED: 'PRICE_TIERED',
+  FREE_OVER_THRESHOLD: 'FREE_OVER_THRESHOLD'
+};
+
+const SHIPMENT_STATUS = {
+  SHIPPED: 'SHIPPED',
+  DELIVERED: 'DELIVERED'
+};
+
+// Tracking page per known carrier; {trackingNumber} is replaced when a shipment is saved
+const CARRIER_TRACKING_URLS = {
+  UPS: 'https://www.ups.com/track?tracknum={trackingNumber}',
+  FEDEX: 'https://www.fedex.com/fedextrack/?trknbr={trackingNumber}',
+  USPS: 'https://tools.usps.com/go/TrackConfirmAction?tLabels={trackingNumber}',
+  DHL: 'https://www.dhl.com/en/express/tracking.html?AWB={trackingNumber}'
+};
+
+const RETURN_STATUS = {
+  REQUESTED: 'REQUESTED',
+  APPROVED: 'APPROVED',
+  REJECTED: 'REJECTED',
+  RECEIVED: 'RECEIVED'
+};
+
+const RESERVATION_STATUS = {
+  ACTIVE: 'ACTIVE',
+  CONVERTED: 'CONVERTED',
+  RELEASED: 'RELEASED',
+  EXPIRED: 'EXPIRED'
+};
+
+const INVENTORY_MOVEMENT_REASON = {
+  SALE: 'SALE',
+  CANCELLATION_RESTOCK: 'CANCELLATION_RESTOCK',
+  RETURN: 'RETURN',
+  MANUAL_ADJUSTMENT: 'MANUAL_ADJUSTMENT',
+  IMPORT: 'IMPORT',
+  CORRECTION: 'CORRECTION',
+  TRANSFER: 'TRANSFER',
+  ORDER_EDIT: 'ORDER_EDIT'
+};
+
+const STOCK_ALERT_STATE = {
+  OK: 'OK',
+  LOW: 'LOW',
+  OUT: 'OUT'
+};
+
+const EVENTS = {
+  STOCK_LOW: 'inventory.stock_low',
+  STOCK_OUT: 'inventory.stock_out'
 };
 
 const DISCOUNT_TYPE = {
   PERCENTAGE: 'PERCENTAGE',
-  FIXED: 'FIXED'
+  FIXED: 'FIXED',
+  BUY_X_GET_Y: 'BUY_X_GET_Y',
+  SPEND_TIERS: 'SPEND_TIERS',
+  QUANTITY_BREAK: 'QUANTITY_BREAK',
+  FREE_SHIPPING: 'FREE_SHIPPING'
 };
 
 const HTTP_STATUS = {
@@ -24,6 +128,7 @@ const HTTP_STATUS = {
   CREATED: 201,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
+  PAYMENT_REQUIRED: 402,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
   CONFLICT: 409,
@@ -49,6 +154,20 @@ const MESSAGES = {
 module.exports = {
   ROLES,
   ORDER_STATUS,
+  PAYMENT_STATUS,
+  REFUND_METHOD,
+  REFUND_STATUS,
+  STORE_CREDIT_REASON,
+  INVOICE_TYPE,
+  INVOICE_NUMBER_PREFIX,
+  SHIPPING_RATE_TYPE,
+  SHIPMENT_STATUS,
+  CARRIER_TRACKING_URLS,
+  RETURN_STATUS,
+  RESERVATION_STATUS,
+  INVENTORY_MOVEMENT_REASON,
+  STOCK_ALERT_STATE,
+  EVENTS,
   DISCOUNT_TYPE,
   HTTP_STATUS,
   MESSAGES
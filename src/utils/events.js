@@ -0,0 +1,28 @@
+/**
+ * Application Events
+ * Shared emitter for domain events (see EVENTS in constants) that
+ * notification channels such as email or webhooks subscribe to
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const events = new EventEmitter();
+
+/**
+ * Emit an event without letting a failing listener break the caller
+ * @param {string} name - Event name
+ * @param {Object} payload - Event payload
+ */
+const publish = (name, payload) => {
+  try {
+    events.emit(name, payload);
+  } catch (err) {
+    logger.error(`Listener for ${name} failed:`, err);
+  }
+};
+
+module.exports = {
+  events,
+  publish
+};
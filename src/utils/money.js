@@ -0,0 +1,15 @@
+/**
+ * Money Utility
+ * Helpers for working with currency amounts stored as floats
+ */
+
+/**
+ * Round a money amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  roundMoney
+};
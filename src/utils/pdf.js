@@ -0,0 +1,121 @@
+/**
+ * PDF Utility
+ * Minimal text-only PDF writer (A4, built-in Helvetica fonts) so documents
+ * such as invoices can be generated locally without external services
+ */
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Average Helvetica glyph width relative to the font size, used to right-align text
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+/**
+ * Escape text for a PDF string literal
+ * Characters outside WinAnsi are replaced with "?"
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+const escapeText = (text) => String(text)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+/**
+ * Estimate the printed width of a text
+ * @param {string} text - Text
+ * @param {number} size - Font size
+ * @returns {number} Width in points
+ */
+const estimateTextWidth = (text, size) => String(text).length * size * AVERAGE_CHAR_WIDTH;
+
+/**
+ * Build a PDF file from positioned text
+ * @param {Array} pages - One array per page of { x, y, text, size, bold } (y from the top edge)
+ * @returns {Buffer} PDF file
+ */
+const createPdf = (pages) => {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  const pageRefs = [];
+
+  for (const items of pages) {
+    const content = items
+      .map(({ x, y, text, size = 10, bold = false }) =>
+        `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${x.toFixed(2)} ${(PAGE_HEIGHT - y).toFixed(2)} Td (${escapeText(text)}) Tj ET`)
+      .join('\n');
+
+    objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`
+    );
+    pageRefs.push(`${objects.length} 0 R`);
+  }
+
+  objects[1] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageRefs.length} >>`;
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, index) => {
+    const offset = Buffer.byteLength(body, 'latin1');
+    body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+
+  const xrefOffset = Buffer.byteLength(body, 'latin1');
+  body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  body += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(body, 'latin1');
+};
+
+/**
+ * Create a writer that lays out text line by line, starting new pages as needed
+ * @param {Object} [options] - Layout options
+ * @param {number} [options.margin] - Page margin in points
+ * @returns {Object} Writer with line(columns, style), space(height) and toBuffer()
+ */
+const createPdfWriter = ({ margin = 50 } = {}) => {
+  const pages = [[]];
+  let y = margin;
+
+  return {
+    /**
+     * Write one line of text columns
+     * @param {Array} columns - [{ x, text, align }] where align is 'left' (default) or 'right'
+     * @param {Object} [style] - { size, bold, gap }
+     */
+    line(columns, { size = 10, bold = false, gap = 4 } = {}) {
+      if (y + size > PAGE_HEIGHT - margin) {
+        pages.push([]);
+        y = margin;
+      }
+
+      y += size;
+      for (const column of columns) {
+        const text = String(column.text);
+        const x = column.align === 'right' ? column.x - estimateTextWidth(text, size) : column.x;
+        pages[pages.length - 1].push({ x, y, text, size, bold });
+      }
+      y += gap;
+    },
+
+    space(height) {
+      y += height;
+    },
+
+    toBuffer() {
+      return createPdf(pages);
+    }
+  };
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  createPdf,
+  createPdfWriter
+};
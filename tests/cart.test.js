@@ -147,13 +147,13 @@ describe('Cart Module', () => {
       expect(response.body.data.summary.totalAmount).toBe(0);
     });
 
-    it('should fail without authentication', async () => {
+    it('should return an empty guest cart without authentication', async () => {
       const response = await request(app)
         .get('/api/cart')
-        .expect(401);
+        .expect(200);
 
-      expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('Access token required');
+      expect(response.body.data.id).toBeNull();
+      expect(response.body.data.items).toHaveLength(0);
     });
   });
 
@@ -290,6 +290,595 @@ describe('Cart Module', () => {
     });
   });
 
+  describe('Cart totals', () => {
+    it('should persist totals and return a per-line breakdown', async () => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 2 })
+        .expect(200);
+
+      const cart = response.body.data;
+      expect(cart.totalItems).toBe(2);
+      expect(cart.subtotal).toBeCloseTo(199.98);
+      expect(cart.total).toBeCloseTo(cart.subtotal - cart.discount + cart.shipping + cart.tax);
+      expect(cart.lines).toHaveLength(1);
+      expect(cart.lines[0].lineSubtotal).toBeCloseTo(199.98);
+
+      const stored = await prisma.cart.findUnique({ where: { id: cart.id } });
+      expect(stored.subtotal).toBeCloseTo(199.98);
+      expect(stored.total).toBeCloseTo(cart.total);
+    });
+
+    it('should reset totals when the cart is cleared', async () => {
+      const response = await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.subtotal).toBe(0);
+      expect(response.body.data.total).toBe(0);
+      expect(response.body.data.lines).toHaveLength(0);
+    });
+  });
+
+  describe('POST /api/cart/discount', () => {
+    beforeAll(async () => {
+      await prisma.discount.deleteMany({
+        where: { code: { startsWith: 'CARTTEST' } }
+      });
+      await prisma.discount.createMany({
+        data: [
+          { code: 'CARTTEST10', type: 'PERCENTAGE', value: 10, minOrderAmount: 150 },
+          { code: 'CARTTESTOLD', type: 'FIXED', value: 5, endDate: new Date(Date.now() - 86400000) },
+          { code: 'CARTTESTUSED', type: 'FIXED', value: 5, usageLimit: 1, usedCount: 1 }
+        ]
+      });
+    });
+
+    afterAll(async () => {
+      await prisma.cart.updateMany({
+        where: { user: { email: { contains: 'carttest' } } },
+        data: { discountId: null }
+      });
+      await prisma.discount.deleteMany({
+        where: { code: { startsWith: 'CARTTEST' } }
+      });
+    });
+
+    beforeEach(async () => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+      await request(app)
+        .delete('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`);
+    });
+
+    it('should apply a valid discount code', async () => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 2 });
+
+      const response = await request(app)
+        .post('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'carttest10' })
+        .expect(200);
+
+      expect(response.body.data.Discount.code).toBe('CARTTEST10');
+      expect(response.body.data.discount).toBeCloseTo(20);
+      expect(response.body.data.total).toBeCloseTo(179.98);
+    });
+
+    it('should reject a cart below the minimum order amount', async () => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 1 });
+
+      const response = await request(app)
+        .post('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'CARTTEST10' })
+        .expect(400);
+
+      expect(response.body.message).toContain('Minimum order amount');
+    });
+
+    it('should reject expired and exhausted codes', async () => {
+      const expired = await request(app)
+        .post('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'CARTTESTOLD' })
+        .expect(400);
+
+      expect(expired.body.message).toContain('expired');
+
+      const exhausted = await request(app)
+        .post('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'CARTTESTUSED' })
+        .expect(400);
+
+      expect(exhausted.body.message).toContain('usage limit');
+    });
+
+    it('should drop the discount when the cart stops qualifying', async () => {
+      const added = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 2 });
+
+      await request(app)
+        .post('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'CARTTEST10' })
+        .expect(200);
+
+      const itemId = added.body.data.items[0].id;
+      const response = await request(app)
+        .put(`/api/cart/items/${itemId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ quantity: 1 })
+        .expect(200);
+
+      expect(response.body.data.Discount).toBeNull();
+      expect(response.body.data.discount).toBe(0);
+      expect(response.body.data.removedDiscount.code).toBe('CARTTEST10');
+      expect(response.body.data.removedDiscount.reason).toContain('Minimum order amount');
+    });
+
+    it('should remove the discount code', async () => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 2 });
+
+      await request(app)
+        .post('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'CARTTEST10' });
+
+      const response = await request(app)
+        .delete('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.Discount).toBeNull();
+      expect(response.body.data.total).toBeCloseTo(199.98);
+    });
+  });
+
+  describe('Scoped discounts', () => {
+    let saleProductId;
+    let saleVariantId;
+
+    const addItem = (productId, variantId) => request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ productId, variantId, quantity: 1 })
+      .expect(200);
+
+    const applyCode = (code) => request(app)
+      .post('/api/cart/discount')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code });
+
+    beforeAll(async () => {
+      const saleCategory = await prisma.category.create({
+        data: { name: 'Cart Test Sale Category', slug: 'cart-test-sale-category' }
+      });
+
+      const saleProduct = await prisma.product.create({
+        data: {
+          name: 'Cart Test Sale Product',
+          slug: 'cart-test-sale-product',
+          price: 40,
+          categoryId: saleCategory.id,
+          ProductVariant: { create: { price: 40, stock: 20, sku: 'CART-TEST-SALE-VARIANT' } }
+        },
+        include: { ProductVariant: true }
+      });
+
+      saleProductId = saleProduct.id;
+      saleVariantId = saleProduct.ProductVariant[0].id;
+
+      await prisma.discount.createMany({
+        data: [
+          { code: 'CARTTESTSALE', type: 'PERCENTAGE', value: 50, minOrderAmount: 30, categoryIds: [saleCategory.id] },
+          { code: 'CARTTESTSALEMIN', type: 'PERCENTAGE', value: 50, minOrderAmount: 50, categoryIds: [saleCategory.id] },
+          { code: 'CARTTESTNOSALE', type: 'PERCENTAGE', value: 10, excludedCategoryIds: [saleCategory.id] },
+          { code: 'CARTTESTSALEITEM', type: 'FIXED', value: 100, productIds: [saleProductId] }
+        ]
+      });
+    });
+
+    afterAll(async () => {
+      await prisma.cart.updateMany({
+        where: { user: { email: { contains: 'carttest' } } },
+        data: { discountId: null }
+      });
+      await prisma.discount.deleteMany({
+        where: { code: { startsWith: 'CARTTEST' } }
+      });
+    });
+
+    beforeEach(async () => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+      await request(app)
+        .delete('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`);
+    });
+
+    it('should discount only the lines in the targeted category', async () => {
+      await addItem(testProductId, testVariantId);
+      await addItem(saleProductId, saleVariantId);
+
+      const response = await applyCode('CARTTESTSALE').expect(200);
+      const cart = response.body.data;
+
+      expect(cart.discount).toBe(20);
+      expect(cart.lines.find(line => line.variantId === testVariantId).lineDiscount).toBe(0);
+      expect(cart.lines.find(line => line.variantId === saleVariantId).lineDiscount).toBe(20);
+    });
+
+    it('should leave excluded lines undiscounted', async () => {
+      await addItem(testProductId, testVariantId);
+      await addItem(saleProductId, saleVariantId);
+
+      const response = await applyCode('CARTTESTNOSALE').expect(200);
+
+      expect(response.body.data.discount).toBe(10);
+    });
+
+    it('should check the minimum order amount against the covered lines only', async () => {
+      await addItem(testProductId, testVariantId);
+      await addItem(saleProductId, saleVariantId);
+
+      const response = await applyCode('CARTTESTSALEMIN').expect(400);
+
+      expect(response.body.message).toContain('Minimum order amount');
+    });
+
+    it('should cap a fixed discount at the covered lines', async () => {
+      await addItem(testProductId, testVariantId);
+      await addItem(saleProductId, saleVariantId);
+
+      const response = await applyCode('CARTTESTSALEITEM').expect(200);
+
+      expect(response.body.data.discount).toBe(40);
+    });
+
+    it('should reject a code that covers nothing in the cart', async () => {
+      await addItem(testProductId, testVariantId);
+
+      const response = await applyCode('CARTTESTSALEITEM').expect(400);
+
+      expect(response.body.message).toContain('does not apply');
+    });
+  });
+
+  describe('Promotions', () => {
+    const setQuantity = async (quantity) => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity })
+        .expect(200);
+    };
+
+    const applyCode = (code) => request(app)
+      .post('/api/cart/discount')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code });
+
+    beforeAll(async () => {
+      await prisma.discount.createMany({
+        data: [
+          { code: 'CARTTESTB2G1', type: 'BUY_X_GET_Y', value: 100, buyQuantity: 2, getQuantity: 1 },
+          {
+            code: 'CARTTESTTIERS',
+            type: 'SPEND_TIERS',
+            value: 0,
+            tiers: [{ min: 100, value: 10 }, { min: 200, value: 30 }]
+          },
+          {
+            code: 'CARTTESTBREAK',
+            type: 'QUANTITY_BREAK',
+            value: 0,
+            tiers: [{ min: 3, value: 5 }, { min: 5, value: 10 }]
+          }
+        ]
+      });
+    });
+
+    afterAll(async () => {
+      await prisma.cart.updateMany({
+        where: { user: { email: { contains: 'carttest' } } },
+        data: { discountId: null }
+      });
+      await prisma.discount.deleteMany({
+        where: { code: { startsWith: 'CARTTEST' } }
+      });
+    });
+
+    beforeEach(async () => {
+      await request(app)
+        .delete('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`);
+    });
+
+    it('should give every third unit free with buy 2 get 1', async () => {
+      await setQuantity(3);
+
+      const response = await applyCode('CARTTESTB2G1').expect(200);
+
+      expect(response.body.data.discount).toBe(99.99);
+      expect(response.body.data.lines[0].lineDiscount).toBe(99.99);
+    });
+
+    it('should reject buy 2 get 1 without enough units', async () => {
+      await setQuantity(2);
+
+      const response = await applyCode('CARTTESTB2G1').expect(400);
+
+      expect(response.body.message).toContain('Add 3 qualifying items');
+    });
+
+    it('should apply the highest spend tier reached', async () => {
+      await setQuantity(2);
+
+      const response = await applyCode('CARTTESTTIERS').expect(200);
+
+      expect(response.body.data.discount).toBe(10);
+    });
+
+    it('should move up a tier when the cart grows', async () => {
+      await setQuantity(1);
+      await applyCode('CARTTESTTIERS').expect(400);
+
+      await setQuantity(3);
+      const response = await applyCode('CARTTESTTIERS').expect(200);
+
+      expect(response.body.data.discount).toBe(30);
+    });
+
+    it('should take the quantity break percentage off', async () => {
+      await setQuantity(5);
+
+      const response = await applyCode('CARTTESTBREAK').expect(200);
+
+      expect(response.body.data.discount).toBe(50);
+    });
+  });
+
+  describe('Automatic promotions', () => {
+    let promotionId;
+
+    const setQuantity = async (quantity) => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity })
+        .expect(200);
+
+      return response.body.data;
+    };
+
+    const applyCode = (code) => request(app)
+      .post('/api/cart/discount')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ code });
+
+    beforeAll(async () => {
+      // Scoped to this file's product so carts in other test files are unaffected
+      const promotion = await prisma.discount.create({
+        data: {
+          automatic: true,
+          description: 'Cart test spend 150 save 15',
+          type: 'SPEND_TIERS',
+          value: 0,
+          tiers: [{ min: 150, value: 15 }],
+          productIds: [testProductId],
+          priority: 10
+        }
+      });
+      promotionId = promotion.id;
+
+      await prisma.discount.create({
+        data: { code: 'CARTTESTEXTRA', type: 'PERCENTAGE', value: 10 }
+      });
+    });
+
+    afterAll(async () => {
+      await prisma.cart.updateMany({
+        where: { user: { email: { contains: 'carttest' } } },
+        data: { discountId: null }
+      });
+      await prisma.discount.deleteMany({
+        where: {
+          OR: [
+            { code: { startsWith: 'CARTTEST' } },
+            { description: { startsWith: 'Cart test' } }
+          ]
+        }
+      });
+    });
+
+    beforeEach(async () => {
+      await request(app)
+        .delete('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`);
+    });
+
+    it('should apply a qualifying promotion without a code', async () => {
+      const cart = await setQuantity(2);
+
+      expect(cart.discount).toBe(15);
+      expect(cart.promotions).toEqual([
+        expect.objectContaining({ discountId: promotionId, automatic: true, amount: 15 })
+      ]);
+    });
+
+    it('should explain why a promotion did not apply', async () => {
+      const cart = await setQuantity(1);
+
+      expect(cart.discount).toBe(0);
+      expect(cart.skippedPromotions).toEqual([
+        expect.objectContaining({ discountId: promotionId, reason: expect.stringContaining('Spend at least 150') })
+      ]);
+    });
+
+    it('should refuse a code that cannot be combined with a higher priority promotion', async () => {
+      await setQuantity(2);
+
+      const response = await applyCode('CARTTESTEXTRA').expect(400);
+
+      expect(response.body.message).toContain('Cannot be combined');
+    });
+
+    it('should stack discounts that allow it', async () => {
+      await prisma.discount.updateMany({
+        where: { OR: [{ id: promotionId }, { code: 'CARTTESTEXTRA' }] },
+        data: { stackable: true }
+      });
+      await setQuantity(2);
+
+      const response = await applyCode('CARTTESTEXTRA').expect(200);
+
+      // The code takes 10% off what is left after the promotion
+      expect(response.body.data.discount).toBe(33.5);
+      expect(response.body.data.promotions.map(promotion => promotion.discountId)[0]).toBe(promotionId);
+    });
+  });
+
+  describe('Guest carts', () => {
+    let guestToken;
+
+    afterAll(async () => {
+      await prisma.cart.deleteMany({
+        where: { userId: null, guestToken: { not: null } }
+      });
+      await prisma.user.deleteMany({
+        where: { email: 'carttestguest@example.com' }
+      });
+    });
+
+    it('should issue a cart token for a guest cart', async () => {
+      const response = await request(app)
+        .post('/api/cart/add')
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 2 })
+        .expect(200);
+
+      guestToken = response.headers['x-cart-token'];
+      expect(guestToken).toBeDefined();
+      expect(response.body.data.guestToken).toBe(guestToken);
+      expect(response.body.data.userId).toBeNull();
+      expect(response.headers['set-cookie'][0]).toContain('cartToken=');
+    });
+
+    it('should keep using the guest cart identified by the token', async () => {
+      const response = await request(app)
+        .post('/api/cart/add')
+        .set('X-Cart-Token', guestToken)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 1 })
+        .expect(200);
+
+      expect(response.body.data.guestToken).toBe(guestToken);
+      expect(response.body.data.totalItems).toBe(3);
+    });
+
+    it('should accept the token from the cookie', async () => {
+      const response = await request(app)
+        .get('/api/cart')
+        .set('Cookie', `cartToken=${guestToken}`)
+        .expect(200);
+
+      expect(response.body.data.totalItems).toBe(3);
+    });
+
+    it('should not let a guest modify another cart', async () => {
+      const userCart = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 1 });
+
+      await request(app)
+        .put(`/api/cart/items/${userCart.body.data.items[0].id}`)
+        .set('X-Cart-Token', guestToken)
+        .send({ quantity: 5 })
+        .expect(400);
+    });
+
+    it('should merge the guest cart into the user cart on login', async () => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 1 });
+
+      const response = await request(app)
+        .post('/api/auth/login')
+        .set('X-Cart-Token', guestToken)
+        .send({ email: 'carttest@example.com', password: 'Password123!' })
+        .expect(200);
+
+      const cart = response.body.data.cart;
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0].quantity).toBe(4);
+      expect(cart.mergeAdjustments).toHaveLength(0);
+
+      const guestCart = await prisma.cart.findUnique({ where: { guestToken } });
+      expect(guestCart.isDeleted).toBe(true);
+    });
+
+    it('should cap merged quantities at the available stock on register', async () => {
+      const guest = await request(app)
+        .post('/api/cart/add')
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 10 })
+        .expect(200);
+
+      const token = guest.body.data.guestToken;
+      await prisma.productVariant.update({
+        where: { id: testVariantId },
+        data: { stock: 4 }
+      });
+
+      const response = await request(app)
+        .post('/api/auth/register')
+        .set('X-Cart-Token', token)
+        .send({ name: 'Guest Shopper', email: 'carttestguest@example.com', password: 'Password123!' })
+        .expect(201);
+
+      const cart = response.body.data.cart;
+      expect(cart.items[0].quantity).toBe(4);
+      expect(cart.mergeAdjustments[0]).toMatchObject({ variantId: testVariantId, requested: 10, quantity: 4 });
+
+      await prisma.productVariant.update({
+        where: { id: testVariantId },
+        data: { stock: 50 }
+      });
+    });
+  });
+
   describe('PUT /api/cart/items/:id', () => {
     it('should update cart item quantity', async () => {
       const updateData = {
@@ -344,10 +933,10 @@ describe('Cart Module', () => {
       const response = await request(app)
         .put(`/api/cart/items/${cartItemId}`)
         .send(updateData)
-        .expect(401);
+        .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('Access token required');
+      expect(response.body.message).toContain('Cart item not found');
     });
   });
 
@@ -375,10 +964,10 @@ describe('Cart Module', () => {
     it('should fail without authentication', async () => {
       const response = await request(app)
         .delete('/api/cart/items/1')
-        .expect(401);
+        .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('Access token required');
+      expect(response.body.message).toContain('Cart item not found');
     });
   });
 
@@ -416,10 +1005,10 @@ describe('Cart Module', () => {
     it('should fail without authentication', async () => {
       const response = await request(app)
         .delete('/api/cart/clear')
-        .expect(401);
+        .expect(400);
 
       expect(response.body.success).toBe(false);
-      expect(response.body.message).toContain('Access token required');
+      expect(response.body.message).toContain('Cart not found');
     });
   });
 
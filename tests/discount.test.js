@@ -18,7 +18,12 @@ describe('Discount Module', () => {
   beforeAll(async () => {
     // Clean up test data
     await prisma.discount.deleteMany({
-      where: { code: { contains: 'TEST' } }
+      where: {
+        OR: [
+          { code: { contains: 'TEST' } },
+          { description: { startsWith: 'Test free shipping' } }
+        ]
+      }
     });
 
     // Create test user
@@ -300,6 +305,56 @@ describe('Discount Module', () => {
         expect(response.body.data.value).toBe(25);
       });
 
+      it('should create a spend tiers promotion with its tiers sorted', async () => {
+        const response = await request(app)
+          .post('/admin/discounts')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            code: 'TESTTIERS30',
+            type: 'SPEND_TIERS',
+            description: 'Spend 100 get 10, spend 200 get 30',
+            tiers: [{ min: 200, value: 30 }, { min: 100, value: 10 }]
+          })
+          .expect(201);
+
+        expect(response.body.data.type).toBe('SPEND_TIERS');
+        expect(response.body.data.tiers).toEqual([{ min: 100, value: 10 }, { min: 200, value: 30 }]);
+      });
+
+      it('should fail to create buy X get Y without quantities', async () => {
+        const response = await request(app)
+          .post('/admin/discounts')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            code: 'TESTBUY2GET1',
+            type: 'BUY_X_GET_Y',
+            description: 'Buy 2 get 1 free',
+            buyQuantity: 2
+          })
+          .expect(400);
+
+        expect(response.body.success).toBe(false);
+      });
+
+      it('should create an automatic promotion without a code', async () => {
+        const response = await request(app)
+          .post('/admin/discounts')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            type: 'FREE_SHIPPING',
+            description: 'Test free shipping weekend',
+            automatic: true,
+            priority: 5,
+            stackable: true,
+            // Inactive so it does not reach carts in other test files
+            isActive: false
+          })
+          .expect(201);
+
+        expect(response.body.data.code).toBeNull();
+        expect(response.body.data.automatic).toBe(true);
+      });
+
       it('should fail with duplicate code', async () => {
         const discountData = {
           code: 'TEST10', // Duplicate code
@@ -563,6 +618,124 @@ describe('Discount Module', () => {
       });
     });
 
+    describe('Discount code batches', () => {
+      let templateId;
+      let batchId;
+
+      beforeAll(async () => {
+        const response = await request(app)
+          .post('/admin/discounts')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            code: 'TESTBATCHTEMPLATE',
+            type: 'PERCENTAGE',
+            value: 15,
+            description: 'Test influencer campaign',
+            minOrderAmount: 30
+          });
+
+        templateId = response.body.data.id;
+      });
+
+      it('should generate unique single-use codes from a template', async () => {
+        const response = await request(app)
+          .post(`/admin/discounts/${templateId}/batches`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ quantity: 25, prefix: 'TEST-', length: 6, alphabet: 'abcdef234' })
+          .expect(201);
+
+        batchId = response.body.data.id;
+        expect(response.body.data.quantity).toBe(25);
+        expect(response.body.data.alphabet).toBe('ABCDEF234');
+
+        const codes = await prisma.discount.findMany({ where: { batchId } });
+        expect(codes).toHaveLength(25);
+        expect(new Set(codes.map(code => code.code)).size).toBe(25);
+        codes.forEach(code => {
+          expect(code.code).toMatch(/^TEST-[ABCDEF234]{6}$/);
+          expect(code.usageLimit).toBe(1);
+          expect(code.value).toBe(15);
+          expect(code.minOrderAmount).toBe(30);
+        });
+      });
+
+      it('should keep batch codes out of the public discount routes', async () => {
+        const codes = await prisma.discount.findMany({ where: { batchId }, take: 1 });
+
+        const list = await request(app)
+          .get(`/api/discounts?batchId=${batchId}&limit=100`)
+          .expect(200);
+
+        expect(list.body.data.some(discount => discount.batchId === batchId)).toBe(false);
+
+        await request(app)
+          .get(`/api/discounts/${codes[0].id}`)
+          .expect(404);
+      });
+
+      it('should fail when the code space is too small for the quantity', async () => {
+        const response = await request(app)
+          .post(`/admin/discounts/${templateId}/batches`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ quantity: 100, prefix: 'TEST-', length: 4, alphabet: 'AB' })
+          .expect(400);
+
+        expect(response.body.message).toContain('too small');
+      });
+
+      it('should fail for a missing template', async () => {
+        await request(app)
+          .post('/admin/discounts/999999/batches')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ quantity: 5 })
+          .expect(404);
+      });
+
+      it('should list the batches of a template', async () => {
+        const response = await request(app)
+          .get(`/admin/discounts/${templateId}/batches`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        expect(response.body.data.map(batch => batch.id)).toContain(batchId);
+      });
+
+      it('should export the codes as CSV', async () => {
+        const response = await request(app)
+          .get(`/admin/discounts/batches/${batchId}/export`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        expect(response.headers['content-type']).toContain('text/csv');
+        const rows = response.text.trim().split('\n');
+        expect(rows[0]).toBe('code,active,redeemed,orderId,redeemedAt');
+        expect(rows).toHaveLength(26);
+        expect(rows[1]).toMatch(/^TEST-[ABCDEF234]{6},true,false,,$/);
+      });
+
+      it('should report batch redemption statistics', async () => {
+        const response = await request(app)
+          .get(`/admin/discounts/batches/${batchId}/stats`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        expect(response.body.data.batch.template.code).toBe('TESTBATCHTEMPLATE');
+        expect(response.body.data.summary).toMatchObject({
+          codes: 25,
+          redeemedCodes: 0,
+          redemptionRate: 0,
+          revenue: 0
+        });
+      });
+
+      it('should fail for non-admin users', async () => {
+        await request(app)
+          .get(`/admin/discounts/batches/${batchId}/stats`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(403);
+      });
+    });
+
     describe('GET /admin/discounts/:id/usage', () => {
       it('should get discount usage statistics', async () => {
         const response = await request(app)
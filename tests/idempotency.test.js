@@ -0,0 +1,248 @@
+/**
+ * Idempotency Tests
+ * Tests for Idempotency-Key replays on orders, payments and the cart
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+const { purgeExpiredKeys } = require('../src/middlewares/idempotency');
+
+const prisma = new PrismaClient();
+
+describe('Idempotency Keys', () => {
+  let authToken;
+  let adminToken;
+  let testUserId;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+
+  const orderBody = (quantity = 1) => ({
+    items: [{ productId: testProductId, variantId: testVariantId, quantity }],
+    addressId: testAddressId,
+    email: 'idempotencytest@example.com',
+    phone: '+1234567890'
+  });
+
+  const createOrder = (key, quantity) => request(app)
+    .post('/api/orders')
+    .set('Authorization', `Bearer ${authToken}`)
+    .set('Idempotency-Key', key)
+    .send(orderBody(quantity));
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Idempotency User',
+        email: 'idempotencytest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+    testUserId = userResponse.body.data.user.id;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Idempotency Admin',
+        email: 'idempotencytestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Idempotency Test Category', slug: 'idempotency-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Idempotency Test Product',
+        price: 25,
+        categoryId: testCategoryId,
+        sku: 'IDEMPOTENCY-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'M',
+        price: 25,
+        stock: 50,
+        sku: 'IDEMPOTENCY-TEST-VARIANT-M'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    const addressResponse = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Idempotency User',
+        phone: '+1234567890',
+        address: '1 Retry Street',
+        city: 'Test City',
+        state: 'Test State',
+        country: 'Test Country',
+        zipCode: '12345'
+      });
+
+    testAddressId = addressResponse.body.data.id;
+  });
+
+  afterAll(async () => {
+    await prisma.idempotencyKey.deleteMany({
+      where: { key: { startsWith: 'idempotency-test-' } }
+    });
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'idempotencytest' } } }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Idempotency Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Idempotency Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'idempotencytest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/orders', () => {
+    it('should create one order for a retried request and replay the response', async () => {
+      const first = await createOrder('idempotency-test-order').expect(201);
+      const retry = await createOrder('idempotency-test-order').expect(201);
+
+      expect(first.headers['idempotent-replayed']).toBeUndefined();
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.id).toBe(first.body.data.id);
+
+      const orders = await prisma.order.count({ where: { userId: testUserId } });
+      expect(orders).toBe(1);
+    });
+
+    it('should reject the same key with a different body', async () => {
+      await createOrder('idempotency-test-reused', 1).expect(201);
+
+      const response = await createOrder('idempotency-test-reused', 2).expect(409);
+      expect(response.body.message).toContain('different request');
+    });
+
+    it('should handle requests without a key normally', async () => {
+      const first = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(orderBody())
+        .expect(201);
+
+      const second = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send(orderBody())
+        .expect(201);
+
+      expect(second.body.data.id).not.toBe(first.body.data.id);
+    });
+
+    it('should reject keys longer than 255 characters', async () => {
+      await createOrder(`idempotency-test-${'x'.repeat(255)}`).expect(400);
+    });
+
+    it('should scope keys to the user', async () => {
+      await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .set('Idempotency-Key', 'idempotency-test-order')
+        .send(orderBody())
+        .expect(400);
+    });
+  });
+
+  describe('Replayed failures', () => {
+    it('should replay client errors instead of running the request again', async () => {
+      const order = (await createOrder('idempotency-test-payment-order').expect(201)).body.data;
+
+      const pay = () => request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .set('Idempotency-Key', 'idempotency-test-declined')
+        .send({ orderId: order.id, token: 'tok_decline' });
+
+      const first = await pay();
+      const retry = await pay();
+
+      expect(first.status).toBeGreaterThanOrEqual(400);
+      expect(retry.status).toBe(first.status);
+      expect(retry.body).toEqual(first.body);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+    });
+  });
+
+  describe('Guest cart', () => {
+    it('should replay the cart token header for a new guest cart', async () => {
+      const add = () => request(app)
+        .post('/api/cart/add')
+        .set('Idempotency-Key', 'idempotency-test-guest-cart')
+        .send({ productId: testProductId, variantId: testVariantId, quantity: 1 });
+
+      const first = await add().expect(200);
+      const retry = await add().expect(200);
+
+      expect(retry.headers['x-cart-token']).toBe(first.headers['x-cart-token']);
+      expect(retry.body).toEqual(first.body);
+    });
+  });
+
+  describe('Abandoned requests', () => {
+    const abandon = (lockedUntil) => prisma.idempotencyKey.updateMany({
+      where: { key: 'idempotency-test-abandoned' },
+      data: { statusCode: null, responseBody: null, lockedUntil }
+    });
+
+    it('should refuse a retry while the first request still holds the key', async () => {
+      await createOrder('idempotency-test-abandoned').expect(201);
+      await abandon(new Date(Date.now() + 60 * 1000));
+
+      const response = await createOrder('idempotency-test-abandoned').expect(409);
+      expect(response.body.message).toContain('still being processed');
+    });
+
+    it('should let a retry take over once the lease has run out', async () => {
+      await abandon(new Date(Date.now() - 1000));
+
+      const response = await createOrder('idempotency-test-abandoned').expect(201);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+
+      const replay = await createOrder('idempotency-test-abandoned').expect(201);
+      expect(replay.headers['idempotent-replayed']).toBe('true');
+    });
+  });
+
+  describe('Expiry', () => {
+    it('should purge expired keys and accept them again', async () => {
+      await prisma.idempotencyKey.updateMany({
+        where: { key: 'idempotency-test-order' },
+        data: { expiresAt: new Date(Date.now() - 1000) }
+      });
+
+      expect(await purgeExpiredKeys()).toBeGreaterThan(0);
+
+      const response = await createOrder('idempotency-test-order').expect(201);
+      expect(response.headers['idempotent-replayed']).toBeUndefined();
+    });
+  });
+});
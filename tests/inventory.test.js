@@ -0,0 +1,403 @@
+/**
+ * Inventory Module Tests
+ * Tests for stock adjustments, the inventory movement ledger, stock locations and low-stock alerts
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+const { events } = require('../src/utils/events');
+const { EVENTS } = require('../src/utils/constants');
+
+const prisma = new PrismaClient();
+
+describe('Inventory Module', () => {
+  let authToken;
+  let adminToken;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Inventory User',
+        email: 'inventorytest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Inventory Admin',
+        email: 'inventorytestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Inventory Test Category', slug: 'inventory-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Inventory Test Product',
+        price: 25,
+        categoryId: testCategoryId,
+        sku: 'INVENTORY-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'M',
+        price: 25,
+        stock: 10,
+        sku: 'INVENTORY-TEST-VARIANT-M'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    const addressResponse = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Inventory User',
+        phone: '+1234567890',
+        address: '1 Inventory Street',
+        city: 'Test City',
+        state: 'Test State',
+        country: 'Test Country',
+        zipCode: '12345'
+      });
+
+    testAddressId = addressResponse.body.data.id;
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'inventorytest' } } }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Inventory Test' } }
+    });
+    await prisma.stockLocation.deleteMany({
+      where: { code: { startsWith: 'INVTEST' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Inventory Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'inventorytest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /admin/inventory/adjustments', () => {
+    it('should adjust stock and record the movement', async () => {
+      const response = await request(app)
+        .post('/admin/inventory/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ variantId: testVariantId, quantity: -3, reason: 'CORRECTION', note: 'Damaged in storage' })
+        .expect(201);
+
+      expect(response.body.data.quantity).toBe(-3);
+      expect(response.body.data.balanceAfter).toBe(7);
+      expect(response.body.data.reason).toBe('CORRECTION');
+
+      const variant = await prisma.productVariant.findUnique({ where: { id: testVariantId } });
+      expect(variant.stock).toBe(7);
+    });
+
+    it('should not let stock go below zero', async () => {
+      const response = await request(app)
+        .post('/admin/inventory/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ variantId: testVariantId, quantity: -100 })
+        .expect(400);
+
+      expect(response.body.message).toContain('below zero');
+    });
+
+    it('should reject reasons reserved for orders', async () => {
+      await request(app)
+        .post('/admin/inventory/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ variantId: testVariantId, quantity: 1, reason: 'SALE' })
+        .expect(400);
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .post('/admin/inventory/adjustments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ variantId: testVariantId, quantity: 1 })
+        .expect(403);
+    });
+  });
+
+  describe('GET /admin/inventory/variants/:variantId/movements', () => {
+    it('should record sales and cancellation restocks', async () => {
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId: testVariantId, quantity: 2 }],
+          addressId: testAddressId,
+          email: 'inventorytest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      await request(app)
+        .put(`/api/orders/${orderResponse.body.data.id}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/admin/inventory/variants/${testVariantId}/movements`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const reasons = response.body.data.map(movement => movement.reason);
+      expect(reasons).toEqual(['CANCELLATION_RESTOCK', 'SALE', 'CORRECTION', 'IMPORT']);
+      expect(response.body.data[0]).toMatchObject({ quantity: 2, balanceAfter: 7 });
+      expect(response.body.data[1]).toMatchObject({ quantity: -2, balanceAfter: 5 });
+      expect(response.body.meta.total).toBe(4);
+    });
+
+    it('should record stock set through a variant update as a correction', async () => {
+      await request(app)
+        .put(`/admin/variants/${testVariantId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ stock: 12 })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/admin/inventory/variants/${testVariantId}/movements`)
+        .query({ reason: 'CORRECTION' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data[0]).toMatchObject({ quantity: 5, balanceAfter: 12 });
+    });
+
+    it('should return 404 for an unknown variant', async () => {
+      await request(app)
+        .get('/admin/inventory/variants/999999/movements')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Stock locations', () => {
+    let mainLocationId;
+    let secondLocationId;
+
+    beforeAll(async () => {
+      const stockResponse = await request(app)
+        .get(`/admin/variants/${testVariantId}/stock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      mainLocationId = stockResponse.body.data.locations[0].locationId;
+
+      const locationResponse = await request(app)
+        .post('/admin/inventory/locations')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ code: 'INVTEST-EAST', name: 'Inventory Test East', priority: 1000 })
+        .expect(201);
+
+      secondLocationId = locationResponse.body.data.id;
+    });
+
+    it('should keep a variant\'s stock at the default location', async () => {
+      const response = await request(app)
+        .get(`/admin/variants/${testVariantId}/stock`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.stock).toBe(12);
+      expect(response.body.data.locations).toEqual([
+        expect.objectContaining({ locationId: mainLocationId, quantity: 12 })
+      ]);
+    });
+
+    it('should transfer stock between locations', async () => {
+      const response = await request(app)
+        .post(`/admin/variants/${testVariantId}/stock/transfer`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ fromLocationId: mainLocationId, toLocationId: secondLocationId, quantity: 5 })
+        .expect(200);
+
+      expect(response.body.data.stock).toBe(12);
+      const quantities = Object.fromEntries(
+        response.body.data.locations.map(level => [level.locationId, level.quantity])
+      );
+      expect(quantities).toEqual({ [mainLocationId]: 7, [secondLocationId]: 5 });
+
+      const movements = await request(app)
+        .get(`/admin/inventory/variants/${testVariantId}/movements`)
+        .query({ reason: 'TRANSFER' })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(movements.body.meta.total).toBe(2);
+    });
+
+    it('should not transfer more than the source location holds', async () => {
+      await request(app)
+        .post(`/admin/variants/${testVariantId}/stock/transfer`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ fromLocationId: secondLocationId, toLocationId: mainLocationId, quantity: 50 })
+        .expect(400);
+    });
+
+    it('should split an order across locations and restore each on cancel', async () => {
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId: testVariantId, quantity: 9 }],
+          addressId: testAddressId,
+          email: 'inventorytest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      const allocations = await prisma.orderItemAllocation.findMany({
+        where: { orderItem: { orderId: orderResponse.body.data.id } },
+        orderBy: { id: 'asc' }
+      });
+
+      expect(allocations.map(allocation => [allocation.locationId, allocation.quantity])).toEqual([
+        [mainLocationId, 7],
+        [secondLocationId, 2]
+      ]);
+
+      await request(app)
+        .put(`/api/orders/${orderResponse.body.data.id}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const levels = await prisma.variantStockLevel.findMany({ where: { variantId: testVariantId } });
+      const quantities = Object.fromEntries(levels.map(level => [level.locationId, level.quantity]));
+      expect(quantities).toEqual({ [mainLocationId]: 7, [secondLocationId]: 5 });
+    });
+
+    it('should ship from a single location when one can cover the order', async () => {
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId: testVariantId, quantity: 6 }],
+          addressId: testAddressId,
+          email: 'inventorytest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      const allocations = await prisma.orderItemAllocation.findMany({
+        where: { orderItem: { orderId: orderResponse.body.data.id } }
+      });
+
+      expect(allocations).toHaveLength(1);
+      expect(allocations[0]).toMatchObject({ locationId: mainLocationId, quantity: 6 });
+    });
+  });
+
+  describe('Low-stock alerts', () => {
+    const alerts = [];
+    const onLow = alert => alerts.push({ event: EVENTS.STOCK_LOW, ...alert });
+    const onOut = alert => alerts.push({ event: EVENTS.STOCK_OUT, ...alert });
+
+    const placeOrder = quantity => request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        items: [{ productId: testProductId, variantId: testVariantId, quantity }],
+        addressId: testAddressId,
+        email: 'inventorytest@example.com',
+        phone: '+1234567890'
+      })
+      .expect(201);
+
+    beforeAll(async () => {
+      events.on(EVENTS.STOCK_LOW, onLow);
+      events.on(EVENTS.STOCK_OUT, onOut);
+
+      await request(app)
+        .put(`/admin/variants/${testVariantId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ lowStockThreshold: 4 })
+        .expect(200);
+    });
+
+    afterAll(() => {
+      events.off(EVENTS.STOCK_LOW, onLow);
+      events.off(EVENTS.STOCK_OUT, onOut);
+    });
+
+    it('should emit a low-stock event once when an order crosses the threshold', async () => {
+      await placeOrder(3);
+
+      expect(alerts).toEqual([
+        expect.objectContaining({ event: EVENTS.STOCK_LOW, variantId: testVariantId, stock: 3, threshold: 4 })
+      ]);
+
+      await placeOrder(1);
+      expect(alerts).toHaveLength(1);
+    });
+
+    it('should list the variant in the low-stock report', async () => {
+      const response = await request(app)
+        .get('/admin/inventory/low-stock')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const variant = response.body.data.find(item => item.id === testVariantId);
+      expect(variant).toMatchObject({ stock: 2, threshold: 4, state: 'LOW' });
+    });
+
+    it('should emit an out-of-stock event when the last units sell', async () => {
+      await placeOrder(2);
+
+      expect(alerts[alerts.length - 1]).toMatchObject({
+        event: EVENTS.STOCK_OUT,
+        variantId: testVariantId,
+        stock: 0
+      });
+
+      const response = await request(app)
+        .get('/admin/inventory/low-stock')
+        .query({ outOfStock: true })
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(item => item.id)).toContain(testVariantId);
+      expect(response.body.data.every(item => item.stock <= 0)).toBe(true);
+    });
+
+    it('should require admin role for the report', async () => {
+      await request(app)
+        .get('/admin/inventory/low-stock')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * Invoice Module Tests
+ * Tests for invoice numbering, invoice PDFs and credit notes for refunds
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Collect binary responses into a Buffer
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('Invoice Module', () => {
+  let authToken;
+  let otherToken;
+  let adminToken;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+
+  const createOrder = async (quantity = 1) => {
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        items: [{ productId: testProductId, variantId: testVariantId, quantity }],
+        addressId: testAddressId,
+        email: 'invoicetest@example.com',
+        phone: '+1234567890'
+      })
+      .expect(201);
+
+    return response.body.data;
+  };
+
+  const createPaidOrder = async (quantity = 1) => {
+    const order = await createOrder(quantity);
+
+    await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ orderId: order.id, token: 'tok_success' })
+      .expect(201);
+
+    return order;
+  };
+
+  const getInvoice = (orderId) => prisma.invoice.findFirst({
+    where: { orderId, type: 'INVOICE' }
+  });
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Invoice User',
+        email: 'invoicetest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const otherResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Other Invoice User',
+        email: 'invoicetestother@example.com',
+        password: 'Password123!'
+      });
+
+    otherToken = otherResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Invoice Admin',
+        email: 'invoicetestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Invoice Test Category', slug: 'invoice-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Invoice Test Product',
+        price: 30,
+        categoryId: testCategoryId,
+        sku: 'INVOICE-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'S',
+        price: 30,
+        stock: 50,
+        sku: 'INVOICE-TEST-VARIANT-S'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    const addressResponse = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Invoice User',
+        phone: '+1234567890',
+        address: '1 Invoice Street',
+        city: 'Test City',
+        state: 'Test State',
+        country: 'Test Country',
+        zipCode: '12345'
+      });
+
+    testAddressId = addressResponse.body.data.id;
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'invoicetest' } } }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Invoice Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Invoice Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'invoicetest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('Invoice numbering', () => {
+    it('should not invoice an unpaid order', async () => {
+      const order = await createOrder();
+
+      expect(await getInvoice(order.id)).toBeNull();
+
+      await request(app)
+        .get(`/api/orders/${order.id}/invoice`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(409);
+    });
+
+    it('should number invoices sequentially within the year when orders are paid', async () => {
+      const first = await getInvoice((await createPaidOrder()).id);
+      const second = await getInvoice((await createPaidOrder()).id);
+      const year = new Date().getUTCFullYear();
+
+      expect(first.number).toMatch(new RegExp(`^INV-${year}-\\d{6}$`));
+      expect(first.amount).toBe(30);
+      expect(second.year).toBe(first.year);
+      expect(second.sequence).toBe(first.sequence + 1);
+    });
+
+    it('should not issue a second invoice when a paid order completes', async () => {
+      const order = await createPaidOrder();
+
+      for (const status of ['PROCESSING', 'SHIPPED', 'DELIVERED', 'COMPLETED']) {
+        await request(app)
+          .put(`/admin/orders/${order.id}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status })
+          .expect(200);
+      }
+
+      const invoices = await prisma.invoice.findMany({ where: { orderId: order.id } });
+      expect(invoices).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/orders/:id/invoice', () => {
+    let order;
+
+    beforeAll(async () => {
+      order = await createPaidOrder(2);
+    });
+
+    it('should return the invoice as a PDF', async () => {
+      const invoice = await getInvoice(order.id);
+
+      const response = await request(app)
+        .get(`/api/orders/${order.id}/invoice`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      expect(response.headers['content-type']).toContain('application/pdf');
+      expect(response.headers['content-disposition']).toContain(`${invoice.number}.pdf`);
+
+      const pdf = response.body.toString('latin1');
+      expect(pdf.startsWith('%PDF-')).toBe(true);
+      expect(pdf).toContain(invoice.number);
+      expect(pdf).toContain('Invoice Test Product \\(S\\)');
+      expect(pdf).toContain('60.00 USD');
+    });
+
+    it('should not show another customer the invoice', async () => {
+      await request(app)
+        .get(`/api/orders/${order.id}/invoice`)
+        .set('Authorization', `Bearer ${otherToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Credit notes', () => {
+    it('should issue a credit note for a refund and serve it as a PDF', async () => {
+      const order = await createPaidOrder(2);
+      const invoice = await getInvoice(order.id);
+
+      const refundResponse = await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ orderId: order.id, amount: 15, reason: 'Late delivery' })
+        .expect(201);
+
+      const creditNote = refundResponse.body.data.creditNote;
+      expect(creditNote.number).toMatch(/^CN-\d{4}-\d{6}$/);
+      expect(creditNote).toMatchObject({ type: 'CREDIT_NOTE', amount: 15, invoiceId: invoice.id });
+
+      const response = await request(app)
+        .get(`/api/orders/${order.id}/credit-notes/${creditNote.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .buffer(true)
+        .parse(binaryParser)
+        .expect(200);
+
+      const pdf = response.body.toString('latin1');
+      expect(pdf).toContain('CREDIT NOTE');
+      expect(pdf).toContain(invoice.number);
+      expect(pdf).toContain('15.00 USD');
+    });
+
+    it('should list invoices and credit notes for admins', async () => {
+      const response = await request(app)
+        .get('/admin/invoices?type=CREDIT_NOTE')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.every(document => document.type === 'CREDIT_NOTE')).toBe(true);
+      expect(response.body.meta.total).toBeGreaterThan(0);
+    });
+  });
+});
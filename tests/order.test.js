@@ -6,6 +6,7 @@
 const request = require('supertest');
 const app = require('../src/app');
 const { PrismaClient } = require('@prisma/client');
+const { releaseExpiredReservations } = require('../src/modules/inventory/inventory.service');
 
 const prisma = new PrismaClient();
 
@@ -293,6 +294,325 @@ describe('Order Module', () => {
     });
   });
 
+  describe('POST /api/orders/checkout', () => {
+    let checkoutVariantId;
+
+    beforeAll(async () => {
+      const variantResponse = await request(app)
+        .post('/admin/variants')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: testProductId,
+          size: 'L',
+          price: 40,
+          stock: 5,
+          sku: 'ORDER-TEST-CHECKOUT-L'
+        });
+
+      checkoutVariantId = variantResponse.body.data.id;
+    });
+
+    it('should convert the cart into an order and empty the cart', async () => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: checkoutVariantId, quantity: 2 })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: testAddressId, expectedTotal: 80 })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('PENDING');
+      expect(response.body.data.total).toBe(80);
+      expect(response.body.data.items).toHaveLength(1);
+
+      const cartResponse = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(cartResponse.body.data.items).toHaveLength(0);
+
+      const cart = await prisma.cart.findUnique({ where: { id: cartResponse.body.data.id } });
+      expect(cart.total).toBe(0);
+      expect(cart.shippingMethodId).toBeNull();
+    });
+
+    it('should reject checkout when the total changed', async () => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: checkoutVariantId, quantity: 1 });
+
+      const response = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: testAddressId, expectedTotal: 1 })
+        .expect(409);
+
+      expect(response.body.message).toContain('Cart total changed');
+    });
+
+    it('should fail with an empty cart', async () => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+
+      const response = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: testAddressId })
+        .expect(400);
+
+      expect(response.body.message).toContain('Cart is empty');
+    });
+  });
+
+  describe('Order snapshots', () => {
+    let snapshotVariantId;
+    let snapshotAddressId;
+    let orderId;
+
+    beforeAll(async () => {
+      const variantResponse = await request(app)
+        .post('/admin/variants')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: testProductId,
+          size: 'XL',
+          color: 'Blue',
+          price: 25,
+          stock: 5,
+          sku: 'ORDER-TEST-SNAPSHOT-XL'
+        });
+
+      snapshotVariantId = variantResponse.body.data.id;
+
+      const addressResponse = await request(app)
+        .post('/api/addresses')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          name: 'Order User',
+          phone: '+1234567890',
+          address: '1 Snapshot Street',
+          city: 'Test City',
+          state: 'Test State',
+          country: 'Test Country',
+          zipCode: '12345'
+        });
+
+      snapshotAddressId = addressResponse.body.data.id;
+
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId: snapshotVariantId, quantity: 1 }],
+          addressId: snapshotAddressId,
+          email: 'ordertest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      orderId = orderResponse.body.data.id;
+    });
+
+    it('should keep the product, variant and address as they were when ordered', async () => {
+      const productResponse = await request(app)
+        .get(`/api/products/${testProductId}`)
+        .expect(200);
+      const originalName = productResponse.body.data.name;
+
+      await request(app)
+        .put(`/admin/products/${testProductId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Order Test Product Renamed' })
+        .expect(200);
+
+      await request(app)
+        .put(`/admin/variants/${snapshotVariantId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ size: 'XXL' })
+        .expect(200);
+
+      await request(app)
+        .put(`/api/addresses/${snapshotAddressId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ address: '2 Moved Street' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.items[0]).toMatchObject({
+        productName: originalName,
+        sku: 'ORDER-TEST-SNAPSHOT-XL',
+        size: 'XL',
+        color: 'Blue'
+      });
+      expect(response.body.data.shippingAddress).toMatchObject({
+        name: 'Order User',
+        address: '1 Snapshot Street',
+        zipCode: '12345'
+      });
+
+      const listResponse = await request(app)
+        .get('/api/orders/my')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const listed = listResponse.body.data.find(order => order.id === orderId);
+      expect(listed.items[0].size).toBe('XL');
+      expect(listed.shippingAddress.address).toBe('1 Snapshot Street');
+    });
+  });
+
+  describe('POST /api/orders/checkout/start', () => {
+    let reservedVariantId;
+
+    beforeAll(async () => {
+      const variantResponse = await request(app)
+        .post('/admin/variants')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: testProductId,
+          size: 'XL',
+          price: 30,
+          stock: 3,
+          sku: 'ORDER-TEST-RESERVE-XL'
+        });
+
+      reservedVariantId = variantResponse.body.data.id;
+    });
+
+    afterAll(async () => {
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${adminToken}`);
+    });
+
+    it('should reserve the cart stock for other shoppers', async () => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: testProductId, variantId: reservedVariantId, quantity: 2 })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/orders/checkout/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.reservations).toHaveLength(1);
+      expect(response.body.data.reservations[0].quantity).toBe(2);
+      expect(new Date(response.body.data.expiresAt).getTime()).toBeGreaterThan(Date.now());
+
+      const variantResponse = await request(app)
+        .get(`/api/variants/${reservedVariantId}`)
+        .expect(200);
+
+      expect(variantResponse.body.data.stock).toBe(3);
+      expect(variantResponse.body.data.availableStock).toBe(1);
+
+      const otherCart = await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ productId: testProductId, variantId: reservedVariantId, quantity: 2 })
+        .expect(400);
+
+      expect(otherCart.body.message).toContain('Insufficient stock');
+    });
+
+    it('should convert the reservation when the cart is checked out', async () => {
+      const response = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: testAddressId })
+        .expect(201);
+
+      const reservations = await prisma.stockReservation.findMany({
+        where: { variantId: reservedVariantId }
+      });
+
+      expect(reservations).toHaveLength(1);
+      expect(reservations[0].status).toBe('CONVERTED');
+      expect(reservations[0].orderId).toBe(response.body.data.id);
+
+      const variant = await prisma.productVariant.findUnique({ where: { id: reservedVariantId } });
+      expect(variant.stock).toBe(1);
+    });
+
+    it('should release expired reservations', async () => {
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ productId: testProductId, variantId: reservedVariantId, quantity: 1 })
+        .expect(200);
+
+      await request(app)
+        .post('/api/orders/checkout/start')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await prisma.stockReservation.updateMany({
+        where: { variantId: reservedVariantId, status: 'ACTIVE' },
+        data: { expiresAt: new Date(Date.now() - 1000) }
+      });
+
+      const released = await releaseExpiredReservations();
+      expect(released).toBeGreaterThanOrEqual(1);
+
+      const reservation = await prisma.stockReservation.findFirst({
+        where: { variantId: reservedVariantId },
+        orderBy: { id: 'desc' }
+      });
+      expect(reservation.status).toBe('EXPIRED');
+    });
+
+    it('should give reserved stock back when a reserved line is removed', async () => {
+      await request(app)
+        .post('/api/orders/checkout/start')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const item = await prisma.cartItem.findFirst({
+        where: { variantId: reservedVariantId, isDeleted: false, cart: { user: { email: 'orderadmin@example.com' } } }
+      });
+
+      await request(app)
+        .delete(`/api/cart/items/${item.id}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const reservation = await prisma.stockReservation.findFirst({
+        where: { variantId: reservedVariantId },
+        orderBy: { id: 'desc' }
+      });
+      expect(reservation.status).toBe('RELEASED');
+
+      const variantResponse = await request(app)
+        .get(`/api/variants/${reservedVariantId}`)
+        .expect(200);
+
+      expect(variantResponse.body.data.availableStock).toBe(1);
+    });
+
+    it('should fail with an empty cart', async () => {
+      const response = await request(app)
+        .post('/api/orders/checkout/start')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+
+      expect(response.body.message).toContain('Cart is empty');
+    });
+  });
+
   describe('GET /api/orders/:id', () => {
     it('should get order by ID', async () => {
       const response = await request(app)
@@ -369,6 +689,240 @@ describe('Order Module', () => {
       expect(response.body.success).toBe(false);
       expect(response.body.message).toContain('Access token required');
     });
+
+    it('should restock only once when the same order is cancelled twice at once', async () => {
+      const variantResponse = await request(app)
+        .post('/admin/variants')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: testProductId,
+          size: 'XS',
+          price: 20,
+          stock: 5,
+          sku: 'ORDER-TEST-CANCEL-XS'
+        });
+      const variantId = variantResponse.body.data.id;
+
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId, quantity: 2 }],
+          addressId: testAddressId,
+          email: 'ordertest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+      const orderId = orderResponse.body.data.id;
+
+      const responses = await Promise.all([
+        request(app).put(`/api/orders/${orderId}/cancel`).set('Authorization', `Bearer ${authToken}`),
+        request(app).put(`/admin/orders/${orderId}/status`).set('Authorization', `Bearer ${adminToken}`).send({ status: 'CANCELLED' })
+      ]);
+
+      expect(responses.filter(response => response.status === 200)).toHaveLength(1);
+
+      const variant = await prisma.productVariant.findUnique({ where: { id: variantId } });
+      expect(variant.stock).toBe(5);
+
+      const history = await prisma.orderStatusHistory.findMany({ where: { orderId, status: 'CANCELLED' } });
+      expect(history).toHaveLength(1);
+    });
+  });
+
+  describe('POST /api/orders/:id/reorder', () => {
+    let limitedVariantId;
+    let plentyVariantId;
+    let removedVariantId;
+    let orderId;
+
+    const createVariant = async (size, stock) => {
+      const response = await request(app)
+        .post('/admin/variants')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: testProductId,
+          size,
+          price: 20,
+          stock,
+          sku: `ORDER-TEST-REORDER-${size}`
+        });
+
+      return response.body.data.id;
+    };
+
+    beforeAll(async () => {
+      limitedVariantId = await createVariant('S', 3);
+      plentyVariantId = await createVariant('M', 10);
+      removedVariantId = await createVariant('L', 10);
+
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [
+            { productId: testProductId, variantId: limitedVariantId, quantity: 2 },
+            { productId: testProductId, variantId: plentyVariantId, quantity: 2 },
+            { productId: testProductId, variantId: removedVariantId, quantity: 1 }
+          ],
+          addressId: testAddressId,
+          email: 'ordertest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      orderId = orderResponse.body.data.id;
+
+      await request(app)
+        .delete(`/admin/variants/${removedVariantId}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .delete('/api/cart/clear')
+        .set('Authorization', `Bearer ${authToken}`);
+    });
+
+    it('should add available items to the cart and report the rest', async () => {
+      const response = await request(app)
+        .post(`/api/orders/${orderId}/reorder`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const cart = response.body.data;
+      const quantities = Object.fromEntries(cart.items.map(item => [item.variantId, item.quantity]));
+      expect(quantities).toEqual({ [limitedVariantId]: 1, [plentyVariantId]: 2 });
+
+      expect(cart.reorderAdjustments).toEqual(expect.arrayContaining([
+        expect.objectContaining({ variantId: limitedVariantId, requested: 2, quantity: 1 }),
+        expect.objectContaining({ variantId: removedVariantId, requested: 1, quantity: 0 })
+      ]));
+      expect(cart.reorderAdjustments).toHaveLength(2);
+    });
+
+    it('should count items already in the cart against the stock', async () => {
+      const response = await request(app)
+        .post(`/api/orders/${orderId}/reorder`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const limited = response.body.data.items.find(item => item.variantId === limitedVariantId);
+      expect(limited.quantity).toBe(1);
+      expect(response.body.data.reorderAdjustments).toEqual(expect.arrayContaining([
+        expect.objectContaining({ variantId: limitedVariantId, quantity: 0, reason: 'Out of stock' })
+      ]));
+    });
+
+    it('should not reorder an order of another user', async () => {
+      await request(app)
+        .post(`/api/orders/${orderId}/reorder`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('Discount redemptions', () => {
+    let variantId;
+    let discountId;
+    let orderId;
+
+    const orderWithDiscount = (discount) => request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        items: [{ productId: testProductId, variantId, quantity: 1 }],
+        addressId: testAddressId,
+        email: 'ordertest@example.com',
+        phone: '+1234567890',
+        discountId: discount
+      });
+
+    beforeAll(async () => {
+      const variantResponse = await request(app)
+        .post('/admin/variants')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          productId: testProductId,
+          size: 'XL',
+          price: 50,
+          stock: 10,
+          sku: 'ORDER-TEST-REDEMPTION-XL'
+        });
+
+      variantId = variantResponse.body.data.id;
+
+      const discount = await prisma.discount.create({
+        data: { code: 'ORDERTESTONCE', type: 'FIXED', value: 5, usageLimitPerUser: 1 }
+      });
+      discountId = discount.id;
+
+      await prisma.discount.create({
+        data: { code: 'ORDERTESTWELCOME', type: 'PERCENTAGE', value: 10, firstOrderOnly: true }
+      });
+    });
+
+    afterAll(async () => {
+      await prisma.order.updateMany({
+        where: { Discount: { code: { startsWith: 'ORDERTEST' } } },
+        data: { discountId: null }
+      });
+      await prisma.discount.deleteMany({
+        where: { code: { startsWith: 'ORDERTEST' } }
+      });
+    });
+
+    it('should record a redemption when the order is placed', async () => {
+      const response = await orderWithDiscount(discountId).expect(201);
+      orderId = response.body.data.id;
+
+      const redemption = await prisma.discountRedemption.findUnique({
+        where: { discountId_orderId: { discountId, orderId } }
+      });
+      expect(redemption).toMatchObject({ amount: 5, reversedAt: null });
+
+      const discount = await prisma.discount.findUnique({ where: { id: discountId } });
+      expect(discount.usedCount).toBe(1);
+    });
+
+    it('should refuse a second use by the same customer', async () => {
+      const response = await orderWithDiscount(discountId).expect(400);
+
+      expect(response.body.message).toContain('already used');
+    });
+
+    it('should refuse a first order discount to a returning customer', async () => {
+      const welcome = await prisma.discount.findFirst({ where: { code: 'ORDERTESTWELCOME' } });
+
+      const response = await orderWithDiscount(welcome.id).expect(400);
+
+      expect(response.body.message).toContain('first order');
+    });
+
+    it('should list redemptions with their revenue impact for admins', async () => {
+      const response = await request(app)
+        .get(`/admin/discounts/${discountId}/redemptions`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(response.body.data.summary).toMatchObject({
+        redemptions: 1,
+        customers: 1,
+        discountAmount: 5
+      });
+      expect(response.body.data.redemptions[0].order.id).toBe(orderId);
+    });
+
+    it('should give the use back when the order is cancelled', async () => {
+      await request(app)
+        .put(`/api/orders/${orderId}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      const discount = await prisma.discount.findUnique({ where: { id: discountId } });
+      expect(discount.usedCount).toBe(0);
+
+      await orderWithDiscount(discountId).expect(201);
+    });
   });
 
   describe('POST /api/orders/:id/payment', () => {
@@ -517,6 +1071,13 @@ describe('Order Module', () => {
 
     describe('PUT /admin/orders/:id/status', () => {
       it('should update order status', async () => {
+        // Orders must be paid before they can be processed
+        await request(app)
+          .post('/api/payments')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ orderId: testOrderId, token: 'tok_success' })
+          .expect(201);
+
         const statusData = {
           status: 'PROCESSING',
           notes: 'Order is being processed'
@@ -547,6 +1108,34 @@ describe('Order Module', () => {
         expect(response.body.message).toContain('validation');
       });
 
+      it('should reject a transition the lifecycle does not allow', async () => {
+        const response = await request(app)
+          .put(`/admin/orders/${testOrderId}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'COMPLETED' })
+          .expect(409);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.message).toContain('Cannot change order status');
+      });
+
+      it('should not allow completing a cancelled order', async () => {
+        await request(app)
+          .put(`/admin/orders/${testOrderId}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'CANCELLED' })
+          .expect(200);
+
+        const response = await request(app)
+          .put(`/admin/orders/${testOrderId}/status`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ status: 'COMPLETED' })
+          .expect(409);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.message).toContain('from CANCELLED to COMPLETED');
+      });
+
       it('should fail for non-admin users', async () => {
         const statusData = {
           status: 'SHIPPED'
@@ -597,6 +1186,183 @@ describe('Order Module', () => {
       });
     });
 
+    describe('PUT /admin/orders/:id', () => {
+      let firstVariantId;
+      let secondVariantId;
+      let editAddressId;
+      let discountId;
+
+      const createVariant = async (size, price) => {
+        const response = await request(app)
+          .post('/admin/variants')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ productId: testProductId, size, price, stock: 10, sku: `ORDER-TEST-EDIT-${size}` });
+
+        return response.body.data.id;
+      };
+
+      const getStock = async (variantId) =>
+        (await prisma.productVariant.findUnique({ where: { id: variantId } })).stock;
+
+      const placeOrder = async (quantity, extra = {}) => {
+        const response = await request(app)
+          .post('/api/orders')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({
+            items: [{ productId: testProductId, variantId: firstVariantId, quantity }],
+            addressId: testAddressId,
+            email: 'ordertest@example.com',
+            phone: '+1234567890',
+            ...extra
+          })
+          .expect(201);
+
+        return response.body.data;
+      };
+
+      beforeAll(async () => {
+        firstVariantId = await createVariant('EDIT-A', 20);
+        secondVariantId = await createVariant('EDIT-B', 30);
+
+        const addressResponse = await request(app)
+          .post('/api/addresses')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({
+            name: 'Order User',
+            phone: '+1234567890',
+            address: '9 Edited Street',
+            city: 'Other City',
+            state: 'Test State',
+            country: 'Test Country',
+            zipCode: '54321'
+          });
+
+        editAddressId = addressResponse.body.data.id;
+
+        const discountResponse = await request(app)
+          .post('/admin/discounts')
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ code: 'ORDERTESTEDIT', type: 'FIXED', value: 5, minOrderAmount: 50 });
+
+        discountId = discountResponse.body.data.id;
+      });
+
+      afterAll(async () => {
+        await prisma.discount.deleteMany({ where: { code: 'ORDERTESTEDIT' } });
+      });
+
+      it('should change quantities, add lines and move the stock', async () => {
+        const order = await placeOrder(2);
+
+        const response = await request(app)
+          .put(`/admin/orders/${order.id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            items: [
+              { productId: testProductId, variantId: firstVariantId, quantity: 1 },
+              { productId: testProductId, variantId: secondVariantId, quantity: 2 }
+            ],
+            note: 'Customer called'
+          })
+          .expect(200);
+
+        const edited = response.body.data;
+        expect(edited.total).toBe(80);
+        expect(edited.netAmount).toBe(80);
+        expect(edited.items).toHaveLength(2);
+        expect(await getStock(firstVariantId)).toBe(9);
+        expect(await getStock(secondVariantId)).toBe(8);
+
+        const detail = await request(app)
+          .get(`/admin/orders/${order.id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .expect(200);
+
+        const history = detail.body.data.OrderStatusHistory.find(entry => entry.note.startsWith('Order edited'));
+        expect(history.note).toContain('quantity from 2 to 1');
+        expect(history.note).toContain('added');
+        expect(history.note).toContain('total changed from 40.00 to 80.00');
+        expect(history.note).toContain('Customer called');
+      });
+
+      it('should remove lines and swap the shipping address', async () => {
+        const order = await placeOrder(1);
+
+        await request(app)
+          .put(`/admin/orders/${order.id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({
+            items: [{ productId: testProductId, variantId: secondVariantId, quantity: 1 }],
+            addressId: editAddressId
+          })
+          .expect(200)
+          .expect(({ body }) => {
+            expect(body.data.items.map(item => item.variantId)).toEqual([secondVariantId]);
+            expect(body.data.shippingAddress.address).toBe('9 Edited Street');
+            expect(body.data.total).toBe(30);
+          });
+      });
+
+      it('should drop a discount the edited order no longer qualifies for', async () => {
+        const order = await placeOrder(3, { discountId });
+        expect(order.discountAmount).toBe(5);
+
+        const response = await request(app)
+          .put(`/admin/orders/${order.id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ items: [{ productId: testProductId, variantId: firstVariantId, quantity: 1 }] })
+          .expect(200);
+
+        expect(response.body.data.removedDiscount.code).toBe('ORDERTESTEDIT');
+        expect(response.body.data.discountAmount).toBe(0);
+        expect(response.body.data.total).toBe(20);
+      });
+
+      it('should refuse an edit that changes the total of a paid order', async () => {
+        const order = await placeOrder(2);
+
+        await request(app)
+          .post('/api/payments')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ orderId: order.id, token: 'tok_success' })
+          .expect(201);
+
+        const response = await request(app)
+          .put(`/admin/orders/${order.id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ items: [{ productId: testProductId, variantId: firstVariantId, quantity: 3 }] })
+          .expect(409);
+
+        expect(response.body.message).toContain('would change its total');
+
+        const unchanged = await prisma.order.findUnique({ where: { id: order.id } });
+        expect(unchanged.total).toBe(order.total);
+      });
+
+      it('should refuse to edit a cancelled order', async () => {
+        const order = await placeOrder(1);
+
+        await request(app)
+          .put(`/api/orders/${order.id}/cancel`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .expect(200);
+
+        await request(app)
+          .put(`/admin/orders/${order.id}`)
+          .set('Authorization', `Bearer ${adminToken}`)
+          .send({ items: [{ productId: testProductId, variantId: firstVariantId, quantity: 2 }] })
+          .expect(409);
+      });
+
+      it('should fail for non-admin users', async () => {
+        await request(app)
+          .put(`/admin/orders/${testOrderId}`)
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ addressId: editAddressId })
+          .expect(403);
+      });
+    });
+
     describe('GET /admin/orders/analytics', () => {
       it('should get order analytics', async () => {
         const response = await request(app)
@@ -0,0 +1,348 @@
+/**
+ * Payment Module Tests
+ * Tests for paying orders through the mock gateway, captures, voids, refunds and webhooks
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+const mockProvider = require('../src/modules/payment/providers/mock.provider');
+
+const prisma = new PrismaClient();
+
+describe('Payment Module', () => {
+  let authToken;
+  let adminToken;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+
+  const createOrder = async () => {
+    const response = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        items: [{ productId: testProductId, variantId: testVariantId, quantity: 1 }],
+        addressId: testAddressId,
+        email: 'paymenttest@example.com',
+        phone: '+1234567890'
+      });
+
+    return response.body.data.id;
+  };
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Payment User',
+        email: 'paymenttest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Payment Admin',
+        email: 'paymenttestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Payment Test Category', slug: 'payment-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Payment Test Product',
+        price: 50,
+        categoryId: testCategoryId,
+        sku: 'PAYMENT-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'M',
+        price: 50,
+        stock: 20,
+        sku: 'PAYMENT-TEST-VARIANT-M'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    const addressResponse = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Payment User',
+        phone: '+1234567890',
+        address: '1 Payment Street',
+        city: 'Test City',
+        state: 'Test State',
+        country: 'Test Country',
+        zipCode: '12345'
+      });
+
+    testAddressId = addressResponse.body.data.id;
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'paymenttest' } } }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Payment Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Payment Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'paymenttest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/payments', () => {
+    it('should capture payment and mark the order as paid', async () => {
+      const orderId = await createOrder();
+
+      const response = await request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_success' })
+        .expect(201);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.status).toBe('CAPTURED');
+      expect(response.body.data.provider).toBe('mock');
+
+      const orderResponse = await request(app)
+        .get(`/api/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(orderResponse.body.data.status).toBe('PAID');
+    });
+
+    it('should leave the order pending when the card is declined', async () => {
+      const orderId = await createOrder();
+
+      const response = await request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_decline' })
+        .expect(402);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toContain('Payment declined');
+
+      const orderResponse = await request(app)
+        .get(`/api/orders/${orderId}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(orderResponse.body.data.status).toBe('PENDING');
+    });
+
+    it('should reject paying an order twice', async () => {
+      const orderId = await createOrder();
+
+      await request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_success' })
+        .expect(201);
+
+      const response = await request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_success' })
+        .expect(409);
+
+      expect(response.body.success).toBe(false);
+    });
+
+    it('should authorize only one of two concurrent submissions', async () => {
+      const orderId = await createOrder();
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_success' })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+      const payments = await prisma.payment.findMany({ where: { orderId } });
+      expect(payments).toHaveLength(1);
+    });
+
+    it('should fail without authentication', async () => {
+      await request(app)
+        .post('/api/payments')
+        .send({ orderId: 1, token: 'tok_success' })
+        .expect(401);
+    });
+  });
+
+  describe('PUT /admin/orders/:id/status', () => {
+    it('should not mark an unpaid order as paid', async () => {
+      const orderId = await createOrder();
+
+      const response = await request(app)
+        .put(`/admin/orders/${orderId}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'PAID' })
+        .expect(409);
+
+      expect(response.body.message).toContain('no captured payment');
+    });
+  });
+
+  describe('Admin payment operations', () => {
+    it('should partially then fully refund a captured payment', async () => {
+      const orderId = await createOrder();
+
+      const paymentResponse = await request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_success' });
+
+      const paymentId = paymentResponse.body.data.id;
+
+      const partial = await request(app)
+        .post(`/admin/payments/${paymentId}/refund`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ amount: 10 })
+        .expect(200);
+
+      expect(partial.body.data.status).toBe('PARTIALLY_REFUNDED');
+      expect(partial.body.data.refundedAmount).toBe(10);
+
+      const full = await request(app)
+        .post(`/admin/payments/${paymentId}/refund`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({})
+        .expect(200);
+
+      expect(full.body.data.status).toBe('REFUNDED');
+    });
+
+    it('should not void a captured payment', async () => {
+      const orderId = await createOrder();
+
+      const paymentResponse = await request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_success' });
+
+      await request(app)
+        .post(`/admin/payments/${paymentResponse.body.data.id}/void`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should capture a manually captured payment only once', async () => {
+      const orderId = await createOrder();
+
+      process.env.PAYMENT_AUTO_CAPTURE = 'false';
+      let paymentResponse;
+      try {
+        paymentResponse = await request(app)
+          .post('/api/payments')
+          .set('Authorization', `Bearer ${authToken}`)
+          .send({ orderId, token: 'tok_success' });
+      } finally {
+        delete process.env.PAYMENT_AUTO_CAPTURE;
+      }
+
+      const paymentId = paymentResponse.body.data.id;
+      expect(paymentResponse.body.data.status).toBe('AUTHORIZED');
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post(`/admin/payments/${paymentId}/capture`)
+        .set('Authorization', `Bearer ${adminToken}`)));
+
+      expect(responses.map(response => response.status).sort()).toEqual([200, 409]);
+
+      await request(app)
+        .post(`/admin/payments/${paymentId}/void`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should fail for non-admin users', async () => {
+      await request(app)
+        .get('/admin/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('POST /api/payments/webhook', () => {
+    it('should reject an unsigned webhook', async () => {
+      const response = await request(app)
+        .post('/api/payments/webhook')
+        .send({ type: 'payment.captured', data: { reference: 'mock_unknown' } })
+        .expect(401);
+
+      expect(response.body.message).toContain('Invalid webhook signature');
+    });
+
+    it('should accept a signed webhook', async () => {
+      const body = JSON.stringify({ type: 'payment.captured', data: { reference: 'mock_unknown' } });
+
+      const response = await request(app)
+        .post('/api/payments/webhook')
+        .set('Content-Type', 'application/json')
+        .set('x-mock-signature', mockProvider.signWebhook(body))
+        .send(body)
+        .expect(200);
+
+      expect(response.body.data.processed).toBe(false);
+    });
+
+    it('should record a gateway refund in the ledger once', async () => {
+      const orderId = await createOrder();
+
+      const paymentResponse = await request(app)
+        .post('/api/payments')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId, token: 'tok_success' });
+
+      const body = JSON.stringify({
+        type: 'payment.refunded',
+        data: { reference: paymentResponse.body.data.providerRef, amount: 10 }
+      });
+
+      for (let delivery = 0; delivery < 2; delivery++) {
+        await request(app)
+          .post('/api/payments/webhook')
+          .set('Content-Type', 'application/json')
+          .set('x-mock-signature', mockProvider.signWebhook(body))
+          .send(body)
+          .expect(200);
+      }
+
+      const order = await prisma.order.findUnique({ where: { id: orderId }, include: { refunds: true } });
+      expect(order.refundedAmount).toBe(10);
+      expect(order.netAmount).toBeCloseTo(order.total - 10);
+      expect(order.refunds).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Refund Module Tests
+ * Tests for order refunds, store credit and automatic refunds on cancellation
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Refund Module', () => {
+  let authToken;
+  let adminToken;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+
+  const createPaidOrder = async (quantity, token = 'tok_success') => {
+    const orderResponse = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        items: [{ productId: testProductId, variantId: testVariantId, quantity }],
+        addressId: testAddressId,
+        email: 'refundtest@example.com',
+        phone: '+1234567890'
+      })
+      .expect(201);
+
+    await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ orderId: orderResponse.body.data.id, token })
+      .expect(201);
+
+    return orderResponse.body.data;
+  };
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Refund User',
+        email: 'refundtest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Refund Admin',
+        email: 'refundtestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Refund Test Category', slug: 'refund-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Refund Test Product',
+        price: 25,
+        categoryId: testCategoryId,
+        sku: 'REFUND-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'M',
+        price: 25,
+        stock: 30,
+        sku: 'REFUND-TEST-VARIANT-M'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    const addressResponse = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Refund User',
+        phone: '+1234567890',
+        address: '1 Refund Street',
+        city: 'Test City',
+        state: 'Test State',
+        country: 'Test Country',
+        zipCode: '12345'
+      });
+
+    testAddressId = addressResponse.body.data.id;
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'refundtest' } } }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Refund Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Refund Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'refundtest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /admin/refunds', () => {
+    it('should refuse to refund an unpaid order', async () => {
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId: testVariantId, quantity: 1 }],
+          addressId: testAddressId,
+          email: 'refundtest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ orderId: orderResponse.body.data.id })
+        .expect(409);
+    });
+
+    it('should require admin role', async () => {
+      const order = await createPaidOrder(1);
+
+      await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ orderId: order.id })
+        .expect(403);
+    });
+
+    it('should refund one line to the original payment and update order totals', async () => {
+      const order = await createPaidOrder(2);
+
+      const response = await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          orderId: order.id,
+          items: [{ orderItemId: order.items[0].id, quantity: 1 }],
+          reason: 'Damaged in transit'
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({
+        method: 'ORIGINAL_PAYMENT',
+        status: 'COMPLETED',
+        amount: 25
+      });
+      expect(response.body.data.items[0]).toMatchObject({ quantity: 1, amount: 25 });
+      expect(response.body.data.payment.status).toBe('PARTIALLY_REFUNDED');
+
+      const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.refundedAmount).toBe(25);
+      expect(updatedOrder.netAmount).toBe(25);
+    });
+
+    it('should not refund more units than were ordered', async () => {
+      const order = await createPaidOrder(2);
+
+      const response = await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ orderId: order.id, items: [{ orderItemId: order.items[0].id, quantity: 3 }] })
+        .expect(400);
+
+      expect(response.body.message).toContain('can still be refunded');
+    });
+
+    it('should not refund more than was paid', async () => {
+      const order = await createPaidOrder(1);
+
+      const response = await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ orderId: order.id, amount: 30 })
+        .expect(400);
+
+      expect(response.body.message).toContain('between 0 and 25');
+    });
+
+    it('should record a failed refund when the gateway rejects it', async () => {
+      const order = await createPaidOrder(1, 'tok_refund_fail');
+
+      await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ orderId: order.id })
+        .expect(400);
+
+      const refunds = await prisma.refund.findMany({ where: { orderId: order.id } });
+      expect(refunds).toHaveLength(1);
+      expect(refunds[0].status).toBe('FAILED');
+
+      const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.refundedAmount).toBe(0);
+    });
+  });
+
+  describe('Store credit', () => {
+    it('should refund to store credit and record it in the ledger', async () => {
+      const order = await createPaidOrder(1);
+
+      const response = await request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ orderId: order.id, method: 'STORE_CREDIT', amount: 10, reason: 'Goodwill' })
+        .expect(201);
+
+      expect(response.body.data.paymentId).toBeNull();
+
+      const creditResponse = await request(app)
+        .get('/api/store-credit/my')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(creditResponse.body.data.balance).toBe(10);
+      expect(creditResponse.body.data.transactions[0]).toMatchObject({
+        amount: 10,
+        balanceAfter: 10,
+        reason: 'REFUND',
+        refundId: response.body.data.id
+      });
+    });
+
+    it('should not let an adjustment take the balance below zero', async () => {
+      const user = await prisma.user.findUnique({ where: { email: 'refundtest@example.com' } });
+
+      await request(app)
+        .post('/admin/store-credit/adjustments')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ userId: user.id, amount: -1000, note: 'Correction' })
+        .expect(400);
+    });
+
+    it('should not credit the same order twice when refunds run concurrently', async () => {
+      const order = await createPaidOrder(1);
+
+      const responses = await Promise.all([1, 2].map(() => request(app)
+        .post('/admin/refunds')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ orderId: order.id, method: 'STORE_CREDIT', amount: 25 })));
+
+      expect(responses.map(response => response.status).sort()).toEqual([201, 409]);
+
+      const updated = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updated.refundedAmount).toBe(25);
+    });
+  });
+
+  describe('Cancelling a paid order', () => {
+    it('should refund the payment and move the order to REFUNDED', async () => {
+      const order = await createPaidOrder(2);
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('REFUNDED');
+      expect(response.body.data.refundedAmount).toBe(50);
+      expect(response.body.data.netAmount).toBe(0);
+      expect(response.body.data.refunds[0]).toMatchObject({ method: 'ORIGINAL_PAYMENT', amount: 50 });
+
+      const refundsResponse = await request(app)
+        .get(`/api/refunds/order/${order.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(refundsResponse.body.data).toHaveLength(1);
+    });
+
+    it('should refund the payment when an admin cancels through the status endpoint', async () => {
+      const order = await createPaidOrder(1);
+
+      const response = await request(app)
+        .put(`/admin/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status: 'CANCELLED' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('REFUNDED');
+      expect(response.body.data.refundedAmount).toBe(25);
+      expect(response.body.data.refunds[0]).toMatchObject({ method: 'ORIGINAL_PAYMENT', amount: 25 });
+    });
+
+    it('should void an authorized payment when the order is cancelled', async () => {
+      process.env.PAYMENT_AUTO_CAPTURE = 'false';
+      let order;
+      try {
+        order = await createPaidOrder(1);
+      } finally {
+        delete process.env.PAYMENT_AUTO_CAPTURE;
+      }
+
+      const response = await request(app)
+        .put(`/api/orders/${order.id}/cancel`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.status).toBe('CANCELLED');
+      expect(response.body.data.payments[0].status).toBe('VOIDED');
+    });
+  });
+});
@@ -0,0 +1,346 @@
+/**
+ * Return Module Tests
+ * Tests for return requests, admin review, receiving and restocking
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Return Module', () => {
+  let authToken;
+  let adminToken;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+
+  const createDeliveredOrder = async (quantity) => {
+    const orderResponse = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        items: [{ productId: testProductId, variantId: testVariantId, quantity }],
+        addressId: testAddressId,
+        email: 'returntest@example.com',
+        phone: '+1234567890'
+      })
+      .expect(201);
+
+    const order = orderResponse.body.data;
+
+    await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ orderId: order.id, token: 'tok_success' })
+      .expect(201);
+
+    for (const status of ['PROCESSING', 'SHIPPED', 'DELIVERED']) {
+      await request(app)
+        .put(`/admin/orders/${order.id}/status`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ status })
+        .expect(200);
+    }
+
+    return order;
+  };
+
+  const getStock = async () => {
+    const variant = await prisma.productVariant.findUnique({ where: { id: testVariantId } });
+    return variant.stock;
+  };
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Return User',
+        email: 'returntest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Return Admin',
+        email: 'returntestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Return Test Category', slug: 'return-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Return Test Product',
+        price: 40,
+        categoryId: testCategoryId,
+        sku: 'RETURN-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'L',
+        price: 40,
+        stock: 20,
+        sku: 'RETURN-TEST-VARIANT-L'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    const addressResponse = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Return User',
+        phone: '+1234567890',
+        address: '1 Return Street',
+        city: 'Test City',
+        state: 'Test State',
+        country: 'Test Country',
+        zipCode: '12345'
+      });
+
+    testAddressId = addressResponse.body.data.id;
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'returntest' } } }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Return Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Return Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'returntest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /api/returns', () => {
+    it('should refuse returns for orders that have not been delivered', async () => {
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId: testVariantId, quantity: 1 }],
+          addressId: testAddressId,
+          email: 'returntest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      const order = orderResponse.body.data;
+
+      await request(app)
+        .post('/api/returns')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          orderId: order.id,
+          items: [{ orderItemId: order.items[0].id, quantity: 1, reason: 'Changed my mind' }]
+        })
+        .expect(409);
+    });
+
+    it('should not return more than was ordered', async () => {
+      const order = await createDeliveredOrder(2);
+
+      const response = await request(app)
+        .post('/api/returns')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          orderId: order.id,
+          items: [{ orderItemId: order.items[0].id, quantity: 3, reason: 'Too small' }]
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('can still be returned');
+    });
+  });
+
+  describe('Return workflow', () => {
+    let order;
+    let returnId;
+
+    beforeAll(async () => {
+      order = await createDeliveredOrder(3);
+    });
+
+    it('should open a return and move the order to RETURN_REQUESTED', async () => {
+      const response = await request(app)
+        .post('/api/returns')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          orderId: order.id,
+          items: [{ orderItemId: order.items[0].id, quantity: 2, reason: 'Too small' }],
+          note: 'Please send a label'
+        })
+        .expect(201);
+
+      returnId = response.body.data.id;
+      expect(response.body.data.status).toBe('REQUESTED');
+      expect(response.body.data.items[0]).toMatchObject({ quantity: 2, reason: 'Too small' });
+
+      const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.status).toBe('RETURN_REQUESTED');
+    });
+
+    it('should list the return for its owner', async () => {
+      const response = await request(app)
+        .get('/api/returns/my')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.map(item => item.id)).toContain(returnId);
+    });
+
+    it('should not receive a return before it is approved', async () => {
+      await request(app)
+        .post(`/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(409);
+    });
+
+    it('should require admin role to approve', async () => {
+      await request(app)
+        .post(`/admin/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+
+    it('should approve and receive the return, restocking the items', async () => {
+      const stockBefore = await getStock();
+
+      await request(app)
+        .post(`/admin/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Label sent' })
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ restock: true })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('RECEIVED');
+      expect(response.body.data.items[0].restockedQuantity).toBe(2);
+      expect(await getStock()).toBe(stockBefore + 2);
+
+      const history = await prisma.orderStatusHistory.findMany({
+        where: { orderId: order.id },
+        orderBy: { id: 'asc' }
+      });
+      // One of the three units is still out, so the order can take another return
+      expect(history.map(entry => entry.status).slice(-2)).toEqual(['RETURN_REQUESTED', 'COMPLETED']);
+
+      const movements = await prisma.inventoryMovement.findMany({
+        where: { orderId: order.id, reason: 'RETURN' }
+      });
+      expect(movements.reduce((sum, movement) => sum + movement.quantity, 0)).toBe(2);
+    });
+
+    it('should move the order to RETURNED once the remaining units come back', async () => {
+      const response = await request(app)
+        .post('/api/returns')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          orderId: order.id,
+          items: [{ orderItemId: order.items[0].id, quantity: 1, reason: 'Too small' }]
+        })
+        .expect(201);
+
+      await request(app)
+        .post(`/admin/returns/${response.body.data.id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post(`/admin/returns/${response.body.data.id}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ restock: true })
+        .expect(200);
+
+      const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.status).toBe('RETURNED');
+    });
+  });
+
+  describe('Rejected and unrestocked returns', () => {
+    it('should put the order back to COMPLETED when its only return is rejected', async () => {
+      const order = await createDeliveredOrder(1);
+
+      const returnResponse = await request(app)
+        .post('/api/returns')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          orderId: order.id,
+          items: [{ orderItemId: order.items[0].id, quantity: 1, reason: 'Not as described' }]
+        })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/admin/returns/${returnResponse.body.data.id}/reject`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ note: 'Outside the return window' })
+        .expect(200);
+
+      expect(response.body.data.status).toBe('REJECTED');
+
+      const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.status).toBe('COMPLETED');
+    });
+
+    it('should leave stock untouched when receiving without restock', async () => {
+      const order = await createDeliveredOrder(1);
+
+      const returnResponse = await request(app)
+        .post('/api/returns')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          orderId: order.id,
+          items: [{ orderItemId: order.items[0].id, quantity: 1, reason: 'Damaged' }]
+        })
+        .expect(201);
+
+      const returnId = returnResponse.body.data.id;
+      const stockBefore = await getStock();
+
+      await request(app)
+        .post(`/admin/returns/${returnId}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .post(`/admin/returns/${returnId}/receive`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ restock: false })
+        .expect(200);
+
+      expect(response.body.data.items[0].restockedQuantity).toBe(0);
+      expect(await getStock()).toBe(stockBefore);
+    });
+  });
+});
@@ -0,0 +1,247 @@
+/**
+ * Shipment Module Tests
+ * Tests for shipping orders in one or more packages and fulfillment status
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Shipment Module', () => {
+  let authToken;
+  let adminToken;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+
+  const createPaidOrder = async (quantity) => {
+    const orderResponse = await request(app)
+      .post('/api/orders')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        items: [{ productId: testProductId, variantId: testVariantId, quantity }],
+        addressId: testAddressId,
+        email: 'shipmenttest@example.com',
+        phone: '+1234567890'
+      })
+      .expect(201);
+
+    await request(app)
+      .post('/api/payments')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ orderId: orderResponse.body.data.id, token: 'tok_success' })
+      .expect(201);
+
+    return orderResponse.body.data;
+  };
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Shipment User',
+        email: 'shipmenttest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Shipment Admin',
+        email: 'shipmenttestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Shipment Test Category', slug: 'shipment-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Shipment Test Product',
+        price: 15,
+        categoryId: testCategoryId,
+        sku: 'SHIPMENT-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'S',
+        price: 15,
+        stock: 20,
+        sku: 'SHIPMENT-TEST-VARIANT-S'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    const addressResponse = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Shipment User',
+        phone: '+1234567890',
+        address: '1 Shipment Street',
+        city: 'Test City',
+        state: 'Test State',
+        country: 'Test Country',
+        zipCode: '12345'
+      });
+
+    testAddressId = addressResponse.body.data.id;
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'shipmenttest' } } }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Shipment Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Shipment Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'shipmenttest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('POST /admin/orders/:id/shipments', () => {
+    it('should refuse to ship an unpaid order', async () => {
+      const orderResponse = await request(app)
+        .post('/api/orders')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({
+          items: [{ productId: testProductId, variantId: testVariantId, quantity: 1 }],
+          addressId: testAddressId,
+          email: 'shipmenttest@example.com',
+          phone: '+1234567890'
+        })
+        .expect(201);
+
+      await request(app)
+        .post(`/admin/orders/${orderResponse.body.data.id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ carrier: 'UPS', trackingNumber: '1Z999' })
+        .expect(409);
+    });
+
+    it('should require admin role', async () => {
+      const order = await createPaidOrder(1);
+
+      await request(app)
+        .post(`/api/orders/${order.id}/shipments`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ carrier: 'UPS' })
+        .expect(403);
+    });
+  });
+
+  describe('Partial fulfillment', () => {
+    let order;
+    let firstShipmentId;
+
+    beforeAll(async () => {
+      order = await createPaidOrder(3);
+    });
+
+    it('should ship part of the order and mark it PARTIALLY_SHIPPED', async () => {
+      const response = await request(app)
+        .post(`/admin/orders/${order.id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          carrier: 'UPS',
+          trackingNumber: '1Z 999',
+          items: [{ orderItemId: order.items[0].id, quantity: 2 }]
+        })
+        .expect(201);
+
+      firstShipmentId = response.body.data.id;
+      expect(response.body.data.trackingUrl).toBe('https://www.ups.com/track?tracknum=1Z%20999');
+      expect(response.body.data.items[0].quantity).toBe(2);
+
+      const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.status).toBe('PARTIALLY_SHIPPED');
+    });
+
+    it('should not ship more than is left', async () => {
+      const response = await request(app)
+        .post(`/admin/orders/${order.id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          carrier: 'UPS',
+          items: [{ orderItemId: order.items[0].id, quantity: 2 }]
+        })
+        .expect(400);
+
+      expect(response.body.message).toContain('left to ship');
+    });
+
+    it('should ship the rest with a custom tracking template and mark it SHIPPED', async () => {
+      const response = await request(app)
+        .post(`/admin/orders/${order.id}/shipments`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({
+          carrier: 'Local Courier',
+          trackingNumber: 'LC-42',
+          trackingUrlTemplate: 'https://courier.example.com/t/{trackingNumber}'
+        })
+        .expect(201);
+
+      expect(response.body.data.items[0].quantity).toBe(1);
+      expect(response.body.data.trackingUrl).toBe('https://courier.example.com/t/LC-42');
+
+      const updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.status).toBe('SHIPPED');
+    });
+
+    it('should mark the order DELIVERED once every shipment is delivered', async () => {
+      await request(app)
+        .post(`/admin/orders/${order.id}/shipments/${firstShipmentId}/deliver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      let updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.status).toBe('SHIPPED');
+
+      const shipments = await prisma.shipment.findMany({ where: { orderId: order.id } });
+      const secondShipment = shipments.find(shipment => shipment.id !== firstShipmentId);
+
+      await request(app)
+        .post(`/admin/orders/${order.id}/shipments/${secondShipment.id}/deliver`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      updatedOrder = await prisma.order.findUnique({ where: { id: order.id } });
+      expect(updatedOrder.status).toBe('DELIVERED');
+    });
+
+    it('should show shipments to the customer on the order', async () => {
+      const response = await request(app)
+        .get(`/api/orders/${order.id}`)
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.shipments).toHaveLength(2);
+      expect(response.body.data.shipments[0]).toMatchObject({ carrier: 'UPS', status: 'DELIVERED' });
+    });
+  });
+});
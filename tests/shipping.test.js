@@ -0,0 +1,335 @@
+/**
+ * Shipping Module Tests
+ * Tests for shipping zones, rate types and shipping on carts and orders
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Shipping Module', () => {
+  let authToken;
+  let adminToken;
+  let testCategoryId;
+  let testProductId;
+  let testVariantId;
+  let testAddressId;
+  let otherAddressId;
+  let zoneId;
+  const methods = {};
+
+  const createAddress = async (overrides) => {
+    const response = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Shipping User',
+        phone: '+1234567890',
+        address: '1 Shipping Street',
+        city: 'Test City',
+        state: 'North',
+        country: 'Shiptestland',
+        zipCode: '90210',
+        ...overrides
+      });
+
+    return response.body.data.id;
+  };
+
+  const createMethod = async (body) => {
+    const response = await request(app)
+      .post(`/admin/shipping/zones/${zoneId}/methods`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+
+    return response.body.data.id;
+  };
+
+  const setCartQuantity = async (quantity) => {
+    await request(app)
+      .delete('/api/cart/clear')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ productId: testProductId, variantId: testVariantId, quantity })
+      .expect(200);
+  };
+
+  const getOptions = async () => {
+    const response = await request(app)
+      .get('/api/cart/shipping-options')
+      .set('Authorization', `Bearer ${authToken}`)
+      .expect(200);
+
+    return Object.fromEntries(response.body.data.map(option => [option.name, option.price]));
+  };
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Shipping User',
+        email: 'shippingtest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Shipping Admin',
+        email: 'shippingtestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Shipping Test Category', slug: 'shipping-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Shipping Test Product',
+        price: 20,
+        categoryId: testCategoryId,
+        sku: 'SHIPPING-TEST-PRODUCT'
+      });
+
+    testProductId = productResponse.body.data.id;
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: testProductId,
+        size: 'M',
+        price: 20,
+        stock: 50,
+        weight: 1.5,
+        sku: 'SHIPPING-TEST-VARIANT-M'
+      });
+
+    testVariantId = variantResponse.body.data.id;
+
+    testAddressId = await createAddress();
+    otherAddressId = await createAddress({ country: 'Nowhereland' });
+
+    const zoneResponse = await request(app)
+      .post('/admin/shipping/zones')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Shiptestland', countries: ['shiptestland'] })
+      .expect(201);
+
+    zoneId = zoneResponse.body.data.id;
+
+    methods.flat = await createMethod({ name: 'Standard', type: 'FLAT_RATE', rate: 5 });
+    methods.weight = await createMethod({
+      name: 'Freight',
+      type: 'WEIGHT_BASED',
+      tiers: [{ min: 0, rate: 4 }, { min: 5, rate: 12 }]
+    });
+    methods.tiered = await createMethod({
+      name: 'Tiered',
+      type: 'PRICE_TIERED',
+      tiers: [{ min: 0, rate: 8 }, { min: 50, rate: 3 }]
+    });
+    methods.free = await createMethod({
+      name: 'Free Over 100',
+      type: 'FREE_OVER_THRESHOLD',
+      rate: 9,
+      freeOverAmount: 100
+    });
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'shippingtest' } } }
+    });
+    await prisma.shippingZone.deleteMany({
+      where: { name: 'Shiptestland' }
+    });
+    await prisma.discount.deleteMany({
+      where: { code: 'SHIPTESTFREE' }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Shipping Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Shipping Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'shippingtest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('Admin shipping methods', () => {
+    it('should require tiers for tiered methods', async () => {
+      await request(app)
+        .post(`/admin/shipping/zones/${zoneId}/methods`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Broken', type: 'WEIGHT_BASED' })
+        .expect(400);
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .get('/admin/shipping/zones')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('GET /api/cart/shipping-options', () => {
+    it('should ask for an address first', async () => {
+      await setCartQuantity(1);
+
+      await request(app)
+        .get('/api/cart/shipping-options')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(400);
+    });
+
+    it('should price every rate type for a small cart', async () => {
+      await request(app)
+        .put('/api/cart/address')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: testAddressId })
+        .expect(200);
+
+      expect(await getOptions()).toEqual({
+        Standard: 5,
+        Freight: 4,
+        Tiered: 8,
+        'Free Over 100': 9
+      });
+    });
+
+    it('should move up weight tiers and reach price thresholds for a large cart', async () => {
+      await setCartQuantity(6);
+
+      expect(await getOptions()).toEqual({
+        Standard: 5,
+        Freight: 12,
+        Tiered: 3,
+        'Free Over 100': 0
+      });
+    });
+
+    it('should offer nothing for an address outside every zone', async () => {
+      await request(app)
+        .put('/api/cart/address')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: otherAddressId })
+        .expect(200);
+
+      expect(await getOptions()).toEqual({});
+    });
+  });
+
+  describe('Shipping on cart and order', () => {
+    it('should refuse a method that does not ship to the cart address', async () => {
+      await request(app)
+        .put('/api/cart/shipping-method')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingMethodId: methods.flat })
+        .expect(400);
+    });
+
+    it('should add the chosen method to the cart and carry it to the order', async () => {
+      await setCartQuantity(2);
+
+      await request(app)
+        .put('/api/cart/address')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: testAddressId })
+        .expect(200);
+
+      const cartResponse = await request(app)
+        .put('/api/cart/shipping-method')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingMethodId: methods.flat })
+        .expect(200);
+
+      expect(cartResponse.body.data.shipping).toBe(5);
+      expect(cartResponse.body.data.total).toBe(45);
+
+      const orderResponse = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ expectedTotal: 45 })
+        .expect(201);
+
+      expect(orderResponse.body.data).toMatchObject({
+        total: 45,
+        shipping: 5,
+        shippingMethodId: methods.flat,
+        shippingMethodName: 'Standard'
+      });
+    });
+
+    it('should waive shipping with a free shipping promotion', async () => {
+      await prisma.discount.create({
+        data: { code: 'SHIPTESTFREE', type: 'FREE_SHIPPING', value: 0 }
+      });
+
+      await setCartQuantity(2);
+
+      await request(app)
+        .put('/api/cart/address')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: testAddressId })
+        .expect(200);
+
+      await request(app)
+        .put('/api/cart/shipping-method')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ shippingMethodId: methods.flat })
+        .expect(200);
+
+      const response = await request(app)
+        .post('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ code: 'SHIPTESTFREE' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        shipping: 0,
+        shippingDiscount: 5,
+        discount: 0,
+        total: 40
+      });
+
+      await request(app)
+        .delete('/api/cart/discount')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+    });
+
+    it('should drop the method when the cart moves to an address it does not ship to', async () => {
+      await setCartQuantity(1);
+
+      const response = await request(app)
+        .put('/api/cart/address')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ addressId: otherAddressId })
+        .expect(200);
+
+      expect(response.body.data.shipping).toBe(0);
+      expect(response.body.data.removedShippingMethod.name).toBe('Standard');
+    });
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tax Module Tests
+ * Tests for tax rules and tax on carts and orders
+ */
+
+const request = require('supertest');
+const app = require('../src/app');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+describe('Tax Module', () => {
+  let authToken;
+  let adminToken;
+  let testCategoryId;
+  let generalProductId;
+  let generalVariantId;
+  let reducedProductId;
+  let reducedVariantId;
+  let northAddressId;
+  let southAddressId;
+  const rules = {};
+
+  const createAddress = async (state) => {
+    const response = await request(app)
+      .post('/api/addresses')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({
+        name: 'Tax User',
+        phone: '+1234567890',
+        address: '1 Tax Street',
+        city: 'Test City',
+        state,
+        country: 'Taxtestland',
+        zipCode: '12345'
+      });
+
+    return response.body.data.id;
+  };
+
+  const createProduct = async (name, price, taxClass) => {
+    const productResponse = await request(app)
+      .post('/admin/products')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name,
+        price,
+        categoryId: testCategoryId,
+        sku: name.toUpperCase().replace(/\s+/g, '-'),
+        ...(taxClass ? { taxClass } : {})
+      });
+
+    const variantResponse = await request(app)
+      .post('/admin/variants')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        productId: productResponse.body.data.id,
+        size: 'M',
+        price,
+        stock: 50,
+        sku: `${name.toUpperCase().replace(/\s+/g, '-')}-M`
+      });
+
+    return [productResponse.body.data.id, variantResponse.body.data.id];
+  };
+
+  const createRule = async (body) => {
+    const response = await request(app)
+      .post('/admin/tax/rules')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ country: 'Taxtestland', ...body })
+      .expect(201);
+
+    return response.body.data.id;
+  };
+
+  const setAddress = async (addressId) => {
+    const response = await request(app)
+      .put('/api/cart/address')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ addressId })
+      .expect(200);
+
+    return response.body.data;
+  };
+
+  beforeAll(async () => {
+    const userResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Tax User',
+        email: 'taxtest@example.com',
+        password: 'Password123!'
+      });
+
+    authToken = userResponse.body.data.accessToken;
+
+    const adminResponse = await request(app)
+      .post('/api/auth/register')
+      .send({
+        name: 'Tax Admin',
+        email: 'taxtestadmin@example.com',
+        password: 'Password123!',
+        role: 'ADMIN'
+      });
+
+    adminToken = adminResponse.body.data.accessToken;
+
+    const categoryResponse = await request(app)
+      .post('/admin/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Tax Test Category', slug: 'tax-test-category' });
+
+    testCategoryId = categoryResponse.body.data.id;
+
+    [generalProductId, generalVariantId] = await createProduct('Tax Test General', 20);
+    [reducedProductId, reducedVariantId] = await createProduct('Tax Test Reduced', 10, 'reduced');
+
+    northAddressId = await createAddress('North');
+    southAddressId = await createAddress('South');
+
+    rules.country = await createRule({ name: 'Country VAT', rate: 10 });
+    rules.reduced = await createRule({ name: 'Reduced VAT', taxClass: 'reduced', rate: 2 });
+    rules.north = await createRule({ name: 'North Sales Tax', state: 'north', rate: 5 });
+
+    await request(app)
+      .delete('/api/cart/clear')
+      .set('Authorization', `Bearer ${authToken}`);
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ productId: generalProductId, variantId: generalVariantId, quantity: 2 })
+      .expect(200);
+
+    await request(app)
+      .post('/api/cart/add')
+      .set('Authorization', `Bearer ${authToken}`)
+      .send({ productId: reducedProductId, variantId: reducedVariantId, quantity: 1 })
+      .expect(200);
+  });
+
+  afterAll(async () => {
+    await prisma.order.deleteMany({
+      where: { user: { email: { contains: 'taxtest' } } }
+    });
+    await prisma.taxRule.deleteMany({
+      where: { country: 'Taxtestland' }
+    });
+    await prisma.product.deleteMany({
+      where: { name: { contains: 'Tax Test' } }
+    });
+    await prisma.category.deleteMany({
+      where: { name: { contains: 'Tax Test' } }
+    });
+    await prisma.user.deleteMany({
+      where: { email: { contains: 'taxtest' } }
+    });
+    await prisma.$disconnect();
+  });
+
+  describe('Admin tax rules', () => {
+    it('should reject rates outside 0-100 percent', async () => {
+      await request(app)
+        .post('/admin/tax/rules')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ name: 'Broken', country: 'Taxtestland', rate: 150 })
+        .expect(400);
+    });
+
+    it('should require admin role', async () => {
+      await request(app)
+        .get('/admin/tax/rules')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(403);
+    });
+  });
+
+  describe('Tax on the cart', () => {
+    it('should not tax a cart without an address', async () => {
+      const response = await request(app)
+        .get('/api/cart')
+        .set('Authorization', `Bearer ${authToken}`)
+        .expect(200);
+
+      expect(response.body.data.tax).toBe(0);
+      expect(response.body.data.total).toBe(50);
+    });
+
+    it('should tax each line by the country rule for its tax class', async () => {
+      const cart = await setAddress(southAddressId);
+
+      expect(cart.lines.map(line => [line.taxRate, line.taxAmount])).toEqual([[10, 4], [2, 0.2]]);
+      expect(cart.tax).toBe(4.2);
+      expect(cart.total).toBe(54.2);
+      expect(cart.taxBreakdown).toEqual(expect.arrayContaining([
+        { ruleId: rules.country, name: 'Country VAT', rate: 10, taxableAmount: 40, amount: 4 },
+        { ruleId: rules.reduced, name: 'Reduced VAT', rate: 2, taxableAmount: 10, amount: 0.2 }
+      ]));
+    });
+
+    it('should prefer a state rule over the country rules', async () => {
+      const cart = await setAddress(northAddressId);
+
+      expect(cart.lines.map(line => line.taxRate)).toEqual([5, 5]);
+      expect(cart.tax).toBe(2.5);
+      expect(cart.taxBreakdown).toHaveLength(1);
+    });
+  });
+
+  describe('Tax on orders', () => {
+    it('should store per-line tax and the breakdown on the order', async () => {
+      await setAddress(southAddressId);
+
+      const response = await request(app)
+        .post('/api/orders/checkout')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ expectedTotal: 54.2 })
+        .expect(201);
+
+      const order = response.body.data;
+      expect(order).toMatchObject({ tax: 4.2, taxInclusive: false, total: 54.2 });
+      expect(order.taxBreakdown).toHaveLength(2);
+
+      const general = order.items.find(item => item.productId === generalProductId);
+      const reduced = order.items.find(item => item.productId === reducedProductId);
+      expect(general).toMatchObject({ taxRate: 10, taxAmount: 4 });
+      expect(reduced).toMatchObject({ taxRate: 2, taxAmount: 0.2 });
+    });
+
+    it('should stop applying a deleted rule', async () => {
+      await request(app)
+        .delete(`/admin/tax/rules/${rules.north}`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      await request(app)
+        .post('/api/cart/add')
+        .set('Authorization', `Bearer ${authToken}`)
+        .send({ productId: generalProductId, variantId: generalVariantId, quantity: 1 })
+        .expect(200);
+
+      const cart = await setAddress(northAddressId);
+
+      expect(cart.lines[0].taxRate).toBe(10);
+      expect(cart.tax).toBe(2);
+    });
+  });
+});